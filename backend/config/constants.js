@@ -0,0 +1,32 @@
+/**
+ * Shared Constants
+ * Limits and levels used by both models and the code around them, kept here
+ * so controllers and services don't have to load a model to read them.
+ */
+
+// ============================================
+// TEAMS
+// ============================================
+
+// Higher number = more rights within the team
+const TEAM_ROLE_LEVELS = {
+  member: 1,
+  admin: 2,
+  owner: 3
+};
+
+// How long a team invitation stays open
+const INVITATION_TTL_DAYS = 7;
+
+// ============================================
+// COMMENTS
+// ============================================
+
+// Longest quoted text kept with a comment's anchor
+const MAX_QUOTE_LENGTH = 500;
+
+module.exports = {
+  TEAM_ROLE_LEVELS,
+  INVITATION_TTL_DAYS,
+  MAX_QUOTE_LENGTH
+};
@@ -0,0 +1,32 @@
+/**
+ * Index Migrations
+ * Brings indexes whose definition changed in line with the schema. Mongoose's
+ * autoIndex only creates missing indexes; it can't replace one that already
+ * exists under the same name with different options.
+ */
+
+const SharedNote = require('../models/SharedNote');
+
+// Models whose indexes changed after databases were created with them.
+// SharedNote: the { note, sharedWith } unique index became partial so a note
+// can have several public links and team shares (sharedWith: null).
+const MIGRATED_MODELS = [SharedNote];
+
+/**
+ * Drop stale indexes of the migrated models and create them as the schema
+ * defines them. Failures are logged, not thrown, so the server still starts.
+ */
+const syncIndexes = async () => {
+  for (const model of MIGRATED_MODELS) {
+    try {
+      const dropped = await model.syncIndexes();
+      if (dropped.length > 0) {
+        console.log(`🔧 ${model.modelName} indexes rebuilt: ${dropped.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`❌ ${model.modelName} index sync error: ${error.message}`);
+    }
+  }
+};
+
+module.exports = syncIndexes;
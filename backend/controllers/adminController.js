@@ -0,0 +1,177 @@
+/**
+ * Admin Controller
+ * Operational endpoints for administrators
+ */
+
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const scheduler = require('../jobs/scheduler');
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    List scheduled jobs with their lock and last run
+ * @route   GET /api/admin/jobs
+ * @access  Private (admin)
+ */
+const getJobs = async (req, res) => {
+  try {
+    const jobs = await Promise.all(
+      scheduler.getJobs().map(async (job) => {
+        const [lastRun, lock] = await Promise.all([
+          JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }).lean(),
+          JobLock.findOne({ name: job.name }).lean()
+        ]);
+
+        return {
+          ...job,
+          lock: lock
+            ? { lockedBy: lock.lockedBy, lockedUntil: lock.lockedUntil }
+            : null,
+          lastRun
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      instance: scheduler.INSTANCE_ID,
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching jobs'
+    });
+  }
+};
+
+/**
+ * @desc    Get run history for a job
+ * @route   GET /api/admin/jobs/:name/runs
+ * @access  Private (admin)
+ */
+const getJobRuns = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = { job: req.params.name };
+    if (status) query.status = status;
+
+    const runs = await JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching job runs'
+    });
+  }
+};
+
+/**
+ * @desc    Trigger a job immediately
+ * @route   POST /api/admin/jobs/:name/run
+ * @access  Private (admin)
+ */
+const runJob = async (req, res) => {
+  try {
+    const known = scheduler.getJobs().some((job) => job.name === req.params.name);
+
+    if (!known) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const run = await scheduler.runNow(req.params.name);
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running or locked by another instance'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running job'
+    });
+  }
+};
+
+/**
+ * @desc    Lift a login lockout and reset the failed attempt counter
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private (admin)
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = user.isLocked;
+
+    await user.updateOne({
+      $set: { loginAttempts: 0 },
+      $unset: { lockUntil: 1 }
+    });
+
+    if (wasLocked) {
+      await SecurityEvent.record(user._id, 'account_unlocked', req, { by: req.user._id });
+      console.log(`🔓 Account unlocked by admin: ${user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking user'
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobRuns,
+  runJob,
+  unlockUser
+};
@@ -0,0 +1,258 @@
+/**
+ * Attachment Controller
+ * Handles uploading, downloading and deleting files attached to notes
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const Note = require('../models/Note');
+const storage = require('../services/storage');
+const { getNoteAccess, hasAccess } = require('../services/noteAccess');
+
+// Per-user storage quota across all notes
+const STORAGE_QUOTA = (parseInt(process.env.STORAGE_QUOTA_MB, 10) || 100) * 1024 * 1024;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Load a note the caller has at least `required` access to.
+ * Sends the 404 itself and returns null when they don't.
+ * @param {string} required - 'read' to download, 'edit' to upload or delete
+ * @returns {Object|null} - Note document
+ */
+const loadNote = async (req, res, required) => {
+  const result = await getNoteAccess(req.params.id, req.user._id);
+
+  if (!result || !hasAccess(result.access, required)) {
+    res.status(404).json({
+      success: false,
+      message: required === 'read'
+        ? 'Note not found or you do not have permission to access it'
+        : 'Note not found or you do not have permission to modify it'
+    });
+    return null;
+  }
+
+  return result.note;
+};
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    Upload a file and attach it to a note
+ * @route   POST /api/notes/:id/attachments
+ * @access  Private
+ */
+const uploadAttachment = async (req, res) => {
+  try {
+    const note = await loadNote(req, res, 'edit');
+    if (!note) return;
+
+    // Enforce the quota of the note's owner, whoever uploads
+    const used = await Note.getStorageUsage(note.user);
+    if (used + req.file.size > STORAGE_QUOTA) {
+      return res.status(413).json({
+        success: false,
+        message: 'Storage quota exceeded. Delete some attachments and try again.',
+        quota: STORAGE_QUOTA,
+        used
+      });
+    }
+
+    const extension = path.extname(req.file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const key = `${note.user}/${uuidv4()}${extension}`;
+
+    await storage.save({
+      buffer: req.file.buffer,
+      key,
+      mimeType: req.file.mimetype
+    });
+
+    const attachment = note.attachments.create({
+      filename: path.basename(key),
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      url: '',
+      publicId: key
+    });
+    attachment.url = `/api/notes/${note._id}/attachments/${attachment._id}`;
+
+    // Append atomically, so concurrent uploads don't overwrite each other's entries
+    let result;
+    try {
+      result = await Note.updateOne(
+        { _id: note._id, isTrashed: false },
+        { $push: { attachments: attachment.toObject() } }
+      );
+    } catch (error) {
+      await storage.remove(key);
+      throw error;
+    }
+
+    if (result.matchedCount === 0) {
+      await storage.remove(key);
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found or you do not have permission to modify it'
+      });
+    }
+
+    // Concurrent uploads can all pass the check above; whichever pushes the
+    // owner over the quota takes its file back out
+    const usedAfter = await Note.getStorageUsage(note.user);
+    if (usedAfter > STORAGE_QUOTA) {
+      await Note.updateOne({ _id: note._id }, { $pull: { attachments: { _id: attachment._id } } });
+      await storage.remove(key);
+      return res.status(413).json({
+        success: false,
+        message: 'Storage quota exceeded. Delete some attachments and try again.',
+        quota: STORAGE_QUOTA,
+        used: usedAfter - attachment.size
+      });
+    }
+
+    console.log(`✅ Attachment "${attachment.originalName}" added to note "${note.title}" by user ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      attachment,
+      storage: {
+        used: usedAfter,
+        quota: STORAGE_QUOTA
+      }
+    });
+  } catch (error) {
+    console.error('Upload Attachment Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading file'
+    });
+  }
+};
+
+/**
+ * @desc    Download an attachment
+ * @route   GET /api/notes/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const getAttachment = async (req, res) => {
+  try {
+    const note = await loadNote(req, res, 'read');
+    if (!note) return;
+
+    const attachment = note.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    // Images are shown inline; everything else is forced to download
+    const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+
+    const stream = storage.createReadStream(attachment.publicId);
+
+    stream.on('open', () => {
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+        'X-Content-Type-Options': 'nosniff'
+      });
+      stream.pipe(res);
+    });
+
+    stream.on('error', (error) => {
+      console.error('Attachment Stream Error:', error.message);
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+  } catch (error) {
+    console.error('Get Attachment Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching attachment'
+    });
+  }
+};
+
+/**
+ * @desc    Delete an attachment
+ * @route   DELETE /api/notes/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const deleteAttachment = async (req, res) => {
+  try {
+    const note = await loadNote(req, res, 'edit');
+    if (!note) return;
+
+    const attachment = note.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    attachment.deleteOne();
+    await note.save();
+    await storage.remove(attachment.publicId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted',
+      attachmentId: attachment._id
+    });
+  } catch (error) {
+    console.error('Delete Attachment Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting attachment'
+    });
+  }
+};
+
+module.exports = {
+  uploadAttachment,
+  getAttachment,
+  deleteAttachment
+};
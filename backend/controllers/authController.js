@@ -3,45 +3,114 @@
  * Handles user registration, login, and profile operations
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const {
+  createSession,
+  refreshSession,
+  endSession,
+  endSessionByToken,
+  endAllSessions
+} = require('../services/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const { sendLockedResponse, recordFailedLogin } = require('../services/loginAttempts');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Notes App';
+
+// How long the user has to enter their code after the password step
+const TWO_FACTOR_TOKEN_EXPIRES_IN = '5m';
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
 /**
- * Generate JWT token for authenticated user
- * @param {ObjectId} id - User's ID
- * @returns {string} - JWT token
- */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '7d' // Token expires in 7 days
-  });
-};
-
-/**
- * Send token response with user data
+ * Start a login session and send its tokens with user data
  * @param {Object} user - User document
  * @param {number} statusCode - HTTP status code
+ * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { accessToken, refreshToken } = await createSession(user, req);
 
   res.status(statusCode).json({
     success: true,
-    token,
+    token: accessToken,
+    refreshToken,
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
+      isEmailVerified: user.isEmailVerified,
       createdAt: user.createdAt
     }
   });
 };
 
+/**
+ * Log a successful login and clear the failed attempt counter
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {string} method - 'password', 'totp' or 'backup'
+ */
+const recordSuccessfulLogin = async (user, req, method) => {
+  await user.resetLoginAttempts();
+  await SecurityEvent.record(user._id, 'login_success', req, { method });
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new verification token and email it. Failures are logged, not thrown,
+ * so they never break the request that triggered them.
+ * @param {Object} user - User document
+ */
+const sendVerification = async (user) => {
+  try {
+    const token = user.generateEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification Email Error:', error.message);
+  }
+};
+
+/**
+ * Generate the short-lived ticket that proves the password step of a 2FA login
+ * @param {ObjectId} id - User's ID
+ * @returns {string} - JWT
+ */
+const generateTwoFactorToken = (id) => {
+  return jwt.sign({ id, purpose: 'two_factor' }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN
+  });
+};
+
+/**
+ * Check an authenticator code or backup code. Updates the user (replay guard,
+ * spent backup code); the caller saves it.
+ * @param {Object} user - User with twoFactorSecret, twoFactorBackupCodes and twoFactorLastStep selected
+ * @param {string} code - Code entered by the user
+ * @returns {string|null} - 'totp', 'backup', or null if invalid
+ */
+const verifySecondFactor = (user, code) => {
+  const step = verifyCode(user.twoFactorSecret, code, { after: user.twoFactorLastStep });
+  if (step !== null) {
+    user.twoFactorLastStep = step;
+    return 'totp';
+  }
+
+  if (user.useBackupCode(code)) return 'backup';
+
+  return null;
+};
+
 // ============================================
 // CONTROLLER METHODS
 // ============================================
@@ -98,8 +167,10 @@ const register = async (req, res) => {
 
     console.log(`✅ New user registered: ${user.email}`);
 
+    await sendVerification(user);
+
     // Send response with token
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     console.error('Registration Error:', error);
 
@@ -155,19 +226,39 @@ const login = async (req, res) => {
       });
     }
 
+    // Locked accounts are refused before the password is even checked
+    if (user.isLocked) {
+      await SecurityEvent.record(user._id, 'login_blocked', req);
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const lockUntil = await recordFailedLogin(user, req, 'password');
+      if (lockUntil) return sendLockedResponse(res, lockUntil);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    // Second step required - hand out a short-lived ticket instead of a session
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user._id)
+      });
+    }
+
+    await recordSuccessfulLogin(user, req, 'password');
+
     console.log(`✅ User logged in: ${user.email}`);
 
     // Send response with token
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Login Error:', error);
     res.status(500).json({
@@ -200,6 +291,7 @@ const getMe = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        isEmailVerified: user.isEmailVerified,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -227,6 +319,10 @@ const updateProfile = async (req, res) => {
     if (name) updateFields.name = name.trim();
     if (email) updateFields.email = email.toLowerCase().trim();
 
+    // A new address has to be verified again
+    const emailChanged = !!email && updateFields.email !== req.user.email;
+    if (emailChanged) updateFields.isEmailVerified = false;
+
     // Check if email is already taken by another user
     if (email) {
       const existingUser = await User.findOne({
@@ -249,13 +345,18 @@ const updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) await sendVerification(user);
+
     res.status(200).json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChanged
+        ? 'Profile updated. Check your inbox to verify your new email address.'
+        : 'Profile updated successfully',
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        isEmailVerified: user.isEmailVerified,
         updatedAt: user.updatedAt
       }
     });
@@ -305,9 +406,18 @@ const changePassword = async (req, res) => {
     // Get user with password
     const user = await User.findById(req.user._id).select('+password');
 
+    // Wrong passwords count towards the lockout, as at sign-in
+    if (user.isLocked) {
+      await SecurityEvent.record(user._id, 'login_blocked', req);
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
     // Check current password
     const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
+      const lockUntil = await recordFailedLogin(user, req, 'password');
+      if (lockUntil) return sendLockedResponse(res, lockUntil);
+
       return res.status(401).json({
         success: false,
         message: 'Current password is incorrect'
@@ -318,8 +428,11 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Log out every device, then start a fresh session for this one
+    await endAllSessions(user._id, 'password_change');
+
     // Send new token
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Change Password Error:', error);
     res.status(500).json({
@@ -329,10 +442,577 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token)
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const result = await refreshSession(refreshToken, req);
+
+    if (result.status === 'superseded') {
+      return res.status(401).json({
+        success: false,
+        code: 'TOKEN_SUPERSEDED',
+        message: 'Refresh token was already used. Use the newest one.'
+      });
+    }
+
+    if (result.status !== 'ok') {
+      return res.status(401).json({
+        success: false,
+        code: result.status === 'reused' ? 'TOKEN_REUSED' : 'TOKEN_INVALID',
+        message: 'Your session has ended. Please login again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.accessToken,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh Token Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing session'
+    });
+  }
+};
+
+/**
+ * @desc    Logout - end the session of the given refresh token (or access token)
+ * @route   POST /api/auth/logout
+ * @access  Public (optional auth)
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let ended = refreshToken ? await endSessionByToken(refreshToken) : false;
+
+    // Fall back to the session of the access token, if any
+    if (!ended && req.sessionId) {
+      const session = await Session.findOne({ _id: req.sessionId, user: req.user._id, revokedAt: null });
+      if (session) ended = await endSession(session, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+/**
+ * @desc    Verify email address with the token from the verification email
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`✅ Email verified: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify Email Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+};
+
+/**
+ * @desc    Send a new verification email
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already verified'
+      });
+    }
+
+    await sendVerification(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (user) {
+      const token = user.generatePasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Password Reset Email Error:', error.message);
+      }
+    }
+
+    // Same answer either way so this can't be used to find accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+};
+
+/**
+ * @desc    Set a new password with the token from the reset email
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.params.token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // They proved they can read mail sent to this address
+    user.isEmailVerified = true;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Whoever knew the old password is logged out everywhere
+    await endAllSessions(user._id, 'password_change');
+
+    console.log(`✅ Password reset for user ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset Password Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+};
+
+/**
+ * @desc    Complete a 2FA login with an authenticator or backup code
+ * @route   POST /api/auth/2fa/login
+ * @access  Public (requires two-factor ticket from login)
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+
+    if (!twoFactorToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the login ticket and your code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'two_factor') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt has expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt has expired. Please sign in again.'
+      });
+    }
+
+    if (user.isLocked) {
+      await SecurityEvent.record(user._id, 'login_blocked', req);
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    const method = verifySecondFactor(user, code);
+    if (!method) {
+      const lockUntil = await recordFailedLogin(user, req, 'two_factor');
+      if (lockUntil) return sendLockedResponse(res, lockUntil);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.save();
+    await recordSuccessfulLogin(user, req, method);
+
+    console.log(`✅ User logged in with 2FA (${method}): ${user.email}`);
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('2FA Login Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login. Please try again.'
+    });
+  }
+};
+
+/**
+ * @desc    Start 2FA setup - generate a secret for the authenticator app
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Not active until confirmed with /2fa/verify
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    console.error('2FA Setup Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error setting up two-factor authentication'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm 2FA setup with a code from the app; returns backup codes
+ * @route   POST /api/auth/2fa/verify
+ * @access  Private
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorLastStep');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    console.log(`✅ 2FA enabled for user ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('2FA Verify Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying two-factor authentication'
+    });
+  }
+};
+
+/**
+ * @desc    Turn off 2FA (requires password and a current code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and an authentication code'
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Wrong passwords and codes count towards the lockout, as at sign-in
+    if (user.isLocked) {
+      await SecurityEvent.record(user._id, 'login_blocked', req);
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      const lockUntil = await recordFailedLogin(user, req, 'password');
+      if (lockUntil) return sendLockedResponse(res, lockUntil);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!verifySecondFactor(user, code)) {
+      const lockUntil = await recordFailedLogin(user, req, 'two_factor');
+      if (lockUntil) return sendLockedResponse(res, lockUntil);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastStep = -1;
+    await user.save();
+
+    console.log(`✅ 2FA disabled for user ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA Disable Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+};
+
+/**
+ * @desc    Replace the backup codes (requires a current code)
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Wrong codes count towards the lockout, as at sign-in
+    if (user.isLocked) {
+      await SecurityEvent.record(user._id, 'login_blocked', req);
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    if (!verifySecondFactor(user, code)) {
+      const lockUntil = await recordFailedLogin(user, req, 'two_factor');
+      if (lockUntil) return sendLockedResponse(res, lockUntil);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Backup Codes Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating backup codes'
+    });
+  }
+};
+
+/**
+ * @desc    Get 2FA status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+
+    res.status(200).json({
+      success: true,
+      enabled: user.twoFactorEnabled,
+      backupCodesRemaining: user.twoFactorEnabled ? user.twoFactorBackupCodes.length : 0
+    });
+  } catch (error) {
+    console.error('2FA Status Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching two-factor status'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getMe,
   updateProfile,
-  changePassword
+  changePassword,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  loginTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorStatus
 };
@@ -0,0 +1,460 @@
+/**
+ * Comment Controller
+ * Handles threaded comments on notes: anchoring to a range of the content,
+ * @mentions of people who can see the note, and resolving threads
+ */
+
+const Comment = require('../models/Comment');
+const { MAX_QUOTE_LENGTH } = require('../config/constants');
+const User = require('../models/User');
+const { getNoteAccess, getNoteAudience, hasAccess } = require('../services/noteAccess');
+const { notifySafely } = require('../services/notifications');
+const { emitNoteEvent } = require('../services/realtime');
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const AUTHOR_FIELDS = 'name email';
+
+/**
+ * Load a note the caller can at least read.
+ * Sends the 404 itself and returns null when they can't.
+ * @returns {Object|null} - { note, access }
+ */
+const loadNote = async (req, res) => {
+  const result = await getNoteAccess(req.params.id, req.user._id);
+
+  if (!result) {
+    res.status(404).json({
+      success: false,
+      message: 'Note not found or you do not have permission to access it'
+    });
+    return null;
+  }
+
+  return result;
+};
+
+/**
+ * Comment as returned by the API. Anchored comments get `position`: where
+ * the quoted text is in the current content, or null if it was removed.
+ * @param {Object} comment - Comment document (author, mentions populated)
+ * @param {string} content - Current note content
+ */
+const serializeComment = (comment, content) => {
+  const json = comment.toJSON();
+  if (comment.anchor) {
+    json.position = Comment.locateAnchor(comment.anchor, content);
+  }
+  return json;
+};
+
+/**
+ * Keep only mentioned users who can see the note, minus the author
+ * @param {Array} mentions - User ids from the request
+ * @param {string[]} audience - Ids of users with access
+ * @param {ObjectId} authorId - Comment author
+ * @returns {string[]}
+ */
+const filterMentions = (mentions, audience, authorId) => {
+  if (!Array.isArray(mentions)) return [];
+
+  const allowed = new Set(audience);
+  allowed.delete(authorId.toString());
+
+  return [...new Set(mentions.map(String))].filter((id) => allowed.has(id));
+};
+
+/**
+ * Build an anchor from a selection ({ start, end, quote }). The client may
+ * hold unsaved edits, so the quote is looked up in the saved content near
+ * the given offsets.
+ * @returns {Object|null|false} - The anchor, null when none was sent, false when
+ *   the quoted text isn't in the note
+ */
+const buildAnchor = (anchor, content) => {
+  if (!anchor) return null;
+
+  const quote = typeof anchor.quote === 'string' ? anchor.quote : '';
+  if (!quote.trim()) return false;
+
+  const start = Math.max(0, parseInt(anchor.start, 10) || 0);
+  const position = Comment.locateAnchor({ start, end: start + quote.length, quote }, content);
+  if (!position) return false;
+
+  return { ...position, quote };
+};
+
+const populateComment = (comment) => {
+  return comment.populate([
+    { path: 'author', select: AUTHOR_FIELDS },
+    { path: 'mentions', select: AUTHOR_FIELDS },
+    { path: 'resolvedBy', select: 'name' }
+  ]);
+};
+
+/**
+ * Tell mentioned users, and everyone else in the conversation, about a comment
+ * @param {Object} note - Note document
+ * @param {Object} comment - The new or edited comment
+ * @param {string[]} mentionIds - Newly mentioned users
+ * @param {string[]} participantIds - Others to tell about a new comment
+ * @param {Object} actor - User who wrote it
+ */
+const notifyComment = async (note, comment, mentionIds, participantIds, actor) => {
+  const excerpt = comment.body.length > 100 ? `${comment.body.slice(0, 100)}...` : comment.body;
+  const link = `/notes/${note._id}?comments`;
+
+  const mentioned = new Set(mentionIds);
+  const others = [...new Set(participantIds)].filter(
+    (id) => id !== actor._id.toString() && !mentioned.has(id)
+  );
+
+  await Promise.all([
+    ...mentionIds.map((id) =>
+      notifySafely({
+        user: id,
+        type: 'mention',
+        title: `${actor.name} mentioned you on "${note.title}"`,
+        message: excerpt,
+        link,
+        note: note._id,
+        actor: actor._id
+      })
+    ),
+    ...others.map((id) =>
+      notifySafely({
+        user: id,
+        type: 'comment',
+        title: `${actor.name} commented on "${note.title}"`,
+        message: excerpt,
+        link,
+        note: note._id,
+        actor: actor._id
+      })
+    )
+  ]);
+};
+
+/**
+ * Error response for a bad id or failed validation, or a 500
+ */
+const sendError = (res, error, context, message) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map((err) => err.message).join('. ')
+    });
+  }
+
+  console.error(`${context} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    List comment threads on a note (?status=open|resolved)
+ * @route   GET /api/notes/:id/comments
+ * @access  Private (anyone who can read the note)
+ */
+const getComments = async (req, res) => {
+  try {
+    const result = await loadNote(req, res);
+    if (!result) return;
+    const { note } = result;
+
+    const filter = { note: note._id, parent: null };
+    if (req.query.status === 'open') filter.isResolved = false;
+    if (req.query.status === 'resolved') filter.isResolved = true;
+
+    const threads = await Comment.find(filter)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', AUTHOR_FIELDS)
+      .populate('resolvedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    const replies = await Comment.find({ note: note._id, parent: { $in: threads.map((thread) => thread._id) } })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', AUTHOR_FIELDS)
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: threads.length,
+      threads: threads.map((thread) => ({
+        ...serializeComment(thread, note.content),
+        replies: replies
+          .filter((reply) => reply.parent.equals(thread._id))
+          .map((reply) => serializeComment(reply, note.content))
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Comments', 'Server error fetching comments');
+  }
+};
+
+/**
+ * @desc    People who can be @mentioned on a note (everyone who can see it)
+ * @route   GET /api/notes/:id/comments/mentionable
+ * @access  Private
+ */
+const getMentionableUsers = async (req, res) => {
+  try {
+    const result = await loadNote(req, res);
+    if (!result) return;
+
+    const audience = await getNoteAudience(result.note);
+    const users = await User.find({ _id: { $in: audience, $ne: req.user._id } })
+      .select(AUTHOR_FIELDS)
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      users
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Mentionable Users', 'Server error fetching users');
+  }
+};
+
+/**
+ * @desc    Start a thread or reply to one
+ * @route   POST /api/notes/:id/comments
+ * @access  Private (anyone who can read the note)
+ */
+const createComment = async (req, res) => {
+  try {
+    const result = await loadNote(req, res);
+    if (!result) return;
+    const { note } = result;
+    const { body, parent, anchor, mentions } = req.body;
+
+    let thread = null;
+    if (parent) {
+      thread = await Comment.findOne({ _id: parent, note: note._id });
+      // Replies always hang off the top-level comment
+      if (thread && thread.parent) thread = await Comment.findById(thread.parent);
+      if (!thread) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+    }
+
+    // Only the top-level comment of a thread is anchored
+    if (!thread && anchor?.quote?.length > MAX_QUOTE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Select at most ${MAX_QUOTE_LENGTH} characters to comment on`
+      });
+    }
+    const commentAnchor = thread ? null : buildAnchor(anchor, note.content);
+    if (commentAnchor === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected text is not in the saved note'
+      });
+    }
+
+    const audience = await getNoteAudience(note);
+    const mentionIds = filterMentions(mentions, audience, req.user._id);
+
+    const comment = await Comment.create({
+      note: note._id,
+      user: note.user,
+      author: req.user._id,
+      parent: thread ? thread._id : null,
+      body,
+      mentions: mentionIds,
+      anchor: commentAnchor
+    });
+
+    // A reply reopens a resolved thread
+    if (thread && thread.isResolved) {
+      thread.isResolved = false;
+      thread.resolvedBy = null;
+      thread.resolvedAt = null;
+      await thread.save();
+    }
+
+    await populateComment(comment);
+
+    // Replies go to everyone in the thread, new threads to the note owner
+    let participantIds = [note.user.toString()];
+    if (thread) {
+      const threadAuthors = await Comment.find({ parent: thread._id }).distinct('author');
+      participantIds = [thread.author, ...threadAuthors].map(String).filter((id) => audience.includes(id));
+    }
+    await notifyComment(note, comment, mentionIds, participantIds, req.user);
+
+    const json = serializeComment(comment, note.content);
+    emitNoteEvent('comment:created', note, req, { noteId: note._id, comment: json });
+
+    res.status(201).json({
+      success: true,
+      comment: json
+    });
+  } catch (error) {
+    sendError(res, error, 'Create Comment', 'Server error adding comment');
+  }
+};
+
+/**
+ * @desc    Edit your own comment
+ * @route   PUT /api/notes/:id/comments/:commentId
+ * @access  Private (author)
+ */
+const updateComment = async (req, res) => {
+  try {
+    const result = await loadNote(req, res);
+    if (!result) return;
+    const { note } = result;
+    const { body, mentions } = req.body;
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      note: note._id,
+      author: req.user._id
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const previousMentions = comment.mentions.map(String);
+    let newMentionIds = [];
+
+    if (body !== undefined) comment.body = body;
+    if (mentions !== undefined) {
+      const audience = await getNoteAudience(note);
+      const mentionIds = filterMentions(mentions, audience, req.user._id);
+      comment.mentions = mentionIds;
+      newMentionIds = mentionIds.filter((id) => !previousMentions.includes(id));
+    }
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await populateComment(comment);
+    await notifyComment(note, comment, newMentionIds, [], req.user);
+
+    const json = serializeComment(comment, note.content);
+    emitNoteEvent('comment:updated', note, req, { noteId: note._id, comment: json });
+
+    res.status(200).json({
+      success: true,
+      comment: json
+    });
+  } catch (error) {
+    sendError(res, error, 'Update Comment', 'Server error updating comment');
+  }
+};
+
+/**
+ * @desc    Delete a comment (and its replies, for a thread)
+ * @route   DELETE /api/notes/:id/comments/:commentId
+ * @access  Private (author or note owner)
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const result = await loadNote(req, res);
+    if (!result) return;
+    const { note, access } = result;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, note: note._id });
+
+    if (!comment || (access !== 'owner' && !comment.author.equals(req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const replyIds = comment.parent ? [] : await Comment.find({ parent: comment._id }).distinct('_id');
+    const commentIds = [comment._id, ...replyIds];
+    await Comment.deleteMany({ _id: { $in: commentIds } });
+
+    emitNoteEvent('comment:deleted', note, req, { noteId: note._id, commentIds });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted',
+      commentIds
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete Comment', 'Server error deleting comment');
+  }
+};
+
+/**
+ * @desc    Resolve or reopen a thread (body { resolved })
+ * @route   PATCH /api/notes/:id/comments/:commentId/resolve
+ * @access  Private (editors and the thread's author)
+ */
+const resolveComment = async (req, res) => {
+  try {
+    const result = await loadNote(req, res);
+    if (!result) return;
+    const { note, access } = result;
+    const resolved = req.body.resolved !== false;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, note: note._id, parent: null });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment thread not found'
+      });
+    }
+
+    if (!hasAccess(access, 'edit') && !comment.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only editors and the author can resolve this thread'
+      });
+    }
+
+    comment.isResolved = resolved;
+    comment.resolvedBy = resolved ? req.user._id : null;
+    comment.resolvedAt = resolved ? new Date() : null;
+    await comment.save();
+
+    await populateComment(comment);
+
+    const json = serializeComment(comment, note.content);
+    emitNoteEvent('comment:updated', note, req, { noteId: note._id, comment: json });
+
+    res.status(200).json({
+      success: true,
+      message: resolved ? 'Thread resolved' : 'Thread reopened',
+      comment: json
+    });
+  } catch (error) {
+    sendError(res, error, 'Resolve Comment', 'Server error updating comment');
+  }
+};
+
+module.exports = {
+  getComments,
+  getMentionableUsers,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment
+};
@@ -5,6 +5,9 @@
 
 const Folder = require('../models/Folder');
 const Note = require('../models/Note');
+const SharedFolder = require('../models/SharedFolder');
+const { refreshAllAccess } = require('../services/collaboration');
+const { escapeRegex } = require('../utils/search');
 
 // ============================================
 // @desc    Get all folders for current user
@@ -98,7 +101,7 @@ exports.createFolder = async (req, res) => {
     const existingFolder = await Folder.findOne({
       user: req.user._id,
       parent: parent || null,
-      name: { $regex: new RegExp(`^${name}$`, 'i') }
+      name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') }
     });
 
     if (existingFolder) {
@@ -180,12 +183,22 @@ exports.updateFolder = async (req, res) => {
       });
     }
 
+    // Prevent moving a folder into one of its own subfolders
+    if (parent && (await Folder.ancestorIds(parent)).some((id) => id.toString() === req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Folder cannot be moved into its own subfolder'
+      });
+    }
+
+    const parentChanged = parent !== undefined && String(parent || null) !== String(folder.parent);
+
     // Check if new name conflicts with existing folder at same level
     if (name && name !== folder.name) {
       const existingFolder = await Folder.findOne({
         user: req.user._id,
         parent: parent !== undefined ? parent : folder.parent,
-        name: { $regex: new RegExp(`^${name}$`, 'i') },
+        name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') },
         _id: { $ne: folder._id }
       });
 
@@ -203,6 +216,11 @@ exports.updateFolder = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Notes in the folder now inherit shares from different parents
+    if (parentChanged && (await SharedFolder.exists({ owner: req.user._id }))) {
+      refreshAllAccess();
+    }
+
     res.status(200).json({
       success: true,
       folder
@@ -267,6 +285,10 @@ exports.deleteFolder = async (req, res) => {
 
     await folder.deleteOne();
 
+    // Recipients lose access through this folder
+    const { deletedCount } = await SharedFolder.deleteMany({ folder: folder._id });
+    if (deletedCount > 0) refreshAllAccess();
+
     res.status(200).json({
       success: true,
       message: 'Folder deleted successfully'
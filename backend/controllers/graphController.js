@@ -0,0 +1,68 @@
+/**
+ * Graph Controller
+ * Handles the knowledge graph of a user's notes
+ */
+
+const Tag = require('../models/Tag');
+const Folder = require('../models/Folder');
+const { GRAPH_LAYERS, buildGraph } = require('../services/noteGraph');
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    Notes, tags and folders as a graph (?tag=&folder=&layers=links,tags,folders)
+ * @route   GET /api/graph
+ * @access  Private
+ */
+const getGraph = async (req, res) => {
+  try {
+    const { tag, folder } = req.query;
+
+    if (tag && !(await Tag.exists({ _id: tag, user: req.user._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag'
+      });
+    }
+
+    if (folder && !(await Folder.exists({ _id: folder, user: req.user._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid folder'
+      });
+    }
+
+    const layers = req.query.layers === undefined
+      ? GRAPH_LAYERS
+      : String(req.query.layers).split(',').map((layer) => layer.trim()).filter((layer) => GRAPH_LAYERS.includes(layer));
+
+    const graph = await buildGraph(req.user._id, { tag, folder, layers });
+
+    res.status(200).json({
+      success: true,
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length,
+      ...graph
+    });
+  } catch (error) {
+    console.error('Get Graph Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error building graph'
+    });
+  }
+};
+
+module.exports = {
+  getGraph
+};
@@ -0,0 +1,121 @@
+/**
+ * Link Controller
+ * Handles the [[wiki link]] graph of a note: what it links to and what
+ * links to it
+ */
+
+const { getNoteAccess } = require('../services/noteAccess');
+const { getOutlinks: findOutlinks, getBacklinks: findBacklinks } = require('../services/noteLinks');
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Load a note the caller can at least read.
+ * Sends the 404 itself and returns null when they can't.
+ * @returns {Object|null} - { note, access }
+ */
+const loadNote = async (req, res) => {
+  const result = await getNoteAccess(req.params.id, req.user._id);
+
+  if (!result) {
+    res.status(404).json({
+      success: false,
+      message: 'Note not found or you do not have permission to access it'
+    });
+    return null;
+  }
+
+  return result;
+};
+
+/**
+ * Error response for a bad id, or a 500
+ */
+const sendError = (res, error, context, message) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  console.error(`${context} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    Notes this note links to, in content order; unresolved links have `note: null`
+ * @route   GET /api/notes/:id/outlinks
+ * @access  Private (anyone who can read the note)
+ */
+const getOutlinks = async (req, res) => {
+  try {
+    const result = await loadNote(req, res);
+    if (!result) return;
+
+    const links = await findOutlinks(result.note);
+
+    // Recipients only see where links lead if they can open the target too;
+    // other resolved links are marked `restricted` rather than shown as missing
+    if (result.access !== 'owner') {
+      await Promise.all(
+        links.map(async (link) => {
+          if (link.note && !(await getNoteAccess(link.note._id, req.user._id))) {
+            link.note = null;
+            link.restricted = true;
+          }
+        })
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      links
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Outlinks', 'Server error fetching links');
+  }
+};
+
+/**
+ * @desc    Notes that link to this note ("Linked from")
+ * @route   GET /api/notes/:id/backlinks
+ * @access  Private (anyone who can read the note)
+ */
+const getBacklinks = async (req, res) => {
+  try {
+    const result = await loadNote(req, res);
+    if (!result) return;
+
+    let notes = await findBacklinks(result.note);
+
+    // Recipients only see linking notes they can open themselves
+    if (result.access !== 'owner') {
+      const readable = await Promise.all(notes.map((item) => getNoteAccess(item._id, req.user._id)));
+      notes = notes.filter((item, index) => readable[index]);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      notes
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Backlinks', 'Server error fetching backlinks');
+  }
+};
+
+module.exports = {
+  getOutlinks,
+  getBacklinks
+};
@@ -6,6 +6,35 @@
 const Note = require('../models/Note');
 const Tag = require('../models/Tag');
 const Folder = require('../models/Folder');
+const NoteVersion = require('../models/NoteVersion');
+const Comment = require('../models/Comment');
+const SharedNote = require('../models/SharedNote');
+const Reminder = require('../models/Reminder');
+const { removeAttachmentFiles } = require('../services/storage');
+const { emitNoteEvent, emitToUsers } = require('../services/realtime');
+const { syncContent, refreshAccess } = require('../services/collaboration');
+const { getNoteAccess, hasAccess } = require('../services/noteAccess');
+const { findMatches, buildSnippet } = require('../utils/search');
+const { compileSearch, suggest, buildNoteQuery, findNotesPage } = require('../services/noteSearch');
+const { indexNote, removeFromIndex, findRelated } = require('../services/relatedNotes');
+const { syncLinksSafely, removeFromGraph } = require('../services/noteLinks');
+const { etagFor, revisionFilter, getExpectedRevision, sendConflict } = require('../services/noteRevisions');
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Answer a malformed search query with where it went wrong
+ * (errors: [{ code, message, token, start, end }])
+ */
+const sendSearchError = (res, error) => {
+  res.status(400).json({
+    success: false,
+    message: error.message,
+    errors: error.details
+  });
+};
 
 // ============================================
 // CONTROLLER METHODS
@@ -59,7 +88,8 @@ const createNote = async (req, res) => {
       color: color || '#ffffff',
       tags: tags || [],
       folder: folder || null,
-      contentType: contentType || 'plain'
+      // Left out, the model default (markdown) applies
+      contentType
     });
 
     // Populate tags and folder
@@ -69,6 +99,9 @@ const createNote = async (req, res) => {
     ]);
 
     console.log(`✅ Note created: "${note.title}" by user ${req.user.email}`);
+    indexNote(note);
+    syncLinksSafely(note);
+    emitNoteEvent('note:created', note, req);
 
     res.status(201).json({
       success: true,
@@ -105,82 +138,41 @@ const getNotes = async (req, res) => {
     const {
       page = 1,
       limit = 20,
-      search,
       sortBy = 'updatedAt',
-      sortOrder = 'desc',
-      tag,
-      folder,
-      color,
-      favorite
+      sortOrder = 'desc'
     } = req.query;
 
-    // Build query - only get notes belonging to the authenticated user
-    const query = { 
-      user: req.user._id,
-      isTrashed: false,
-      isArchived: false
-    };
-
-    // Add search functionality
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Filter by tag
-    if (tag) {
-      query.tags = tag;
-    }
-
-    // Filter by folder
-    if (folder) {
-      query.folder = folder === 'null' ? null : folder;
-    }
-
-    // Filter by color
-    if (color) {
-      query.color = color;
+    // Build query - only get notes belonging to the authenticated user.
+    // Filters: search, tag, folder, color, favorite, createdFrom/createdTo,
+    // updatedFrom/updatedTo, minWords/maxWords
+    let query;
+    try {
+      query = await buildNoteQuery(req.user._id, req.query);
+    } catch (error) {
+      if (!error.details) throw error;
+      return sendSearchError(res, error);
     }
 
-    // Filter by favorites
-    if (favorite === 'true') {
-      query.isFavorite = true;
-    }
-
-    // Calculate pagination
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Build sort object
-    const sortOptions = {};
-    sortOptions.isPinned = -1; // Always sort pinned notes first
-    sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
-
-    // Execute query with pagination
-    const notes = await Note.find(query)
-      .populate('tags', 'name color')
-      .populate('folder', 'name icon')
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limitNum)
-      .lean();
-
-    // Get total count for pagination
-    const total = await Note.countDocuments(query);
+    const result = await findNotesPage(query, { page, limit, sortBy, sortOrder });
 
     res.status(200).json({
       success: true,
-      count: notes.length,
-      total,
-      page: pageNum,
-      pages: Math.ceil(total / limitNum),
-      notes
+      count: result.notes.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      notes: result.notes
     });
   } catch (error) {
     console.error('Get Notes Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid filter value'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error fetching notes'
@@ -197,28 +189,32 @@ const getNoteById = async (req, res) => {
   try {
     const noteId = req.params.id;
 
-    // Find note and verify ownership
-    const note = await Note.findOne({
-      _id: noteId,
-      user: req.user._id,
-      isTrashed: false
-    })
-      .populate('tags', 'name color')
-      .populate('folder', 'name icon');
+    // The owner and anyone the note is shared with can read it
+    const result = await getNoteAccess(noteId, req.user._id);
 
-    if (!note) {
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Note not found or you do not have permission to access it'
       });
     }
 
+    const { note, access } = result;
+
     // Increment view count
     note.viewCount += 1;
     await note.save();
 
+    await note.populate([
+      { path: 'tags', select: 'name color' },
+      { path: 'folder', select: 'name icon' },
+      { path: 'lastEditedBy', select: 'name' }
+    ]);
+
+    res.set('ETag', etagFor(note));
     res.status(200).json({
       success: true,
+      access,
       note
     });
   } catch (error) {
@@ -248,23 +244,28 @@ const updateNote = async (req, res) => {
   try {
     const noteId = req.params.id;
     const { title, content, isPinned, color, tags, folder, contentType, isFavorite } = req.body;
+    const expectedRevision = getExpectedRevision(req);
 
-    // Find note and verify ownership
-    let note = await Note.findOne({
-      _id: noteId,
-      user: req.user._id,
-      isTrashed: false
-    });
+    // Owners and recipients of an edit share may update the note
+    const result = await getNoteAccess(noteId, req.user._id);
 
-    if (!note) {
+    if (!result || !hasAccess(result.access, 'edit')) {
       return res.status(404).json({
         success: false,
         message: 'Note not found or you do not have permission to update it'
       });
     }
 
+    let { note } = result;
+    const isOwner = result.access === 'owner';
+
+    // Reject stale writes
+    if (expectedRevision !== null && expectedRevision !== note.revision) {
+      return sendConflict(res, noteId);
+    }
+
     // Validate tags if provided
-    if (tags && tags.length > 0) {
+    if (isOwner && tags && tags.length > 0) {
       const validTags = await Tag.find({ _id: { $in: tags }, user: req.user._id });
       if (validTags.length !== tags.length) {
         return res.status(400).json({
@@ -275,7 +276,7 @@ const updateNote = async (req, res) => {
     }
 
     // Validate folder if provided
-    if (folder && folder !== 'null') {
+    if (isOwner && folder && folder !== 'null') {
       const validFolder = await Folder.findOne({ _id: folder, user: req.user._id });
       if (!validFolder) {
         return res.status(400).json({
@@ -285,16 +286,22 @@ const updateNote = async (req, res) => {
       }
     }
 
-    // Build update object
+    // Build update object. Pin, color, tags, folder and favorite organize the
+    // owner's notes, so only the owner can change them.
     const updateFields = {};
     if (title !== undefined) updateFields.title = title.trim();
-    if (content !== undefined) updateFields.content = content.trim();
-    if (isPinned !== undefined) updateFields.isPinned = isPinned;
-    if (color !== undefined) updateFields.color = color;
-    if (tags !== undefined) updateFields.tags = tags;
-    if (folder !== undefined) updateFields.folder = folder === 'null' ? null : folder;
+    if (content !== undefined) {
+      updateFields.content = content.trim();
+      Object.assign(updateFields, Note.contentStats(updateFields.content));
+    }
     if (contentType !== undefined) updateFields.contentType = contentType;
-    if (isFavorite !== undefined) updateFields.isFavorite = isFavorite;
+    if (isOwner) {
+      if (isPinned !== undefined) updateFields.isPinned = isPinned;
+      if (color !== undefined) updateFields.color = color;
+      if (tags !== undefined) updateFields.tags = tags;
+      if (folder !== undefined) updateFields.folder = folder === 'null' ? null : folder;
+      if (isFavorite !== undefined) updateFields.isFavorite = isFavorite;
+    }
 
     // Validate at least one field to update
     if (Object.keys(updateFields).length === 0) {
@@ -304,20 +311,44 @@ const updateNote = async (req, res) => {
       });
     }
 
-    // Update note
-    note = await Note.findByIdAndUpdate(
-      noteId,
-      updateFields,
+    const contentChanged =
+      (updateFields.title !== undefined && updateFields.title !== note.title) ||
+      (updateFields.content !== undefined && updateFields.content !== note.content);
+    // Moving a note changes which folder shares cover it
+    const folderChanged =
+      updateFields.folder !== undefined && String(updateFields.folder) !== String(note.folder);
+
+    // Update note, making sure nobody else saved since we read it
+    const previous = note;
+    note = await Note.findOneAndUpdate(
+      { _id: noteId, revision: revisionFilter(note.revision) },
+      { ...updateFields, lastEditedBy: req.user._id, $inc: { revision: 1 } },
       { new: true, runValidators: true }
     )
       .populate('tags', 'name color')
-      .populate('folder', 'name icon');
+      .populate('folder', 'name icon')
+      .populate('lastEditedBy', 'name');
+
+    if (!note) {
+      return sendConflict(res, noteId);
+    }
 
     console.log(`✅ Note updated: "${note.title}" by user ${req.user.email}`);
+    if (contentChanged) {
+      // Snapshot the previous title/content, now that the edit went through
+      await NoteVersion.record(previous, req.user._id);
+      syncContent(note._id, note.content);
+      indexNote(note);
+      syncLinksSafely(note);
+    }
+    if (folderChanged) refreshAccess(note._id);
+    emitNoteEvent('note:updated', note, req);
 
+    res.set('ETag', etagFor(note));
     res.status(200).json({
       success: true,
       message: 'Note updated successfully',
+      access: result.access,
       note
     });
   } catch (error) {
@@ -371,9 +402,17 @@ const deleteNote = async (req, res) => {
     }
 
     if (permanent === 'true') {
-      // Permanently delete the note
+      // Permanently delete the note, its history, comments, shares, reminders and files
       await Note.findByIdAndDelete(noteId);
+      await NoteVersion.deleteMany({ note: noteId });
+      await Comment.deleteMany({ note: noteId });
+      await SharedNote.deleteMany({ note: noteId });
+      await Reminder.deleteMany({ note: noteId });
+      await removeFromIndex([note._id]);
+      await removeFromGraph([note._id]);
+      await removeAttachmentFiles([note]);
       console.log(`✅ Note permanently deleted: "${note.title}" by user ${req.user.email}`);
+      emitNoteEvent('note:deleted', note, req, { noteIds: [note._id] });
       
       res.status(200).json({
         success: true,
@@ -387,6 +426,7 @@ const deleteNote = async (req, res) => {
       // Soft delete - move to trash
       await note.moveToTrash();
       console.log(`✅ Note moved to trash: "${note.title}" by user ${req.user.email}`);
+      emitNoteEvent('note:trashed', note, req);
 
       res.status(200).json({
         success: true,
@@ -441,6 +481,8 @@ const togglePinNote = async (req, res) => {
       { new: true }
     );
 
+    emitNoteEvent('note:pinned', note, req);
+
     res.status(200).json({
       success: true,
       message: note.isPinned ? 'Note pinned' : 'Note unpinned',
@@ -464,47 +506,84 @@ const togglePinNote = async (req, res) => {
 };
 
 /**
- * @desc    Search notes
+ * @desc    Search notes, ranked by relevance, with highlighted snippets
+ *          (q supports "phrases", -exclusions, prefix* and field:value filters)
  * @route   GET /api/notes/search
  * @access  Private
  */
 const searchNotes = async (req, res) => {
   try {
-    const { q, tag, folder, color } = req.query;
-
-    if (!q || q.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide a search query'
-      });
+    const { q = '', tag, folder, color, page = 1, limit = 20 } = req.query;
+
+    let compiled;
+    try {
+      compiled = await compileSearch(req.user._id, String(q).trim());
+    } catch (error) {
+      if (!error.details) throw error;
+      return sendSearchError(res, error);
     }
 
+    const { parsed, conditions, useTextScore } = compiled;
     const query = {
       user: req.user._id,
       isTrashed: false,
       isArchived: false,
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { content: { $regex: q, $options: 'i' } }
-      ]
+      $and: conditions
     };
 
     if (tag) query.tags = tag;
     if (folder) query.folder = folder === 'null' ? null : folder;
     if (color) query.color = color;
 
-    const notes = await Note.find(query)
-      .populate('tags', 'name color')
-      .populate('folder', 'name icon')
-      .sort({ isPinned: -1, updatedAt: -1 });
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
+
+    // Best text score first; prefix-only and exclusion-only searches have no score
+    const projection = useTextScore ? { score: { $meta: 'textScore' } } : {};
+    const sort = useTextScore
+      ? { score: { $meta: 'textScore' }, updatedAt: -1 }
+      : { isPinned: -1, updatedAt: -1 };
+
+    const [notes, total] = await Promise.all([
+      Note.find(query, projection)
+        .populate('tags', 'name color')
+        .populate('folder', 'name icon')
+        .sort(sort)
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Note.countDocuments(query)
+    ]);
+
+    const results = notes.map(({ score, ...note }) => {
+      const contentMatches = findMatches(note.content, parsed);
+      return {
+        ...note,
+        search: {
+          score: score ?? null,
+          titleMatches: findMatches(note.title, parsed),
+          contentMatches: contentMatches.length,
+          snippet: buildSnippet(note.content, contentMatches)
+        }
+      };
+    });
 
     res.status(200).json({
       success: true,
-      count: notes.length,
+      count: results.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
       query: q,
-      notes
+      notes: results
     });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
     console.error('Search Notes Error:', error);
     res.status(500).json({
       success: false,
@@ -513,6 +592,70 @@ const searchNotes = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Autocomplete a search filter (?field=tag&value=wo); without a
+ *          field, suggests filter names
+ * @route   GET /api/notes/search/suggestions
+ * @access  Private
+ */
+const getSearchSuggestions = async (req, res) => {
+  try {
+    const { field = '', value = '' } = req.query;
+    const suggestions = await suggest(req.user._id, String(field).toLowerCase(), String(value));
+
+    res.status(200).json({
+      success: true,
+      suggestions
+    });
+  } catch (error) {
+    console.error('Search Suggestions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching suggestions'
+    });
+  }
+};
+
+/**
+ * @desc    Your notes on a similar topic (TF-IDF similarity of title and content)
+ * @route   GET /api/notes/:id/related?limit=
+ * @access  Private (anyone who can read the note)
+ */
+const getRelatedNotes = async (req, res) => {
+  try {
+    const result = await getNoteAccess(req.params.id, req.user._id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found or you do not have permission to access it'
+      });
+    }
+
+    const related = await findRelated(result.note, req.user._id, req.query.limit);
+
+    res.status(200).json({
+      success: true,
+      count: related.length,
+      related
+    });
+  } catch (error) {
+    console.error('Related Notes Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error finding related notes'
+    });
+  }
+};
+
 /**
  * @desc    Get trashed notes
  * @route   GET /api/notes/trash
@@ -566,6 +709,8 @@ const restoreNote = async (req, res) => {
       { path: 'folder', select: 'name icon' }
     ]);
 
+    emitNoteEvent('note:restored', note, req);
+
     res.status(200).json({
       success: true,
       message: 'Note restored successfully',
@@ -587,9 +732,21 @@ const restoreNote = async (req, res) => {
  */
 const emptyTrash = async (req, res) => {
   try {
-    const result = await Note.deleteMany({
-      user: req.user._id,
-      isTrashed: true
+    const trashed = await Note.find({ user: req.user._id, isTrashed: true }).select('_id attachments');
+    const trashedIds = trashed.map((note) => note._id);
+
+    const result = await Note.deleteMany({ _id: { $in: trashedIds } });
+    await NoteVersion.deleteMany({ note: { $in: trashedIds } });
+    await Comment.deleteMany({ note: { $in: trashedIds } });
+    await SharedNote.deleteMany({ note: { $in: trashedIds } });
+    await Reminder.deleteMany({ note: { $in: trashedIds } });
+    await removeFromIndex(trashedIds);
+    await removeFromGraph(trashedIds);
+    await removeAttachmentFiles(trashed);
+
+    // Trashed notes were already announced to share recipients; only the owner's sessions need this
+    emitToUsers([req.user._id], 'note:deleted', { noteIds: trashedIds }, {
+      exceptClientId: req.get('X-Client-Id')
     });
 
     res.status(200).json({
@@ -653,6 +810,7 @@ const archiveNote = async (req, res) => {
     }
 
     await note.archive();
+    emitNoteEvent('note:archived', note, req);
 
     res.status(200).json({
       success: true,
@@ -696,6 +854,8 @@ const toggleFavorite = async (req, res) => {
       .populate('tags', 'name color')
       .populate('folder', 'name icon');
 
+    emitNoteEvent('note:updated', note, req);
+
     res.status(200).json({
       success: true,
       message: note.isFavorite ? 'Added to favorites' : 'Removed from favorites',
@@ -747,6 +907,10 @@ const duplicateNote = async (req, res) => {
       { path: 'folder', select: 'name icon' }
     ]);
 
+    indexNote(duplicatedNote);
+    syncLinksSafely(duplicatedNote);
+    emitNoteEvent('note:created', duplicatedNote, req);
+
     res.status(201).json({
       success: true,
       message: 'Note duplicated successfully',
@@ -769,6 +933,8 @@ module.exports = {
   deleteNote,
   togglePinNote,
   searchNotes,
+  getSearchSuggestions,
+  getRelatedNotes,
   getTrashedNotes,
   restoreNote,
   emptyTrash,
@@ -0,0 +1,196 @@
+/**
+ * Notification Controller
+ * Handles the in-app notification center
+ */
+
+const Notification = require('../models/Notification');
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    Get notifications for the logged in user
+ * @route   GET /api/notifications?page=&limit=&unread=true
+ * @access  Private
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = { user: req.user._id };
+    if (req.query.unread === 'true') query.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name avatar')
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user._id, isRead: false })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      notifications
+    });
+  } catch (error) {
+    console.error('Get Notifications Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching notifications'
+    });
+  }
+};
+
+/**
+ * @desc    Get the number of unread notifications
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      user: req.user._id,
+      isRead: false
+    });
+
+    res.status(200).json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Get Unread Count Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching unread count'
+    });
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private
+ */
+const markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { isRead: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    console.error('Mark Notification Read Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notification'
+    });
+  }
+};
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private
+ */
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark All Notifications Read Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notifications'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a notification
+ * @route   DELETE /api/notifications/:id
+ * @access  Private
+ */
+const deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted',
+      notificationId: notification._id
+    });
+  } catch (error) {
+    console.error('Delete Notification Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting notification'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+};
@@ -7,6 +7,22 @@ const User = require('../models/User');
 const Note = require('../models/Note');
 const Folder = require('../models/Folder');
 const Tag = require('../models/Tag');
+const NoteVersion = require('../models/NoteVersion');
+const Comment = require('../models/Comment');
+const SavedSearch = require('../models/SavedSearch');
+const NoteVector = require('../models/NoteVector');
+const NoteLink = require('../models/NoteLink');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const SharedNote = require('../models/SharedNote');
+const SharedFolder = require('../models/SharedFolder');
+const Team = require('../models/Team');
+const TeamInvitation = require('../models/TeamInvitation');
+const { refreshAllAccess } = require('../services/collaboration');
+const { removeAttachmentFiles } = require('../services/storage');
+const { endSession, endAllSessions } = require('../services/sessions');
+const { sendLockedResponse, recordFailedLogin } = require('../services/loginAttempts');
 const bcrypt = require('bcryptjs');
 
 // ============================================
@@ -137,8 +153,17 @@ exports.changePassword = async (req, res) => {
 
     const user = await User.findById(req.user._id).select('+password');
 
+    // Wrong passwords count towards the lockout, as at sign-in
+    if (user.isLocked) {
+      await SecurityEvent.record(user._id, 'login_blocked', req);
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
     const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
+      const lockUntil = await recordFailedLogin(user, req, 'password');
+      if (lockUntil) return sendLockedResponse(res, lockUntil);
+
       return res.status(401).json({
         success: false,
         message: 'Current password is incorrect'
@@ -148,6 +173,9 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await endAllSessions(user._id, 'password_change', req.sessionId);
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -188,13 +216,44 @@ exports.deleteAccount = async (req, res) => {
     }
 
     // Delete all user data
+    const notesWithFiles = await Note.find({ user: req.user._id, 'attachments.0': { $exists: true } })
+      .select('attachments');
+    await removeAttachmentFiles(notesWithFiles);
+
+    // Teams the user owns go with them; other teams just lose a member
+    const ownedTeamIds = await Team.find({ owner: req.user._id }).distinct('_id');
+    // Threads they started on other people's notes go with their replies
+    const threadIds = await Comment.find({ author: req.user._id, parent: null }).distinct('_id');
+
     await Promise.all([
+      Team.deleteMany({ _id: { $in: ownedTeamIds } }),
+      Team.updateMany({ 'members.user': req.user._id }, { $pull: { members: { user: req.user._id } } }),
+      TeamInvitation.deleteMany({ $or: [{ team: { $in: ownedTeamIds } }, { invitedBy: req.user._id }] }),
+      SharedNote.deleteMany({
+        $or: [{ owner: req.user._id }, { sharedWith: req.user._id }, { sharedWithTeam: { $in: ownedTeamIds } }]
+      }),
+      SharedFolder.deleteMany({
+        $or: [{ owner: req.user._id }, { sharedWith: req.user._id }, { sharedWithTeam: { $in: ownedTeamIds } }]
+      }),
       Note.deleteMany({ user: req.user._id }),
       Folder.deleteMany({ user: req.user._id }),
-      Tag.deleteMany({ user: req.user._id })
+      Tag.deleteMany({ user: req.user._id }),
+      SavedSearch.deleteMany({ user: req.user._id }),
+      NoteVersion.deleteMany({ user: req.user._id }),
+      NoteVector.deleteMany({ user: req.user._id }),
+      NoteLink.deleteMany({ user: req.user._id }),
+      Comment.deleteMany({
+        $or: [{ user: req.user._id }, { author: req.user._id }, { parent: { $in: threadIds } }]
+      }),
+      Notification.deleteMany({ user: req.user._id }),
+      SecurityEvent.deleteMany({ user: req.user._id })
     ]);
 
+    await endAllSessions(req.user._id, 'revoked');
+    await Session.deleteMany({ user: req.user._id });
+
     await user.deleteOne();
+    refreshAllAccess();
 
     res.status(200).json({
       success: true,
@@ -344,3 +403,148 @@ exports.exportData = async (req, res) => {
     });
   }
 };
+
+// ============================================
+// @desc    List active login sessions (devices)
+// @route   GET /api/profile/sessions
+// @access  Private
+// ============================================
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// ============================================
+// @desc    Revoke a login session
+// @route   DELETE /api/profile/sessions/:sessionId
+// @access  Private
+// ============================================
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await endSession(session, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+};
+
+// ============================================
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/profile/sessions
+// @access  Private
+// ============================================
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await endAllSessions(req.user._id, 'revoked', req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: `${count} session(s) revoked`,
+      count
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+};
+
+// ============================================
+// @desc    Get the account security log (sign-ins, lockouts)
+// @route   GET /api/profile/security-log
+// @access  Private
+// ============================================
+exports.getSecurityLog = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find({ user: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SecurityEvent.countDocuments({ user: req.user._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      events: events.map((event) => ({
+        id: event._id,
+        type: event.type,
+        ip: event.ip,
+        userAgent: event.userAgent,
+        details: event.details,
+        createdAt: event.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get security log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security log'
+    });
+  }
+};
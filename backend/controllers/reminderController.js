@@ -180,6 +180,8 @@ exports.updateReminder = async (req, res) => {
       {
         title,
         reminderDate: reminderDate ? new Date(reminderDate) : reminder.reminderDate,
+        // A rescheduled reminder should fire again
+        ...(reminderDate && { notifiedAt: null, deliveryAttempts: 0, lastDeliveryError: null }),
         isRecurring,
         recurringPattern,
         notificationMethods,
@@ -319,6 +321,9 @@ exports.snoozeReminder = async (req, res) => {
     const snoozeDuration = snoozeMinutes || 15;
     reminder.reminderDate = new Date(Date.now() + snoozeDuration * 60 * 1000);
     reminder.status = 'pending';
+    reminder.notifiedAt = null;
+    reminder.deliveryAttempts = 0;
+    reminder.lastDeliveryError = null;
     await reminder.save();
 
     await reminder.populate({
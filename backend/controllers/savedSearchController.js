@@ -0,0 +1,304 @@
+/**
+ * Saved Search Controller
+ * Handles saved searches ("smart folders"): stored note filters that are
+ * evaluated live whenever they are opened
+ */
+
+const SavedSearch = require('../models/SavedSearch');
+const Note = require('../models/Note');
+const Tag = require('../models/Tag');
+const Folder = require('../models/Folder');
+const { buildNoteQuery, findNotesPage } = require('../services/noteSearch');
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const CRITERIA_FIELDS = [
+  'search',
+  'tag',
+  'folder',
+  'color',
+  'favorite',
+  'createdFrom',
+  'createdTo',
+  'updatedFrom',
+  'updatedTo',
+  'minWords',
+  'maxWords'
+];
+
+/**
+ * Pick the known criteria from a request body, treating empty strings as
+ * unset. An unset folder means any folder; null or 'null' means no folder.
+ */
+const pickCriteria = (body = {}) => {
+  const criteria = {};
+
+  for (const field of CRITERIA_FIELDS) {
+    if (body[field] === undefined || body[field] === '') continue;
+    criteria[field] = body[field] === 'null' && field === 'folder' ? null : body[field];
+  }
+
+  return criteria;
+};
+
+/**
+ * Check that the criteria only reference the user's own tag and folder and
+ * that the search query compiles.
+ * @returns {Object|null} - Error response body, or null when valid
+ */
+const validateCriteria = async (userId, criteria) => {
+  if (criteria.tag && !(await Tag.exists({ _id: criteria.tag, user: userId }))) {
+    return { success: false, message: 'Invalid tag' };
+  }
+
+  if (criteria.folder && !(await Folder.exists({ _id: criteria.folder, user: userId }))) {
+    return { success: false, message: 'Invalid folder' };
+  }
+
+  try {
+    await buildNoteQuery(userId, criteria);
+  } catch (error) {
+    if (!error.details) throw error;
+    return { success: false, message: error.message, errors: error.details };
+  }
+
+  return null;
+};
+
+/**
+ * Note query for a saved search, or the search errors if its query no
+ * longer compiles (e.g. a tag it names was renamed)
+ * @returns {Object} - { query } or { errors }
+ */
+const compileSavedSearch = async (savedSearch) => {
+  try {
+    return { query: await buildNoteQuery(savedSearch.user, savedSearch.criteria.toObject()) };
+  } catch (error) {
+    if (!error.details) throw error;
+    return { errors: error.details };
+  }
+};
+
+/**
+ * Error response for a bad id, failed validation or duplicate name, or a 500
+ */
+const sendError = (res, error, context, message) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map((err) => err.message).join('. ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A saved search with this name already exists'
+    });
+  }
+
+  console.error(`${context} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Saved search not found'
+  });
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    List saved searches with how many notes each currently matches
+ * @route   GET /api/saved-searches
+ * @access  Private
+ */
+const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ order: 1, name: 1 });
+
+    const results = await Promise.all(
+      savedSearches.map(async (savedSearch) => {
+        const { query, errors } = await compileSavedSearch(savedSearch);
+        return {
+          ...savedSearch.toJSON(),
+          count: query ? await Note.countDocuments(query) : null,
+          ...(errors && { errors })
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      savedSearches: results
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Saved Searches', 'Server error fetching saved searches');
+  }
+};
+
+/**
+ * @desc    Get a saved search
+ * @route   GET /api/saved-searches/:id
+ * @access  Private
+ */
+const getSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      savedSearch
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Saved Search', 'Server error fetching saved search');
+  }
+};
+
+/**
+ * @desc    Save a search
+ * @route   POST /api/saved-searches
+ * @access  Private
+ */
+const createSavedSearch = async (req, res) => {
+  try {
+    const { name, icon, criteria: body } = req.body;
+    const criteria = pickCriteria(body);
+
+    const invalid = await validateCriteria(req.user._id, criteria);
+    if (invalid) return res.status(400).json(invalid);
+
+    // New saved searches go to the end of the list
+    const last = await SavedSearch.findOne({ user: req.user._id }).sort({ order: -1 }).select('order');
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name,
+      icon,
+      criteria,
+      order: last ? last.order + 1 : 0
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      savedSearch
+    });
+  } catch (error) {
+    sendError(res, error, 'Create Saved Search', 'Server error saving search');
+  }
+};
+
+/**
+ * @desc    Rename a saved search or replace its criteria
+ * @route   PUT /api/saved-searches/:id
+ * @access  Private
+ */
+const updateSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) return notFound(res);
+
+    const { name, icon, order, criteria: body } = req.body;
+
+    if (body !== undefined) {
+      const criteria = pickCriteria(body);
+      const invalid = await validateCriteria(req.user._id, criteria);
+      if (invalid) return res.status(400).json(invalid);
+      savedSearch.criteria = criteria;
+    }
+
+    if (name !== undefined) savedSearch.name = name;
+    if (icon !== undefined) savedSearch.icon = icon;
+    if (order !== undefined) savedSearch.order = order;
+
+    await savedSearch.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated',
+      savedSearch
+    });
+  } catch (error) {
+    sendError(res, error, 'Update Saved Search', 'Server error updating saved search');
+  }
+};
+
+/**
+ * @desc    Delete a saved search (its notes are untouched)
+ * @route   DELETE /api/saved-searches/:id
+ * @access  Private
+ */
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete Saved Search', 'Server error deleting saved search');
+  }
+};
+
+/**
+ * @desc    Notes currently matching a saved search (same paging and sorting as GET /api/notes)
+ * @route   GET /api/saved-searches/:id/notes
+ * @access  Private
+ */
+const getSavedSearchNotes = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) return notFound(res);
+
+    const { query, errors } = await compileSavedSearch(savedSearch);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'This saved search no longer matches your tags or folders',
+        errors
+      });
+    }
+
+    const { page = 1, limit = 20, sortBy = 'updatedAt', sortOrder = 'desc' } = req.query;
+    const result = await findNotesPage(query, { page, limit, sortBy, sortOrder });
+
+    res.status(200).json({
+      success: true,
+      savedSearch,
+      count: result.notes.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      notes: result.notes
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Saved Search Notes', 'Server error fetching notes');
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchNotes
+};
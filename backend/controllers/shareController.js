@@ -4,10 +4,67 @@
  */
 
 const SharedNote = require('../models/SharedNote');
+const SharedFolder = require('../models/SharedFolder');
 const Note = require('../models/Note');
+const Folder = require('../models/Folder');
 const User = require('../models/User');
+const Team = require('../models/Team');
+const { notifySafely } = require('../services/notifications');
+const { refreshAccess, refreshAllAccess } = require('../services/collaboration');
 const crypto = require('crypto');
 
+// Human-readable permission labels for notifications
+const PERMISSION_LABELS = {
+  read: 'view',
+  edit: 'edit'
+};
+
+const MIN_LINK_PASSWORD_LENGTH = 4;
+
+// Public URL of a share link
+const buildShareLink = (shareToken) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')}/shared/${shareToken}`;
+
+// Share as JSON, with the full link for public ones
+const serializeShare = (share) => {
+  const json = share.toJSON();
+  if (share.shareToken) json.shareLink = buildShareLink(share.shareToken);
+  return json;
+};
+
+const ACCESS_LEVELS = { read: 1, edit: 2 };
+
+const notExpired = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Notify every member of a team except the user who acted
+const notifyTeam = (team, actorId, data) => {
+  return Promise.all(
+    team.members
+      .filter((member) => member.user.toString() !== actorId.toString())
+      .map((member) => notifySafely({ ...data, user: member.user, actor: actorId }))
+  );
+};
+
+// A team the user belongs to, or null
+const findMemberTeam = (teamId, userId) => {
+  return Team.findOne({ _id: teamId, 'members.user': userId });
+};
+
+// Whether a permission from the request body is one shares can have
+const isValidPermission = (permission) => Object.prototype.hasOwnProperty.call(ACCESS_LEVELS, permission);
+
+// Parse an optional expiry from the request body.
+// Returns undefined when absent, null to clear, a Date, or false if invalid
+const parseExpiry = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) return false;
+  return date;
+};
+
 // ============================================
 // @desc    Share a note with another user
 // @route   POST /api/share
@@ -15,7 +72,22 @@ const crypto = require('crypto');
 // ============================================
 exports.shareNote = async (req, res) => {
   try {
-    const { noteId, email, permission, expiresAt } = req.body;
+    const { noteId, email, teamId, permission } = req.body;
+    const expiresAt = parseExpiry(req.body.expiresAt);
+
+    if (expiresAt === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a valid date in the future'
+      });
+    }
+
+    if (permission !== undefined && !isValidPermission(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permission must be read or edit'
+      });
+    }
 
     // Find the note
     const note = await Note.findOne({
@@ -31,6 +103,10 @@ exports.shareNote = async (req, res) => {
       });
     }
 
+    if (teamId) {
+      return await shareNoteWithTeam(req, res, note);
+    }
+
     // Find the user to share with
     const sharedWithUser = await User.findOne({ email });
 
@@ -57,10 +133,24 @@ exports.shareNote = async (req, res) => {
 
     if (existingShare) {
       // Update existing share
+      const previousPermission = existingShare.permission;
       existingShare.permission = permission || 'read';
-      existingShare.expiresAt = expiresAt ? new Date(expiresAt) : null;
+      existingShare.expiresAt = expiresAt || null;
       await existingShare.save();
 
+      if (existingShare.permission !== previousPermission) {
+        refreshAccess(note._id);
+        await notifySafely({
+          user: sharedWithUser._id,
+          type: 'share_permission',
+          title: `Your access to "${note.title}" changed`,
+          message: `${req.user.name} changed your access to ${PERMISSION_LABELS[existingShare.permission]}.`,
+          link: `/notes/${note._id}`,
+          note: note._id,
+          actor: req.user._id
+        });
+      }
+
       return res.status(200).json({
         success: true,
         message: 'Share settings updated',
@@ -74,7 +164,7 @@ exports.shareNote = async (req, res) => {
       owner: req.user._id,
       sharedWith: sharedWithUser._id,
       permission: permission || 'read',
-      expiresAt: expiresAt ? new Date(expiresAt) : null
+      expiresAt: expiresAt || null
     });
 
     // Populate the share
@@ -83,11 +173,27 @@ exports.shareNote = async (req, res) => {
       { path: 'sharedWith', select: 'name email' }
     ]);
 
+    await notifySafely({
+      user: sharedWithUser._id,
+      type: 'share',
+      title: `${req.user.name} shared a note with you`,
+      message: `"${note.title}" (can ${PERMISSION_LABELS[share.permission]})`,
+      link: `/notes/${note._id}`,
+      note: note._id,
+      actor: req.user._id
+    });
+
     res.status(201).json({
       success: true,
       share
     });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
     console.error('Share note error:', error);
     res.status(500).json({
       success: false,
@@ -96,6 +202,70 @@ exports.shareNote = async (req, res) => {
   }
 };
 
+// Share a note with every member of a team (POST /api/share with teamId).
+// Permission and expiry are validated by shareNote.
+const shareNoteWithTeam = async (req, res, note) => {
+  const { teamId, permission } = req.body;
+  const expiresAt = parseExpiry(req.body.expiresAt);
+
+  const team = await findMemberTeam(teamId, req.user._id);
+  if (!team) {
+    return res.status(404).json({
+      success: false,
+      message: 'Team not found'
+    });
+  }
+
+  const existingShare = await SharedNote.findOne({ note: note._id, sharedWithTeam: team._id });
+  const previousPermission = existingShare ? existingShare.permission : null;
+
+  const share = existingShare || new SharedNote({
+    note: note._id,
+    owner: req.user._id,
+    sharedWithTeam: team._id
+  });
+  share.permission = permission || 'read';
+  share.expiresAt = expiresAt || null;
+  await share.save();
+
+  if (existingShare) {
+    if (share.permission !== previousPermission) {
+      refreshAccess(note._id);
+      await notifyTeam(team, req.user._id, {
+        type: 'share_permission',
+        title: `Access to "${note.title}" changed`,
+        message: `${req.user.name} changed ${team.name}'s access to ${PERMISSION_LABELS[share.permission]}.`,
+        link: `/notes/${note._id}`,
+        note: note._id
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Share settings updated',
+      share
+    });
+  }
+
+  await share.populate([
+    { path: 'note', select: 'title' },
+    { path: 'sharedWithTeam', select: 'name' }
+  ]);
+
+  await notifyTeam(team, req.user._id, {
+    type: 'share',
+    title: `${req.user.name} shared a note with ${team.name}`,
+    message: `"${note.title}" (can ${PERMISSION_LABELS[share.permission]})`,
+    link: `/notes/${note._id}`,
+    note: note._id
+  });
+
+  res.status(201).json({
+    success: true,
+    share
+  });
+};
+
 // ============================================
 // @desc    Generate a public share link
 // @route   POST /api/share/link
@@ -103,7 +273,22 @@ exports.shareNote = async (req, res) => {
 // ============================================
 exports.generateShareLink = async (req, res) => {
   try {
-    const { noteId, expiresAt } = req.body;
+    const { noteId, password } = req.body;
+
+    const expiresAt = parseExpiry(req.body.expiresAt);
+    if (expiresAt === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a valid date in the future'
+      });
+    }
+
+    if (password && String(password).length < MIN_LINK_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Link password must be at least ${MIN_LINK_PASSWORD_LENGTH} characters`
+      });
+    }
 
     const note = await Note.findOne({
       _id: noteId,
@@ -122,23 +307,29 @@ exports.generateShareLink = async (req, res) => {
     const shareToken = crypto.randomBytes(32).toString('hex');
 
     // Create public share
-    const share = await SharedNote.create({
+    const share = new SharedNote({
       note: noteId,
       owner: req.user._id,
       sharedWith: null,
       permission: 'read',
       shareToken,
-      expiresAt: expiresAt ? new Date(expiresAt) : null
+      expiresAt: expiresAt || null
     });
-
-    const shareLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/shared/${shareToken}`;
+    await share.setPassword(password ? String(password) : null);
+    await share.save();
 
     res.status(201).json({
       success: true,
-      shareLink,
-      share
+      shareLink: buildShareLink(shareToken),
+      share: serializeShare(share)
     });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID'
+      });
+    }
     console.error('Generate share link error:', error);
     res.status(500).json({
       success: false,
@@ -150,43 +341,81 @@ exports.generateShareLink = async (req, res) => {
 // ============================================
 // @desc    Get note by share token (public access)
 // @route   GET /api/share/public/:token
+// @route   POST /api/share/public/:token (body: { password })
 // @access  Public
 // ============================================
 exports.getSharedNoteByToken = async (req, res) => {
   try {
     const share = await SharedNote.findOne({
       shareToken: req.params.token
-    }).populate({
-      path: 'note',
-      select: 'title content color contentType createdAt updatedAt',
-      populate: { path: 'tags', select: 'name color' }
-    }).populate('owner', 'name');
+    })
+      .select('+passwordHash')
+      .populate({
+        path: 'note',
+        match: { isTrashed: false },
+        select: 'title content color contentType createdAt updatedAt',
+        populate: { path: 'tags', select: 'name color' }
+      })
+      .populate('owner', 'name');
 
-    if (!share) {
+    if (!share || !share.note) {
       return res.status(404).json({
         success: false,
         message: 'Shared note not found'
       });
     }
 
+    if (share.revokedAt) {
+      return res.status(410).json({
+        success: false,
+        code: 'SHARE_REVOKED',
+        message: 'This share link has been revoked'
+      });
+    }
+
     // Check if expired
-    if (share.expiresAt && new Date(share.expiresAt) < new Date()) {
+    if (share.isExpired) {
       return res.status(403).json({
         success: false,
+        code: 'SHARE_EXPIRED',
         message: 'This share link has expired'
       });
     }
 
-    // Increment view count
-    share.viewCount += 1;
-    await share.save();
+    if (share.isPasswordProtected) {
+      const password = req.body?.password;
+
+      if (!password) {
+        return res.status(401).json({
+          success: false,
+          code: 'SHARE_PASSWORD_REQUIRED',
+          message: 'This note is password protected'
+        });
+      }
+
+      if (!(await share.checkPassword(password))) {
+        return res.status(401).json({
+          success: false,
+          code: 'SHARE_PASSWORD_INVALID',
+          message: 'Incorrect password'
+        });
+      }
+    }
+
+    // Count the view and add it to the log
+    const updated = await SharedNote.recordView(share._id, {
+      ip: req.ip || '',
+      userAgent: (req.get('User-Agent') || '').slice(0, 300),
+      referrer: (req.get('Referer') || '').slice(0, 300)
+    });
 
     res.status(200).json({
       success: true,
       note: share.note,
       owner: share.owner,
       permission: share.permission,
-      viewCount: share.viewCount
+      expiresAt: share.expiresAt,
+      viewCount: updated ? updated.viewCount : share.viewCount + 1
     });
   } catch (error) {
     console.error('Get shared note error:', error);
@@ -197,6 +426,92 @@ exports.getSharedNoteByToken = async (req, res) => {
   }
 };
 
+// ============================================
+// @desc    Revoke a public share link (keeps its view log)
+// @route   POST /api/share/link/:id/revoke
+// @access  Private
+// ============================================
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const share = await SharedNote.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      shareToken: { $exists: true }
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      await share.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      share: serializeShare(share)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid share ID'
+      });
+    }
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking share link'
+    });
+  }
+};
+
+// ============================================
+// @desc    Get the view log of a public share link
+// @route   GET /api/share/link/:id/views
+// @access  Private
+// ============================================
+exports.getShareLinkViews = async (req, res) => {
+  try {
+    const share = await SharedNote.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      shareToken: { $exists: true }
+    }).select('+views');
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      viewCount: share.viewCount,
+      lastViewedAt: share.lastViewedAt,
+      views: share.views
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid share ID'
+      });
+    }
+    console.error('Get share link views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching share link views'
+    });
+  }
+};
+
 // ============================================
 // @desc    Get notes shared with me
 // @route   GET /api/share/with-me
@@ -204,28 +519,111 @@ exports.getSharedNoteByToken = async (req, res) => {
 // ============================================
 exports.getNotesSharedWithMe = async (req, res) => {
   try {
-    const shares = await SharedNote.find({
-      sharedWith: req.user._id,
-      $or: [
-        { expiresAt: null },
-        { expiresAt: { $gt: new Date() } }
-      ]
-    })
-      .populate({
-        path: 'note',
-        select: 'title content color isPinned createdAt updatedAt',
-        populate: { path: 'tags', select: 'name color' }
+    const teamIds = await Team.idsForUser(req.user._id);
+    const toMe = { $or: [{ sharedWith: req.user._id }, { sharedWithTeam: { $in: teamIds } }] };
+
+    const [shares, folderShares] = await Promise.all([
+      SharedNote.find({
+        owner: { $ne: req.user._id },
+        $and: [toMe, notExpired()]
       })
-      .populate('owner', 'name email')
-      .sort({ createdAt: -1 });
+        .populate({
+          path: 'note',
+          match: { isTrashed: false },
+          select: 'title content color isPinned folder createdAt updatedAt',
+          populate: { path: 'tags', select: 'name color' }
+        })
+        .populate('owner', 'name email')
+        .populate('sharedWithTeam', 'name')
+        .sort({ createdAt: -1 }),
+      SharedFolder.find({
+        owner: { $ne: req.user._id },
+        $and: [toMe, notExpired()]
+      })
+        .populate('folder', 'name icon color')
+        .populate('owner', 'name email')
+        .populate('sharedWithTeam', 'name')
+        .sort({ createdAt: -1 })
+    ]);
+
+    // One group per shared folder (the highest permission when it's shared
+    // several ways), skipping folders that were deleted
+    const groupsByFolder = new Map();
+    for (const share of folderShares) {
+      if (!share.folder) continue;
+      const key = share.folder._id.toString();
+      const current = groupsByFolder.get(key);
+      if (!current || ACCESS_LEVELS[share.permission] > ACCESS_LEVELS[current.permission]) {
+        groupsByFolder.set(key, {
+          share: share._id,
+          folder: share.folder,
+          owner: share.owner,
+          team: share.sharedWithTeam,
+          permission: share.permission,
+          expiresAt: share.expiresAt,
+          notes: []
+        });
+      }
+    }
+    const groups = [...groupsByFolder.values()];
+
+    // Every folder a group covers, by owner. A note goes to the group of the
+    // nearest shared folder, so larger subtrees are assigned first and nested
+    // shared folders overwrite them.
+    const groupOfFolder = new Map();
+    const ownerIds = [...new Set(groups.map((group) => group.owner._id.toString()))];
+    const subtrees = new Map();
+    for (const ownerId of ownerIds) {
+      const ownerGroups = groups.filter((group) => group.owner._id.toString() === ownerId);
+      const ownerSubtrees = await Folder.subtreeIds(ownerId, ownerGroups.map((group) => group.folder._id));
+      ownerSubtrees.forEach((ids, rootId) => subtrees.set(rootId, ids));
+    }
+    [...groups]
+      .sort((a, b) => subtrees.get(b.folder._id.toString()).length - subtrees.get(a.folder._id.toString()).length)
+      .forEach((group) => {
+        for (const folderId of subtrees.get(group.folder._id.toString())) {
+          groupOfFolder.set(folderId.toString(), group);
+        }
+      });
 
-    // Filter out any shares where note was deleted
-    const validShares = shares.filter((share) => share.note && !share.note.isTrashed);
+    const folderNotes = groupOfFolder.size > 0
+      ? await Note.find({
+          folder: { $in: [...groupOfFolder.keys()] },
+          user: { $in: ownerIds },
+          isTrashed: false
+        })
+          .select('title content color isPinned folder createdAt updatedAt')
+          .populate('tags', 'name color')
+          .populate('folder', 'name icon')
+          .sort({ updatedAt: -1 })
+      : [];
+
+    for (const note of folderNotes) {
+      groupOfFolder.get(note.folder._id.toString()).notes.push(note);
+    }
+
+    // Individually shared notes, one entry per note with the highest
+    // permission. Notes already listed in a folder group with at least that
+    // permission are left out.
+    const byNote = new Map();
+    for (const share of shares) {
+      if (!share.note) continue;
+      const key = share.note._id.toString();
+      const current = byNote.get(key);
+      if (!current || ACCESS_LEVELS[share.permission] > ACCESS_LEVELS[current.permission]) {
+        byNote.set(key, share);
+      }
+    }
+    const validShares = [...byNote.values()].filter((share) => {
+      const group = share.note.folder && groupOfFolder.get(share.note.folder.toString());
+      return !group || ACCESS_LEVELS[share.permission] > ACCESS_LEVELS[group.permission];
+    });
 
     res.status(200).json({
       success: true,
-      count: validShares.length,
-      shares: validShares
+      count: validShares.length + folderNotes.length,
+      shares: validShares,
+      folders: groups
     });
   } catch (error) {
     console.error('Get notes shared with me error:', error);
@@ -251,12 +649,13 @@ exports.getNotesSharedByMe = async (req, res) => {
         select: 'title color createdAt'
       })
       .populate('sharedWith', 'name email')
+      .populate('sharedWithTeam', 'name')
       .sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
       count: shares.length,
-      shares
+      shares: shares.map(serializeShare)
     });
   } catch (error) {
     console.error('Get notes shared by me error:', error);
@@ -274,7 +673,22 @@ exports.getNotesSharedByMe = async (req, res) => {
 // ============================================
 exports.updateShare = async (req, res) => {
   try {
-    const { permission, expiresAt } = req.body;
+    const { permission, password } = req.body;
+
+    const expiresAt = parseExpiry(req.body.expiresAt);
+    if (expiresAt === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a valid date in the future'
+      });
+    }
+
+    if (permission !== undefined && !isValidPermission(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permission must be read or edit'
+      });
+    }
 
     const share = await SharedNote.findOne({
       _id: req.params.id,
@@ -288,15 +702,73 @@ exports.updateShare = async (req, res) => {
       });
     }
 
+    // Public links are always read-only; an empty password removes protection
+    if (share.shareToken) {
+      if (permission && permission !== 'read') {
+        return res.status(400).json({
+          success: false,
+          message: 'Public links are read-only'
+        });
+      }
+      if (password !== undefined) {
+        if (password && String(password).length < MIN_LINK_PASSWORD_LENGTH) {
+          return res.status(400).json({
+            success: false,
+            message: `Link password must be at least ${MIN_LINK_PASSWORD_LENGTH} characters`
+          });
+        }
+        await share.setPassword(password ? String(password) : null);
+      }
+    }
+
+    const previousPermission = share.permission;
     share.permission = permission || share.permission;
-    share.expiresAt = expiresAt ? new Date(expiresAt) : share.expiresAt;
+    if (expiresAt !== undefined) share.expiresAt = expiresAt;
     await share.save();
 
+    if (share.sharedWithTeam && share.permission !== previousPermission) {
+      refreshAccess(share.note);
+      const [note, team] = await Promise.all([
+        Note.findById(share.note).select('title'),
+        Team.findById(share.sharedWithTeam)
+      ]);
+      if (team) {
+        await notifyTeam(team, req.user._id, {
+          type: 'share_permission',
+          title: `Access to "${note ? note.title : 'a note'}" changed`,
+          message: `${req.user.name} changed ${team.name}'s access to ${PERMISSION_LABELS[share.permission]}.`,
+          link: `/notes/${share.note}`,
+          note: share.note
+        });
+      }
+    }
+
+    // Public links have no recipient to notify
+    if (share.sharedWith && share.permission !== previousPermission) {
+      refreshAccess(share.note);
+      const note = await Note.findById(share.note).select('title');
+      await notifySafely({
+        user: share.sharedWith,
+        type: 'share_permission',
+        title: `Your access to "${note ? note.title : 'a note'}" changed`,
+        message: `${req.user.name} changed your access to ${PERMISSION_LABELS[share.permission]}.`,
+        link: `/notes/${share.note}`,
+        note: share.note,
+        actor: req.user._id
+      });
+    }
+
     res.status(200).json({
       success: true,
-      share
+      share: serializeShare(share)
     });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
     console.error('Update share error:', error);
     res.status(500).json({
       success: false,
@@ -325,6 +797,7 @@ exports.removeShare = async (req, res) => {
     }
 
     await share.deleteOne();
+    refreshAccess(share.note);
 
     res.status(200).json({
       success: true,
@@ -363,11 +836,12 @@ exports.getNoteShareSettings = async (req, res) => {
       owner: req.user._id
     })
       .populate('sharedWith', 'name email')
+      .populate('sharedWithTeam', 'name')
       .sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
-      shares
+      shares: shares.map(serializeShare)
     });
   } catch (error) {
     console.error('Get note share settings error:', error);
@@ -377,3 +851,288 @@ exports.getNoteShareSettings = async (req, res) => {
     });
   }
 };
+
+// ============================================
+// @desc    Share a folder (and its subfolders) with a user or a team
+// @route   POST /api/folders/:id/shares
+// @access  Private
+// ============================================
+exports.shareFolder = async (req, res) => {
+  try {
+    const { email, teamId, permission } = req.body;
+    const expiresAt = parseExpiry(req.body.expiresAt);
+
+    if (expiresAt === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a valid date in the future'
+      });
+    }
+
+    if (permission !== undefined && !isValidPermission(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permission must be read or edit'
+      });
+    }
+
+    const folder = await Folder.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    // Resolve the recipient: a team the sharer belongs to, or a user by email
+    let recipient;
+    let team = null;
+    let sharedWithUser = null;
+
+    if (teamId) {
+      team = await findMemberTeam(teamId, req.user._id);
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+      recipient = { sharedWithTeam: team._id };
+    } else {
+      sharedWithUser = await User.findOne({ email });
+      if (!sharedWithUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found with this email'
+        });
+      }
+      if (sharedWithUser._id.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot share folder with yourself'
+        });
+      }
+      recipient = { sharedWith: sharedWithUser._id };
+    }
+
+    const notifyRecipient = (data) => {
+      return team
+        ? notifyTeam(team, req.user._id, data)
+        : notifySafely({ ...data, user: sharedWithUser._id, actor: req.user._id });
+    };
+
+    const existingShare = await SharedFolder.findOne({ folder: folder._id, ...recipient });
+    const previousPermission = existingShare ? existingShare.permission : null;
+
+    const share = existingShare || new SharedFolder({
+      folder: folder._id,
+      owner: req.user._id,
+      ...recipient
+    });
+    share.permission = permission || 'read';
+    share.expiresAt = expiresAt || null;
+    await share.save();
+
+    if (!existingShare) {
+      await notifyRecipient({
+        type: 'share',
+        title: `${req.user.name} shared a folder with ${team ? team.name : 'you'}`,
+        message: `${folder.icon} ${folder.name} (can ${PERMISSION_LABELS[share.permission]})`,
+        link: '/shared'
+      });
+    } else if (share.permission !== previousPermission) {
+      refreshAllAccess();
+      await notifyRecipient({
+        type: 'share_permission',
+        title: `Access to ${folder.icon} ${folder.name} changed`,
+        message: `${req.user.name} changed the access to ${PERMISSION_LABELS[share.permission]}.`,
+        link: '/shared'
+      });
+    }
+
+    await share.populate([
+      { path: 'sharedWith', select: 'name email' },
+      { path: 'sharedWithTeam', select: 'name' }
+    ]);
+
+    res.status(existingShare ? 200 : 201).json({
+      success: true,
+      share
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join('. ')
+      });
+    }
+    console.error('Share folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sharing folder'
+    });
+  }
+};
+
+// ============================================
+// @desc    Get shares of a folder, including those inherited from parent folders
+// @route   GET /api/folders/:id/shares
+// @access  Private
+// ============================================
+exports.getFolderShares = async (req, res) => {
+  try {
+    const folder = await Folder.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const folderIds = await Folder.ancestorIds(folder._id);
+
+    const shares = await SharedFolder.find({ folder: { $in: folderIds }, owner: req.user._id })
+      .populate('folder', 'name icon')
+      .populate('sharedWith', 'name email')
+      .populate('sharedWithTeam', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      shares: shares.map((share) => ({
+        ...share.toJSON(),
+        inherited: !share.folder._id.equals(folder._id)
+      }))
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+    console.error('Get folder shares error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching folder shares'
+    });
+  }
+};
+
+// ============================================
+// @desc    Change the permission or expiry of a folder share
+// @route   PUT /api/folders/:id/shares/:shareId
+// @access  Private
+// ============================================
+exports.updateFolderShare = async (req, res) => {
+  try {
+    const { permission } = req.body;
+    const expiresAt = parseExpiry(req.body.expiresAt);
+
+    if (expiresAt === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a valid date in the future'
+      });
+    }
+
+    if (permission !== undefined && !isValidPermission(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permission must be read or edit'
+      });
+    }
+
+    const share = await SharedFolder.findOne({
+      _id: req.params.shareId,
+      folder: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found'
+      });
+    }
+
+    if (permission) share.permission = permission;
+    if (expiresAt !== undefined) share.expiresAt = expiresAt;
+    await share.save();
+
+    refreshAllAccess();
+
+    res.status(200).json({
+      success: true,
+      share
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join('. ')
+      });
+    }
+    console.error('Update folder share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating folder share'
+    });
+  }
+};
+
+// ============================================
+// @desc    Stop sharing a folder
+// @route   DELETE /api/folders/:id/shares/:shareId
+// @access  Private
+// ============================================
+exports.removeFolderShare = async (req, res) => {
+  try {
+    const share = await SharedFolder.findOne({
+      _id: req.params.shareId,
+      folder: req.params.id,
+      owner: req.user._id
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found'
+      });
+    }
+
+    await share.deleteOne();
+    refreshAllAccess();
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder is no longer shared'
+    });
+  } catch (error) {
+    console.error('Remove folder share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing folder share'
+    });
+  }
+};
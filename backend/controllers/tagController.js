@@ -5,6 +5,7 @@
 
 const Tag = require('../models/Tag');
 const Note = require('../models/Note');
+const { escapeRegex } = require('../utils/search');
 
 // ============================================
 // @desc    Get all tags for current user
@@ -56,7 +57,7 @@ exports.createTag = async (req, res) => {
     // Check if tag already exists
     const existingTag = await Tag.findOne({
       user: req.user._id,
-      name: { $regex: new RegExp(`^${name}$`, 'i') }
+      name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') }
     });
 
     if (existingTag) {
@@ -110,7 +111,7 @@ exports.updateTag = async (req, res) => {
     if (name && name !== tag.name) {
       const existingTag = await Tag.findOne({
         user: req.user._id,
-        name: { $regex: new RegExp(`^${name}$`, 'i') },
+        name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') },
         _id: { $ne: tag._id }
       });
 
@@ -0,0 +1,566 @@
+/**
+ * Team Controller
+ * Handles teams, their members and invitations
+ */
+
+const Team = require('../models/Team');
+const TeamInvitation = require('../models/TeamInvitation');
+const { INVITATION_TTL_DAYS } = require('../config/constants');
+const User = require('../models/User');
+const SharedNote = require('../models/SharedNote');
+const SharedFolder = require('../models/SharedFolder');
+const { notifySafely } = require('../services/notifications');
+const { refreshAllAccess } = require('../services/collaboration');
+const { sendTeamInvitationEmail } = require('../services/accountEmails');
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const MEMBER_FIELDS = 'name email';
+
+/**
+ * Team as returned by the API, with the caller's role
+ * @param {Object} team - Team document (members.user populated)
+ * @param {ObjectId} userId - Caller
+ */
+const serializeTeam = (team, userId) => ({
+  _id: team._id,
+  name: team.name,
+  description: team.description,
+  owner: team.owner,
+  members: team.members,
+  memberCount: team.members.length,
+  role: team.getRole(userId),
+  createdAt: team.createdAt,
+  updatedAt: team.updatedAt
+});
+
+/**
+ * Load a team the caller belongs to and check their role.
+ * Sends the error response itself and returns null when not allowed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} [role='member'] - Minimum role required
+ * @returns {Object|null} - Team document
+ */
+const loadTeam = async (req, res, role = 'member') => {
+  const team = await Team.findOne({ _id: req.params.id, 'members.user': req.user._id });
+
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      message: 'Team not found'
+    });
+    return null;
+  }
+
+  if (!team.hasRole(req.user._id, role)) {
+    res.status(403).json({
+      success: false,
+      message: `Only team ${role === 'owner' ? 'owners' : 'admins'} can do this`
+    });
+    return null;
+  }
+
+  return team;
+};
+
+/**
+ * Error response for a bad id or failed validation, or a 500
+ */
+const sendError = (res, error, context, message) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map((err) => err.message).join('. ')
+    });
+  }
+  console.error(`${context} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    Get teams the user belongs to
+ * @route   GET /api/teams
+ * @access  Private
+ */
+const getTeams = async (req, res) => {
+  try {
+    const teams = await Team.find({ 'members.user': req.user._id })
+      .populate('members.user', MEMBER_FIELDS)
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: teams.length,
+      teams: teams.map((team) => serializeTeam(team, req.user._id))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Teams', 'Server error fetching teams');
+  }
+};
+
+/**
+ * @desc    Create a team (the creator becomes its owner)
+ * @route   POST /api/teams
+ * @access  Private
+ */
+const createTeam = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const team = await Team.create({
+      name,
+      description,
+      owner: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    await team.populate('members.user', MEMBER_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      team: serializeTeam(team, req.user._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Create Team', 'Server error creating team');
+  }
+};
+
+/**
+ * @desc    Get a team with its members
+ * @route   GET /api/teams/:id
+ * @access  Private (team members)
+ */
+const getTeam = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    await team.populate('members.user', MEMBER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      team: serializeTeam(team, req.user._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Team', 'Server error fetching team');
+  }
+};
+
+/**
+ * @desc    Rename a team or change its description
+ * @route   PUT /api/teams/:id
+ * @access  Private (team admins)
+ */
+const updateTeam = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, 'admin');
+    if (!team) return;
+
+    const { name, description } = req.body;
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    await team.save();
+    await team.populate('members.user', MEMBER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      team: serializeTeam(team, req.user._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Update Team', 'Server error updating team');
+  }
+};
+
+/**
+ * @desc    Delete a team; everything shared with it stops being shared
+ * @route   DELETE /api/teams/:id
+ * @access  Private (team owner)
+ */
+const deleteTeam = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, 'owner');
+    if (!team) return;
+
+    await Promise.all([
+      SharedNote.deleteMany({ sharedWithTeam: team._id }),
+      SharedFolder.deleteMany({ sharedWithTeam: team._id }),
+      TeamInvitation.deleteMany({ team: team._id })
+    ]);
+    await team.deleteOne();
+
+    refreshAllAccess();
+
+    res.status(200).json({
+      success: true,
+      message: 'Team deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete Team', 'Server error deleting team');
+  }
+};
+
+/**
+ * @desc    Invite someone to the team by email
+ * @route   POST /api/teams/:id/invitations
+ * @access  Private (team admins)
+ */
+const inviteMember = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, 'admin');
+    if (!team) return;
+
+    const email = String(req.body.email || '').toLowerCase().trim();
+    const role = req.body.role === 'admin' ? 'admin' : 'member';
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const invitee = await User.findOne({ email }).select('_id');
+    if (invitee && team.getRole(invitee._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person is already a member of the team'
+      });
+    }
+
+    // Re-inviting refreshes the open invitation instead of adding another
+    let invitation = await TeamInvitation.findOne({ team: team._id, email, status: 'pending' });
+    if (invitation) {
+      invitation.role = role;
+      invitation.invitedBy = req.user._id;
+      invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+      await invitation.save();
+    } else {
+      invitation = await TeamInvitation.create({
+        team: team._id,
+        email,
+        role,
+        invitedBy: req.user._id
+      });
+    }
+
+    if (invitee) {
+      await notifySafely({
+        user: invitee._id,
+        type: 'team_invitation',
+        title: `${req.user.name} invited you to join ${team.name}`,
+        message: `You were invited as ${role === 'admin' ? 'an admin' : 'a member'}.`,
+        link: '/teams',
+        actor: req.user._id
+      });
+    }
+
+    sendTeamInvitationEmail(email, team, req.user).catch((error) => {
+      console.error('Team Invitation Email Error:', error.message);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      invitation
+    });
+  } catch (error) {
+    sendError(res, error, 'Invite Member', 'Server error sending invitation');
+  }
+};
+
+/**
+ * @desc    List a team's open invitations
+ * @route   GET /api/teams/:id/invitations
+ * @access  Private (team admins)
+ */
+const getTeamInvitations = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, 'admin');
+    if (!team) return;
+
+    const invitations = await TeamInvitation.find({
+      team: team._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', MEMBER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Team Invitations', 'Server error fetching invitations');
+  }
+};
+
+/**
+ * @desc    Withdraw an open invitation
+ * @route   DELETE /api/teams/:id/invitations/:invitationId
+ * @access  Private (team admins)
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, 'admin');
+    if (!team) return;
+
+    const invitation = await TeamInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, team: team._id, status: 'pending' },
+      { $set: { status: 'revoked', respondedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation withdrawn'
+    });
+  } catch (error) {
+    sendError(res, error, 'Revoke Invitation', 'Server error withdrawing invitation');
+  }
+};
+
+/**
+ * @desc    Get open invitations for the current user's email
+ * @route   GET /api/teams/invitations
+ * @access  Private
+ */
+const getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await TeamInvitation.find({
+      email: req.user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('team', 'name description')
+      .populate('invitedBy', MEMBER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      // The team may have been deleted since
+      invitations: invitations.filter((invitation) => invitation.team)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get My Invitations', 'Server error fetching invitations');
+  }
+};
+
+/**
+ * @desc    Accept or decline an invitation
+ * @route   POST /api/teams/invitations/:invitationId/accept
+ * @route   POST /api/teams/invitations/:invitationId/decline
+ * @access  Private (invitee, verified email)
+ */
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    const invitation = await TeamInvitation.findOne({
+      _id: req.params.invitationId,
+      email: req.user.email
+    });
+
+    if (!invitation || !invitation.isOpen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or no longer valid'
+      });
+    }
+
+    const team = await Team.findById(invitation.team);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'This team no longer exists'
+      });
+    }
+
+    invitation.status = accept ? 'accepted' : 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    if (!accept) {
+      return res.status(200).json({
+        success: true,
+        message: 'Invitation declined'
+      });
+    }
+
+    // $ne guard keeps a double accept from adding the user twice
+    await Team.updateOne(
+      { _id: team._id, 'members.user': { $ne: req.user._id } },
+      { $push: { members: { user: req.user._id, role: invitation.role } } }
+    );
+
+    await notifySafely({
+      user: invitation.invitedBy,
+      type: 'team',
+      title: `${req.user.name} joined ${team.name}`,
+      message: 'Your invitation was accepted.',
+      link: '/teams',
+      actor: req.user._id
+    });
+
+    const updated = await Team.findById(team._id).populate('members.user', MEMBER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${team.name}`,
+      team: serializeTeam(updated, req.user._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Respond To Invitation', 'Server error responding to invitation');
+  }
+};
+
+/**
+ * @desc    Change a member's role; giving someone 'owner' transfers ownership
+ * @route   PATCH /api/teams/:id/members/:userId
+ * @access  Private (team owner)
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res, 'owner');
+    if (!team) return;
+
+    const { role } = req.body;
+    const member = team.members.find((m) => m.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!['owner', 'admin', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be owner, admin or member'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer ownership to another member to change your role'
+      });
+    }
+
+    if (role === 'owner') {
+      team.members.find((m) => m.role === 'owner').role = 'admin';
+      team.owner = member.user;
+    }
+    member.role = role;
+    await team.save();
+    await team.populate('members.user', MEMBER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      team: serializeTeam(team, req.user._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Update Member Role', 'Server error updating member');
+  }
+};
+
+/**
+ * @desc    Remove a member, or leave the team (userId = yourself).
+ *          Their access through the team ends immediately.
+ * @route   DELETE /api/teams/:id/members/:userId
+ * @access  Private (team admins; any member for themselves)
+ */
+const removeMember = async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user._id.toString();
+    const team = await loadTeam(req, res, leaving ? 'member' : 'admin');
+    if (!team) return;
+
+    const targetRole = team.getRole(req.params.userId);
+
+    if (!targetRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (targetRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: leaving
+          ? 'Transfer ownership or delete the team before leaving it'
+          : 'The team owner cannot be removed'
+      });
+    }
+
+    if (!leaving && targetRole === 'admin' && !team.hasRole(req.user._id, 'owner')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team owner can remove admins'
+      });
+    }
+
+    await Team.updateOne({ _id: team._id }, { $pull: { members: { user: req.params.userId } } });
+
+    // Drop them from any open collaboration rooms they only had through the team
+    refreshAllAccess();
+
+    if (!leaving) {
+      await notifySafely({
+        user: req.params.userId,
+        type: 'team',
+        title: `You were removed from ${team.name}`,
+        message: 'Notes shared with the team are no longer available to you.',
+        link: '/teams',
+        actor: req.user._id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: leaving ? `You left ${team.name}` : 'Member removed'
+    });
+  } catch (error) {
+    sendError(res, error, 'Remove Member', 'Server error removing member');
+  }
+};
+
+module.exports = {
+  getTeams,
+  createTeam,
+  getTeam,
+  updateTeam,
+  deleteTeam,
+  inviteMember,
+  getTeamInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation: respondToInvitation(true),
+  declineInvitation: respondToInvitation(false),
+  updateMemberRole,
+  removeMember
+};
@@ -4,6 +4,7 @@
  */
 
 const Template = require('../models/Template');
+const { escapeRegex } = require('../utils/search');
 
 // ============================================
 // @desc    Get all templates (user's + public)
@@ -30,8 +31,8 @@ exports.getTemplates = async (req, res) => {
         query.$or ? { $or: query.$or } : {},
         {
           $or: [
-            { name: { $regex: search, $options: 'i' } },
-            { description: { $regex: search, $options: 'i' } }
+            { name: { $regex: escapeRegex(search), $options: 'i' } },
+            { description: { $regex: escapeRegex(search), $options: 'i' } }
           ]
         }
       ];
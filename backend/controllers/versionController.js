@@ -0,0 +1,292 @@
+/**
+ * Version Controller
+ * Handles browsing, comparing and restoring a note's version history
+ */
+
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+const { diffLines, diffWords } = require('../utils/diff');
+const { emitNoteEvent } = require('../services/realtime');
+const { syncContent } = require('../services/collaboration');
+const { syncLinksSafely } = require('../services/noteLinks');
+const { etagFor, revisionFilter, getExpectedRevision, sendConflict } = require('../services/noteRevisions');
+
+// ============================================
+// CONTROLLER METHODS
+// ============================================
+
+/**
+ * @desc    List all saved versions of a note (newest first)
+ * @route   GET /api/notes/:id/versions
+ * @access  Private
+ */
+const getVersions = async (req, res) => {
+  try {
+    const note = await Note.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found or you do not have permission to access it'
+      });
+    }
+
+    const versions = await NoteVersion.find({ note: note._id })
+      .select('version title reason createdBy createdAt')
+      .populate('createdBy', 'name')
+      .sort({ version: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    console.error('Get Versions Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching note history'
+    });
+  }
+};
+
+/**
+ * @desc    Get a single version of a note with full content
+ * @route   GET /api/notes/:id/versions/:versionId
+ * @access  Private
+ */
+const getVersionById = async (req, res) => {
+  try {
+    const version = await NoteVersion.findOne({
+      _id: req.params.versionId,
+      note: req.params.id,
+      user: req.user._id
+    }).populate('createdBy', 'name');
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    console.error('Get Version Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching version'
+    });
+  }
+};
+
+/**
+ * @desc    Restore a note to a previous version (conditional on If-Match like updates)
+ * @route   POST /api/notes/:id/versions/:versionId/restore
+ * @access  Private
+ */
+const restoreVersion = async (req, res) => {
+  try {
+    const expectedRevision = getExpectedRevision(req);
+    const note = await Note.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      isTrashed: false
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found or you do not have permission to modify it'
+      });
+    }
+
+    const version = await NoteVersion.findOne({
+      _id: req.params.versionId,
+      note: note._id
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    // Reject stale restores
+    if (expectedRevision !== null && expectedRevision !== note.revision) {
+      return sendConflict(res, note._id);
+    }
+
+    // Restore, making sure nobody else saved since we read it
+    const restored = await Note.findOneAndUpdate(
+      { _id: note._id, revision: revisionFilter(note.revision) },
+      {
+        title: version.title,
+        content: version.content,
+        contentType: version.contentType,
+        ...Note.contentStats(version.content),
+        lastEditedBy: req.user._id,
+        $inc: { revision: 1 }
+      },
+      { new: true, runValidators: true }
+    )
+      .populate('tags', 'name color')
+      .populate('folder', 'name icon')
+      .populate('lastEditedBy', 'name');
+
+    if (!restored) {
+      return sendConflict(res, note._id);
+    }
+
+    // Snapshot the state it replaced so the restore itself can be undone
+    await NoteVersion.record(note, req.user._id, 'restore');
+
+    console.log(`✅ Note "${restored.title}" restored to version ${version.version} by user ${req.user.email}`);
+    syncContent(restored._id, restored.content);
+    syncLinksSafely(restored);
+    emitNoteEvent('note:updated', restored, req);
+
+    res.set('ETag', etagFor(restored));
+    res.status(200).json({
+      success: true,
+      message: `Note restored to version ${version.version}`,
+      note: restored
+    });
+  } catch (error) {
+    console.error('Restore Version Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error restoring version'
+    });
+  }
+};
+
+/**
+ * @desc    Diff two versions of a note, or a version against the current content
+ * @route   GET /api/notes/:id/diff?from=<versionId>&to=<versionId|current>
+ * @access  Private
+ */
+const getDiff = async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a version to compare from'
+      });
+    }
+
+    const note = await Note.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found or you do not have permission to access it'
+      });
+    }
+
+    // Resolve a side of the comparison to { id, version, title, content }
+    const resolve = async (ref) => {
+      if (ref === 'current') {
+        return {
+          id: 'current',
+          version: null,
+          title: note.title,
+          content: note.content,
+          date: note.updatedAt
+        };
+      }
+
+      const version = await NoteVersion.findOne({ _id: ref, note: note._id });
+      if (!version) return null;
+
+      return {
+        id: version._id,
+        version: version.version,
+        title: version.title,
+        content: version.content,
+        date: version.createdAt
+      };
+    };
+
+    const [fromSide, toSide] = await Promise.all([resolve(from), resolve(to)]);
+
+    if (!fromSide || !toSide) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const { lines, stats } = diffLines(fromSide.content, toSide.content);
+
+    res.status(200).json({
+      success: true,
+      from: { id: fromSide.id, version: fromSide.version, date: fromSide.date },
+      to: { id: toSide.id, version: toSide.version, date: toSide.date },
+      title: {
+        changed: fromSide.title !== toSide.title,
+        words: diffWords(fromSide.title, toSide.title)
+      },
+      stats,
+      lines
+    });
+  } catch (error) {
+    console.error('Get Diff Error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error comparing versions'
+    });
+  }
+};
+
+module.exports = {
+  getVersions,
+  getVersionById,
+  restoreVersion,
+  getDiff
+};
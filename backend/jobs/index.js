@@ -0,0 +1,39 @@
+/**
+ * Background Jobs
+ * Registers the scheduled jobs and exposes start/stop for server.js
+ */
+
+const scheduler = require('./scheduler');
+const purgeTrash = require('./trashPurge');
+const dispatchReminders = require('./reminderDispatch');
+
+const minutes = (value, fallback) => (parseInt(value, 10) || fallback) * 60 * 1000;
+const seconds = (value, fallback) => (parseInt(value, 10) || fallback) * 1000;
+
+scheduler.registerJob({
+  name: 'trash-purge',
+  intervalMs: minutes(process.env.TRASH_PURGE_INTERVAL_MINUTES, 60),
+  handler: purgeTrash
+});
+
+scheduler.registerJob({
+  name: 'reminder-dispatch',
+  intervalMs: seconds(process.env.REMINDER_INTERVAL_SECONDS, 60),
+  handler: dispatchReminders
+});
+
+/**
+ * Start background jobs unless disabled with JOBS_ENABLED=false
+ */
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️  Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+  scheduler.start();
+};
+
+module.exports = {
+  startJobs,
+  stopJobs: scheduler.stop
+};
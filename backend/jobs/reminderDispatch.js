@@ -0,0 +1,116 @@
+/**
+ * Reminder Dispatch Job
+ * Delivers reminders whose date has passed: an in-app notification is always
+ * created, and an email is sent when the user has email notifications on.
+ * notifiedAt is only set once delivery succeeds, so failures are retried on
+ * the next run (up to MAX_ATTEMPTS).
+ */
+
+const Reminder = require('../models/Reminder');
+const { notify } = require('../services/notifications');
+const { sendMail, appUrl } = require('../services/mailer');
+
+// Upper bound per run so one backlog can't monopolise the job
+const BATCH_SIZE = 100;
+
+// Give up on a reminder after this many failed deliveries
+const MAX_ATTEMPTS = 5;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Escape user content for the HTML email body
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+
+/**
+ * Deliver a single reminder. Throws if any channel fails.
+ * @param {Object} reminder - Reminder with note and user populated
+ */
+const deliver = async (reminder) => {
+  const { user, note } = reminder;
+  const noteTitle = note ? note.title : 'a deleted note';
+  const title = `Reminder: ${noteTitle}`;
+  const message = reminder.message || `You asked to be reminded about "${noteTitle}".`;
+  const link = note ? `/notes/${note._id}` : null;
+
+  // Keyed on the scheduled date so retries don't duplicate it but a
+  // rescheduled reminder notifies again
+  await notify({
+    dedupeKey: `reminder:${reminder._id}:${reminder.reminderDate.getTime()}`,
+    user: user._id,
+    type: 'reminder',
+    title,
+    message,
+    link,
+    note: note ? note._id : null
+  });
+
+  if (user.preferences?.emailNotifications !== false) {
+    const url = link ? appUrl(link) : appUrl('/dashboard');
+
+    await sendMail({
+      to: user.email,
+      subject: title,
+      text: `Hi ${user.name},\n\n${message}\n\nOpen the note: ${url}\n`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(message)}</p><p><a href="${url}">Open the note</a></p>`
+    });
+  }
+};
+
+// ============================================
+// JOB
+// ============================================
+
+const dispatchReminders = async () => {
+  const due = await Reminder.find({
+    reminderDate: { $lte: new Date() },
+    isCompleted: false,
+    notifiedAt: null,
+    deliveryAttempts: { $lt: MAX_ATTEMPTS }
+  })
+    .sort({ reminderDate: 1 })
+    .limit(BATCH_SIZE)
+    .populate('user', 'name email preferences')
+    .populate('note', 'title');
+
+  let delivered = 0;
+  let failed = 0;
+
+  for (const reminder of due) {
+    // Account was deleted; nothing to deliver to
+    if (!reminder.user) {
+      await Reminder.deleteOne({ _id: reminder._id });
+      continue;
+    }
+
+    try {
+      await deliver(reminder);
+
+      await Reminder.updateOne(
+        { _id: reminder._id, notifiedAt: null },
+        { $set: { notifiedAt: new Date(), lastDeliveryError: null } }
+      );
+      delivered++;
+    } catch (error) {
+      console.error(`❌ Reminder ${reminder._id} delivery failed:`, error.message);
+
+      await Reminder.updateOne(
+        { _id: reminder._id },
+        { $inc: { deliveryAttempts: 1 }, $set: { lastDeliveryError: error.message } }
+      );
+      failed++;
+    }
+  }
+
+  return { due: due.length, delivered, failed };
+};
+
+module.exports = dispatchReminders;
@@ -0,0 +1,150 @@
+/**
+ * Job Scheduler
+ * Runs registered jobs on fixed intervals. A MongoDB lease (JobLock) makes
+ * sure only one instance executes a given job at a time, and every execution
+ * is recorded as a JobRun.
+ */
+
+const os = require('os');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+
+// Identifies this process in locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+let started = false;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Execute one job if this instance can take its lock
+ * @param {Object} job - Registered job
+ * @returns {Object|null} - The JobRun, or null if skipped
+ */
+const runJob = async (job) => {
+  // Don't overlap with ourselves if a run takes longer than the interval
+  if (job.running) return null;
+  job.running = true;
+
+  try {
+    const acquired = await JobLock.acquire(job.name, INSTANCE_ID, job.lockTtlMs);
+    if (!acquired) return null;
+
+    const run = await JobRun.create({ job: job.name, instance: INSTANCE_ID });
+
+    try {
+      const result = await job.handler();
+      run.status = 'succeeded';
+      run.result = result ?? null;
+    } catch (error) {
+      console.error(`❌ Job "${job.name}" failed:`, error.message);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    return run;
+  } catch (error) {
+    console.error(`❌ Scheduler error for job "${job.name}":`, error.message);
+    return null;
+  } finally {
+    job.running = false;
+  }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Register a job
+ * @param {Object} options
+ * @param {string} options.name - Unique job name
+ * @param {number} options.intervalMs - How often to run
+ * @param {Function} options.handler - Async function; its return value is stored as the run result
+ * @param {number} [options.lockTtlMs] - Lease length (defaults to the interval)
+ */
+const registerJob = ({ name, intervalMs, handler, lockTtlMs }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    handler,
+    // Slightly shorter than the interval so the next tick can re-acquire
+    lockTtlMs: lockTtlMs || Math.max(intervalMs - 1000, 1000),
+    timer: null,
+    running: false
+  });
+};
+
+/**
+ * Start all registered jobs. Each runs once immediately, then on its interval.
+ */
+const start = () => {
+  if (started) return;
+  started = true;
+
+  for (const job of jobs.values()) {
+    runJob(job);
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    job.timer.unref();
+  }
+
+  console.log(`⏱️  Scheduler started (${jobs.size} jobs) on ${INSTANCE_ID}`);
+};
+
+/**
+ * Stop all timers and release any locks held by this instance
+ */
+const stop = async () => {
+  if (!started) return;
+  started = false;
+
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+
+  await Promise.all(
+    [...jobs.keys()].map((name) => JobLock.release(name, INSTANCE_ID).catch(() => {}))
+  );
+};
+
+/**
+ * List registered jobs with their schedule
+ */
+const getJobs = () => {
+  return [...jobs.values()].map(({ name, intervalMs, running }) => ({
+    name,
+    intervalMs,
+    running
+  }));
+};
+
+/**
+ * Run a job immediately (still subject to the lock)
+ * @param {string} name - Job name
+ */
+const runNow = (name) => {
+  const job = jobs.get(name);
+  if (!job) return null;
+  return runJob(job);
+};
+
+module.exports = {
+  registerJob,
+  start,
+  stop,
+  getJobs,
+  runNow,
+  INSTANCE_ID
+};
@@ -0,0 +1,33 @@
+/**
+ * Trash Purge Job
+ * Permanently deletes notes that have been in the trash for more than 30 days
+ */
+
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+const Comment = require('../models/Comment');
+const SharedNote = require('../models/SharedNote');
+const Reminder = require('../models/Reminder');
+const { removeAttachmentFiles } = require('../services/storage');
+const { removeFromIndex } = require('../services/relatedNotes');
+const { removeFromGraph } = require('../services/noteLinks');
+
+const purgeTrash = async () => {
+  const { deletedCount, notes } = await Note.cleanupTrash();
+
+  if (notes.length > 0) {
+    const noteIds = notes.map((note) => note._id);
+    await NoteVersion.deleteMany({ note: { $in: noteIds } });
+    await Comment.deleteMany({ note: { $in: noteIds } });
+    await SharedNote.deleteMany({ note: { $in: noteIds } });
+    await Reminder.deleteMany({ note: { $in: noteIds } });
+    await removeFromIndex(noteIds);
+    await removeFromGraph(noteIds);
+    await removeAttachmentFiles(notes);
+    console.log(`🗑️  Purged ${deletedCount} expired notes from trash`);
+  }
+
+  return { deletedCount };
+};
+
+module.exports = purgeTrash;
@@ -5,6 +5,37 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+/**
+ * Verify a JWT and load the user it belongs to.
+ * Shared by the protect middleware and the WebSocket server.
+ * @param {string} token - Raw JWT
+ * @returns {Object} - { user, sessionId }; user (without password) is null if it no longer exists
+ * @throws {JsonWebTokenError|TokenExpiredError} - If the token is invalid
+ * @throws {Error} - Named SessionRevokedError if the token's login session has ended
+ */
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Special-purpose tokens (e.g. the two-factor login ticket) aren't access tokens
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  // Access tokens belong to a login session; ending it invalidates them immediately
+  if (decoded.sid) {
+    const active = await Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null });
+    if (!active) {
+      const error = new Error('Session has been revoked');
+      error.name = 'SessionRevokedError';
+      throw error;
+    }
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return { user, sessionId: decoded.sid || null };
+};
 
 /**
  * Protect middleware - Verifies JWT token and attaches user to request
@@ -30,11 +61,8 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Find user by ID from token payload (exclude password)
-    const user = await User.findById(decoded.id).select('-password');
+    // Verify token and find the user it belongs to
+    const { user, sessionId } = await verifyToken(token);
 
     // Check if user still exists
     if (!user) {
@@ -44,8 +72,9 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object for use in route handlers
+    // Attach user (and their login session) to request object for use in route handlers
     req.user = user;
+    req.sessionId = sessionId;
     
     // Continue to next middleware/route handler
     next();
@@ -67,6 +96,13 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has ended. Please login again.'
+      });
+    }
+
     // Generic error
     return res.status(401).json({
       success: false,
@@ -88,11 +124,11 @@ const optionalAuth = async (req, res, next) => {
     if (authHeader && authHeader.startsWith('Bearer')) {
       token = authHeader.split(' ')[1];
       
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const { user, sessionId } = await verifyToken(token);
       
       if (user) {
         req.user = user;
+        req.sessionId = sessionId;
       }
     }
   } catch (error) {
@@ -103,6 +139,39 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+/**
+ * Role authorization middleware
+ * Must be used after protect middleware
+ * @param {...string} roles - Roles allowed to access the route
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to perform this action.'
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Verified email middleware
+ * Must be used after protect middleware
+ * Blocks features that unverified accounts can't use (e.g. public share links)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to use this feature.'
+    });
+  }
+  next();
+};
+
 /**
  * Verify note ownership middleware
  * Must be used after protect middleware
@@ -153,7 +222,10 @@ const verifyNoteOwnership = async (req, res, next) => {
 };
 
 module.exports = {
+  verifyToken,
   protect,
   optionalAuth,
+  authorize,
+  requireVerifiedEmail,
   verifyNoteOwnership
 };
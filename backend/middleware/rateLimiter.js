@@ -104,6 +104,21 @@ exports.shareLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// ============================================
+// Share link password rate limiter
+// ============================================
+exports.sharePasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 wrong passwords per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many password attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // ============================================
 // Search rate limiter
 // ============================================
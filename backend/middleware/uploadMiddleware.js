@@ -0,0 +1,111 @@
+/**
+ * Upload Middleware
+ * Parses single-file multipart uploads and enforces size and type limits
+ */
+
+const multer = require('multer');
+
+// ============================================
+// LIMITS
+// ============================================
+
+const MAX_FILE_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const ALLOWED_TYPES = process.env.ALLOWED_UPLOAD_TYPES
+  ? process.env.ALLOWED_UPLOAD_TYPES.split(',').map((type) => type.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+// Leading bytes for binary types we can cheaply verify, so a renamed
+// executable can't masquerade as an image or PDF
+const SIGNATURES = {
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'image/webp': [Buffer.from('RIFF')],
+  'application/pdf': [Buffer.from('%PDF')],
+  'application/zip': [Buffer.from([0x50, 0x4b, 0x03, 0x04])]
+};
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.statusCode = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept a single file in the "file" field and report problems as JSON
+ */
+const uploadSingle = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge
+            ? `File is too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)} MB`
+            : err.message
+        });
+      }
+
+      return res.status(err.statusCode || 400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a file to upload'
+      });
+    }
+
+    // Verify the content actually matches the declared type
+    const signatures = SIGNATURES[req.file.mimetype];
+    if (signatures && !signatures.some((sig) => req.file.buffer.subarray(0, sig.length).equals(sig))) {
+      return res.status(415).json({
+        success: false,
+        message: 'File content does not match its type'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadSingle,
+  MAX_FILE_SIZE,
+  ALLOWED_TYPES
+};
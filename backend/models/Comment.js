@@ -0,0 +1,134 @@
+/**
+ * Comment Model
+ * Discussion on a note. A thread is a top-level comment plus its replies;
+ * only the top-level comment can be anchored to a range of the note's
+ * content, and threads are resolved as a whole.
+ */
+
+const mongoose = require('mongoose');
+const { MAX_QUOTE_LENGTH } = require('../config/constants');
+
+const anchorSchema = new mongoose.Schema(
+  {
+    // Character offsets into the note content when the comment was made
+    start: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    end: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // The text that was selected, used to find the range again after edits
+    quote: {
+      type: String,
+      required: true,
+      maxlength: MAX_QUOTE_LENGTH
+    }
+  },
+  { _id: false }
+);
+
+const commentSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true
+    },
+    // Owner of the note (for cleanup when their account is deleted)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Top-level comment this replies to; null for the start of a thread
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment cannot be empty'],
+      trim: true,
+      maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    anchor: {
+      type: anchorSchema,
+      default: null
+    },
+    isResolved: {
+      type: Boolean,
+      default: false
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    },
+    editedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+commentSchema.index({ note: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ user: 1 });
+commentSchema.index({ author: 1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Find where an anchor is in the current content. The stored offsets are
+ * used while they still cover the quoted text; otherwise the occurrence of
+ * the quote nearest to the old position is used.
+ * @param {Object} anchor - { start, end, quote }
+ * @param {string} content - Current note content
+ * @returns {Object|null} - { start, end }, or null if the quoted text is gone
+ */
+commentSchema.statics.locateAnchor = function (anchor, content) {
+  if (content.slice(anchor.start, anchor.end) === anchor.quote) {
+    return { start: anchor.start, end: anchor.end };
+  }
+
+  let best = -1;
+  let index = content.indexOf(anchor.quote);
+  while (index !== -1) {
+    if (best === -1 || Math.abs(index - anchor.start) < Math.abs(best - anchor.start)) {
+      best = index;
+    }
+    index = content.indexOf(anchor.quote, index + 1);
+  }
+
+  return best === -1 ? null : { start: best, end: best + anchor.quote.length };
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
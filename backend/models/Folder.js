@@ -46,6 +46,66 @@ const folderSchema = new mongoose.Schema(
 // Compound index for unique folder names per user at same level
 folderSchema.index({ name: 1, user: 1, parent: 1 }, { unique: true });
 
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * A folder and all of its ancestors, nearest first
+ * @param {ObjectId} folderId - Folder id
+ * @returns {Promise<ObjectId[]>}
+ */
+folderSchema.statics.ancestorIds = async function (folderId) {
+  const ids = [];
+  const seen = new Set();
+  let currentId = folderId;
+
+  // The seen set guards against parent cycles
+  while (currentId && !seen.has(currentId.toString())) {
+    ids.push(currentId);
+    seen.add(currentId.toString());
+    const folder = await this.findById(currentId).select('parent').lean();
+    currentId = folder ? folder.parent : null;
+  }
+
+  return ids;
+};
+
+/**
+ * Ids of folders and all of their subfolders (the same hierarchy getFolderTree returns)
+ * @param {ObjectId} userId - Owner of the folders
+ * @param {ObjectId[]} folderIds - Root folders
+ * @returns {Promise<Map<string, ObjectId[]>>} - Root id -> ids of the root and its descendants
+ */
+folderSchema.statics.subtreeIds = async function (userId, folderIds) {
+  const folders = await this.find({ user: userId }).select('parent').lean();
+
+  const childrenOf = new Map();
+  for (const folder of folders) {
+    if (!folder.parent) continue;
+    const key = folder.parent.toString();
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(folder._id);
+  }
+
+  const subtrees = new Map();
+  for (const rootId of folderIds) {
+    const ids = [];
+    const seen = new Set();
+    const queue = [rootId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (seen.has(id.toString())) continue;
+      seen.add(id.toString());
+      ids.push(id);
+      queue.push(...(childrenOf.get(id.toString()) || []));
+    }
+    subtrees.set(rootId.toString(), ids);
+  }
+
+  return subtrees;
+};
+
 const Folder = mongoose.model('Folder', folderSchema);
 
 module.exports = Folder;
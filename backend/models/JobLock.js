@@ -0,0 +1,76 @@
+/**
+ * JobLock Model
+ * Lease-based lock so only one server instance runs a scheduled job at a time
+ */
+
+const mongoose = require('mongoose');
+
+const jobLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Try to take (or extend) the lease on a job
+ * @param {string} name - Job name
+ * @param {string} owner - Instance identifier
+ * @param {number} ttlMs - Lease duration
+ * @returns {boolean} - true if this instance now holds the lock
+ */
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } },
+          { lockedBy: owner }
+        ]
+      },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return lock.lockedBy === owner;
+  } catch (error) {
+    // Another instance holds an unexpired lease, so the upsert collided
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Release a lease early (only if this instance still owns it)
+ */
+jobLockSchema.statics.release = function (name, owner) {
+  return this.updateOne(
+    { name, lockedBy: owner },
+    { $set: { lockedBy: null, lockedUntil: null } }
+  );
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,56 @@
+/**
+ * JobRun Model
+ * History of scheduled job executions and their results
+ */
+
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true
+    },
+    instance: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed'],
+      default: 'running'
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date,
+      default: null
+    },
+    durationMs: {
+      type: Number,
+      default: null
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Keep 30 days of history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
@@ -113,6 +113,17 @@ const noteSchema = new mongoose.Schema(
     viewCount: {
       type: Number,
       default: 0
+    },
+    // Owner or share recipient who last changed the note
+    lastEditedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Bumped on every edit; clients send it back (If-Match) to detect stale writes
+    revision: {
+      type: Number,
+      default: 0
     }
   },
   {
@@ -139,8 +150,7 @@ noteSchema.index({ title: 'text', content: 'text' });
 noteSchema.pre('save', function(next) {
   // Calculate word and character count
   if (this.isModified('content')) {
-    this.characterCount = this.content.length;
-    this.wordCount = this.content.trim().split(/\s+/).filter(word => word.length > 0).length;
+    Object.assign(this, this.constructor.contentStats(this.content));
   }
   next();
 });
@@ -149,6 +159,15 @@ noteSchema.pre('save', function(next) {
 // STATIC METHODS
 // ============================================
 
+// Word and character counts of some content. Updates that bypass save()
+// (findOneAndUpdate) set these alongside the content themselves.
+noteSchema.statics.contentStats = function (content = '') {
+  return {
+    characterCount: content.length,
+    wordCount: content.trim().split(/\s+/).filter(word => word.length > 0).length
+  };
+};
+
 noteSchema.statics.findByUser = function (userId, options = {}) {
   const query = { 
     user: userId, 
@@ -180,13 +199,28 @@ noteSchema.statics.findByIdAndVerifyOwner = async function (noteId, userId) {
   return note;
 };
 
-// Auto-delete trashed notes after 30 days
+// Total bytes of attachments stored across all of a user's notes
+noteSchema.statics.getStorageUsage = async function (userId) {
+  const [result] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$attachments' },
+    { $group: { _id: null, total: { $sum: '$attachments.size' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+// Auto-delete trashed notes after 30 days.
+// Returns the deleted notes (id + attachments) so callers can clean up related data.
 noteSchema.statics.cleanupTrash = async function () {
   const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-  return this.deleteMany({
+  const expired = await this.find({
     isTrashed: true,
     trashedAt: { $lt: thirtyDaysAgo }
-  });
+  }).select('_id attachments');
+
+  const result = await this.deleteMany({ _id: { $in: expired.map((note) => note._id) } });
+
+  return { deletedCount: result.deletedCount, notes: expired };
 };
 
 // ============================================
@@ -0,0 +1,53 @@
+/**
+ * NoteLink Model
+ * An edge of the link graph: a [[wiki link]] from one note to another.
+ * Links resolve by title within the owner's notes. Once resolved a link
+ * keeps pointing at its note, so renaming the note doesn't break it;
+ * `target` is null while no note has the title.
+ */
+
+const mongoose = require('mongoose');
+
+const noteLinkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      default: null
+    },
+    // Title as written in the link, and the normalized key it matches by
+    title: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+noteLinkSchema.index({ source: 1, key: 1 }, { unique: true });
+noteLinkSchema.index({ target: 1 });
+noteLinkSchema.index({ user: 1, key: 1 });
+
+const NoteLink = mongoose.model('NoteLink', noteLinkSchema);
+
+module.exports = NoteLink;
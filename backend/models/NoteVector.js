@@ -0,0 +1,49 @@
+/**
+ * NoteVector Model
+ * Related-notes index: the term counts of a note's title and content (see
+ * utils/tfidf). IDF weights depend on the user's whole collection, so they
+ * are computed when comparing, not stored.
+ */
+
+const mongoose = require('mongoose');
+
+const noteVectorSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Note revision the terms were counted from; older means stale
+    revision: {
+      type: Number,
+      default: 0
+    },
+    terms: [
+      {
+        _id: false,
+        term: { type: String, required: true },
+        count: { type: Number, required: true }
+      }
+    ]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+noteVectorSchema.index({ note: 1 }, { unique: true });
+noteVectorSchema.index({ user: 1 });
+
+const NoteVector = mongoose.model('NoteVector', noteVectorSchema);
+
+module.exports = NoteVector;
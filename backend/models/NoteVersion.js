@@ -0,0 +1,97 @@
+/**
+ * NoteVersion Model
+ * Point-in-time snapshots of a note's title and content
+ */
+
+const mongoose = require('mongoose');
+
+const noteVersionSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    contentType: {
+      type: String,
+      enum: ['plain', 'markdown', 'richtext'],
+      default: 'markdown'
+    },
+    reason: {
+      type: String,
+      enum: ['update', 'restore'],
+      default: 'update'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One version number per note, newest first
+noteVersionSchema.index({ note: 1, version: -1 }, { unique: true });
+noteVersionSchema.index({ user: 1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Attempts at claiming the next version number when saves race for it
+const MAX_RECORD_ATTEMPTS = 5;
+
+/**
+ * Snapshot the current state of a note before it is overwritten.
+ * Version numbers come from the latest one; two saves at the same moment
+ * can pick the same number, so the loser (duplicate key) tries the next one.
+ * @param {Object} note - Note document (pre-update state)
+ * @param {ObjectId} editorId - User making the change
+ * @param {string} reason - 'update' | 'restore'
+ */
+noteVersionSchema.statics.record = async function (note, editorId, reason = 'update') {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ note: note._id })
+      .sort({ version: -1 })
+      .select('version');
+
+    try {
+      return await this.create({
+        note: note._id,
+        user: note.user,
+        createdBy: editorId,
+        version: latest ? latest.version + 1 : 1,
+        title: note.title,
+        content: note.content,
+        contentType: note.contentType,
+        reason
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const NoteVersion = mongoose.model('NoteVersion', noteVersionSchema);
+
+module.exports = NoteVersion;
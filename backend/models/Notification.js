@@ -0,0 +1,92 @@
+/**
+ * Notification Model
+ * In-app notifications shown in the notification center
+ */
+
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['reminder', 'share', 'share_permission', 'team_invitation', 'team', 'comment', 'mention'],
+      required: true
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    message: {
+      type: String,
+      trim: true
+    },
+    // App path to open when the notification is clicked
+    link: {
+      type: String,
+      default: null
+    },
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      default: null
+    },
+    // User whose action caused the notification
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    isRead: {
+      type: Boolean,
+      default: false
+    },
+    readAt: {
+      type: Date,
+      default: null
+    },
+    // Identifies the event so retried deliveries don't create duplicates
+    dedupeKey: {
+      type: String,
+      default: undefined
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Create a notification once per dedupe key; later calls return the existing one
+ * @param {Object} data - Notification fields including dedupeKey
+ */
+notificationSchema.statics.createOnce = async function (data) {
+  const { dedupeKey, ...fields } = data;
+
+  return this.findOneAndUpdate(
+    { dedupeKey },
+    { $setOnInsert: fields },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -42,6 +42,15 @@ const reminderSchema = new mongoose.Schema(
     notifiedAt: {
       type: Date,
       default: null
+    },
+    // Failed delivery attempts for the current reminderDate
+    deliveryAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastDeliveryError: {
+      type: String,
+      default: null
     }
   },
   {
@@ -0,0 +1,130 @@
+/**
+ * SavedSearch Model
+ * A "smart folder": filter criteria that are evaluated live, so the notes in
+ * it change as notes are edited. Criteria mirror the filters GET /api/notes
+ * accepts.
+ */
+
+const mongoose = require('mongoose');
+
+const criteriaSchema = new mongoose.Schema(
+  {
+    // Search query language (see utils/search)
+    search: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Search cannot exceed 200 characters'],
+      default: ''
+    },
+    tag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag',
+      default: null
+    },
+    // Unset means any folder; null means notes that aren't in a folder
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder'
+    },
+    color: {
+      type: String,
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Invalid color format'],
+      default: null
+    },
+    favorite: {
+      type: Boolean,
+      default: false
+    },
+    createdFrom: {
+      type: Date,
+      default: null
+    },
+    createdTo: {
+      type: Date,
+      default: null
+    },
+    updatedFrom: {
+      type: Date,
+      default: null
+    },
+    updatedTo: {
+      type: Date,
+      default: null
+    },
+    minWords: {
+      type: Number,
+      min: [0, 'Word counts cannot be negative'],
+      default: null
+    },
+    maxWords: {
+      type: Number,
+      min: [0, 'Word counts cannot be negative'],
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters']
+    },
+    icon: {
+      type: String,
+      default: '🔍'
+    },
+    criteria: {
+      type: criteriaSchema,
+      default: () => ({})
+    },
+    order: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// ============================================
+// PRE-VALIDATE MIDDLEWARE
+// ============================================
+
+/**
+ * Ranges must not be upside down
+ */
+savedSearchSchema.pre('validate', function (next) {
+  const { createdFrom, createdTo, updatedFrom, updatedTo, minWords, maxWords } = this.criteria || {};
+
+  if (createdFrom && createdTo && createdFrom > createdTo) {
+    this.invalidate('criteria.createdTo', 'Created-before date must be after the created-after date');
+  }
+  if (updatedFrom && updatedTo && updatedFrom > updatedTo) {
+    this.invalidate('criteria.updatedTo', 'Updated-before date must be after the updated-after date');
+  }
+  if (minWords != null && maxWords != null && minWords > maxWords) {
+    this.invalidate('criteria.maxWords', 'Maximum words must be at least the minimum');
+  }
+
+  next();
+});
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,85 @@
+/**
+ * Security Event Model
+ * Per-user security log: sign-in attempts and account lock changes.
+ * Shown to the user on their profile; entries expire after RETENTION_DAYS.
+ */
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 90;
+
+const EVENT_TYPES = [
+  'login_success',    // password (and second factor, if on) accepted
+  'login_failed',     // wrong password or second-factor code
+  'login_blocked',    // attempt while the account was locked
+  'account_locked',   // too many failed attempts
+  'account_unlocked'  // lock lifted by an administrator
+];
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: EVENT_TYPES,
+      required: true
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    // Extra detail, e.g. { reason: 'password' } or { lockUntil }
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Append an event to a user's log. Never throws: a logging failure
+ * must not break the login it describes.
+ * @param {ObjectId} userId - User
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} [req] - Request the event came from (for IP and user agent)
+ * @param {Object} [details] - Extra detail
+ */
+securityEventSchema.statics.record = async function (userId, type, req = null, details = {}) {
+  try {
+    await this.create({
+      user: userId,
+      type,
+      ip: req?.ip || '',
+      userAgent: (req?.get('User-Agent') || '').slice(0, 300),
+      details
+    });
+  } catch (error) {
+    console.error('Security Event Error:', error.message);
+  }
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
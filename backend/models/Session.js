@@ -0,0 +1,145 @@
+/**
+ * Session Model
+ * One logged-in device. Holds the hash of its current refresh token, which
+ * is replaced every time the token is used (rotation); hashes of tokens
+ * already used are kept so replaying one can be detected.
+ */
+
+const mongoose = require('mongoose');
+
+// Used refresh token hashes remembered per session
+const MAX_PREVIOUS_TOKENS = 20;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    rotatedAt: {
+      type: Date,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'reuse', 'password_change', null],
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================
+// VIRTUAL FIELDS
+// ============================================
+
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Revoke the session
+ * @param {string} reason - Why it was revoked
+ */
+sessionSchema.methods.revoke = function (reason) {
+  if (this.revokedAt) return;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Swap the refresh token hash, but only if the presented one is still current
+ * (two requests racing with the same token can't both win)
+ * @param {ObjectId|string} sessionId - Session
+ * @param {string} currentHash - Hash of the token being used
+ * @param {string} nextHash - Hash of its replacement
+ * @param {Object} fields - Other fields to update (expiresAt, userAgent, ip)
+ * @returns {Object|null} - Updated session, or null if the token was no longer current
+ */
+sessionSchema.statics.rotate = function (sessionId, currentHash, nextHash, fields) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { _id: sessionId, tokenHash: currentHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { ...fields, tokenHash: nextHash, rotatedAt: now, lastUsedAt: now },
+      $push: { previousTokenHashes: { $each: [currentHash], $position: 0, $slice: MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {ObjectId} userId - User
+ * @param {string} reason - Why they were revoked
+ * @param {ObjectId|string} [exceptId] - Session to keep
+ * @returns {Array<string>} - Ids of the revoked sessions
+ */
+sessionSchema.statics.revokeAllForUser = async function (userId, reason, exceptId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  const sessions = await this.find(filter).select('_id');
+  if (sessions.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return sessions.map((session) => session._id.toString());
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
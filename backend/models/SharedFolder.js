@@ -0,0 +1,77 @@
+/**
+ * SharedFolder Model
+ * Shares a folder with a user or a team. Every note in the folder and in its
+ * subfolders, including notes moved there later, is accessible to the
+ * recipient with the share's permission.
+ */
+
+const mongoose = require('mongoose');
+
+const sharedFolderSchema = new mongoose.Schema(
+  {
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+      required: true
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Recipient: exactly one of a user or a team
+    sharedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    sharedWithTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      default: null
+    },
+    permission: {
+      type: String,
+      enum: ['read', 'edit'],
+      default: 'read'
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// One share per folder and recipient
+sharedFolderSchema.index(
+  { folder: 1, sharedWith: 1 },
+  { unique: true, partialFilterExpression: { sharedWith: { $type: 'objectId' } } }
+);
+sharedFolderSchema.index(
+  { folder: 1, sharedWithTeam: 1 },
+  { unique: true, partialFilterExpression: { sharedWithTeam: { $type: 'objectId' } } }
+);
+sharedFolderSchema.index({ sharedWith: 1 });
+sharedFolderSchema.index({ sharedWithTeam: 1 });
+
+// ============================================
+// PRE-VALIDATE MIDDLEWARE
+// ============================================
+
+sharedFolderSchema.pre('validate', function (next) {
+  if (!this.sharedWith === !this.sharedWithTeam) {
+    this.invalidate('sharedWith', 'A folder is shared with either a user or a team');
+  }
+  next();
+});
+
+const SharedFolder = mongoose.model('SharedFolder', sharedFolderSchema);
+
+module.exports = SharedFolder;
@@ -1,9 +1,39 @@
 /**
  * SharedNote Model
- * For sharing notes with other users
+ * For sharing notes with other users, teams, or anyone through a public link.
+ *
+ * A share either names a recipient (sharedWith or sharedWithTeam) or carries
+ * a shareToken for a public, read-only link. Public links can be password protected, expire,
+ * and be revoked; each view is counted and the most recent are logged.
  */
 
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Views remembered per public link
+const MAX_LOGGED_VIEWS = 100;
+
+const shareViewSchema = new mongoose.Schema(
+  {
+    viewedAt: {
+      type: Date,
+      default: Date.now
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    referrer: {
+      type: String,
+      default: ''
+    }
+  },
+  { _id: false }
+);
 
 const sharedNoteSchema = new mongoose.Schema(
   {
@@ -17,10 +47,16 @@ const sharedNoteSchema = new mongoose.Schema(
       ref: 'User',
       required: true
     },
+    // Recipient: a user or a team; both null for public links
     sharedWith: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      default: null
+    },
+    sharedWithTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      default: null
     },
     permission: {
       type: String,
@@ -34,6 +70,37 @@ const sharedNoteSchema = new mongoose.Schema(
     expiresAt: {
       type: Date,
       default: null
+    },
+    // Public link fields. shareToken is left unset (not null) on user
+    // shares so the sparse unique index skips them
+    shareToken: {
+      type: String
+    },
+    passwordHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    isPasswordProtected: {
+      type: Boolean,
+      default: false
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    viewCount: {
+      type: Number,
+      default: 0
+    },
+    lastViewedAt: {
+      type: Date,
+      default: null
+    },
+    views: {
+      type: [shareViewSchema],
+      default: [],
+      select: false
     }
   },
   {
@@ -41,8 +108,94 @@ const sharedNoteSchema = new mongoose.Schema(
   }
 );
 
-// Compound index to prevent duplicate shares
-sharedNoteSchema.index({ note: 1, sharedWith: 1 }, { unique: true });
+// ============================================
+// INDEXES
+// ============================================
+
+// One share per recipient; a note can have any number of public links
+sharedNoteSchema.index(
+  { note: 1, sharedWith: 1 },
+  { unique: true, partialFilterExpression: { sharedWith: { $type: 'objectId' } } }
+);
+sharedNoteSchema.index(
+  { note: 1, sharedWithTeam: 1 },
+  { unique: true, partialFilterExpression: { sharedWithTeam: { $type: 'objectId' } } }
+);
+sharedNoteSchema.index({ sharedWithTeam: 1 });
+sharedNoteSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+// ============================================
+// VIRTUAL FIELDS
+// ============================================
+
+sharedNoteSchema.virtual('isPublic').get(function () {
+  return !!this.shareToken;
+});
+
+sharedNoteSchema.virtual('isExpired').get(function () {
+  return !!(this.expiresAt && this.expiresAt < Date.now());
+});
+
+sharedNoteSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Set or clear the password of a public link
+ * @param {string|null} password - New password; empty clears it
+ */
+sharedNoteSchema.methods.setPassword = async function (password) {
+  if (password) {
+    this.passwordHash = await bcrypt.hash(password, 10);
+    this.isPasswordProtected = true;
+  } else {
+    this.passwordHash = null;
+    this.isPasswordProtected = false;
+  }
+};
+
+/**
+ * Check a password against a public link (needs passwordHash selected)
+ * @param {string} password - Password entered by the visitor
+ * @returns {Promise<boolean>}
+ */
+sharedNoteSchema.methods.checkPassword = function (password) {
+  if (!this.isPasswordProtected) return Promise.resolve(true);
+  if (!password || !this.passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(String(password), this.passwordHash);
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Count a view of a public link and add it to the view log
+ * @param {ObjectId} shareId - Share
+ * @param {Object} view - { ip, userAgent, referrer }
+ * @returns {Object|null} - Updated share
+ */
+sharedNoteSchema.statics.recordView = function (shareId, view) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { _id: shareId },
+    {
+      $inc: { viewCount: 1 },
+      $set: { lastViewedAt: now },
+      $push: { views: { $each: [{ ...view, viewedAt: now }], $position: 0, $slice: MAX_LOGGED_VIEWS } }
+    },
+    { new: true }
+  );
+};
 
 const SharedNote = mongoose.model('SharedNote', sharedNoteSchema);
 
@@ -0,0 +1,115 @@
+/**
+ * Team Model
+ * A group of users that notes and folders can be shared with. Access granted
+ * to a team is resolved through its current members, so joining or leaving
+ * a team changes access immediately.
+ */
+
+const mongoose = require('mongoose');
+const { TEAM_ROLE_LEVELS: ROLE_LEVELS } = require('../config/constants');
+
+const teamMemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: Object.keys(ROLE_LEVELS),
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const teamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Team name is required'],
+      trim: true,
+      maxlength: [50, 'Team name cannot exceed 50 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+      default: ''
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    members: {
+      type: [teamMemberSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+teamSchema.index({ 'members.user': 1 });
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Role of a user in the team
+ * @param {ObjectId|string} userId - User
+ * @returns {string|null} - 'owner' | 'admin' | 'member', or null if not a member
+ */
+teamSchema.methods.getRole = function (userId) {
+  const member = this.members.find((m) => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+/**
+ * Check whether a user has at least the given role
+ * @param {ObjectId|string} userId - User
+ * @param {string} role - Required role
+ */
+teamSchema.methods.hasRole = function (userId, role) {
+  return (ROLE_LEVELS[this.getRole(userId)] || 0) >= ROLE_LEVELS[role];
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Ids of the teams a user belongs to
+ * @param {ObjectId|string} userId - User
+ * @returns {Promise<ObjectId[]>}
+ */
+teamSchema.statics.idsForUser = function (userId) {
+  return this.find({ 'members.user': userId }).distinct('_id');
+};
+
+/**
+ * Ids of all members of the given teams
+ * @param {ObjectId[]} teamIds - Teams
+ * @returns {Promise<string[]>}
+ */
+teamSchema.statics.memberIds = async function (teamIds) {
+  if (teamIds.length === 0) return [];
+  const userIds = await this.find({ _id: { $in: teamIds } }).distinct('members.user');
+  return userIds.map((id) => id.toString());
+};
+
+const Team = mongoose.model('Team', teamSchema);
+
+module.exports = Team;
@@ -0,0 +1,74 @@
+/**
+ * TeamInvitation Model
+ * An invitation for an email address to join a team. The invitee accepts or
+ * declines it after signing in with that address.
+ */
+
+const mongoose = require('mongoose');
+const { INVITATION_TTL_DAYS } = require('../config/constants');
+
+const teamInvitationSchema = new mongoose.Schema(
+  {
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member'],
+      default: 'member'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'revoked'],
+      default: 'pending'
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: () => Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// At most one open invitation per address and team
+teamInvitationSchema.index(
+  { team: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+teamInvitationSchema.index({ email: 1, status: 1 });
+
+// ============================================
+// VIRTUAL FIELDS
+// ============================================
+
+teamInvitationSchema.virtual('isOpen').get(function () {
+  return this.status === 'pending' && this.expiresAt > Date.now();
+});
+
+const TeamInvitation = mongoose.model('TeamInvitation', teamInvitationSchema);
+
+module.exports = TeamInvitation;
@@ -7,6 +7,10 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
+// Failed logins allowed before the account is locked, and for how long
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME = 2 * 60 * 60 * 1000; // 2 hours
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -42,6 +46,11 @@ const userSchema = new mongoose.Schema(
       maxlength: [500, 'Bio cannot exceed 500 characters'],
       default: ''
     },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user'
+    },
     isEmailVerified: {
       type: Boolean,
       default: false
@@ -62,10 +71,6 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false
     },
-    refreshToken: {
-      type: String,
-      select: false
-    },
     twoFactorEnabled: {
       type: Boolean,
       default: false
@@ -74,6 +79,18 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false
     },
+    // SHA-256 hashes of unused backup codes
+    twoFactorBackupCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last TOTP time step accepted, so a code can't be used twice
+    twoFactorLastStep: {
+      type: Number,
+      default: -1,
+      select: false
+    },
     lastLogin: {
       type: Date,
       default: null
@@ -167,10 +184,11 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
-  delete userObject.refreshToken;
   delete userObject.emailVerificationToken;
   delete userObject.passwordResetToken;
   delete userObject.twoFactorSecret;
+  delete userObject.twoFactorBackupCodes;
+  delete userObject.twoFactorLastStep;
   return userObject;
 };
 
@@ -194,23 +212,76 @@ userSchema.methods.generatePasswordResetToken = function () {
   return token;
 };
 
+/**
+ * Replace the backup codes with a fresh set
+ * @returns {Array<string>} - The new codes in plain text (only shown once)
+ */
+userSchema.methods.generateBackupCodes = function () {
+  const codes = Array.from({ length: 10 }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  this.twoFactorBackupCodes = codes.map((code) =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+  return codes;
+};
+
+/**
+ * Spend a backup code
+ * @param {string} code - Code entered by the user
+ * @returns {boolean} - true if it was valid (it's removed)
+ */
+userSchema.methods.useBackupCode = function (code) {
+  const normalized = String(code || '').trim().toLowerCase().replace(/\s/g, '');
+  const formatted = normalized.includes('-') ? normalized : `${normalized.slice(0, 4)}-${normalized.slice(4)}`;
+  const hash = crypto.createHash('sha256').update(formatted).digest('hex');
+
+  const index = this.twoFactorBackupCodes.indexOf(hash);
+  if (index === -1) return false;
+
+  this.twoFactorBackupCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Count a failed login and lock the account after MAX_LOGIN_ATTEMPTS.
+ * The counter is updated atomically so parallel attempts can't slip past the limit.
+ * @returns {Promise<Date|null>} - The lock expiry if this attempt locked the account
+ */
 userSchema.methods.incLoginAttempts = async function () {
+  // An expired lock starts a fresh count
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $set: { loginAttempts: 1 },
       $unset: { lockUntil: 1 }
     });
+    return null;
   }
   
-  const updates = { $inc: { loginAttempts: 1 } };
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { loginAttempts: 1 } },
+    { new: true, projection: { loginAttempts: 1, lockUntil: 1 } }
+  );
   
-  if (this.loginAttempts + 1 >= 5) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 };
+  if (!updated || updated.loginAttempts < MAX_LOGIN_ATTEMPTS || updated.lockUntil) {
+    return null;
   }
   
-  return this.updateOne(updates);
+  // Only the attempt that sets the lock reports it
+  const lockUntil = new Date(Date.now() + LOCK_TIME);
+  const locked = await this.constructor.findOneAndUpdate(
+    { _id: this._id, lockUntil: null },
+    { $set: { lockUntil } }
+  );
+  
+  return locked ? lockUntil : null;
 };
 
+/**
+ * Clear failed attempts and any lock after a successful login
+ */
 userSchema.methods.resetLoginAttempts = function () {
   return this.updateOne({
     $set: { loginAttempts: 0, lastLogin: new Date() },
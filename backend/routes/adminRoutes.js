@@ -0,0 +1,27 @@
+/**
+ * Admin Routes
+ * Operational endpoints restricted to administrators
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getJobs,
+  getJobRuns,
+  runJob,
+  unlockUser
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require an admin
+router.use(protect, authorize('admin'));
+
+// Scheduled jobs
+router.get('/jobs', getJobs);
+router.get('/jobs/:name/runs', getJobRuns);
+router.post('/jobs/:name/run', runJob);
+
+// Users
+router.post('/users/:id/unlock', unlockUser);
+
+module.exports = router;
@@ -12,11 +12,24 @@ const {
   login,
   getMe,
   updateProfile,
-  changePassword
+  changePassword,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  loginTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorStatus
 } = require('../controllers/authController');
 
 // Import middleware
-const { protect } = require('../middleware/authMiddleware');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
+const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
 
 // ============================================
 // PUBLIC ROUTES
@@ -36,6 +49,48 @@ router.post('/register', register);
  */
 router.post('/login', login);
 
+/**
+ * @route   POST /api/auth/2fa/login
+ * @desc    Second login step when two-factor authentication is enabled
+ * @access  Public
+ */
+router.post('/2fa/login', authLimiter, loginTwoFactor);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for new access and refresh tokens
+ * @access  Public
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the current session
+ * @access  Public
+ */
+router.post('/logout', optionalAuth, logout);
+
+/**
+ * @route   POST /api/auth/verify-email/:token
+ * @desc    Verify email address
+ * @access  Public
+ */
+router.post('/verify-email/:token', verifyEmail);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password/:token
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password/:token', passwordResetLimiter, resetPassword);
+
 // ============================================
 // PROTECTED ROUTES
 // ============================================
@@ -61,4 +116,50 @@ router.put('/me', protect, updateProfile);
  */
 router.put('/password', protect, changePassword);
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', protect, passwordResetLimiter, resendVerification);
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status
+ * @access  Private
+ */
+router.get('/2fa', protect, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Generate a secret and otpauth URI for an authenticator app
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm setup with a code and enable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/verify', protect, authLimiter, verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, authLimiter, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Generate a new set of backup codes
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', protect, authLimiter, regenerateBackupCodes);
+
 module.exports = router;
@@ -14,6 +14,12 @@ const {
   getNotesInFolder,
   reorderFolders
 } = require('../controllers/folderController');
+const {
+  shareFolder,
+  getFolderShares,
+  updateFolderShare,
+  removeFolderShare
+} = require('../controllers/shareController');
 const { protect } = require('../middleware/authMiddleware');
 
 // All routes are protected
@@ -35,4 +41,12 @@ router.route('/:id')
 // Get notes in folder
 router.get('/:id/notes', getNotesInFolder);
 
+// Folder sharing
+router.route('/:id/shares')
+  .get(getFolderShares)
+  .post(shareFolder);
+router.route('/:id/shares/:shareId')
+  .put(updateFolderShare)
+  .delete(removeFolderShare);
+
 module.exports = router;
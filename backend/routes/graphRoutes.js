@@ -0,0 +1,17 @@
+/**
+ * Graph Routes
+ * Handles the knowledge graph of notes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getGraph } = require('../controllers/graphController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes are protected
+router.use(protect);
+
+// Notes, tags and folders with the links between them
+router.get('/', getGraph);
+
+module.exports = router;
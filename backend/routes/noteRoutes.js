@@ -16,6 +16,8 @@ const {
   deleteNote,
   togglePinNote,
   searchNotes,
+  getSearchSuggestions,
+  getRelatedNotes,
   getTrashedNotes,
   restoreNote,
   emptyTrash,
@@ -24,10 +26,34 @@ const {
   toggleFavorite,
   duplicateNote
 } = require('../controllers/noteController');
+const {
+  getVersions,
+  getVersionById,
+  restoreVersion,
+  getDiff
+} = require('../controllers/versionController');
+const {
+  uploadAttachment,
+  getAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  getOutlinks,
+  getBacklinks
+} = require('../controllers/linkController');
+const {
+  getComments,
+  getMentionableUsers,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment
+} = require('../controllers/commentController');
 
 // Import middleware
 const { protect } = require('../middleware/authMiddleware');
-const { searchLimiter } = require('../middleware/rateLimiter');
+const { searchLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { uploadSingle } = require('../middleware/uploadMiddleware');
 
 // ============================================
 // APPLY AUTHENTICATION MIDDLEWARE
@@ -41,11 +67,18 @@ router.use(protect);
 
 /**
  * @route   GET /api/notes/search
- * @desc    Search notes by title or content
+ * @desc    Ranked full-text search with highlighted snippets
  * @access  Private
  */
 router.get('/search', searchLimiter, searchNotes);
 
+/**
+ * @route   GET /api/notes/search/suggestions
+ * @desc    Autocomplete tag, folder and other filter values
+ * @access  Private
+ */
+router.get('/search/suggestions', getSearchSuggestions);
+
 /**
  * @route   GET /api/notes/trash
  * @desc    Get all trashed notes
@@ -145,4 +178,132 @@ router.put('/:id/restore', restoreNote);
  */
 router.post('/:id/duplicate', duplicateNote);
 
+/**
+ * @route   GET /api/notes/:id/related
+ * @desc    Notes on a similar topic (?limit=, at most 20)
+ * @access  Private
+ */
+router.get('/:id/related', getRelatedNotes);
+
+// ============================================
+// VERSION HISTORY
+// ============================================
+
+/**
+ * @route   GET /api/notes/:id/versions
+ * @desc    List saved versions of a note
+ * @access  Private
+ */
+router.get('/:id/versions', getVersions);
+
+/**
+ * @route   GET /api/notes/:id/versions/:versionId
+ * @desc    Get a single version with full content
+ * @access  Private
+ */
+router.get('/:id/versions/:versionId', getVersionById);
+
+/**
+ * @route   POST /api/notes/:id/versions/:versionId/restore
+ * @desc    Restore a note to a previous version
+ * @access  Private
+ */
+router.post('/:id/versions/:versionId/restore', restoreVersion);
+
+/**
+ * @route   GET /api/notes/:id/diff
+ * @desc    Diff two versions (?from=<versionId>&to=<versionId|current>)
+ * @access  Private
+ */
+router.get('/:id/diff', getDiff);
+
+// ============================================
+// ATTACHMENTS
+// ============================================
+
+/**
+ * @route   POST /api/notes/:id/attachments
+ * @desc    Upload a file to a note (multipart field "file")
+ * @access  Private
+ */
+router.post('/:id/attachments', uploadLimiter, uploadSingle, uploadAttachment);
+
+/**
+ * @route   GET /api/notes/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private
+ */
+router.get('/:id/attachments/:attachmentId', getAttachment);
+
+/**
+ * @route   DELETE /api/notes/:id/attachments/:attachmentId
+ * @desc    Delete an attachment
+ * @access  Private
+ */
+router.delete('/:id/attachments/:attachmentId', deleteAttachment);
+
+// ============================================
+// LINKS
+// ============================================
+
+/**
+ * @route   GET /api/notes/:id/outlinks
+ * @desc    Notes this note links to with [[Title]] (unresolved links included)
+ * @access  Private
+ */
+router.get('/:id/outlinks', getOutlinks);
+
+/**
+ * @route   GET /api/notes/:id/backlinks
+ * @desc    Notes that link to this note
+ * @access  Private
+ */
+router.get('/:id/backlinks', getBacklinks);
+
+// ============================================
+// COMMENTS
+// ============================================
+
+/**
+ * @route   GET /api/notes/:id/comments
+ * @desc    List comment threads (?status=open|resolved)
+ * @access  Private
+ */
+router.get('/:id/comments', getComments);
+
+/**
+ * @route   GET /api/notes/:id/comments/mentionable
+ * @desc    People who can be @mentioned on the note
+ * @access  Private
+ */
+router.get('/:id/comments/mentionable', getMentionableUsers);
+
+/**
+ * @route   POST /api/notes/:id/comments
+ * @desc    Start a thread or reply to one
+ * @access  Private
+ */
+router.post('/:id/comments', createComment);
+
+/**
+ * @route   PUT /api/notes/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (author)
+ */
+router.put('/:id/comments/:commentId', updateComment);
+
+/**
+ * @route   DELETE /api/notes/:id/comments/:commentId
+ * @desc    Delete a comment, or a whole thread
+ * @access  Private (author or note owner)
+ */
+router.delete('/:id/comments/:commentId', deleteComment);
+
+/**
+ * @route   PATCH /api/notes/:id/comments/:commentId/resolve
+ * @desc    Resolve or reopen a thread
+ * @access  Private
+ */
+router.patch('/:id/comments/:commentId/resolve', resolveComment);
+
 module.exports = router;
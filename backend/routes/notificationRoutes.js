@@ -0,0 +1,33 @@
+/**
+ * Notification Routes
+ * Handles the in-app notification center
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes are protected
+router.use(protect);
+
+// List notifications
+router.get('/', getNotifications);
+
+// Unread badge count
+router.get('/unread-count', getUnreadCount);
+
+// Mark all as read (must come before /:id routes)
+router.patch('/read-all', markAllAsRead);
+
+// Single notification actions
+router.patch('/:id/read', markAsRead);
+router.delete('/:id', deleteNotification);
+
+module.exports = router;
@@ -12,7 +12,11 @@ const {
   changePassword,
   deleteAccount,
   getStats,
-  exportData
+  exportData,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getSecurityLog
 } = require('../controllers/profileController');
 const { protect } = require('../middleware/authMiddleware');
 const { exportLimiter } = require('../middleware/rateLimiter');
@@ -38,4 +42,13 @@ router.get('/stats', getStats);
 // Export data
 router.get('/export', exportLimiter, exportData);
 
+// Login sessions
+router.route('/sessions')
+  .get(getSessions)
+  .delete(revokeOtherSessions);
+router.delete('/sessions/:sessionId', revokeSession);
+
+// Security log
+router.get('/security-log', getSecurityLog);
+
 module.exports = router;
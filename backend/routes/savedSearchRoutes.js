@@ -0,0 +1,34 @@
+/**
+ * Saved Search Routes
+ * Handles saved searches ("smart folders")
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchNotes
+} = require('../controllers/savedSearchController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes are protected
+router.use(protect);
+
+// Saved search CRUD routes
+router.route('/')
+  .get(getSavedSearches)
+  .post(createSavedSearch);
+
+router.route('/:id')
+  .get(getSavedSearch)
+  .put(updateSavedSearch)
+  .delete(deleteSavedSearch);
+
+// Notes currently matching the saved search
+router.get('/:id/notes', getSavedSearchNotes);
+
+module.exports = router;
@@ -13,20 +13,25 @@ const {
   getNotesSharedByMe,
   updateShare,
   removeShare,
-  getNoteShareSettings
+  getNoteShareSettings,
+  revokeShareLink,
+  getShareLinkViews
 } = require('../controllers/shareController');
-const { protect } = require('../middleware/authMiddleware');
-const { shareLimiter } = require('../middleware/rateLimiter');
+const { protect, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { shareLimiter, sharePasswordLimiter } = require('../middleware/rateLimiter');
 
-// Public route - access shared note by token
+// Public routes - access shared note by token (POST sends a link password)
 router.get('/public/:token', getSharedNoteByToken);
+router.post('/public/:token', sharePasswordLimiter, getSharedNoteByToken);
 
 // Protected routes
 router.use(protect);
 
 // Share operations
 router.post('/', shareNote);
-router.post('/link', shareLimiter, generateShareLink);
+router.post('/link', shareLimiter, requireVerifiedEmail, generateShareLink);
+router.post('/link/:id/revoke', revokeShareLink);
+router.get('/link/:id/views', getShareLinkViews);
 
 // Get shared notes
 router.get('/with-me', getNotesSharedWithMe);
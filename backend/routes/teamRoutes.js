@@ -0,0 +1,55 @@
+/**
+ * Team Routes
+ * Handles teams, members and invitations
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getTeams,
+  createTeam,
+  getTeam,
+  updateTeam,
+  deleteTeam,
+  inviteMember,
+  getTeamInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/teamController');
+const { protect, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { shareLimiter } = require('../middleware/rateLimiter');
+
+// All routes are protected
+router.use(protect);
+
+// Team CRUD routes
+router.route('/')
+  .get(getTeams)
+  .post(createTeam);
+
+// Invitations for the current user (before /:id so "invitations" isn't taken as an id)
+router.get('/invitations', getMyInvitations);
+router.post('/invitations/:invitationId/accept', requireVerifiedEmail, acceptInvitation);
+router.post('/invitations/:invitationId/decline', declineInvitation);
+
+router.route('/:id')
+  .get(getTeam)
+  .put(updateTeam)
+  .delete(deleteTeam);
+
+// Team invitations
+router.route('/:id/invitations')
+  .get(getTeamInvitations)
+  .post(shareLimiter, inviteMember);
+router.delete('/:id/invitations/:invitationId', revokeInvitation);
+
+// Members
+router.route('/:id/members/:userId')
+  .patch(updateMemberRole)
+  .delete(removeMember);
+
+module.exports = router;
@@ -9,6 +9,7 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const syncIndexes = require('./config/indexes');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -17,8 +18,20 @@ const tagRoutes = require('./routes/tagRoutes');
 const folderRoutes = require('./routes/folderRoutes');
 const templateRoutes = require('./routes/templateRoutes');
 const shareRoutes = require('./routes/shareRoutes');
+const teamRoutes = require('./routes/teamRoutes');
 const reminderRoutes = require('./routes/reminderRoutes');
 const profileRoutes = require('./routes/profileRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const graphRoutes = require('./routes/graphRoutes');
+
+// Import realtime (WebSocket) server and the collaboration handlers that use it
+const { initRealtime, closeRealtime } = require('./services/realtime');
+const { flushAll: flushCollaboration } = require('./services/collaboration');
+
+// Import background jobs
+const { startJobs, stopJobs } = require('./jobs');
 
 // Import middleware
 const { apiLimiter } = require('./middleware/rateLimiter');
@@ -26,8 +39,10 @@ const { apiLimiter } = require('./middleware/rateLimiter');
 // Initialize Express app
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, migrate changed indexes, then start background jobs
+connectDB()
+  .then(() => syncIndexes())
+  .then(() => startJobs());
 
 // ============================================
 // MIDDLEWARE
@@ -38,7 +53,8 @@ app.use(cors({
    origin: ['http://localhost:5173', 'http://localhost:3000', 'https://cognetix-notes-application.vercel.app'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id', 'If-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 // Parse JSON request bodies
@@ -90,12 +106,27 @@ app.use('/api/templates', templateRoutes);
 // Share routes (mixed - some public, some protected)
 app.use('/api/share', shareRoutes);
 
+// Team routes (protected)
+app.use('/api/teams', teamRoutes);
+
+// Saved search routes (protected)
+app.use('/api/saved-searches', savedSearchRoutes);
+
+// Graph routes (protected)
+app.use('/api/graph', graphRoutes);
+
 // Reminders routes (protected)
 app.use('/api/reminders', reminderRoutes);
 
 // Profile routes (protected)
 app.use('/api/profile', profileRoutes);
 
+// Notification routes (protected)
+app.use('/api/notifications', notificationRoutes);
+
+// Admin routes (protected, admin only)
+app.use('/api/admin', adminRoutes);
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -128,20 +159,33 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
   ============================================
   🚀 Server running on port ${PORT}
   📝 Notes API: http://localhost:${PORT}/api
   🏥 Health: http://localhost:${PORT}/api/health
+  🔌 WebSocket: ws://localhost:${PORT}/ws
   🌍 Environment: ${process.env.NODE_ENV || 'development'}
   ============================================
   `);
 });
 
+// Attach the WebSocket server to the same HTTP server
+initRealtime(server);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('❌ Unhandled Promise Rejection:', err.message);
   // Close server & exit process
   process.exit(1);
 });
+
+// Graceful shutdown: stop jobs and release their locks
+process.on('SIGTERM', async () => {
+  console.log('🛑 SIGTERM received, shutting down');
+  await stopJobs();
+  await flushCollaboration();
+  closeRealtime();
+  server.close(() => process.exit(0));
+});
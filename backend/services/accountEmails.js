@@ -0,0 +1,120 @@
+/**
+ * Account Emails
+ * Messages about the user's account (verification, password reset, security
+ * warnings) and team invitations
+ */
+
+const { sendMail, appUrl } = require('./mailer');
+const { INVITATION_TTL_DAYS } = require('../config/constants');
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Send a short email with a single call-to-action link
+ */
+const sendLinkEmail = ({ to, name, subject, intro, linkText, url, outro }) => {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+
+  return sendMail({
+    to,
+    subject,
+    text: `${greeting}\n\n${intro}\n\n${url}\n\n${outro}`,
+    html:
+      `<p>${escapeHtml(greeting)}</p>` +
+      `<p>${escapeHtml(intro)}</p>` +
+      `<p><a href="${url}">${escapeHtml(linkText)}</a></p>` +
+      `<p>${escapeHtml(outro)}</p>`
+  });
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * @param {Object} user - User document
+ * @param {string} token - Plain verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  return sendLinkEmail({
+    to: user.email,
+    name: user.name,
+    subject: 'Verify your email address',
+    intro: 'Please confirm your email address by opening the link below.',
+    linkText: 'Verify email',
+    url: appUrl(`/verify-email/${token}`),
+    outro: 'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+  });
+};
+
+/**
+ * @param {Object} user - User document
+ * @param {string} token - Plain reset token
+ */
+const sendPasswordResetEmail = (user, token) => {
+  return sendLinkEmail({
+    to: user.email,
+    name: user.name,
+    subject: 'Reset your password',
+    intro: 'Someone asked to reset the password for your account. Open the link below to choose a new one.',
+    linkText: 'Reset password',
+    url: appUrl(`/reset-password/${token}`),
+    outro: 'The link expires in 1 hour. If you did not ask for this, you can ignore this email.'
+  });
+};
+
+/**
+ * Warn the owner that their account was locked after repeated failed logins
+ * @param {Object} user - User document
+ * @param {Object} attempt
+ * @param {string} attempt.ip - IP address of the last failed attempt
+ * @param {Date} attempt.lockUntil - When the lock ends
+ */
+const sendSuspiciousLoginEmail = (user, { ip, lockUntil }) => {
+  return sendLinkEmail({
+    to: user.email,
+    name: user.name,
+    subject: 'Suspicious sign-in attempts on your account',
+    intro:
+      `We locked your account after several failed sign-in attempts` +
+      `${ip ? ` (last one from IP ${ip})` : ''}. ` +
+      `It will unlock automatically at ${lockUntil.toUTCString()}. ` +
+      'If this was not you, we recommend resetting your password.',
+    linkText: 'Reset password',
+    url: appUrl('/forgot-password'),
+    outro: 'If it was you, you can simply wait for the lock to end and sign in again.'
+  });
+};
+
+/**
+ * Invite someone to a team. They may not have an account yet.
+ * @param {string} email - Invitee address
+ * @param {Object} team - Team document
+ * @param {Object} inviter - User who sent the invitation
+ */
+const sendTeamInvitationEmail = (email, team, inviter) => {
+  return sendLinkEmail({
+    to: email,
+    subject: `${inviter.name} invited you to join ${team.name}`,
+    intro: `${inviter.name} invited you to join the team "${team.name}" and see the notes it shares.`,
+    linkText: 'View invitation',
+    url: appUrl('/teams'),
+    outro: `Sign in (or create an account) with ${email} to accept. The invitation expires in ${INVITATION_TTL_DAYS} days.`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendSuspiciousLoginEmail,
+  sendTeamInvitationEmail
+};
@@ -0,0 +1,464 @@
+/**
+ * Collaboration Service
+ * Real-time co-editing of note content over the WebSocket connection.
+ *
+ * Each open note gets an in-memory room holding the authoritative content,
+ * a revision counter and the recent operation history. Clients send
+ * operations tagged with the revision they were made against; the server
+ * transforms them past any concurrent operations (utils/ot), applies them,
+ * acknowledges the sender and relays them to everyone else in the room.
+ * Content is persisted to the note shortly after edits and when the room
+ * empties.
+ *
+ * Client events:  collab:join, collab:leave, collab:op, collab:selection
+ * Server events:  collab:joined, collab:ack, collab:op, collab:selection,
+ *                 collab:presence, collab:error
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Note = require('../models/Note');
+const NoteVersion = require('../models/NoteVersion');
+const ot = require('../utils/ot');
+const { getNoteAccess, hasAccess } = require('./noteAccess');
+const { syncLinksSafely } = require('./noteLinks');
+const { indexNote } = require('./relatedNotes');
+const {
+  onClientEvent,
+  onDisconnect,
+  sendToSocket,
+  emitNoteEvent
+} = require('./realtime');
+
+// Persist this long after the last edit
+const SAVE_DELAY = 2000;
+
+// Keep an empty room around this long so reconnecting clients can resume
+const ROOM_IDLE_TIMEOUT = 60 * 1000;
+
+// Operations kept for transforming late clients; older clients must resync
+const MAX_HISTORY = 500;
+
+// Must match the Note content limit
+const MAX_CONTENT_LENGTH = 50000;
+
+const PRESENCE_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+// noteId -> room
+const rooms = new Map();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Stable color per user so they look the same to everyone
+const colorFor = (userId) => {
+  let hash = 0;
+  for (const char of userId) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
+
+const clampSelection = (selection, length) => {
+  if (!selection) return null;
+  const anchor = Math.min(Math.max(parseInt(selection.anchor, 10) || 0, 0), length);
+  const head = Math.min(Math.max(parseInt(selection.head, 10) || 0, 0), length);
+  return { anchor, head };
+};
+
+const transformSelection = (selection, op) => {
+  if (!selection) return null;
+  return {
+    anchor: ot.transformCursor(selection.anchor, op),
+    head: ot.transformCursor(selection.head, op)
+  };
+};
+
+const getParticipants = (room) => {
+  return [...room.participants.values()].map((participant) => ({
+    clientId: participant.ws.clientId,
+    userId: participant.ws.userId,
+    name: participant.ws.user.name,
+    avatar: participant.ws.user.avatar,
+    color: participant.color,
+    access: participant.access,
+    selection: participant.selection
+  }));
+};
+
+const broadcast = (room, event, data, exceptWs = null) => {
+  for (const participant of room.participants.values()) {
+    if (participant.ws !== exceptWs) sendToSocket(participant.ws, event, data);
+  }
+};
+
+const broadcastPresence = (room) => {
+  broadcast(room, 'collab:presence', {
+    noteId: room.noteId,
+    participants: getParticipants(room)
+  });
+};
+
+/**
+ * Get the open room for a note, creating it from the note if needed
+ */
+const getRoom = (note) => {
+  const noteId = note._id.toString();
+
+  if (rooms.has(noteId)) return rooms.get(noteId);
+
+  const room = {
+    noteId,
+    // Revisions are only meaningful within one room session
+    sessionId: uuidv4(),
+    content: note.content,
+    revision: 0,
+    history: [],
+    historyStart: 0,
+    participants: new Map(),
+    // Last persisted state, recorded as a version on the first save
+    snapshot: {
+      _id: note._id,
+      user: note.user,
+      title: note.title,
+      content: note.content,
+      contentType: note.contentType
+    },
+    versionRecorded: false,
+    lastEditor: null,
+    dirty: false,
+    saveTimer: null,
+    idleTimer: null
+  };
+
+  rooms.set(noteId, room);
+  return room;
+};
+
+/**
+ * Close a room whose note can't be edited any more, telling its participants
+ * @param {Object} room - Room
+ * @param {string} message - Shown to participants
+ */
+const closeRoom = (room, message) => {
+  clearTimeout(room.saveTimer);
+  clearTimeout(room.idleTimer);
+  room.saveTimer = null;
+  room.dirty = false;
+
+  for (const participant of room.participants.values()) {
+    sendToSocket(participant.ws, 'collab:error', { noteId: room.noteId, message });
+    participant.ws.collabRooms?.delete(room.noteId);
+  }
+  room.participants.clear();
+
+  if (rooms.get(room.noteId) === room) rooms.delete(room.noteId);
+};
+
+/**
+ * Write the room's content to the note. If the note was trashed or deleted
+ * meanwhile, nothing is written and the room is closed.
+ */
+const saveRoom = async (room) => {
+  clearTimeout(room.saveTimer);
+  room.saveTimer = null;
+
+  // Content is required on notes; don't persist an emptied document
+  if (!room.dirty || !room.content.trim()) return;
+  room.dirty = false;
+
+  try {
+    const note = await Note.findOneAndUpdate(
+      { _id: room.noteId, isTrashed: false },
+      {
+        content: room.content,
+        ...Note.contentStats(room.content),
+        lastEditedBy: room.lastEditor,
+        $inc: { revision: 1 }
+      },
+      { new: true }
+    )
+      .populate('tags', 'name color')
+      .populate('folder', 'name icon')
+      .populate('lastEditedBy', 'name');
+
+    if (!note) {
+      closeRoom(room, 'This note was moved to the trash or deleted');
+      return;
+    }
+
+    // The pre-edit state, recorded once the first save went through
+    if (!room.versionRecorded) {
+      await NoteVersion.record(room.snapshot, room.lastEditor);
+      room.versionRecorded = true;
+    }
+
+    syncLinksSafely(note);
+    indexNote(note);
+    emitNoteEvent('note:updated', note, null);
+  } catch (error) {
+    room.dirty = true;
+    console.error('Collaboration Save Error:', error.message);
+  }
+};
+
+const scheduleSave = (room) => {
+  if (room.saveTimer) return;
+  room.saveTimer = setTimeout(() => saveRoom(room), SAVE_DELAY);
+  room.saveTimer.unref();
+};
+
+/**
+ * Remove a socket from a room; idle rooms are saved and closed after a grace period
+ */
+const leaveRoom = (room, ws) => {
+  if (!room.participants.delete(ws.clientId)) return;
+  ws.collabRooms?.delete(room.noteId);
+
+  broadcastPresence(room);
+
+  if (room.participants.size === 0) {
+    saveRoom(room);
+    room.idleTimer = setTimeout(async () => {
+      if (room.participants.size > 0) return;
+      await saveRoom(room);
+      rooms.delete(room.noteId);
+    }, ROOM_IDLE_TIMEOUT);
+    room.idleTimer.unref();
+  }
+};
+
+/**
+ * Apply an operation to the room and relay it to participants
+ * @param {Object} room - Room
+ * @param {Array} op - Operation against the current room revision
+ * @param {Object} [origin] - { ws, selection } of the participant that made it
+ */
+const applyOp = (room, op, origin = null) => {
+  room.content = ot.apply(room.content, op);
+  room.revision++;
+  room.history.push({ op, clientId: origin ? origin.ws.clientId : null });
+  if (room.history.length > MAX_HISTORY) {
+    room.history.shift();
+    room.historyStart++;
+  }
+
+  // Keep everyone else's cursor where it was relative to the text
+  for (const participant of room.participants.values()) {
+    if (origin && participant.ws === origin.ws) {
+      participant.selection = origin.selection;
+    } else {
+      participant.selection = transformSelection(participant.selection, op);
+    }
+  }
+
+  room.dirty = true;
+  scheduleSave(room);
+
+  broadcast(room, 'collab:op', {
+    noteId: room.noteId,
+    revision: room.revision,
+    op,
+    clientId: origin ? origin.ws.clientId : null,
+    selection: origin ? origin.selection : null
+  }, origin ? origin.ws : null);
+};
+
+// ============================================
+// CLIENT EVENT HANDLERS
+// ============================================
+
+onClientEvent('collab:join', async (ws, { noteId, sessionId, revision }) => {
+  const result = noteId ? await getNoteAccess(noteId, ws.userId).catch(() => null) : null;
+
+  if (!result) {
+    return sendToSocket(ws, 'collab:error', {
+      noteId,
+      message: 'Note not found or you do not have access to it'
+    });
+  }
+
+  const room = getRoom(result.note);
+
+  clearTimeout(room.idleTimer);
+  room.idleTimer = null;
+
+  room.participants.set(ws.clientId, {
+    ws,
+    access: result.access,
+    color: colorFor(ws.userId),
+    selection: null
+  });
+
+  ws.collabRooms = ws.collabRooms || new Set();
+  ws.collabRooms.add(room.noteId);
+
+  // A reconnecting client that is still on this session gets the operations it
+  // missed instead of a fresh copy, so its unacknowledged edits survive
+  const resumed =
+    sessionId === room.sessionId &&
+    Number.isInteger(revision) &&
+    revision >= room.historyStart &&
+    revision <= room.revision;
+
+  sendToSocket(ws, 'collab:joined', {
+    noteId: room.noteId,
+    sessionId: room.sessionId,
+    resumed,
+    missed: resumed ? room.history.slice(revision - room.historyStart) : [],
+    content: room.content,
+    revision: room.revision,
+    access: result.access,
+    participants: getParticipants(room)
+  });
+
+  broadcastPresence(room);
+});
+
+onClientEvent('collab:leave', async (ws, { noteId }) => {
+  const room = rooms.get(noteId);
+  if (room) leaveRoom(room, ws);
+});
+
+onClientEvent('collab:op', async (ws, { noteId, revision, op, selection }) => {
+  const room = rooms.get(noteId);
+  const participant = room && room.participants.get(ws.clientId);
+
+  if (!participant) {
+    return sendToSocket(ws, 'collab:error', { noteId, message: 'Join the note first', resync: true });
+  }
+
+  if (!hasAccess(participant.access, 'edit')) {
+    return sendToSocket(ws, 'collab:error', { noteId, message: 'You only have view access to this note', resync: true });
+  }
+
+  if (!ot.isValid(op) || !Number.isInteger(revision) || revision < room.historyStart || revision > room.revision) {
+    return sendToSocket(ws, 'collab:error', { noteId, message: 'Out of sync with the server', resync: true });
+  }
+
+  // Bring the op (and the sender's cursor) up to date with concurrent edits
+  let transformed = op;
+  let newSelection = selection;
+  for (const concurrent of room.history.slice(revision - room.historyStart)) {
+    transformed = ot.transform(transformed, concurrent.op, 'right');
+    newSelection = transformSelection(newSelection, concurrent.op);
+  }
+
+  let content;
+  try {
+    content = ot.apply(room.content, transformed);
+  } catch (error) {
+    return sendToSocket(ws, 'collab:error', { noteId, message: 'Out of sync with the server', resync: true });
+  }
+
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return sendToSocket(ws, 'collab:error', {
+      noteId,
+      message: `Content cannot exceed ${MAX_CONTENT_LENGTH} characters`,
+      resync: true
+    });
+  }
+
+  room.lastEditor = ws.userId;
+  applyOp(room, transformed, {
+    ws,
+    selection: clampSelection(newSelection, content.length)
+  });
+
+  sendToSocket(ws, 'collab:ack', { noteId, revision: room.revision });
+});
+
+onClientEvent('collab:selection', async (ws, { noteId, revision, selection }) => {
+  const room = rooms.get(noteId);
+  const participant = room && room.participants.get(ws.clientId);
+
+  // Selections made against an older revision are stale; the next one will do
+  if (!participant || revision !== room.revision) return;
+
+  participant.selection = clampSelection(selection, room.content.length);
+
+  broadcast(room, 'collab:selection', {
+    noteId,
+    clientId: ws.clientId,
+    selection: participant.selection
+  }, ws);
+});
+
+onDisconnect((ws) => {
+  if (!ws.collabRooms) return;
+  for (const noteId of [...ws.collabRooms]) {
+    const room = rooms.get(noteId);
+    if (room) leaveRoom(room, ws);
+  }
+});
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Bring an open room in line with content saved through the REST API,
+ * so collaborators see the change as a regular edit
+ * @param {string|ObjectId} noteId - Note id
+ * @param {string} content - New content
+ */
+const syncContent = (noteId, content) => {
+  const room = rooms.get(noteId.toString());
+  if (!room || room.content === content) return;
+
+  applyOp(room, ot.fromDiff(room.content, content));
+
+  // Already persisted (and versioned) by the caller
+  room.dirty = false;
+  room.snapshot.content = content;
+  room.versionRecorded = false;
+  clearTimeout(room.saveTimer);
+  room.saveTimer = null;
+};
+
+/**
+ * Re-check every participant's access to a note (after shares change)
+ * @param {string|ObjectId} noteId - Note id
+ */
+const refreshAccess = async (noteId) => {
+  const room = rooms.get(noteId.toString());
+  if (!room) return;
+
+  for (const participant of [...room.participants.values()]) {
+    const result = await getNoteAccess(room.noteId, participant.ws.userId).catch(() => null);
+
+    if (!result) {
+      sendToSocket(participant.ws, 'collab:error', {
+        noteId: room.noteId,
+        message: 'Your access to this note was removed'
+      });
+      leaveRoom(room, participant.ws);
+    } else {
+      participant.access = result.access;
+    }
+  }
+
+  broadcastPresence(room);
+};
+
+/**
+ * Re-check access in every open room (after a change that can affect many
+ * notes at once, such as someone leaving a team)
+ */
+const refreshAllAccess = async () => {
+  for (const noteId of [...rooms.keys()]) {
+    await refreshAccess(noteId);
+  }
+};
+
+/**
+ * Save every open room (used on shutdown)
+ */
+const flushAll = async () => {
+  await Promise.all([...rooms.values()].map(saveRoom));
+};
+
+module.exports = {
+  syncContent,
+  refreshAccess,
+  refreshAllAccess,
+  flushAll
+};
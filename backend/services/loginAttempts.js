@@ -0,0 +1,56 @@
+/**
+ * Login Attempts Service
+ * Failed password and second-factor checks count towards the account
+ * lockout, whether they happen at sign-in or when a signed-in user confirms
+ * a sensitive change (password change, turning off 2FA, ...)
+ */
+
+const SecurityEvent = require('../models/SecurityEvent');
+const { sendSuspiciousLoginEmail } = require('./accountEmails');
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * 423 response for a locked account
+ * @param {Object} res - Express response object
+ * @param {Date} lockUntil - When the lock ends
+ */
+const sendLockedResponse = (res, lockUntil) => {
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Your account is temporarily locked after too many failed login attempts.',
+    lockUntil
+  });
+};
+
+/**
+ * Log a failed login and count it towards the lockout. When this attempt
+ * locks the account, the owner is emailed.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {string} reason - 'password' or 'two_factor'
+ * @returns {Date|null} - Lock expiry if the account is now locked
+ */
+const recordFailedLogin = async (user, req, reason) => {
+  await SecurityEvent.record(user._id, 'login_failed', req, { reason });
+
+  const lockUntil = await user.incLoginAttempts();
+  if (!lockUntil) return null;
+
+  console.log(`🔒 Account locked after failed logins: ${user.email}`);
+  await SecurityEvent.record(user._id, 'account_locked', req, { lockUntil });
+
+  sendSuspiciousLoginEmail(user, { ip: req.ip, lockUntil }).catch((error) => {
+    console.error('Suspicious Login Email Error:', error.message);
+  });
+
+  return lockUntil;
+};
+
+module.exports = {
+  sendLockedResponse,
+  recordFailedLogin
+};
@@ -0,0 +1,81 @@
+/**
+ * Mailer Service
+ * Sends email through a pluggable transport selected by MAIL_DRIVER
+ *
+ * Every transport implements the same async interface:
+ *   send({ from, to, subject, text, html }) -> provider-specific info
+ *
+ * Built in: 'smtp' (see smtpTransport.js) and 'log', which only logs the
+ * message. MAIL_DRIVER defaults to 'smtp' when SMTP_HOST is set and 'log'
+ * otherwise. Other providers can be added with registerTransport().
+ */
+
+const smtpTransport = require('./smtpTransport');
+const logTransport = require('./logTransport');
+
+const FROM = process.env.MAIL_FROM || 'Notes App <no-reply@localhost>';
+
+// Base URL used for links in emails
+const APP_URL = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const transports = {
+  smtp: smtpTransport,
+  log: logTransport
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Resolve the transport at send time so env vars loaded after require() still apply
+ */
+const getTransport = () => {
+  const driver = process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? 'smtp' : 'log');
+
+  if (!transports[driver]) {
+    throw new Error(`Unknown MAIL_DRIVER "${driver}". Available: ${Object.keys(transports).join(', ')}`);
+  }
+
+  return transports[driver];
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Make a transport available under a MAIL_DRIVER name
+ * @param {string} name - Driver name
+ * @param {Object} transport - Object with an async send(message) method
+ */
+const registerTransport = (name, transport) => {
+  if (typeof transport?.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send(message)`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email. Rejects if the transport fails so callers can retry.
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ */
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({ from: FROM, to, subject, text, html });
+};
+
+/**
+ * Build an absolute link into the frontend
+ * @param {string} path - App path starting with "/"
+ */
+const appUrl = (path) => `${APP_URL}${path}`;
+
+module.exports = {
+  sendMail,
+  appUrl,
+  registerTransport
+};
@@ -0,0 +1,23 @@
+/**
+ * Log Mail Transport
+ * Renders messages with nodemailer's JSON transport and logs them instead of
+ * sending. Used when no SMTP server is configured.
+ */
+
+const nodemailer = require('nodemailer');
+
+const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+/**
+ * @param {Object} message - { from, to, subject, text, html }
+ */
+const send = async (message) => {
+  const info = await transporter.sendMail(message);
+  console.log(`📧 SMTP not configured, email to ${message.to} not sent: "${message.subject}"`);
+  if (process.env.NODE_ENV === 'development') console.log(message.text);
+  return info;
+};
+
+module.exports = {
+  send
+};
@@ -0,0 +1,36 @@
+/**
+ * SMTP Mail Transport
+ * Sends email through an SMTP server configured with SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER and SMTP_PASS. Point SMTP_HOST at a local test
+ * server (e.g. MailHog on port 1025) during development.
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Lazily create the transport so env vars loaded after require() still apply
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * @param {Object} message - { from, to, subject, text, html }
+ */
+const send = (message) => getTransporter().sendMail(message);
+
+module.exports = {
+  send
+};
@@ -0,0 +1,146 @@
+/**
+ * Note Access Service
+ * Decides what a user may do with a note: owners have full control, share
+ * recipients get the permission of their (unexpired) share. A note can be
+ * shared with the user or one of their teams directly, or through a shared
+ * folder. Folder shares cover the folder's subfolders too, so a note is
+ * reachable through a share on its folder or any ancestor of it. The
+ * highest permission wins.
+ */
+
+const Note = require('../models/Note');
+const Folder = require('../models/Folder');
+const SharedNote = require('../models/SharedNote');
+const SharedFolder = require('../models/SharedFolder');
+const Team = require('../models/Team');
+
+// Higher number = more access
+const ACCESS_LEVELS = {
+  read: 1,
+  edit: 2,
+  owner: 3
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const notExpired = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+/**
+ * Highest permission among shares
+ * @param {Array<{permission: string}>} shares
+ * @returns {string|null}
+ */
+const highestPermission = (shares) => {
+  return shares.reduce((best, share) => {
+    return !best || ACCESS_LEVELS[share.permission] > ACCESS_LEVELS[best] ? share.permission : best;
+  }, null);
+};
+
+/**
+ * Active shares of a note's folder and its ancestors
+ * @param {Object} note - Note document
+ * @param {Object} [recipients] - Filter on the recipient (e.g. { sharedWith: userId })
+ * @param {string} [fields] - Fields to select
+ */
+const findFolderSharesForNote = async (note, recipients = {}, fields = '') => {
+  if (!note.folder) return [];
+
+  const folderIds = await Folder.ancestorIds(note.folder._id || note.folder);
+
+  return SharedFolder.find({
+    folder: { $in: folderIds },
+    owner: note.user._id || note.user,
+    $and: [recipients, notExpired()]
+  }).select(fields);
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Resolve a user's access to a note
+ * @param {string|ObjectId} noteId - Note id
+ * @param {string|ObjectId} userId - User id
+ * @returns {Object|null} - { note, access: 'owner'|'edit'|'read' }, or null if the note
+ *   doesn't exist, is trashed, or the user has no access
+ */
+const getNoteAccess = async (noteId, userId) => {
+  const note = await Note.findOne({ _id: noteId, isTrashed: false });
+  if (!note) return null;
+
+  if (note.user.toString() === userId.toString()) {
+    return { note, access: 'owner' };
+  }
+
+  const teamIds = await Team.idsForUser(userId);
+
+  const recipients = { $or: [{ sharedWith: userId }, { sharedWithTeam: { $in: teamIds } }] };
+
+  const [noteShares, folderShares] = await Promise.all([
+    SharedNote.find({
+      note: note._id,
+      $and: [recipients, notExpired()]
+    }).select('permission'),
+    findFolderSharesForNote(note, recipients, 'permission')
+  ]);
+
+  const access = highestPermission([...noteShares, ...folderShares]);
+  if (!access) return null;
+
+  return { note, access };
+};
+
+/**
+ * Everyone who can currently see a note: the owner, and the users and team
+ * members it is shared with (directly or through a folder)
+ * @param {Object} note - Note document (only _id, user and folder are needed)
+ * @returns {string[]} - User ids, owner first
+ */
+const getNoteAudience = async (note) => {
+  const [noteShares, folderShares] = await Promise.all([
+    SharedNote.find({
+      note: note._id,
+      $and: [
+        { $or: [{ sharedWith: { $ne: null } }, { sharedWithTeam: { $ne: null } }] },
+        notExpired()
+      ]
+    }).select('sharedWith sharedWithTeam'),
+    findFolderSharesForNote(note, {}, 'sharedWith sharedWithTeam')
+  ]);
+
+  const teamIds = [...noteShares, ...folderShares]
+    .map((share) => share.sharedWithTeam)
+    .filter(Boolean);
+  const teamMemberIds = await Team.memberIds(teamIds);
+
+  const ownerId = (note.user._id || note.user).toString();
+  const userIds = new Set([
+    ownerId,
+    ...[...noteShares, ...folderShares]
+      .filter((share) => share.sharedWith)
+      .map((share) => share.sharedWith.toString()),
+    ...teamMemberIds
+  ]);
+
+  return [...userIds];
+};
+
+/**
+ * Check whether an access level satisfies a required one
+ * @param {string} access - Level the user has
+ * @param {string} required - 'read' | 'edit' | 'owner'
+ */
+const hasAccess = (access, required) => {
+  return (ACCESS_LEVELS[access] || 0) >= ACCESS_LEVELS[required];
+};
+
+module.exports = {
+  getNoteAccess,
+  getNoteAudience,
+  hasAccess
+};
@@ -0,0 +1,133 @@
+/**
+ * Note Graph Service
+ * Builds the knowledge graph of a user's notes: notes, tags and folders as
+ * nodes; wiki links between notes, tag membership, folder membership and
+ * the folder hierarchy as edges
+ */
+
+const Note = require('../models/Note');
+const Tag = require('../models/Tag');
+const Folder = require('../models/Folder');
+const NoteLink = require('../models/NoteLink');
+
+// Most notes in one graph (the most recently updated ones)
+const MAX_NOTES = 500;
+
+// Edge kinds that can be asked for
+const GRAPH_LAYERS = ['links', 'tags', 'folders'];
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const tagNodeId = (id) => `tag:${id}`;
+const folderNodeId = (id) => `folder:${id}`;
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Nodes and edges for a user's active notes
+ * @param {ObjectId} userId - Owner of the notes
+ * @param {Object} options
+ * @param {string} [options.tag] - Only notes with this tag
+ * @param {string} [options.folder] - Only notes in this folder or its subfolders
+ * @param {string[]} [options.layers] - Edge kinds to include (GRAPH_LAYERS, all by default)
+ * @returns {Object} - { nodes, edges, truncated }. Note nodes use the note id; tag and
+ *   folder nodes are prefixed ids ('tag:<id>', 'folder:<id>'). Edges are { source, target, type }
+ *   with type 'link', 'tag', 'folder' (note in folder) or 'parent' (folder in folder).
+ */
+const buildGraph = async (userId, { tag, folder, layers = GRAPH_LAYERS } = {}) => {
+  const query = { user: userId, isTrashed: false, isArchived: false };
+  if (tag) query.tags = tag;
+  if (folder) {
+    const subtrees = await Folder.subtreeIds(userId, [folder]);
+    query.folder = { $in: subtrees.get(String(folder)) };
+  }
+
+  const notes = await Note.find(query)
+    .select('title color isPinned tags folder updatedAt')
+    .sort({ updatedAt: -1 })
+    .limit(MAX_NOTES + 1)
+    .lean();
+  const truncated = notes.length > MAX_NOTES;
+  if (truncated) notes.pop();
+
+  const noteIds = notes.map((note) => note._id);
+  const nodes = notes.map((note) => ({
+    id: note._id.toString(),
+    type: 'note',
+    label: note.title,
+    color: note.color,
+    isPinned: note.isPinned
+  }));
+  const edges = [];
+
+  if (layers.includes('links')) {
+    const links = await NoteLink.find({ source: { $in: noteIds }, target: { $in: noteIds } })
+      .select('source target')
+      .lean();
+
+    // One edge per pair, whichever way (or both ways) they link
+    const seen = new Set();
+    for (const link of links) {
+      const [a, b] = [link.source.toString(), link.target.toString()].sort();
+      if (a === b || seen.has(`${a}-${b}`)) continue;
+      seen.add(`${a}-${b}`);
+      edges.push({ source: link.source.toString(), target: link.target.toString(), type: 'link' });
+    }
+  }
+
+  if (layers.includes('tags')) {
+    const tagIds = new Set(notes.flatMap((note) => note.tags.map((id) => id.toString())));
+    const tags = await Tag.find({ _id: { $in: [...tagIds] }, user: userId }).select('name color').lean();
+
+    for (const item of tags) {
+      nodes.push({ id: tagNodeId(item._id), type: 'tag', label: item.name, color: item.color });
+    }
+    const known = new Set(tags.map((item) => item._id.toString()));
+    for (const note of notes) {
+      for (const id of note.tags) {
+        if (known.has(id.toString())) {
+          edges.push({ source: note._id.toString(), target: tagNodeId(id), type: 'tag' });
+        }
+      }
+    }
+  }
+
+  if (layers.includes('folders')) {
+    const folders = await Folder.find({ user: userId }).select('name icon color parent').lean();
+    const foldersById = new Map(folders.map((item) => [item._id.toString(), item]));
+
+    // Folders holding the notes, and the folders above them
+    const included = new Set();
+    for (const note of notes) {
+      let id = note.folder && note.folder.toString();
+      while (id && foldersById.has(id) && !included.has(id)) {
+        included.add(id);
+        id = foldersById.get(id).parent && foldersById.get(id).parent.toString();
+      }
+    }
+
+    for (const id of included) {
+      const item = foldersById.get(id);
+      nodes.push({ id: folderNodeId(id), type: 'folder', label: item.name, icon: item.icon, color: item.color });
+      if (item.parent && included.has(item.parent.toString())) {
+        edges.push({ source: folderNodeId(id), target: folderNodeId(item.parent), type: 'parent' });
+      }
+    }
+    for (const note of notes) {
+      if (note.folder && included.has(note.folder.toString())) {
+        edges.push({ source: note._id.toString(), target: folderNodeId(note.folder), type: 'folder' });
+      }
+    }
+  }
+
+  return { nodes, edges, truncated };
+};
+
+module.exports = {
+  GRAPH_LAYERS,
+  buildGraph
+};
@@ -0,0 +1,181 @@
+/**
+ * Note Links Service
+ * Keeps the link graph (NoteLink) in step with [[wiki links]] in note
+ * content, and answers which notes a note links to and is linked from
+ */
+
+const Note = require('../models/Note');
+const NoteLink = require('../models/NoteLink');
+const { normalizeTitle, parseWikiLinks, linkedTitles } = require('../utils/wikiLinks');
+
+// Case-insensitive title matching
+const TITLE_COLLATION = { locale: 'en', strength: 2 };
+// Characters of the linking note shown around a backlink
+const CONTEXT_LENGTH = 60;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * The user's live notes with the given titles, keyed by normalized title.
+ * When titles repeat, the most recently updated note wins.
+ * @returns {Map<string, ObjectId>}
+ */
+const resolveTitles = async (userId, titles, excludeId) => {
+  if (titles.length === 0) return new Map();
+
+  const notes = await Note.find({
+    user: userId,
+    isTrashed: false,
+    _id: { $ne: excludeId },
+    title: { $in: titles }
+  })
+    .collation(TITLE_COLLATION)
+    .select('title')
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  const byKey = new Map();
+  for (const note of notes) {
+    const key = normalizeTitle(note.title);
+    if (!byKey.has(key)) byKey.set(key, note._id);
+  }
+  return byKey;
+};
+
+/**
+ * A link needs (re)resolving when its note is gone or in the trash
+ */
+const isDangling = (link) => !link.target || link.target.isTrashed;
+
+/**
+ * Text around the first link to a key in some content
+ */
+const linkContext = (content, key) => {
+  const link = parseWikiLinks(content).find((item) => item.key === key);
+  if (!link) return '';
+
+  const start = Math.max(0, link.start - CONTEXT_LENGTH);
+  const end = Math.min(content.length, link.end + CONTEXT_LENGTH);
+  return `${start > 0 ? '…' : ''}${content.slice(start, end).replace(/\s+/g, ' ').trim()}${end < content.length ? '…' : ''}`;
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Bring the graph in line with a saved note: its outgoing links follow its
+ * content, and links elsewhere waiting for its title now point at it
+ * @param {Object} note - Saved note (title, content, user)
+ */
+const syncLinks = async (note) => {
+  const userId = note.user._id || note.user;
+  const titles = linkedTitles(note.content);
+  const keys = titles.map((item) => item.key);
+
+  await NoteLink.deleteMany({ source: note._id, key: { $nin: keys } });
+
+  const existing = await NoteLink.find({ source: note._id })
+    .populate('target', 'isTrashed')
+    .lean();
+  const existingByKey = new Map(existing.map((link) => [link.key, link]));
+
+  // Resolved links stay put (that's what survives renames); new and dangling ones look up their title
+  const unresolved = titles.filter((item) => !existingByKey.has(item.key) || isDangling(existingByKey.get(item.key)));
+  const resolved = await resolveTitles(userId, unresolved.map((item) => item.title), note._id);
+
+  const operations = unresolved
+    .filter((item) => !existingByKey.has(item.key) || resolved.has(item.key))
+    .map((item) => ({
+      updateOne: {
+        filter: { source: note._id, key: item.key },
+        update: { $set: { user: userId, title: item.title, target: resolved.get(item.key) || null } },
+        upsert: true
+      }
+    }));
+  if (operations.length > 0) {
+    await NoteLink.bulkWrite(operations);
+  }
+
+  // Links from other notes that were waiting for this title
+  const waiting = await NoteLink.find({ user: userId, key: normalizeTitle(note.title), source: { $ne: note._id } })
+    .populate('target', 'isTrashed')
+    .lean();
+  const danglingIds = waiting.filter(isDangling).map((link) => link._id);
+  if (danglingIds.length > 0) {
+    await NoteLink.updateMany({ _id: { $in: danglingIds } }, { target: note._id });
+  }
+};
+
+/**
+ * syncLinks without letting a failure break the calling request;
+ * the note's links are synced again on its next save
+ * @param {Object} note - Saved note
+ */
+const syncLinksSafely = (note) => {
+  return syncLinks(note).catch((error) => {
+    console.error('Note Links Error:', error.message);
+  });
+};
+
+/**
+ * Take permanently deleted notes out of the graph. Links to them become
+ * dangling until a note with their title exists.
+ * @param {Array<ObjectId>} noteIds
+ */
+const removeFromGraph = async (noteIds) => {
+  await NoteLink.deleteMany({ source: { $in: noteIds } });
+  await NoteLink.updateMany({ target: { $in: noteIds } }, { target: null });
+};
+
+/**
+ * Links in a note's content, in the order they first appear
+ * @param {Object} note - Note document
+ * @returns {Array<Object>} - [{ title, key, note }]; `note` ({ _id, title }) is null for unresolved links
+ */
+const getOutlinks = async (note) => {
+  // Cheap, and catches edits that didn't go through syncLinks
+  await syncLinks(note);
+
+  const links = await NoteLink.find({ source: note._id })
+    .populate('target', 'title isTrashed')
+    .lean();
+  const byKey = new Map(links.map((link) => [link.key, link]));
+
+  return linkedTitles(note.content).map(({ title, key }) => {
+    const link = byKey.get(key);
+    const target = link && !isDangling(link) ? { _id: link.target._id, title: link.target.title } : null;
+    return { title, key, note: target };
+  });
+};
+
+/**
+ * Live notes that link to a note, most recently updated first
+ * @param {Object} note - Note document
+ * @returns {Array<Object>} - [{ _id, title, updatedAt, context }]; `context` is the text around the link
+ */
+const getBacklinks = async (note) => {
+  const links = await NoteLink.find({ target: note._id })
+    .populate('source', 'title content updatedAt isTrashed')
+    .lean();
+
+  return links
+    .filter((link) => link.source && !link.source.isTrashed)
+    .sort((a, b) => new Date(b.source.updatedAt) - new Date(a.source.updatedAt))
+    .map(({ source, key }) => ({
+      _id: source._id,
+      title: source.title,
+      updatedAt: source.updatedAt,
+      context: linkContext(source.content, key)
+    }));
+};
+
+module.exports = {
+  syncLinks,
+  syncLinksSafely,
+  removeFromGraph,
+  getOutlinks,
+  getBacklinks
+};
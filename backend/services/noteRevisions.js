@@ -0,0 +1,74 @@
+/**
+ * Note Revisions Service
+ * Optimistic concurrency for note writes: every save bumps `revision`, and
+ * clients that send the revision they loaded (If-Match or `revision`) get a
+ * 409 with the server copy instead of overwriting someone else's edit
+ */
+
+const Note = require('../models/Note');
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * ETag for a note's current revision
+ */
+const etagFor = (note) => `"${note.revision}"`;
+
+/**
+ * Query value matching a revision. Notes saved before revisions existed
+ * have no field stored yet.
+ */
+const revisionFilter = (revision) => (revision === 0 ? { $in: [0, null] } : revision);
+
+/**
+ * Read the revision a client expects to be updating, from If-Match or the body
+ * @returns {number|null} - null when the client didn't ask for a conditional update
+ */
+const getExpectedRevision = (req) => {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const revision = parseInt(ifMatch.trim().replace(/^W\//, '').replace(/"/g, ''), 10);
+    return Number.isNaN(revision) ? -1 : revision;
+  }
+
+  if (req.body && req.body.revision !== undefined) {
+    const revision = parseInt(req.body.revision, 10);
+    return Number.isNaN(revision) ? -1 : revision;
+  }
+
+  return null;
+};
+
+/**
+ * Respond with 409 and the current server copy so the client can resolve the conflict
+ */
+const sendConflict = async (res, noteId) => {
+  const current = await Note.findById(noteId)
+    .populate('tags', 'name color')
+    .populate('folder', 'name icon')
+    .populate('lastEditedBy', 'name');
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Note not found'
+    });
+  }
+
+  res.set('ETag', etagFor(current));
+  return res.status(409).json({
+    success: false,
+    message: 'This note was changed since you loaded it',
+    note: current
+  });
+};
+
+module.exports = {
+  etagFor,
+  revisionFilter,
+  getExpectedRevision,
+  sendConflict
+};
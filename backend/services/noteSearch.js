@@ -0,0 +1,247 @@
+/**
+ * Note Search Service
+ * Compiles search queries (syntax in utils/search) into note filters for a
+ * user, resolving tag and folder names to ids, suggests filter values for
+ * autocomplete, and turns list filters (GET /api/notes, saved searches) into
+ * note queries
+ */
+
+const Note = require('../models/Note');
+const Tag = require('../models/Tag');
+const Folder = require('../models/Folder');
+const {
+  SEARCH_FIELDS,
+  IS_VALUES,
+  searchError,
+  parseQuery,
+  buildSearchConditions
+} = require('../utils/search');
+
+// Suggestions returned per request
+const MAX_SUGGESTIONS = 10;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Quote a filter value that contains spaces
+ */
+const formatValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * Ids of the user's tags or folders with a given name (case-insensitive)
+ */
+const idsByName = (items, name) => {
+  const lower = name.toLowerCase();
+  return items.filter((item) => item.name.toLowerCase() === lower).map((item) => item._id);
+};
+
+/**
+ * Dates and numbers arrive as strings from query params; unparseable values
+ * are ignored like missing ones
+ */
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Mongo range condition from optional bounds (inclusive), or null
+ */
+const rangeCondition = (from, to) => {
+  if (from === null && to === null) return null;
+
+  const condition = {};
+  if (from !== null) condition.$gte = from;
+  if (to !== null) condition.$lte = to;
+  return condition;
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Parse a query and build the filter conditions for a user's notes
+ * @param {ObjectId} userId - Searching user
+ * @param {string} query - Raw query
+ * @param {Object} options - Passed to buildSearchConditions ({ textIndex })
+ * @returns {Object} - { parsed, conditions, useTextScore }
+ * @throws {Error} - With `statusCode` 400 and `details` for malformed queries or unknown names
+ */
+const compileSearch = async (userId, query, options) => {
+  const parsed = parseQuery(query);
+
+  const needsTags = parsed.filters.some((filter) => filter.field === 'tag');
+  const needsFolders = parsed.filters.some((filter) => filter.field === 'folder');
+  const [tags, folders] = await Promise.all([
+    needsTags ? Tag.find({ user: userId }).select('name') : [],
+    needsFolders ? Folder.find({ user: userId }).select('name') : []
+  ]);
+
+  const errors = [];
+  for (const filter of parsed.filters) {
+    const token = query.slice(filter.start, filter.end);
+
+    if (filter.field === 'tag') {
+      filter.ids = idsByName(tags, filter.value);
+      if (filter.ids.length === 0) {
+        errors.push({ code: 'UNKNOWN_TAG', message: `No tag named "${filter.value}"`, token, start: filter.start, end: filter.end });
+      }
+    } else if (filter.field === 'folder') {
+      filter.ids = filter.value.toLowerCase() === 'none' ? [null] : idsByName(folders, filter.value);
+      if (filter.ids.length === 0) {
+        errors.push({ code: 'UNKNOWN_FOLDER', message: `No folder named "${filter.value}"`, token, start: filter.start, end: filter.end });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw searchError(errors);
+  }
+
+  return { parsed, ...buildSearchConditions(parsed, options) };
+};
+
+/**
+ * Autocomplete a filter. Without a field, suggests field names.
+ * @param {ObjectId} userId - Searching user
+ * @param {string} field - Filter being typed (e.g. 'tag'), or empty
+ * @param {string} value - What has been typed so far
+ * @returns {Array<Object>} - [{ value, label, insert }]; `insert` is the full token
+ */
+const suggest = async (userId, field, value = '') => {
+  const prefix = value.replace(/"/g, '').toLowerCase();
+  let values;
+
+  switch (field) {
+    case 'tag':
+      values = (await Tag.find({ user: userId }).select('name').sort({ name: 1 })).map((tag) => tag.name);
+      break;
+    case 'folder':
+      values = [
+        ...(await Folder.find({ user: userId }).select('name').sort({ name: 1 })).map((folder) => folder.name),
+        'none'
+      ];
+      break;
+    case 'is':
+      values = IS_VALUES;
+      break;
+    case 'color':
+      values = await Note.distinct('color', { user: userId, isTrashed: false });
+      break;
+    case 'created':
+    case 'updated':
+      values = [];
+      break;
+    default:
+      return SEARCH_FIELDS
+        .filter((name) => name.startsWith(prefix))
+        .map((name) => ({ value: name, label: `${name}:`, insert: `${name}:` }));
+  }
+
+  return [...new Set(values)]
+    .filter((item) => item.toLowerCase().startsWith(prefix))
+    .slice(0, MAX_SUGGESTIONS)
+    .map((item) => ({ value: item, label: item, insert: `${field}:${formatValue(item)}` }));
+};
+
+/**
+ * Build the query for a user's active notes matching list filters
+ * @param {ObjectId} userId - Owner of the notes
+ * @param {Object} criteria - { search, tag, folder, color, favorite, createdFrom, createdTo,
+ *   updatedFrom, updatedTo, minWords, maxWords }; a null or 'null' folder means no folder
+ * @returns {Object} - Note query
+ * @throws {Error} - From compileSearch when the search query is malformed
+ */
+const buildNoteQuery = async (userId, criteria = {}) => {
+  const query = {
+    user: userId,
+    isTrashed: false,
+    isArchived: false
+  };
+
+  // Same query language as /search, but words match as substrings so
+  // results keep the requested sort
+  const search = criteria.search ? String(criteria.search).trim() : '';
+  if (search) {
+    const { conditions } = await compileSearch(userId, search, { textIndex: false });
+    query.$and = conditions;
+  }
+
+  if (criteria.tag) {
+    query.tags = criteria.tag;
+  }
+
+  if (criteria.folder !== undefined && criteria.folder !== '') {
+    query.folder = criteria.folder === null || criteria.folder === 'null' ? null : criteria.folder;
+  }
+
+  if (criteria.color) {
+    query.color = criteria.color;
+  }
+
+  if (criteria.favorite === true || criteria.favorite === 'true') {
+    query.isFavorite = true;
+  }
+
+  const ranges = {
+    createdAt: rangeCondition(toDate(criteria.createdFrom), toDate(criteria.createdTo)),
+    updatedAt: rangeCondition(toDate(criteria.updatedFrom), toDate(criteria.updatedTo)),
+    wordCount: rangeCondition(toNumber(criteria.minWords), toNumber(criteria.maxWords))
+  };
+  for (const [field, condition] of Object.entries(ranges)) {
+    if (condition) query[field] = condition;
+  }
+
+  return query;
+};
+
+/**
+ * One page of notes for a query, pinned notes first
+ * @param {Object} query - Note query (see buildNoteQuery)
+ * @param {Object} options - { page, limit, sortBy, sortOrder }
+ * @returns {Object} - { notes, total, page, pages }
+ */
+const findNotesPage = async (query, { page = 1, limit = 20, sortBy = 'updatedAt', sortOrder = 'desc' } = {}) => {
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const skip = (pageNum - 1) * limitNum;
+
+  const sortOptions = {};
+  sortOptions.isPinned = -1; // Always sort pinned notes first
+  sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+  const [notes, total] = await Promise.all([
+    Note.find(query)
+      .populate('tags', 'name color')
+      .populate('folder', 'name icon')
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Note.countDocuments(query)
+  ]);
+
+  return {
+    notes,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum)
+  };
+};
+
+module.exports = {
+  compileSearch,
+  suggest,
+  buildNoteQuery,
+  findNotesPage
+};
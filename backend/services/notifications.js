@@ -0,0 +1,40 @@
+/**
+ * Notification Service
+ * Single entry point for creating in-app notifications
+ */
+
+const Notification = require('../models/Notification');
+const { emitToUsers } = require('./realtime');
+
+/**
+ * Create a notification for a user
+ * @param {Object} data - Notification fields (user, type, title, message, link, note, actor)
+ * @param {string} [data.dedupeKey] - When set, only one notification is ever created for this key
+ * @returns {Object} - The notification document
+ */
+const notify = async (data) => {
+  const notification = data.dedupeKey
+    ? await Notification.createOnce(data)
+    : await Notification.create(data);
+
+  // Push to the recipient's open sessions so the bell updates immediately
+  emitToUsers([notification.user], 'notification:created', { notification });
+
+  return notification;
+};
+
+/**
+ * Create a notification without letting a failure break the calling request
+ * @param {Object} data - Same as notify()
+ */
+const notifySafely = (data) => {
+  return notify(data).catch((error) => {
+    console.error('Notification Error:', error.message);
+    return null;
+  });
+};
+
+module.exports = {
+  notify,
+  notifySafely
+};
@@ -0,0 +1,255 @@
+/**
+ * Realtime Service
+ * WebSocket server that pushes note and notification events to connected
+ * clients. Connections authenticate with the same JWT as the REST API,
+ * passed as the `token` query parameter: ws://host/ws?token=<jwt>
+ *
+ * Messages in both directions are JSON: { event, data }. Other services
+ * handle client messages by registering with onClientEvent().
+ */
+
+const { WebSocketServer } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { getNoteAudience } = require('./noteAccess');
+
+const WS_PATH = '/ws';
+
+// How often dead connections are detected and dropped
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// userId -> Set of sockets (one per browser tab/device)
+const connections = new Map();
+
+// event name -> handler(ws, data) for messages sent by clients
+const clientEventHandlers = new Map();
+
+// handler(ws) called when a socket closes
+const disconnectHandlers = [];
+
+let wss = null;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const addConnection = (userId, socket) => {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+};
+
+const removeConnection = (userId, socket) => {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) connections.delete(userId);
+};
+
+/**
+ * Route a client message to its registered handler
+ */
+const handleClientMessage = async (ws, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return;
+  }
+
+  const handler = clientEventHandlers.get(message?.event);
+  if (!handler) return;
+
+  try {
+    await handler(ws, message.data || {});
+  } catch (error) {
+    console.error(`Realtime Handler Error (${message.event}):`, error.message);
+  }
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Attach the WebSocket server to the HTTP server
+ * @param {http.Server} server - Server returned by app.listen()
+ */
+const initRealtime = (server) => {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== WS_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    let auth;
+    try {
+      auth = await verifyToken(url.searchParams.get('token') || '');
+    } catch (error) {
+      auth = null;
+    }
+
+    if (!auth || !auth.user) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, auth);
+    });
+  });
+
+  wss.on('connection', (ws, { user, sessionId }) => {
+    const userId = user._id.toString();
+
+    ws.userId = userId;
+    ws.sessionId = sessionId;
+    ws.user = { _id: user._id, name: user.name, avatar: user.avatar };
+    ws.clientId = uuidv4();
+    ws.isAlive = true;
+    addConnection(userId, ws);
+
+    // Clients echo this id in the X-Client-Id header so their own
+    // changes aren't echoed back to them
+    ws.send(JSON.stringify({ event: 'hello', data: { clientId: ws.clientId } }));
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => handleClientMessage(ws, raw));
+
+    ws.on('close', () => {
+      removeConnection(userId, ws);
+      for (const handler of disconnectHandlers) handler(ws);
+    });
+    ws.on('error', (error) => console.error('WebSocket Error:', error.message));
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`🔌 WebSocket server listening on ${WS_PATH}`);
+  return wss;
+};
+
+/**
+ * Send an event to a single socket
+ * @param {WebSocket} ws - Target socket
+ * @param {string} event - Event name
+ * @param {Object} data - Payload
+ */
+const sendToSocket = (ws, event, data) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ event, data }));
+  }
+};
+
+/**
+ * Register a handler for messages sent by clients
+ * @param {string} event - Event name
+ * @param {Function} handler - async (ws, data) => {}
+ */
+const onClientEvent = (event, handler) => {
+  clientEventHandlers.set(event, handler);
+};
+
+/**
+ * Register a handler called whenever a socket disconnects
+ * @param {Function} handler - (ws) => {}
+ */
+const onDisconnect = (handler) => {
+  disconnectHandlers.push(handler);
+};
+
+/**
+ * Send an event to every session of the given users
+ * @param {Array} userIds - Recipient user ids
+ * @param {string} event - Event name
+ * @param {Object} data - Payload
+ * @param {Object} [options]
+ * @param {string} [options.exceptClientId] - Session that caused the event; it is skipped
+ */
+const emitToUsers = (userIds, event, data, { exceptClientId } = {}) => {
+  const message = JSON.stringify({ event, data });
+
+  for (const userId of new Set(userIds.map(String))) {
+    const sockets = connections.get(userId);
+    if (!sockets) continue;
+
+    for (const ws of sockets) {
+      if (ws.clientId === exceptClientId || ws.readyState !== ws.OPEN) continue;
+      ws.send(message);
+    }
+  }
+};
+
+/**
+ * Broadcast a note change to the owner and share recipients.
+ * Never throws; realtime delivery is best effort.
+ * @param {string} event - e.g. "note:updated"
+ * @param {Object} note - Note document
+ * @param {Object|null} req - Originating request (used to skip the sender's session)
+ * @param {Object} [data] - Payload; defaults to { note }
+ */
+const emitNoteEvent = async (event, note, req, data = { note }) => {
+  if (!wss) return;
+
+  try {
+    const audience = await getNoteAudience(note);
+    emitToUsers(audience, event, data, { exceptClientId: req ? req.get('X-Client-Id') : null });
+  } catch (error) {
+    console.error('Realtime Emit Error:', error.message);
+  }
+};
+
+/**
+ * Disconnect sockets opened under the given login sessions (after they're revoked)
+ * @param {Array<string|ObjectId>} sessionIds - Session ids
+ */
+const closeSessions = (sessionIds) => {
+  if (!wss || sessionIds.length === 0) return;
+
+  const ids = new Set(sessionIds.map(String));
+  for (const ws of wss.clients) {
+    if (ws.sessionId && ids.has(ws.sessionId)) ws.close(4001, 'Session revoked');
+  }
+};
+
+/**
+ * Close all connections (used on shutdown)
+ */
+const closeRealtime = () => {
+  if (!wss) return;
+  for (const ws of wss.clients) ws.close(1001, 'Server shutting down');
+  wss.close();
+  wss = null;
+};
+
+module.exports = {
+  initRealtime,
+  onClientEvent,
+  onDisconnect,
+  sendToSocket,
+  emitToUsers,
+  emitNoteEvent,
+  closeSessions,
+  closeRealtime
+};
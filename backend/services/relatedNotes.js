@@ -0,0 +1,150 @@
+/**
+ * Related Notes Service
+ * Keeps the TF-IDF index (NoteVector) of note titles and content and finds
+ * the notes most similar to a given one. Notes saved before the index
+ * existed, or changed without going through indexNote (co-editing, version
+ * restores), are (re)indexed the next time related notes are requested.
+ */
+
+const Note = require('../models/Note');
+const NoteVector = require('../models/NoteVector');
+const { countTerms, inverseDocumentFrequency, weigh, similarity } = require('../utils/tfidf');
+
+// Related notes returned by default, and at most
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+// Below this cosine similarity notes aren't considered related
+const MIN_SCORE = 0.05;
+// Shared terms reported per related note
+const MAX_SHARED_TERMS = 5;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Count a note's terms and store them
+ * @param {Object} note - Note with title, content, user and revision
+ * @returns {Object} - The NoteVector (lean)
+ */
+const saveVector = (note) => {
+  return NoteVector.findOneAndUpdate(
+    { note: note._id },
+    {
+      user: note.user._id || note.user,
+      revision: note.revision,
+      terms: countTerms(note.title, note.content)
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Vectors for a user's active notes, indexing the ones missing or stale
+ * @param {ObjectId} userId
+ * @returns {Array<Object>} - NoteVectors (lean)
+ */
+const loadVectors = async (userId) => {
+  const [notes, vectors] = await Promise.all([
+    Note.find({ user: userId, isTrashed: false }).select('revision').lean(),
+    NoteVector.find({ user: userId }).select('note revision terms').lean()
+  ]);
+
+  const vectorsByNote = new Map(vectors.map((vector) => [vector.note.toString(), vector]));
+  const current = [];
+  const staleIds = [];
+
+  for (const note of notes) {
+    const vector = vectorsByNote.get(note._id.toString());
+    if (vector && vector.revision === note.revision) {
+      current.push(vector);
+    } else {
+      staleIds.push(note._id);
+    }
+  }
+
+  if (staleIds.length > 0) {
+    const staleNotes = await Note.find({ _id: { $in: staleIds } }).select('title content user revision').lean();
+    const refreshed = await Promise.all(staleNotes.map(indexNote));
+    current.push(...refreshed.filter(Boolean));
+  }
+
+  return current;
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Refresh a note's entry in the index after it was created or edited.
+ * Failures are logged, not thrown: the entry is rebuilt on the next lookup.
+ * @param {Object} note - Saved note
+ */
+const indexNote = (note) => {
+  return saveVector(note).catch((error) => {
+    console.error('Related Notes Index Error:', error.message);
+    return null;
+  });
+};
+
+/**
+ * Drop notes from the index (permanent deletes)
+ * @param {Array<ObjectId>} noteIds
+ */
+const removeFromIndex = (noteIds) => {
+  return NoteVector.deleteMany({ note: { $in: noteIds } });
+};
+
+/**
+ * A user's notes most similar to a note, best first. The note itself may
+ * belong to someone else (a note shared with the user).
+ * @param {Object} note - Note document
+ * @param {ObjectId} userId - Whose notes to search
+ * @param {number} limit - Notes returned (at most MAX_LIMIT)
+ * @returns {Array<Object>} - [{ note, score, terms }]; `terms` are the shared terms that weigh most
+ */
+const findRelated = async (note, userId, limit = DEFAULT_LIMIT) => {
+  const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const vectors = await loadVectors(userId);
+  const noteId = note._id.toString();
+  const own = vectors.find((vector) => vector.note.toString() === noteId);
+  const targetTerms = own ? own.terms : countTerms(note.title, note.content);
+
+  // A note shared with the user isn't in their collection; count it in anyway
+  const documents = vectors.map((vector) => vector.terms);
+  if (!own) documents.push(targetTerms);
+  const idf = inverseDocumentFrequency(documents);
+  const target = weigh(targetTerms, idf);
+
+  const matches = vectors
+    .filter((vector) => vector.note.toString() !== noteId)
+    .map((vector) => ({ noteId: vector.note, ...similarity(target, weigh(vector.terms, idf)) }))
+    .filter((match) => match.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count);
+
+  if (matches.length === 0) return [];
+
+  const notes = await Note.find({ _id: { $in: matches.map((match) => match.noteId) } })
+    .select('title color isPinned isArchived updatedAt tags folder')
+    .populate('tags', 'name color')
+    .populate('folder', 'name icon')
+    .lean();
+  const notesById = new Map(notes.map((item) => [item._id.toString(), item]));
+
+  return matches
+    .filter((match) => notesById.has(match.noteId.toString()))
+    .map((match) => ({
+      note: notesById.get(match.noteId.toString()),
+      score: Math.round(match.score * 1000) / 1000,
+      terms: match.terms.slice(0, MAX_SHARED_TERMS)
+    }));
+};
+
+module.exports = {
+  indexNote,
+  removeFromIndex,
+  findRelated
+};
@@ -0,0 +1,193 @@
+/**
+ * Session Service
+ * Issues access/refresh token pairs for login sessions and rotates refresh tokens.
+ *
+ * Access tokens are short-lived JWTs carrying the session id (sid). Refresh
+ * tokens look like "<sessionId>.<secret>" and are single use: each refresh
+ * returns a new one, and presenting an already used one again revokes the
+ * session, since it means the token was copied.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { closeSessions } = require('./realtime');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// The token rotated away this recently is most likely another tab refreshing
+// at the same moment, so it's turned away without revoking the session
+const REUSE_GRACE_MS = 10 * 1000;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 300),
+  ip: req.ip || ''
+});
+
+/**
+ * Split a refresh token into its session id and secret
+ * @returns {Object|null} - { sessionId, secret }
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) return null;
+
+  return { sessionId, secret };
+};
+
+/**
+ * Sign an access token for a session
+ * @param {ObjectId} userId - User
+ * @param {ObjectId} sessionId - Login session
+ * @returns {string} - JWT
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Start a login session for a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device details)
+ * @returns {Object} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request (for device details)
+ * @returns {Object} - { status } where status is one of
+ *   'ok'         also has session, accessToken, refreshToken
+ *   'invalid'    unknown, expired or revoked
+ *   'superseded' already rotated moments ago by a concurrent request
+ *   'reused'     an old token was replayed; the session has been revoked
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { status: 'invalid' };
+
+  const tokenHash = hashToken(parsed.secret);
+  const secret = newSecret();
+
+  const session = await Session.rotate(parsed.sessionId, tokenHash, hashToken(secret), {
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  if (session) {
+    return {
+      status: 'ok',
+      session,
+      accessToken: signAccessToken(session.user, session._id),
+      refreshToken: `${session._id}.${secret}`
+    };
+  }
+
+  // Not the current token - find out whether it's one we issued before
+  const existing = await Session.findById(parsed.sessionId).select('+previousTokenHashes');
+  if (!existing || !existing.isActive) return { status: 'invalid' };
+
+  const index = existing.previousTokenHashes.indexOf(tokenHash);
+  if (index === -1) return { status: 'invalid' };
+
+  if (index === 0 && Date.now() - existing.rotatedAt < REUSE_GRACE_MS) {
+    return { status: 'superseded' };
+  }
+
+  existing.revoke('reuse');
+  await existing.save();
+  closeSessions([existing._id]);
+
+  console.warn(`⚠️  Refresh token reuse detected; session ${existing._id} of user ${existing.user} revoked`);
+
+  return { status: 'reused', session: existing };
+};
+
+/**
+ * End a session identified by its current refresh token
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {boolean} - Whether a session was ended
+ */
+const endSessionByToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    tokenHash: hashToken(parsed.secret),
+    revokedAt: null
+  });
+  if (!session) return false;
+
+  return endSession(session, 'logout');
+};
+
+/**
+ * Revoke a session and disconnect its sockets
+ * @param {Object} session - Session document
+ * @param {string} reason - Why it was revoked
+ * @returns {boolean}
+ */
+const endSession = async (session, reason) => {
+  session.revoke(reason);
+  await session.save();
+  closeSessions([session._id]);
+  return true;
+};
+
+/**
+ * Revoke all of a user's sessions and disconnect their sockets
+ * @param {ObjectId} userId - User
+ * @param {string} reason - Why they were revoked
+ * @param {ObjectId|string} [exceptId] - Session to keep
+ * @returns {number} - How many were revoked
+ */
+const endAllSessions = async (userId, reason, exceptId = null) => {
+  const revoked = await Session.revokeAllForUser(userId, reason, exceptId);
+  closeSessions(revoked);
+  return revoked.length;
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  endSession,
+  endSessionByToken,
+  endAllSessions
+};
@@ -0,0 +1,45 @@
+/**
+ * Storage Service
+ * Selects the attachment storage adapter based on STORAGE_DRIVER
+ *
+ * Every adapter implements the same async interface:
+ *   save({ buffer, key, mimeType })  -> { key, size }
+ *   createReadStream(key)            -> Readable stream that emits 'open' once readable
+ *   remove(key)                      -> void (no error if missing)
+ */
+
+const localDiskStorage = require('./localDiskStorage');
+
+const adapters = {
+  local: localDiskStorage
+};
+
+const driver = process.env.STORAGE_DRIVER || 'local';
+
+if (!adapters[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Available: ${Object.keys(adapters).join(', ')}`);
+}
+
+const storage = adapters[driver];
+
+/**
+ * Remove the stored files of every attachment on the given notes.
+ * Used when notes are permanently deleted.
+ * @param {Array<Object>} notes - Note documents (or lean objects) with attachments
+ */
+const removeAttachmentFiles = async (notes) => {
+  const keys = notes.flatMap((note) => (note.attachments || []).map((file) => file.publicId));
+
+  await Promise.all(
+    keys.filter(Boolean).map((key) =>
+      storage.remove(key).catch((error) => {
+        console.error(`Failed to remove attachment ${key}:`, error.message);
+      })
+    )
+  );
+};
+
+module.exports = {
+  ...storage,
+  removeAttachmentFiles
+};
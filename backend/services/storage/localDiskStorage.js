@@ -0,0 +1,46 @@
+/**
+ * Local Disk Storage Adapter
+ * Stores attachment files under UPLOAD_DIR (defaults to backend/uploads)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+/**
+ * Resolve a storage key to an absolute path, refusing anything outside ROOT
+ * @param {string} key - Storage key, e.g. "<userId>/<uuid>.pdf"
+ * @returns {string} - Absolute file path
+ */
+const resolveKey = (key) => {
+  const filePath = path.resolve(ROOT, key);
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+const save = async ({ buffer, key }) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  return { key, size: buffer.length };
+};
+
+const createReadStream = (key) => fs.createReadStream(resolveKey(key));
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  save,
+  createReadStream,
+  remove
+};
@@ -0,0 +1,201 @@
+/**
+ * Diff Utilities
+ * Line- and word-level text diffing (Myers' O(ND) algorithm)
+ */
+
+// Beyond this many edits the remaining region is reported as a plain
+// delete/insert block, which keeps memory bounded for wholesale rewrites
+const MAX_EDIT_DISTANCE = 2000;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Compute the shortest edit script between two token arrays
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array<Object>} - [{ type: 'equal'|'delete'|'insert', value }]
+ */
+const diffTokens = (a, b) => {
+  // Trim common prefix and suffix - cheap and usually most of the document
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', value: a[i] });
+  ops.push(...myers(a.slice(start, endA), b.slice(start, endB)));
+  for (let i = endA; i < a.length; i++) ops.push({ type: 'equal', value: a[i] });
+
+  return ops;
+};
+
+/**
+ * Myers' diff on the (already trimmed) middle section
+ */
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const trace = [];
+  let v = new Int32Array(2 * max + 3);
+  let found = -1;
+
+  for (let d = 0; d <= max && found < 0; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+  }
+
+  // Too many edits - give up and replace the whole region
+  if (found < 0) {
+    return [
+      ...a.map((value) => ({ type: 'delete', value })),
+      ...b.map((value) => ({ type: 'insert', value }))
+    ];
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const prev = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = prev[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'insert', value: b[--y] });
+    } else {
+      ops.push({ type: 'delete', value: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', value: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Split text into words, whitespace runs and punctuation
+ */
+const tokenizeWords = (text) => text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+
+/**
+ * Merge consecutive ops of the same type into segments
+ */
+const toSegments = (ops) => {
+  const segments = [];
+  for (const op of ops) {
+    const last = segments[segments.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      segments.push({ type: op.type, value: op.value });
+    }
+  }
+  return segments;
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Word-level diff of two strings
+ * @returns {Array<Object>} - [{ type: 'equal'|'delete'|'insert', value }]
+ */
+const diffWords = (oldText, newText) => {
+  return toSegments(diffTokens(tokenizeWords(oldText), tokenizeWords(newText)));
+};
+
+/**
+ * Line-level diff of two strings. Runs of deleted lines followed by inserted
+ * lines are paired up as 'modify' entries carrying a word-level diff.
+ * @returns {Object} - { lines, stats }
+ */
+const diffLines = (oldText, newText) => {
+  const ops = diffTokens(oldText.split('\n'), newText.split('\n'));
+  const lines = [];
+  const stats = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  let oldLine = 0;
+  let newLine = 0;
+  let i = 0;
+
+  while (i < ops.length) {
+    if (ops[i].type === 'equal') {
+      lines.push({ type: 'equal', oldLine: ++oldLine, newLine: ++newLine, text: ops[i].value });
+      stats.unchanged++;
+      i++;
+      continue;
+    }
+
+    // Collect a change block
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type !== 'equal') {
+      (ops[i].type === 'delete' ? deleted : inserted).push(ops[i].value);
+      i++;
+    }
+
+    const paired = Math.min(deleted.length, inserted.length);
+    for (let j = 0; j < paired; j++) {
+      lines.push({
+        type: 'modify',
+        oldLine: ++oldLine,
+        newLine: ++newLine,
+        oldText: deleted[j],
+        newText: inserted[j],
+        words: diffWords(deleted[j], inserted[j])
+      });
+      stats.modified++;
+    }
+    for (let j = paired; j < deleted.length; j++) {
+      lines.push({ type: 'delete', oldLine: ++oldLine, text: deleted[j] });
+      stats.removed++;
+    }
+    for (let j = paired; j < inserted.length; j++) {
+      lines.push({ type: 'insert', newLine: ++newLine, text: inserted[j] });
+      stats.added++;
+    }
+  }
+
+  return { lines, stats };
+};
+
+module.exports = {
+  diffWords,
+  diffLines
+};
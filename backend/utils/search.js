@@ -0,0 +1,380 @@
+/**
+ * Search Utilities
+ * Parses note search queries, turns them into MongoDB filters that use the
+ * notes text index, and finds match offsets for highlighting
+ *
+ * Query syntax:
+ *   word       - any word (stemmed, ranked by the text index)
+ *   "a phrase" - the exact phrase must appear
+ *   -word      - exclude notes containing the word (also -"a phrase")
+ *   pre*       - words starting with "pre"
+ *   tag:work, folder:"Project Alpha", is:pinned, is:favorite, color:#fef3c7,
+ *   created:>2026-01-01, updated:2026-01-01..2026-01-31
+ *              - filters; prefix with - to negate (-tag:work)
+ */
+
+// Longest query accepted, and most terms in one query
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 20;
+
+// Characters of content shown around the matches
+const SNIPPET_LENGTH = 200;
+// Context kept before the first match in a snippet
+const SNIPPET_LEAD = 40;
+// Highlights reported per field
+const MAX_MATCHES = 100;
+
+// field:value filters
+const SEARCH_FIELDS = ['tag', 'folder', 'is', 'color', 'created', 'updated'];
+const DATE_FIELDS = ['created', 'updated'];
+const IS_VALUES = ['pinned', 'favorite'];
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} text - User input
+ * @returns {string}
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pattern matching text at the start of a word
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+const wordStartPattern = (text) => {
+  const escaped = escapeRegex(text);
+  return /^\w/.test(text) ? `\\b${escaped}` : escaped;
+};
+
+/**
+ * Pattern matching a phrase with any whitespace between its words
+ * @param {string} phrase - Literal phrase
+ * @returns {string}
+ */
+const phrasePattern = (phrase) => {
+  return phrase.split(/\s+/).map(escapeRegex).join('\\s+');
+};
+
+/**
+ * Filter matching notes whose title or content matches a pattern
+ */
+const fieldsMatching = (pattern) => ({
+  $or: [
+    { title: { $regex: pattern, $options: 'i' } },
+    { content: { $regex: pattern, $options: 'i' } }
+  ]
+});
+
+/**
+ * Merge overlapping or touching ranges (sorted by start)
+ */
+const mergeRanges = (ranges) => {
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+};
+
+/**
+ * Error thrown for a malformed query
+ * @param {Array<Object>} details - [{ code, message, token, start, end }]
+ */
+const searchError = (details) => {
+  const error = new Error(details[0].message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Parse a YYYY-MM-DD date (UTC midnight)
+ * @returns {Date|null}
+ */
+const parseDay = (text) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00.000Z`);
+  // Rejects dates like 2026-02-30, which Date rolls over
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text) ? date : null;
+};
+
+const nextDay = (date) => new Date(date.getTime() + 24 * 60 * 60 * 1000);
+
+/**
+ * Turn a date filter value into a Mongo range. Dates are whole days:
+ * 2026-01-01, >2026-01-01, >=, <, <=, and 2026-01-01..2026-01-31 (inclusive)
+ * @param {string} value - Filter value
+ * @returns {Object|null} - { $gte?, $lt? }, or null if it isn't a valid date
+ */
+const parseDateRange = (value) => {
+  const rangeMatch = /^(.+)\.\.(.+)$/.exec(value);
+  if (rangeMatch) {
+    const from = parseDay(rangeMatch[1]);
+    const to = parseDay(rangeMatch[2]);
+    return from && to && from <= to ? { $gte: from, $lt: nextDay(to) } : null;
+  }
+
+  const [, operator, dayText] = /^(>=|<=|>|<)?(.*)$/.exec(value);
+  const day = parseDay(dayText);
+  if (!day) return null;
+
+  switch (operator) {
+    case '>': return { $gte: nextDay(day) };
+    case '>=': return { $gte: day };
+    case '<': return { $lt: day };
+    case '<=': return { $lt: nextDay(day) };
+    default: return { $gte: day, $lt: nextDay(day) };
+  }
+};
+
+/**
+ * Mongo condition for one field:value filter
+ * @param {Object} filter - Parsed filter (tag and folder filters carry resolved `ids`)
+ * @returns {Object}
+ */
+const filterCondition = ({ field, value, negated, range, ids }) => {
+  switch (field) {
+    case 'tag':
+      return { tags: negated ? { $nin: ids } : { $in: ids } };
+    case 'folder':
+      return { folder: negated ? { $nin: ids } : { $in: ids } };
+    case 'is': {
+      const key = value.toLowerCase() === 'pinned' ? 'isPinned' : 'isFavorite';
+      return { [key]: !negated };
+    }
+    case 'color':
+      return { color: negated ? { $ne: value.toLowerCase() } : value.toLowerCase() };
+    default: {
+      const key = field === 'created' ? 'createdAt' : 'updatedAt';
+      return { [key]: negated ? { $not: range } : range };
+    }
+  }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Parse a search query
+ * @param {string} query - Raw query
+ * @returns {Object} - { terms, phrases, prefixes, excludedTerms, excludedPhrases,
+ *   filters: [{ field, value, negated, start, end, range? }] }
+ * @throws {Error} - With `statusCode` 400 and `details` ([{ code, message, token, start, end }])
+ *   when the query is malformed
+ */
+const parseQuery = (query) => {
+  const parsed = { terms: [], phrases: [], prefixes: [], excludedTerms: [], excludedPhrases: [], filters: [] };
+  const errors = [];
+  const addError = (code, message, token = '', start = 0) => {
+    errors.push({ code, message, token, start, end: start + token.length });
+  };
+
+  if (query.length > MAX_QUERY_LENGTH) {
+    addError('QUERY_TOO_LONG', `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`);
+    throw searchError(errors);
+  }
+
+  // A token is a run of non-space characters and "quoted sections"
+  const tokenPattern = /(?:[^\s"]+|"[^"]*"?)+/g;
+  let match;
+  let count = 0;
+  while ((match = tokenPattern.exec(query)) !== null) {
+    const token = match[0];
+    const start = match.index;
+    const negated = token.length > 1 && token.startsWith('-');
+    const body = negated ? token.slice(1) : token;
+
+    if ((body.match(/"/g) || []).length % 2 === 1) {
+      addError('UNTERMINATED_QUOTE', 'Missing closing quote', token, start);
+      continue;
+    }
+
+    const fieldMatch = /^([a-z]+):(.*)$/is.exec(body);
+    const field = fieldMatch && fieldMatch[1].toLowerCase();
+
+    if (SEARCH_FIELDS.includes(field)) {
+      const value = fieldMatch[2].replace(/"/g, '').trim();
+      const filter = { field, value, negated, start, end: start + token.length };
+
+      if (!value) {
+        addError('MISSING_VALUE', `"${field}:" needs a value`, token, start);
+      } else if (field === 'is' && !IS_VALUES.includes(value.toLowerCase())) {
+        addError('INVALID_VALUE', `"is:" can be ${IS_VALUES.join(' or ')}`, token, start);
+      } else if (field === 'color' && !/^#([0-9a-f]{6}|[0-9a-f]{3})$/i.test(value)) {
+        addError('INVALID_COLOR', 'Colors look like #fef3c7', token, start);
+      } else if (DATE_FIELDS.includes(field)) {
+        filter.range = parseDateRange(value);
+        if (!filter.range) {
+          addError('INVALID_DATE', `Use ${field}:YYYY-MM-DD, ${field}:>YYYY-MM-DD or ${field}:YYYY-MM-DD..YYYY-MM-DD`, token, start);
+        }
+      }
+
+      parsed.filters.push(filter);
+    } else {
+      const text = body.replace(/"/g, '').trim().replace(/\s+/g, ' ');
+      if (!text) continue;
+
+      if (/\s/.test(text) || body.startsWith('"')) {
+        (negated ? parsed.excludedPhrases : parsed.phrases).push(text);
+      } else if (negated) {
+        parsed.excludedTerms.push(text);
+      } else if (text.endsWith('*') && text.replace(/\*+$/, '')) {
+        parsed.prefixes.push(text.replace(/\*+$/, ''));
+      } else {
+        parsed.terms.push(text);
+      }
+    }
+    count++;
+  }
+
+  if (count > MAX_TERMS) {
+    addError('TOO_MANY_TERMS', `Search query cannot have more than ${MAX_TERMS} terms`);
+  }
+  if (count === 0 && errors.length === 0) {
+    addError('EMPTY_QUERY', 'Please provide a search query');
+  }
+  if (errors.length > 0) {
+    throw searchError(errors);
+  }
+
+  return parsed;
+};
+
+/**
+ * Build the filter conditions for a parsed query. With the text index, words
+ * and phrases use $text (so results can be ranked by text score); prefixes,
+ * and exclusions in queries without any words, fall back to escaped regexes.
+ * Without it every term is a case-insensitive substring match.
+ * Tag and folder filters must have `ids` resolved from their names first.
+ * @param {Object} parsed - From parseQuery
+ * @param {Object} options - { textIndex: boolean }
+ * @returns {Object} - { conditions: Array (to $and), useTextScore: boolean }
+ */
+const buildSearchConditions = (parsed, { textIndex = true } = {}) => {
+  const conditions = [];
+  const useTextScore = textIndex && (parsed.terms.length > 0 || parsed.phrases.length > 0);
+
+  if (useTextScore) {
+    const search = [
+      ...parsed.terms,
+      ...parsed.phrases.map((phrase) => `"${phrase}"`),
+      ...parsed.excludedTerms.map((term) => `-${term}`),
+      ...parsed.excludedPhrases.map((phrase) => `-"${phrase}"`)
+    ].join(' ');
+    conditions.push({ $text: { $search: search } });
+  } else {
+    for (const term of parsed.terms) {
+      conditions.push(fieldsMatching(escapeRegex(term)));
+    }
+    for (const phrase of parsed.phrases) {
+      conditions.push(fieldsMatching(phrasePattern(phrase)));
+    }
+    // $text needs at least one word to look for
+    for (const term of parsed.excludedTerms) {
+      conditions.push({ $nor: [fieldsMatching(wordStartPattern(term))] });
+    }
+    for (const phrase of parsed.excludedPhrases) {
+      conditions.push({ $nor: [fieldsMatching(phrasePattern(phrase))] });
+    }
+  }
+
+  for (const prefix of parsed.prefixes) {
+    conditions.push(fieldsMatching(wordStartPattern(prefix)));
+  }
+
+  for (const filter of parsed.filters) {
+    conditions.push(filterCondition(filter));
+  }
+
+  return { conditions, useTextScore };
+};
+
+/**
+ * Find where a parsed query matches in some text
+ * @param {string} text - Title or content
+ * @param {Object} parsed - From parseQuery
+ * @returns {Array<Object>} - Sorted, non-overlapping [{ start, end }]
+ */
+const findMatches = (text, parsed) => {
+  const patterns = [
+    ...parsed.phrases.map(phrasePattern),
+    ...[...parsed.terms, ...parsed.prefixes].map(wordStartPattern)
+  ];
+  if (!text || patterns.length === 0) return [];
+
+  const regex = new RegExp(patterns.join('|'), 'gi');
+  const ranges = [];
+  let match;
+  while ((match = regex.exec(text)) !== null && ranges.length < MAX_MATCHES) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return mergeRanges(ranges);
+};
+
+/**
+ * Cut a snippet of content around the densest cluster of matches
+ * @param {string} content - Note content
+ * @param {Array<Object>} matches - From findMatches
+ * @returns {Object} - { text, start, end, matches } with match offsets relative to text
+ */
+const buildSnippet = (content, matches) => {
+  let start = 0;
+
+  if (matches.length > 0) {
+    // Start at the match followed by the most matches within a snippet's length
+    let best = 0;
+    let bestCount = 0;
+    for (let i = 0; i < matches.length; i++) {
+      let count = 0;
+      while (i + count < matches.length && matches[i + count].end <= matches[i].start + SNIPPET_LENGTH) count++;
+      if (count > bestCount) {
+        best = i;
+        bestCount = count;
+      }
+    }
+
+    start = Math.max(0, matches[best].start - SNIPPET_LEAD);
+    // Don't cut a word in half
+    if (start > 0) {
+      const space = content.slice(start, matches[best].start).search(/\s/);
+      if (space !== -1) start += space + 1;
+    }
+  }
+
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+  return {
+    text: content.slice(start, end),
+    start,
+    end,
+    matches: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => ({ start: match.start - start, end: match.end - start }))
+  };
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  IS_VALUES,
+  searchError,
+  escapeRegex,
+  parseQuery,
+  buildSearchConditions,
+  findMatches,
+  buildSnippet
+};
@@ -0,0 +1,163 @@
+/**
+ * TF-IDF Utilities
+ * Turns note text into term counts and compares notes by the cosine
+ * similarity of their TF-IDF vectors. Everything runs locally; no model or
+ * external service is involved.
+ */
+
+// Terms kept per note (the most frequent ones)
+const MAX_TERMS = 200;
+// Title words count this many times, since titles name the topic
+const TITLE_WEIGHT = 3;
+const MIN_TERM_LENGTH = 3;
+const MAX_TERM_LENGTH = 30;
+
+// Common English words that say nothing about a note's topic
+const STOP_WORDS = new Set(`
+  about above after again against all also and any are because been before being below between both but
+  can could did does doing down during each few for from further had has have having her here hers herself
+  him himself his how into its itself just let more most much must myself nor not now off once only other
+  our ours ourselves out over own same she should some such than that the their theirs them themselves then
+  there these they this those through too under until very was were what when where which while who whom
+  why will with would you your yours yourself yourselves get got make made use used using one two new like
+  need needs http https www com
+`.trim().split(/\s+/));
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Crude suffix stripping so "meeting", "meetings" and "meet" share a term
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+const stem = (word) => {
+  let result = word;
+
+  if (result.length > 4 && result.endsWith('ies')) result = `${result.slice(0, -3)}y`;
+  else if (result.length > 3 && result.endsWith('s') && !/(ss|us|is)$/.test(result)) result = result.slice(0, -1);
+
+  if (result.length > 6 && result.endsWith('ing')) result = result.slice(0, -3);
+
+  return result;
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Split text into stemmed terms, dropping stop words, numbers and markup
+ * @param {string} text - Note title or content
+ * @returns {string[]}
+ */
+const tokenize = (text = '') => {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) || [];
+
+  return words
+    .map((word) => word.replace(/'.*$/, ''))
+    .filter((word) =>
+      word.length >= MIN_TERM_LENGTH &&
+      word.length <= MAX_TERM_LENGTH &&
+      !/^\d+$/.test(word) &&
+      !STOP_WORDS.has(word)
+    )
+    .map(stem);
+};
+
+/**
+ * Term counts for a note, keeping its most frequent terms
+ * @param {string} title - Note title
+ * @param {string} content - Note content
+ * @returns {Array<{term: string, count: number}>} - Most frequent first
+ */
+const countTerms = (title, content) => {
+  const counts = new Map();
+  const add = (term, times) => counts.set(term, (counts.get(term) || 0) + times);
+
+  tokenize(title).forEach((term) => add(term, TITLE_WEIGHT));
+  tokenize(content).forEach((term) => add(term, 1));
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_TERMS)
+    .map(([term, count]) => ({ term, count }));
+};
+
+/**
+ * Inverse document frequency of every term in a collection
+ * (smoothed, so terms in every document still weigh a little)
+ * @param {Array<Array<{term: string}>>} documents - Term lists
+ * @returns {Map<string, number>}
+ */
+const inverseDocumentFrequency = (documents) => {
+  const documentFrequency = new Map();
+  for (const terms of documents) {
+    for (const { term } of terms) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  for (const [term, frequency] of documentFrequency) {
+    idf.set(term, Math.log((1 + documents.length) / (1 + frequency)) + 1);
+  }
+  return idf;
+};
+
+/**
+ * Unit-length TF-IDF vector (term frequency damped with a log)
+ * @param {Array<{term: string, count: number}>} terms - Term counts
+ * @param {Map<string, number>} idf - From inverseDocumentFrequency
+ * @returns {Map<string, number>}
+ */
+const weigh = (terms, idf) => {
+  const vector = new Map();
+  let norm = 0;
+
+  for (const { term, count } of terms) {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 1);
+    vector.set(term, weight);
+    norm += weight * weight;
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+  }
+  return vector;
+};
+
+/**
+ * Cosine similarity of two unit vectors, with the terms contributing most
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {Object} - { score (0-1), terms: shared terms, strongest first }
+ */
+const similarity = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  const shared = [];
+  let score = 0;
+
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) {
+      score += weight * other;
+      shared.push([term, weight * other]);
+    }
+  }
+
+  return {
+    score,
+    terms: shared.sort((x, y) => y[1] - x[1]).map(([term]) => term)
+  };
+};
+
+module.exports = {
+  tokenize,
+  countTerms,
+  inverseDocumentFrequency,
+  weigh,
+  similarity
+};
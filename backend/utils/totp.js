@@ -0,0 +1,149 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 30 second steps, 6 digits, base32-encoded secrets.
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Generate a new random secret
+ * @returns {string} - Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Current time step
+ * @param {number} [now] - Time in ms
+ * @returns {number}
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} [step] - Time step (defaults to now)
+ * @returns {string} - 6-digit code
+ */
+const generateCode = (secret, step = currentStep()) => hotp(base32Decode(secret), step);
+
+/**
+ * Check a code, allowing for a little clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Steps accepted either side of now
+ * @param {number} [options.after] - Only accept steps later than this (prevents replay)
+ * @returns {number|null} - The matching time step, or null
+ */
+const verifyCode = (secret, code, { window = 1, after = -1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const now = currentStep();
+
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= after) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps import (usually via QR code)
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Shown in the app, e.g. the email
+ * @param {string} options.issuer - Service name
+ * @returns {string}
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  // encodeURIComponent rather than URLSearchParams: some apps show '+' literally
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: STEP_SECONDS
+  })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  currentStep,
+  buildOtpauthUri
+};
@@ -0,0 +1,68 @@
+/**
+ * Wiki Link Utilities
+ * Finds [[Note Title]] links in note content. A label can follow a pipe:
+ * [[Note Title|shown text]]. Titles match case-insensitively.
+ */
+
+// [[title]] or [[title|label]], on one line, without nested brackets
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/g;
+
+// Distinct links kept per note
+const MAX_LINKS = 200;
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Key a title is matched by: trimmed, single-spaced, lowercase
+ * @param {string} title
+ * @returns {string}
+ */
+const normalizeTitle = (title) => String(title).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Every wiki link in the content, in order
+ * @param {string} content - Note content
+ * @returns {Array<Object>} - [{ title, key, label, start, end }]; `label` is null without a pipe
+ */
+const parseWikiLinks = (content = '') => {
+  const links = [];
+
+  for (const match of String(content).matchAll(WIKI_LINK_PATTERN)) {
+    const title = match[1].trim().replace(/\s+/g, ' ');
+    if (!title) continue;
+
+    links.push({
+      title,
+      key: normalizeTitle(title),
+      label: match[2] !== undefined ? match[2].trim() || null : null,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return links;
+};
+
+/**
+ * Distinct link targets of the content (first spelling wins)
+ * @param {string} content - Note content
+ * @returns {Array<{title: string, key: string}>}
+ */
+const linkedTitles = (content) => {
+  const byKey = new Map();
+
+  for (const { title, key } of parseWikiLinks(content)) {
+    if (!byKey.has(key)) byKey.set(key, { title, key });
+    if (byKey.size >= MAX_LINKS) break;
+  }
+
+  return [...byKey.values()];
+};
+
+module.exports = {
+  normalizeTitle,
+  parseWikiLinks,
+  linkedTitles
+};
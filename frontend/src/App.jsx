@@ -6,11 +6,13 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './context/AuthContext';
+import { RealtimeProvider } from './context/RealtimeContext';
 import { useEffect } from 'react';
 
 // Components
 import Navbar from './components/Navbar';
 import ProtectedRoute from './components/ProtectedRoute';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
 
 // Pages
 import Home from './pages/Home';
@@ -24,6 +26,12 @@ import Trash from './pages/Trash';
 import Archive from './pages/Archive';
 import Profile from './pages/Profile';
 import SharedNote from './pages/SharedNote';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import Teams from './pages/Teams';
+import SharedWithMe from './pages/SharedWithMe';
+import Graph from './pages/Graph';
 
 // Initialize dark mode from localStorage
 const initializeDarkMode = () => {
@@ -41,114 +49,144 @@ function App() {
 
   return (
     <AuthProvider>
-      <Router>
-        <div className="min-h-screen bg-gray-50 dark:bg-dark-bg transition-colors">
-          {/* Navigation */}
-          <Navbar />
+      <RealtimeProvider>
+        <Router>
+          <div className="min-h-screen bg-gray-50 dark:bg-dark-bg transition-colors">
+            {/* Navigation */}
+            <Navbar />
+            <EmailVerificationBanner />
           
-          {/* Main Content */}
-          <main>
-            <Routes>
-              {/* Public Routes */}
-              <Route path="/" element={<Home />} />
-              <Route path="/login" element={<Login />} />
-              <Route path="/register" element={<Register />} />
-              <Route path="/shared/:token" element={<SharedNote />} />
+            {/* Main Content */}
+            <main>
+              <Routes>
+                {/* Public Routes */}
+                <Route path="/" element={<Home />} />
+                <Route path="/login" element={<Login />} />
+                <Route path="/register" element={<Register />} />
+                <Route path="/shared/:token" element={<SharedNote />} />
+                <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password/:token" element={<ResetPassword />} />
               
-              {/* Protected Routes */}
-              <Route 
-                path="/dashboard" 
-                element={
-                  <ProtectedRoute>
-                    <Dashboard />
-                  </ProtectedRoute>
-                } 
-              />
-              <Route 
-                path="/notes/new" 
-                element={
-                  <ProtectedRoute>
-                    <CreateNote />
-                  </ProtectedRoute>
-                } 
-              />
-              <Route 
-                path="/notes/:id" 
-                element={
-                  <ProtectedRoute>
-                    <NoteDetails />
-                  </ProtectedRoute>
-                } 
-              />
-              <Route 
-                path="/notes/:id/edit" 
-                element={
-                  <ProtectedRoute>
-                    <EditNote />
-                  </ProtectedRoute>
-                } 
-              />
-              <Route 
-                path="/trash" 
-                element={
-                  <ProtectedRoute>
-                    <Trash />
-                  </ProtectedRoute>
-                } 
-              />
-              <Route 
-                path="/archive" 
-                element={
-                  <ProtectedRoute>
-                    <Archive />
-                  </ProtectedRoute>
-                } 
-              />
-              <Route 
-                path="/profile" 
-                element={
-                  <ProtectedRoute>
-                    <Profile />
-                  </ProtectedRoute>
-                } 
-              />
+                {/* Protected Routes */}
+                <Route 
+                  path="/dashboard" 
+                  element={
+                    <ProtectedRoute>
+                      <Dashboard />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/notes/new" 
+                  element={
+                    <ProtectedRoute>
+                      <CreateNote />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/notes/:id" 
+                  element={
+                    <ProtectedRoute>
+                      <NoteDetails />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/notes/:id/edit" 
+                  element={
+                    <ProtectedRoute>
+                      <EditNote />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/trash" 
+                  element={
+                    <ProtectedRoute>
+                      <Trash />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/archive" 
+                  element={
+                    <ProtectedRoute>
+                      <Archive />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/shared" 
+                  element={
+                    <ProtectedRoute>
+                      <SharedWithMe />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/graph" 
+                  element={
+                    <ProtectedRoute>
+                      <Graph />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/teams" 
+                  element={
+                    <ProtectedRoute>
+                      <Teams />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/profile" 
+                  element={
+                    <ProtectedRoute>
+                      <Profile />
+                    </ProtectedRoute>
+                  } 
+                />
               
-              {/* Catch all - redirect to home */}
-              <Route path="*" element={<Navigate to="/" replace />} />
-            </Routes>
-          </main>
+                {/* Catch all - redirect to home */}
+                <Route path="*" element={<Navigate to="/" replace />} />
+              </Routes>
+            </main>
 
-          {/* Toast Notifications */}
-          <Toaster 
-            position="top-right"
-            toastOptions={{
-              duration: 3000,
-              style: {
-                background: '#333',
-                color: '#fff',
-              },
-              success: {
+            {/* Toast Notifications */}
+            <Toaster 
+              position="top-right"
+              toastOptions={{
+                duration: 3000,
                 style: {
-                  background: '#10b981',
+                  background: '#333',
+                  color: '#fff',
                 },
-                iconTheme: {
-                  primary: '#fff',
-                  secondary: '#10b981',
+                success: {
+                  style: {
+                    background: '#10b981',
+                  },
+                  iconTheme: {
+                    primary: '#fff',
+                    secondary: '#10b981',
+                  },
                 },
-              },
-              error: {
-                style: {
-                  background: '#ef4444',
-                },
-                iconTheme: {
-                  primary: '#fff',
-                  secondary: '#ef4444',
+                error: {
+                  style: {
+                    background: '#ef4444',
+                  },
+                  iconTheme: {
+                    primary: '#fff',
+                    secondary: '#ef4444',
+                  },
                 },
-              },
-            }}
-          />
-        </div>
-      </Router>
+              }}
+            />
+          </div>
+        </Router>
+      </RealtimeProvider>
     </AuthProvider>
   );
 }
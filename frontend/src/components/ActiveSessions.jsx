@@ -0,0 +1,122 @@
+/**
+ * Active Sessions Component
+ * Lists the devices the user is logged in on and lets them revoke any of them
+ */
+
+import { useState, useEffect } from 'react';
+import { profileAPI } from '../services/api';
+import { FiMonitor, FiSmartphone, FiLogOut } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import ConfirmModal from './ConfirmModal';
+import { describeDevice, isMobile } from '../utils/device';
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showRevokeAll, setShowRevokeAll] = useState(false);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await profileAPI.getSessions();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await profileAPI.revokeSession(sessionId);
+      setSessions((prev) => prev.filter((session) => session.id !== sessionId));
+      toast.success('Device logged out');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error(error.response?.data?.message || 'Failed to log out device');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const response = await profileAPI.revokeOtherSessions();
+      setSessions((prev) => prev.filter((session) => session.current));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      toast.error('Failed to log out other devices');
+    }
+  };
+
+  const otherCount = sessions.filter((session) => !session.current).length;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Active Sessions</h3>
+        {otherCount > 0 && (
+          <button
+            onClick={() => setShowRevokeAll(true)}
+            className="text-sm text-red-600 hover:text-red-700"
+          >
+            Log out all other devices
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading sessions...</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {sessions.map((session) => {
+            const Icon = isMobile(session.userAgent) ? FiSmartphone : FiMonitor;
+            return (
+              <li key={session.id} className="flex items-center gap-4 p-4">
+                <Icon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {describeDevice(session.userAgent)}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 text-xs bg-green-100 text-green-700 rounded-full">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ip || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session.id)}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                  >
+                    <FiLogOut className="w-4 h-4" />
+                    Log out
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <ConfirmModal
+        isOpen={showRevokeAll}
+        onClose={() => setShowRevokeAll(false)}
+        onConfirm={handleRevokeOthers}
+        title="Log Out Other Devices"
+        message={`This will log you out on ${otherCount} other device(s).`}
+        confirmText="Log Out"
+        type="warning"
+      />
+    </div>
+  );
+};
+
+export default ActiveSessions;
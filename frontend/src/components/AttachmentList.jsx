@@ -0,0 +1,138 @@
+/**
+ * Attachment List Component
+ * Shows a note's attachments with upload, download and delete actions
+ */
+
+import { useState, useRef } from 'react';
+import { notesAPI } from '../services/api';
+import {
+  HiOutlinePaperClip,
+  HiOutlineUpload,
+  HiOutlineDownload,
+  HiOutlineTrash
+} from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+// Format bytes for display
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const AttachmentList = ({ noteId, attachments = [], onChange }) => {
+  const fileInputRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+
+  // Upload selected file
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setProgress(0);
+      const response = await notesAPI.uploadAttachment(noteId, file, setProgress);
+      onChange([...attachments, response.data.attachment]);
+      toast.success('File attached');
+    } catch (err) {
+      console.error('Upload error:', err);
+      toast.error(err.response?.data?.message || 'Failed to upload file');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  // Download through the API so the auth header is sent
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await notesAPI.downloadAttachment(noteId, attachment._id);
+      const url = URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = attachment.originalName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Download error:', err);
+      toast.error('Failed to download file');
+    }
+  };
+
+  // Delete attachment
+  const handleDelete = async (attachment) => {
+    try {
+      await notesAPI.deleteAttachment(noteId, attachment._id);
+      onChange(attachments.filter((item) => item._id !== attachment._id));
+      toast.success('Attachment deleted');
+    } catch (err) {
+      console.error('Delete attachment error:', err);
+      toast.error(err.response?.data?.message || 'Failed to delete attachment');
+    }
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200 dark:border-dark-border">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="flex items-center space-x-2 text-sm font-semibold text-gray-700 dark:text-dark-text">
+          <HiOutlinePaperClip className="w-4 h-4" />
+          <span>Attachments ({attachments.length})</span>
+        </h2>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={progress !== null}
+          className="btn-secondary btn-sm"
+        >
+          <HiOutlineUpload className="w-4 h-4 mr-1" />
+          {progress !== null ? `Uploading ${progress}%` : 'Attach file'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </div>
+
+      {attachments.length > 0 && (
+        <ul className="space-y-2">
+          {attachments.map((attachment) => (
+            <li
+              key={attachment._id}
+              className="flex items-center justify-between px-3 py-2 rounded-lg bg-gray-50 dark:bg-dark-bg"
+            >
+              <div className="min-w-0">
+                <p className="text-sm text-gray-800 dark:text-dark-text truncate">
+                  {attachment.originalName}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-dark-muted">
+                  {formatSize(attachment.size)}
+                </p>
+              </div>
+              <div className="flex items-center space-x-1 flex-shrink-0">
+                <button
+                  onClick={() => handleDownload(attachment)}
+                  className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-200 dark:text-dark-muted dark:hover:bg-dark-border transition-colors"
+                  title="Download"
+                >
+                  <HiOutlineDownload className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(attachment)}
+                  className="p-1.5 rounded-lg text-gray-500 hover:bg-red-50 hover:text-red-600 dark:text-dark-muted dark:hover:bg-red-900/20 transition-colors"
+                  title="Delete"
+                >
+                  <HiOutlineTrash className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
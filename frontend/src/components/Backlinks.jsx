@@ -0,0 +1,61 @@
+/**
+ * Backlinks Component
+ * "Linked from": notes whose content links to this one with [[Title]],
+ * with the text around each link
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { notesAPI } from '../services/api';
+import { HiOutlineLink } from 'react-icons/hi';
+
+const Backlinks = ({ noteId, updatedAt }) => {
+  const [backlinks, setBacklinks] = useState([]);
+
+  // Re-fetched when the note changes, e.g. after a rename
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchBacklinks = async () => {
+      try {
+        const response = await notesAPI.getBacklinks(noteId);
+        if (!cancelled) setBacklinks(response.data.notes || []);
+      } catch (err) {
+        console.error('Error fetching backlinks:', err);
+      }
+    };
+
+    fetchBacklinks();
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId, updatedAt]);
+
+  if (backlinks.length === 0) return null;
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200 dark:border-dark-border">
+      <h3 className="flex items-center space-x-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">
+        <HiOutlineLink className="w-4 h-4" />
+        <span>Linked from ({backlinks.length})</span>
+      </h3>
+      <ul className="space-y-2">
+        {backlinks.map((backlink) => (
+          <li key={backlink._id}>
+            <Link
+              to={`/notes/${backlink._id}`}
+              className="block p-3 rounded-lg bg-gray-50 dark:bg-dark-bg hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
+            >
+              <span className="font-medium text-primary-600 dark:text-primary-400">{backlink.title}</span>
+              {backlink.context && (
+                <p className="mt-1 text-sm text-gray-500 dark:text-dark-muted line-clamp-2">{backlink.context}</p>
+              )}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Backlinks;
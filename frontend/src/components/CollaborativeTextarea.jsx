@@ -0,0 +1,167 @@
+/**
+ * Collaborative Textarea Component
+ * Textarea that reports edits and selections for co-editing and draws
+ * collaborators' cursors and selections over the text
+ */
+
+import { useRef, useLayoutEffect, useEffect, useState } from 'react';
+
+// Styles copied from the textarea so the overlay wraps text identically
+const MIRRORED_STYLES = [
+  'boxSizing', 'width', 'height', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+  'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize'
+];
+
+// Read the selection as anchor/head so backwards selections keep their direction
+const readSelection = (textarea) => {
+  const backward = textarea.selectionDirection === 'backward';
+  return {
+    anchor: backward ? textarea.selectionEnd : textarea.selectionStart,
+    head: backward ? textarea.selectionStart : textarea.selectionEnd
+  };
+};
+
+/**
+ * Split text into runs, marking selected ranges and caret positions
+ */
+const buildSegments = (text, remotes) => {
+  const boundaries = new Set([0, text.length]);
+  for (const remote of remotes) {
+    boundaries.add(Math.min(remote.selection.anchor, text.length));
+    boundaries.add(Math.min(remote.selection.head, text.length));
+  }
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  const segments = [];
+  points.forEach((point, index) => {
+    remotes
+      .filter((remote) => Math.min(remote.selection.head, text.length) === point)
+      .forEach((remote) => segments.push({ type: 'caret', remote }));
+
+    const next = points[index + 1];
+    if (next === undefined || next === point) return;
+
+    const highlight = remotes.find((remote) => {
+      const start = Math.min(remote.selection.anchor, remote.selection.head);
+      const end = Math.max(remote.selection.anchor, remote.selection.head);
+      return start <= point && next <= end;
+    });
+    segments.push({ type: 'text', text: text.slice(point, next), highlight });
+  });
+
+  return segments;
+};
+
+const CollaborativeTextarea = ({
+  doc,
+  remoteSelections = {},
+  onChange,
+  onSelect,
+  readOnly = false,
+  className = '',
+  ...props
+}) => {
+  const textareaRef = useRef(null);
+  const overlayRef = useRef(null);
+  const [mirrorStyle, setMirrorStyle] = useState({});
+
+  // Keep our cursor in place when a collaborator's edit replaces the value
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea || doc.source !== 'remote' || !doc.selection) return;
+    if (document.activeElement !== textarea) return;
+
+    const start = Math.min(doc.selection.anchor, doc.selection.head);
+    const end = Math.max(doc.selection.anchor, doc.selection.head);
+    textarea.setSelectionRange(start, end, doc.selection.anchor > doc.selection.head ? 'backward' : 'forward');
+  }, [doc]);
+
+  // Match the overlay to the textarea's box and font
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return undefined;
+
+    const updateMirror = () => {
+      const computed = window.getComputedStyle(textarea);
+      const style = {};
+      MIRRORED_STYLES.forEach((property) => {
+        style[property] = computed[property];
+      });
+      setMirrorStyle(style);
+    };
+
+    updateMirror();
+    const observer = new ResizeObserver(updateMirror);
+    observer.observe(textarea);
+    return () => observer.disconnect();
+  }, []);
+
+  const syncScroll = () => {
+    if (overlayRef.current && textareaRef.current) {
+      overlayRef.current.scrollTop = textareaRef.current.scrollTop;
+    }
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value, readSelection(e.target));
+  };
+
+  const handleSelect = (e) => {
+    onSelect?.(readSelection(e.target));
+  };
+
+  const remotes = Object.values(remoteSelections).filter((remote) => remote.selection);
+  const segments = buildSegments(doc.text, remotes);
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={doc.text}
+        onChange={handleChange}
+        onSelect={handleSelect}
+        onScroll={syncScroll}
+        readOnly={readOnly}
+        className={className}
+        {...props}
+      />
+
+      {/* Collaborator cursors */}
+      <div
+        ref={overlayRef}
+        aria-hidden="true"
+        className="absolute inset-0 pointer-events-none overflow-hidden whitespace-pre-wrap break-words text-transparent border-transparent"
+        style={{ ...mirrorStyle, borderStyle: 'solid' }}
+      >
+        {segments.map((segment, index) =>
+          segment.type === 'caret' ? (
+            <span key={index} className="relative">
+              <span
+                className="absolute top-0 -ml-px h-[1.25em] border-l-2"
+                style={{ borderColor: segment.remote.color }}
+              />
+              <span
+                className="absolute -top-4 left-0 px-1 rounded text-[10px] leading-4 text-white whitespace-nowrap"
+                style={{ backgroundColor: segment.remote.color }}
+              >
+                {segment.remote.name}
+              </span>
+            </span>
+          ) : (
+            <span
+              key={index}
+              style={segment.highlight ? { backgroundColor: `${segment.highlight.color}33` } : undefined}
+            >
+              {segment.text}
+            </span>
+          )
+        )}
+        {/* Trailing newline needs a character to take up space */}
+        {'\u200b'}
+      </div>
+    </div>
+  );
+};
+
+export default CollaborativeTextarea;
@@ -0,0 +1,513 @@
+/**
+ * Comments Panel Component
+ * Sidebar of comment threads on a note. Threads can be anchored to the text
+ * selected in the note, mention people who can see it with @, and be
+ * resolved or reopened.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { commentsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { useRealtimeEvent } from '../context/RealtimeContext';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmModal from './ConfirmModal';
+import {
+  HiOutlineChatAlt2,
+  HiOutlineX,
+  HiOutlineCheck,
+  HiOutlineRefresh,
+  HiOutlinePencil,
+  HiOutlineTrash,
+  HiOutlineReply
+} from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+// Format a date relative to now
+const timeAgo = (dateString) => {
+  const seconds = Math.floor((Date.now() - new Date(dateString)) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mentioned users whose @name is still in the text
+const mentionsIn = (body, users) => users.filter((user) => body.includes(`@${user.name}`)).map((user) => user._id);
+
+/**
+ * Comment text with @mentions highlighted
+ */
+const CommentBody = ({ body, mentions = [] }) => {
+  if (mentions.length === 0) {
+    return <p className="text-sm text-gray-700 dark:text-dark-text whitespace-pre-wrap break-words">{body}</p>;
+  }
+
+  const pattern = new RegExp(`(${mentions.map((user) => `@${escapeRegExp(user.name)}`).join('|')})`, 'g');
+  return (
+    <p className="text-sm text-gray-700 dark:text-dark-text whitespace-pre-wrap break-words">
+      {body.split(pattern).map((part, index) =>
+        index % 2 === 1 ? (
+          <span key={index} className="font-medium text-primary-600 dark:text-primary-400">{part}</span>
+        ) : (
+          part
+        )
+      )}
+    </p>
+  );
+};
+
+/**
+ * Textarea that suggests people to @mention
+ */
+const CommentInput = ({ value, onChange, onSubmit, users, placeholder, submitText, onCancel, autoFocus }) => {
+  const textareaRef = useRef(null);
+  const [query, setQuery] = useState(null);
+
+  const suggestions = query === null
+    ? []
+    : users.filter((user) => user.name.toLowerCase().startsWith(query.toLowerCase())).slice(0, 5);
+
+  // Look for an @word right before the caret
+  const updateQuery = (text, caret) => {
+    const match = /(^|\s)@([^\s@]*)$/.exec(text.slice(0, caret));
+    setQuery(match ? match[2] : null);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateQuery(e.target.value, e.target.selectionStart);
+  };
+
+  const insertMention = (user) => {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const before = value.slice(0, caret).replace(/@[^\s@]*$/, `@${user.name} `);
+    onChange(before + value.slice(caret));
+    setQuery(null);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && suggestions.length > 0) {
+      e.preventDefault();
+      insertMention(suggestions[0]);
+    } else if (e.key === 'Escape') {
+      setQuery(null);
+    } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      onSubmit();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setTimeout(() => setQuery(null), 150)}
+        rows={2}
+        maxLength={2000}
+        autoFocus={autoFocus}
+        className="input resize-none text-sm"
+        placeholder={placeholder}
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 left-0 right-0 mt-1 bg-white dark:bg-dark-card border border-gray-200 dark:border-dark-border rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map((user) => (
+            <li key={user._id}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => insertMention(user)}
+                className="w-full text-left px-3 py-2 hover:bg-gray-50 dark:hover:bg-dark-border"
+              >
+                <span className="text-sm font-medium text-gray-900 dark:text-white">{user.name}</span>
+                <span className="block text-xs text-gray-500 dark:text-dark-muted">{user.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2 mt-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-secondary btn-sm">
+            Cancel
+          </button>
+        )}
+        <button type="button" onClick={onSubmit} disabled={!value.trim()} className="btn-primary btn-sm">
+          {submitText}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * @param {string} noteId - Note being discussed
+ * @param {boolean} canResolve - Whether the user can resolve any thread (edit access)
+ * @param {boolean} isOwner - Whether the user owns the note (can delete any comment)
+ * @param {Function} getSelection - Returns the selected { start, end, quote } in the note, or null
+ * @param {string} activeThreadId - Thread highlighted in the note
+ * @param {Function} onSelectThread - Called with a thread (or null) to highlight its text
+ * @param {Function} onClose - Close the panel
+ */
+const CommentsPanel = ({
+  noteId,
+  canResolve = false,
+  isOwner = false,
+  getSelection,
+  activeThreadId,
+  onSelectThread,
+  onClose
+}) => {
+  const { user } = useAuth();
+
+  // State
+  const [threads, setThreads] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showResolved, setShowResolved] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [anchor, setAnchor] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [replyDraft, setReplyDraft] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const response = await commentsAPI.getAll(noteId, showResolved ? {} : { status: 'open' });
+      setThreads(response.data.threads);
+    } catch (err) {
+      console.error('Error fetching comments:', err);
+      toast.error('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [noteId, showResolved]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  useEffect(() => {
+    commentsAPI.getMentionable(noteId)
+      .then((response) => setUsers(response.data.users))
+      .catch((err) => console.error('Error fetching mentionable users:', err));
+  }, [noteId]);
+
+  // Others' comments arrive live
+  useRealtimeEvent(['comment:created', 'comment:updated', 'comment:deleted'], (data) => {
+    if (data.noteId === noteId) fetchComments();
+  });
+
+  const handleAnchor = () => {
+    const selection = getSelection?.();
+    if (!selection || !selection.quote.trim()) {
+      toast.error('Select some text in the note first');
+      return;
+    }
+    setAnchor(selection);
+  };
+
+  const handleCreate = async () => {
+    try {
+      await commentsAPI.create(noteId, {
+        body: draft,
+        anchor,
+        mentions: mentionsIn(draft, users)
+      });
+      setDraft('');
+      setAnchor(null);
+      fetchComments();
+    } catch (err) {
+      console.error('Create comment error:', err);
+      toast.error(err.response?.data?.message || 'Failed to add comment');
+    }
+  };
+
+  const handleReply = async (thread) => {
+    try {
+      await commentsAPI.create(noteId, {
+        body: replyDraft,
+        parent: thread._id,
+        mentions: mentionsIn(replyDraft, users)
+      });
+      setReplyDraft('');
+      setReplyingTo(null);
+      fetchComments();
+    } catch (err) {
+      console.error('Reply error:', err);
+      toast.error(err.response?.data?.message || 'Failed to reply');
+    }
+  };
+
+  const handleEdit = async () => {
+    try {
+      await commentsAPI.update(noteId, editing.id, {
+        body: editing.body,
+        mentions: mentionsIn(editing.body, users)
+      });
+      setEditing(null);
+      fetchComments();
+    } catch (err) {
+      console.error('Edit comment error:', err);
+      toast.error(err.response?.data?.message || 'Failed to update comment');
+    }
+  };
+
+  const handleResolve = async (thread) => {
+    try {
+      const response = await commentsAPI.resolve(noteId, thread._id, !thread.isResolved);
+      toast.success(response.data.message);
+      if (thread._id === activeThreadId) onSelectThread?.(null);
+      fetchComments();
+    } catch (err) {
+      console.error('Resolve comment error:', err);
+      toast.error(err.response?.data?.message || 'Failed to update thread');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await commentsAPI.delete(noteId, deleteTarget._id);
+      if (deleteTarget._id === activeThreadId) onSelectThread?.(null);
+      toast.success('Comment deleted');
+      fetchComments();
+    } catch (err) {
+      console.error('Delete comment error:', err);
+      toast.error(err.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  const renderComment = (comment) => {
+    const isAuthor = comment.author?._id === user?._id;
+
+    return (
+      <div className="group">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-xs text-gray-500 dark:text-dark-muted truncate">
+            <span className="font-medium text-gray-900 dark:text-white">{comment.author?.name || 'Deleted user'}</span>
+            {' · '}{timeAgo(comment.createdAt)}
+            {comment.editedAt && ' · edited'}
+          </p>
+          <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+            {isAuthor && (
+              <button
+                onClick={() => setEditing({ id: comment._id, body: comment.body })}
+                className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-dark-text"
+                title="Edit comment"
+              >
+                <HiOutlinePencil className="w-3.5 h-3.5" />
+              </button>
+            )}
+            {(isAuthor || isOwner) && (
+              <button
+                onClick={() => setDeleteTarget(comment)}
+                className="p-1 rounded text-gray-400 hover:text-red-600"
+                title="Delete comment"
+              >
+                <HiOutlineTrash className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </div>
+        </div>
+        {editing?.id === comment._id ? (
+          <div className="mt-1">
+            <CommentInput
+              value={editing.body}
+              onChange={(body) => setEditing((prev) => ({ ...prev, body }))}
+              onSubmit={handleEdit}
+              onCancel={() => setEditing(null)}
+              users={users}
+              submitText="Save"
+              autoFocus
+            />
+          </div>
+        ) : (
+          <CommentBody body={comment.body} mentions={comment.mentions} />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="card p-4">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white">
+          <HiOutlineChatAlt2 className="w-5 h-5" />
+          <span>Comments</span>
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
+          title="Close comments"
+        >
+          <HiOutlineX className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* New thread */}
+      <div className="mb-4">
+        {anchor ? (
+          <div className="flex items-start gap-2 mb-2 pl-2 border-l-2 border-yellow-400">
+            <p className="flex-1 text-xs text-gray-500 dark:text-dark-muted italic line-clamp-2">
+              &ldquo;{anchor.quote}&rdquo;
+            </p>
+            <button
+              onClick={() => setAnchor(null)}
+              className="text-gray-400 hover:text-gray-600"
+              title="Comment on the whole note"
+            >
+              <HiOutlineX className="w-4 h-4" />
+            </button>
+          </div>
+        ) : getSelection && (
+          <button
+            type="button"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={handleAnchor}
+            className="text-xs text-primary-600 hover:text-primary-700 dark:text-primary-400 mb-2"
+          >
+            Comment on selected text
+          </button>
+        )}
+        <CommentInput
+          value={draft}
+          onChange={setDraft}
+          onSubmit={handleCreate}
+          users={users}
+          placeholder="Add a comment... Type @ to mention someone"
+          submitText="Comment"
+        />
+      </div>
+
+      <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-dark-muted mb-3">
+        <input
+          type="checkbox"
+          checked={showResolved}
+          onChange={(e) => setShowResolved(e.target.checked)}
+          className="rounded border-gray-300"
+        />
+        Show resolved threads
+      </label>
+
+      {/* Threads */}
+      {loading ? (
+        <LoadingSpinner size="sm" text="Loading comments..." />
+      ) : threads.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-dark-muted">
+          {showResolved ? 'No comments yet.' : 'No open comments.'}
+        </p>
+      ) : (
+        <ul className="space-y-3">
+          {threads.map((thread) => (
+            <li
+              key={thread._id}
+              onClick={() => thread.anchor && onSelectThread?.(thread._id === activeThreadId ? null : thread)}
+              className={`rounded-lg border p-3 transition-colors ${
+                thread._id === activeThreadId
+                  ? 'border-yellow-400 bg-yellow-50 dark:bg-yellow-900/10'
+                  : 'border-gray-200 dark:border-dark-border'
+              } ${thread.isResolved ? 'opacity-60' : ''} ${thread.anchor ? 'cursor-pointer' : ''}`}
+            >
+              {/* Anchored text */}
+              {thread.anchor && (
+                <p className="text-xs italic text-gray-500 dark:text-dark-muted line-clamp-2 pl-2 mb-2 border-l-2 border-yellow-400">
+                  &ldquo;{thread.anchor.quote}&rdquo;
+                  {!thread.position && <span className="not-italic"> · text was removed</span>}
+                </p>
+              )}
+
+              {renderComment(thread)}
+
+              {/* Replies */}
+              {thread.replies.length > 0 && (
+                <div className="mt-3 space-y-3 pl-3 border-l border-gray-200 dark:border-dark-border">
+                  {thread.replies.map((reply) => (
+                    <div key={reply._id}>{renderComment(reply)}</div>
+                  ))}
+                </div>
+              )}
+
+              {/* Thread actions */}
+              <div className="mt-2" onClick={(e) => e.stopPropagation()}>
+                {replyingTo === thread._id ? (
+                  <CommentInput
+                    value={replyDraft}
+                    onChange={setReplyDraft}
+                    onSubmit={() => handleReply(thread)}
+                    onCancel={() => setReplyingTo(null)}
+                    users={users}
+                    placeholder="Reply..."
+                    submitText="Reply"
+                    autoFocus
+                  />
+                ) : (
+                  <div className="flex items-center gap-3 text-xs">
+                    <button
+                      onClick={() => {
+                        setReplyingTo(thread._id);
+                        setReplyDraft('');
+                      }}
+                      className="flex items-center gap-1 text-gray-500 hover:text-gray-700 dark:text-dark-muted dark:hover:text-dark-text"
+                    >
+                      <HiOutlineReply className="w-3.5 h-3.5" />
+                      Reply
+                    </button>
+                    {(canResolve || thread.author?._id === user?._id) && (
+                      <button
+                        onClick={() => handleResolve(thread)}
+                        className="flex items-center gap-1 text-gray-500 hover:text-gray-700 dark:text-dark-muted dark:hover:text-dark-text"
+                      >
+                        {thread.isResolved ? (
+                          <>
+                            <HiOutlineRefresh className="w-3.5 h-3.5" />
+                            Reopen
+                          </>
+                        ) : (
+                          <>
+                            <HiOutlineCheck className="w-3.5 h-3.5" />
+                            Resolve
+                          </>
+                        )}
+                      </button>
+                    )}
+                    {thread.isResolved && thread.resolvedBy && (
+                      <span className="text-gray-400">Resolved by {thread.resolvedBy.name}</span>
+                    )}
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Delete Modal */}
+      <ConfirmModal
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDelete}
+        title="Delete Comment"
+        message={
+          deleteTarget && !deleteTarget.parent && deleteTarget.replies?.length
+            ? 'Delete this comment and all replies to it?'
+            : 'Delete this comment?'
+        }
+        confirmText="Delete"
+        type="danger"
+      />
+    </div>
+  );
+};
+
+export default CommentsPanel;
@@ -0,0 +1,98 @@
+/**
+ * Conflict Dialog Component
+ * Shown when saving a note that someone else changed in the meantime.
+ * Compares the local edits with the saved copy and lets the user merge,
+ * overwrite or discard their changes.
+ */
+
+import { HiOutlineExclamation, HiOutlineX } from 'react-icons/hi';
+
+const Version = ({ label, note, showContent }) => (
+  <div className="min-w-0">
+    <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-dark-muted mb-2">
+      {label}
+    </p>
+    <div className="rounded-lg border border-gray-200 dark:border-dark-border p-3">
+      <p className="font-medium text-gray-900 dark:text-white mb-2 break-words">
+        {note.title}
+      </p>
+      {showContent && (
+        <pre className="max-h-64 overflow-auto whitespace-pre-wrap break-words font-sans text-sm text-gray-600 dark:text-dark-text">
+          {note.content}
+        </pre>
+      )}
+    </div>
+  </div>
+);
+
+const ConflictDialog = ({
+  isOpen,
+  mine,
+  theirs,
+  showContent = true,
+  onMerge,
+  onOverwrite,
+  onDiscard,
+  onClose
+}) => {
+  if (!isOpen || !theirs) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div className="relative bg-white dark:bg-dark-card rounded-xl shadow-xl max-w-3xl w-full p-6 animate-slide-up">
+          {/* Close Button */}
+          <button
+            onClick={onClose}
+            className="absolute top-4 right-4 p-1 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
+          >
+            <HiOutlineX className="w-5 h-5" />
+          </button>
+
+          {/* Header */}
+          <div className="flex items-start space-x-3 mb-4">
+            <div className="w-10 h-10 rounded-full flex items-center justify-center flex-shrink-0 bg-yellow-100 text-yellow-600 dark:bg-yellow-900/30 dark:text-yellow-400">
+              <HiOutlineExclamation className="w-5 h-5" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                This note was changed while you were editing
+              </h3>
+              <p className="text-sm text-gray-500 dark:text-dark-muted">
+                Merge both sets of changes, keep yours, or discard yours and load the saved copy.
+              </p>
+            </div>
+          </div>
+
+          {/* Versions */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <Version label="Your changes" note={mine} showContent={showContent} />
+            <Version label="Saved version" note={theirs} showContent={showContent} />
+          </div>
+
+          {/* Actions */}
+          <div className="flex flex-wrap items-center justify-end gap-3">
+            <button onClick={onDiscard} className="btn-secondary">
+              Discard Mine
+            </button>
+            <button onClick={onOverwrite} className="btn bg-yellow-600 hover:bg-yellow-700 text-white">
+              Overwrite
+            </button>
+            <button onClick={onMerge} className="btn-primary">
+              Merge Changes
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
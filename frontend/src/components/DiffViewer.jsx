@@ -0,0 +1,149 @@
+/**
+ * Diff Viewer Component
+ * Renders a line/word diff between two note versions, inline or side by side
+ */
+
+import { useState, useEffect } from 'react';
+import { notesAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import toast from 'react-hot-toast';
+
+// Word segment styles
+const SEGMENT_STYLES = {
+  insert: 'bg-green-200 text-green-900 dark:bg-green-900/50 dark:text-green-200',
+  delete: 'bg-red-200 text-red-900 line-through dark:bg-red-900/50 dark:text-red-200'
+};
+
+// Line background styles
+const LINE_STYLES = {
+  insert: 'bg-green-50 dark:bg-green-900/20',
+  delete: 'bg-red-50 dark:bg-red-900/20',
+  modify: 'bg-amber-50 dark:bg-amber-900/20',
+  equal: ''
+};
+
+// Render word segments, dropping the side that doesn't belong to this column
+const Words = ({ words, hide }) => (
+  <>
+    {words
+      .filter((segment) => segment.type !== hide)
+      .map((segment, index) => (
+        <span key={index} className={SEGMENT_STYLES[segment.type] || ''}>
+          {segment.value}
+        </span>
+      ))}
+  </>
+);
+
+const LineNumber = ({ value }) => (
+  <span className="inline-block w-10 pr-2 text-right text-gray-400 select-none flex-shrink-0">
+    {value ?? ''}
+  </span>
+);
+
+const DiffViewer = ({ noteId, from, to = 'current' }) => {
+  // State
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [mode, setMode] = useState('inline');
+
+  useEffect(() => {
+    const fetchDiff = async () => {
+      try {
+        setLoading(true);
+        const response = await notesAPI.getDiff(noteId, from, to);
+        setDiff(response.data);
+      } catch (err) {
+        console.error('Error fetching diff:', err);
+        toast.error(err.response?.data?.message || 'Failed to compare versions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDiff();
+  }, [noteId, from, to]);
+
+  if (loading) {
+    return <LoadingSpinner size="sm" text="Comparing..." />;
+  }
+
+  if (!diff) return null;
+
+  const { stats, lines, title } = diff;
+
+  return (
+    <div>
+      {/* Summary & mode toggle */}
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-xs text-gray-500 dark:text-dark-muted space-x-3">
+          <span className="text-green-600">+{stats.added} added</span>
+          <span className="text-red-600">−{stats.removed} removed</span>
+          <span className="text-amber-600">~{stats.modified} changed</span>
+        </p>
+        <div className="flex items-center bg-gray-100 dark:bg-dark-bg rounded-lg p-0.5 text-xs">
+          {['inline', 'split'].map((option) => (
+            <button
+              key={option}
+              onClick={() => setMode(option)}
+              className={`px-2 py-1 rounded-md transition-colors ${
+                mode === option
+                  ? 'bg-white dark:bg-dark-card shadow-sm text-primary-600'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {option === 'inline' ? 'Inline' : 'Side by side'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Title change */}
+      {title.changed && (
+        <p className="mb-3 text-sm font-medium text-gray-700 dark:text-dark-text">
+          Title: <Words words={title.words} />
+        </p>
+      )}
+
+      <div className="max-h-96 overflow-auto rounded-lg border border-gray-200 dark:border-dark-border font-mono text-xs">
+        {mode === 'inline' ? (
+          lines.map((line, index) => (
+            <div key={index} className={`flex whitespace-pre-wrap break-words ${LINE_STYLES[line.type]}`}>
+              <LineNumber value={line.oldLine} />
+              <LineNumber value={line.newLine} />
+              <span className="w-4 flex-shrink-0 text-gray-400 select-none">
+                {line.type === 'insert' ? '+' : line.type === 'delete' ? '−' : line.type === 'modify' ? '~' : ' '}
+              </span>
+              <span className="flex-1 min-w-0">
+                {line.type === 'modify' ? <Words words={line.words} /> : line.text || ' '}
+              </span>
+            </div>
+          ))
+        ) : (
+          lines.map((line, index) => (
+            <div key={index} className="grid grid-cols-2 divide-x divide-gray-200 dark:divide-dark-border">
+              {/* Old side */}
+              <div className={`flex whitespace-pre-wrap break-words ${line.type === 'insert' ? '' : LINE_STYLES[line.type]}`}>
+                <LineNumber value={line.oldLine} />
+                <span className="flex-1 min-w-0">
+                  {line.type === 'modify' && <Words words={line.words} hide="insert" />}
+                  {(line.type === 'equal' || line.type === 'delete') && (line.text || ' ')}
+                </span>
+              </div>
+              {/* New side */}
+              <div className={`flex whitespace-pre-wrap break-words ${line.type === 'delete' ? '' : LINE_STYLES[line.type]}`}>
+                <LineNumber value={line.newLine} />
+                <span className="flex-1 min-w-0">
+                  {line.type === 'modify' && <Words words={line.words} hide="delete" />}
+                  {(line.type === 'equal' || line.type === 'insert') && (line.text || ' ')}
+                </span>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DiffViewer;
@@ -0,0 +1,54 @@
+/**
+ * Email Verification Banner Component
+ * Reminds signed-in users with an unverified email and lets them resend the link
+ */
+
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import { HiOutlineMail } from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+const EmailVerificationBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  // Users loaded before the field existed are left alone until /auth/me refreshes them
+  if (!isAuthenticated || user.isEmailVerified !== false) return null;
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      await authAPI.resendVerification();
+      setSent(true);
+      toast.success('Verification email sent');
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 dark:bg-yellow-900/20 border-b border-yellow-200 dark:border-yellow-800">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center gap-2 text-sm text-yellow-800 dark:text-yellow-200">
+        <HiOutlineMail className="h-5 w-5 flex-shrink-0" />
+        <span className="flex-1">
+          Please verify <strong>{user.email}</strong>. Some features, like share links, stay locked until you do.
+        </span>
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={sending || sent}
+          className="font-medium underline hover:no-underline disabled:opacity-50 disabled:no-underline"
+        >
+          {sent ? 'Email sent' : sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,161 @@
+/**
+ * Folder Sidebar Component
+ * Dashboard navigation: all notes, notes outside any folder, real folders and
+ * smart folders (saved searches, evaluated live) with their note counts
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { foldersAPI, savedSearchesAPI } from '../services/api';
+import ConfirmModal from './ConfirmModal';
+import {
+  HiOutlineCollection,
+  HiOutlineFolder,
+  HiOutlineInbox,
+  HiOutlineLightningBolt,
+  HiOutlineTrash,
+  HiOutlineExclamation
+} from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+/**
+ * @param {Object} selected - { type: 'all' | 'unfiled' | 'folder' | 'smart', id }
+ * @param {Function} onSelect - Called with the new selection
+ * @param {number} refreshKey - Change it to reload folders and counts
+ */
+const FolderSidebar = ({ selected, onSelect, refreshKey = 0 }) => {
+  const [folders, setFolders] = useState([]);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  const fetchItems = useCallback(async () => {
+    try {
+      const [foldersResponse, savedSearchesResponse] = await Promise.all([
+        foldersAPI.getAll(),
+        savedSearchesAPI.getAll()
+      ]);
+      setFolders(foldersResponse.data.folders || []);
+      setSavedSearches(savedSearchesResponse.data.savedSearches || []);
+    } catch (err) {
+      console.error('Error fetching folders:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems, refreshKey]);
+
+  const handleDelete = async (savedSearch) => {
+    try {
+      await savedSearchesAPI.delete(savedSearch._id);
+      setSavedSearches(prev => prev.filter(item => item._id !== savedSearch._id));
+      if (selected.type === 'smart' && selected.id === savedSearch._id) {
+        onSelect({ type: 'all' });
+      }
+      toast.success('Smart folder deleted');
+    } catch (err) {
+      console.error('Delete saved search error:', err);
+      toast.error(err.response?.data?.message || 'Failed to delete smart folder');
+    }
+  };
+
+  const isSelected = (type, id) => selected.type === type && (id === undefined || selected.id === id);
+
+  const itemClass = (active) =>
+    `w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ${
+      active
+        ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300'
+        : 'text-gray-600 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+    }`;
+
+  return (
+    <aside className="bg-white dark:bg-dark-card rounded-2xl p-3 shadow-sm border-2 border-gray-200 dark:border-dark-border space-y-4 lg:sticky lg:top-20">
+      <div className="space-y-1">
+        <button onClick={() => onSelect({ type: 'all' })} className={itemClass(isSelected('all'))}>
+          <HiOutlineCollection className="w-4 h-4 flex-shrink-0" />
+          <span className="flex-1">All notes</span>
+        </button>
+        <button onClick={() => onSelect({ type: 'unfiled' })} className={itemClass(isSelected('unfiled'))}>
+          <HiOutlineInbox className="w-4 h-4 flex-shrink-0" />
+          <span className="flex-1">Not in a folder</span>
+        </button>
+      </div>
+
+      {/* Folders */}
+      <div>
+        <p className="px-3 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">Folders</p>
+        {folders.length === 0 ? (
+          <p className="px-3 py-1 text-sm text-gray-400">No folders yet</p>
+        ) : (
+          <div className="space-y-1">
+            {folders.map((folder) => (
+              <button
+                key={folder._id}
+                onClick={() => onSelect({ type: 'folder', id: folder._id })}
+                className={itemClass(isSelected('folder', folder._id))}
+              >
+                {folder.icon ? (
+                  <span className="w-4 text-center flex-shrink-0">{folder.icon}</span>
+                ) : (
+                  <HiOutlineFolder className="w-4 h-4 flex-shrink-0" />
+                )}
+                <span className="flex-1 truncate">{folder.name}</span>
+                <span className="text-xs text-gray-400">{folder.noteCount}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Smart folders */}
+      <div>
+        <p className="px-3 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">Smart folders</p>
+        {savedSearches.length === 0 ? (
+          <p className="px-3 py-1 text-sm text-gray-400">Save a search to add one</p>
+        ) : (
+          <div className="space-y-1">
+            {savedSearches.map((savedSearch) => (
+              <div key={savedSearch._id} className="group relative">
+                <button
+                  onClick={() => onSelect({ type: 'smart', id: savedSearch._id })}
+                  className={`${itemClass(isSelected('smart', savedSearch._id))} pr-8`}
+                  title={savedSearch.errors ? savedSearch.errors[0].message : savedSearch.criteria?.search || savedSearch.name}
+                >
+                  {savedSearch.icon ? (
+                    <span className="w-4 text-center flex-shrink-0">{savedSearch.icon}</span>
+                  ) : (
+                    <HiOutlineLightningBolt className="w-4 h-4 flex-shrink-0" />
+                  )}
+                  <span className="flex-1 truncate">{savedSearch.name}</span>
+                  {savedSearch.errors ? (
+                    <HiOutlineExclamation className="w-4 h-4 text-amber-500 group-hover:invisible" />
+                  ) : (
+                    <span className="text-xs text-gray-400 group-hover:invisible">{savedSearch.count}</span>
+                  )}
+                </button>
+                <button
+                  onClick={() => setDeleteTarget(savedSearch)}
+                  className="absolute right-1.5 top-1/2 -translate-y-1/2 p-1 rounded text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity"
+                  title="Delete smart folder"
+                >
+                  <HiOutlineTrash className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ConfirmModal
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={() => handleDelete(deleteTarget)}
+        title="Delete smart folder?"
+        message={`"${deleteTarget?.name}" will be removed. The notes in it are not affected.`}
+        confirmText="Delete"
+        type="danger"
+      />
+    </aside>
+  );
+};
+
+export default FolderSidebar;
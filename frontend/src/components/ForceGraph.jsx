@@ -0,0 +1,267 @@
+/**
+ * Force Graph Component
+ * Draws the knowledge graph as an SVG with a force-directed layout. Nodes
+ * can be dragged, the background pans, the wheel zooms and clicking a node
+ * hands it to onNodeClick.
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { placeNodes, tick, ALPHA_MIN } from '../utils/forceLayout';
+
+const VIEW_WIDTH = 1000;
+const VIEW_HEIGHT = 640;
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 4;
+// Pointer travel (in view units) before a press counts as a drag, not a click
+const CLICK_TOLERANCE = 4;
+// Up to this many notes every note is labelled; beyond it only when zoomed in or hovered
+const LABEL_ALL_NOTES = 60;
+
+const EDGE_STYLES = {
+  link: { stroke: '#6366f1', strokeWidth: 1.5 },
+  tag: { stroke: '#f59e0b', strokeWidth: 1, strokeDasharray: '4 3' },
+  folder: { stroke: '#9ca3af', strokeWidth: 1, strokeDasharray: '2 3' },
+  parent: { stroke: '#9ca3af', strokeWidth: 1.5 }
+};
+
+const nodeLabel = (node) => {
+  if (node.type === 'tag') return `#${node.label}`;
+  if (node.type === 'folder') return `${node.icon ? `${node.icon} ` : ''}${node.label}`;
+  return node.label;
+};
+
+const NodeShape = ({ node }) => {
+  if (node.type === 'tag') {
+    return (
+      <polygon
+        points="0,-7 7,0 0,7 -7,0"
+        fill={node.color || '#f59e0b'}
+        stroke="#b45309"
+        strokeWidth="1"
+      />
+    );
+  }
+
+  if (node.type === 'folder') {
+    return (
+      <rect
+        x="-8"
+        y="-6"
+        width="16"
+        height="12"
+        rx="2"
+        fill={node.color || '#9ca3af'}
+        stroke="#4b5563"
+        strokeWidth="1"
+      />
+    );
+  }
+
+  return (
+    <circle
+      r={node.isPinned ? 8 : 6}
+      fill={node.color || '#ffffff'}
+      stroke="#4b5563"
+      strokeWidth="1.5"
+    />
+  );
+};
+
+const ForceGraph = ({ nodes, edges, onNodeClick }) => {
+  const svgRef = useRef(null);
+  const positionsRef = useRef(new Map());
+  const alphaRef = useRef(0);
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const [, setFrame] = useState(0);
+  const [view, setView] = useState({ x: 0, y: 0, k: 1 });
+  const [hovered, setHovered] = useState(null);
+
+  // Ids of each node's neighbours, for highlighting on hover
+  const neighbours = useMemo(() => {
+    const byId = new Map(nodes.map((node) => [node.id, new Set()]));
+    for (const edge of edges) {
+      byId.get(edge.source)?.add(edge.target);
+      byId.get(edge.target)?.add(edge.source);
+    }
+    return byId;
+  }, [nodes, edges]);
+
+  const step = () => {
+    alphaRef.current = tick(positionsRef.current, edges, alphaRef.current);
+    setFrame((frame) => frame + 1);
+    frameRef.current = alphaRef.current > ALPHA_MIN ? requestAnimationFrame(step) : null;
+  };
+
+  // (Re)start the simulation, warming it up to at least `alpha`
+  const reheat = (alpha) => {
+    alphaRef.current = Math.max(alphaRef.current, alpha);
+    if (frameRef.current) cancelAnimationFrame(frameRef.current);
+    frameRef.current = requestAnimationFrame(step);
+  };
+
+  useEffect(() => {
+    positionsRef.current = placeNodes(nodes, positionsRef.current);
+    alphaRef.current = 0;
+    reheat(1);
+
+    return () => {
+      if (frameRef.current) cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+    };
+  }, [nodes, edges]);
+
+  // Pointer position in view coordinates
+  const toView = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  // Wheel zoom around the pointer (a native listener, so the page doesn't scroll)
+  useEffect(() => {
+    const svg = svgRef.current;
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const pointer = toView(event);
+      setView((current) => {
+        const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.k * (event.deltaY < 0 ? 1.1 : 1 / 1.1)));
+        return {
+          k,
+          x: pointer.x - ((pointer.x - current.x) * k) / current.k,
+          y: pointer.y - ((pointer.y - current.y) * k) / current.k
+        };
+      });
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handleNodePointerDown = (event, node) => {
+    event.stopPropagation();
+    svgRef.current.setPointerCapture(event.pointerId);
+    const start = toView(event);
+    dragRef.current = { node, start, moved: false };
+    positionsRef.current.get(node.id).fixed = true;
+  };
+
+  const handleBackgroundPointerDown = (event) => {
+    svgRef.current.setPointerCapture(event.pointerId);
+    dragRef.current = { last: toView(event) };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const pointer = toView(event);
+
+    if (drag.node) {
+      if (!drag.moved && Math.hypot(pointer.x - drag.start.x, pointer.y - drag.start.y) < CLICK_TOLERANCE) return;
+      drag.moved = true;
+
+      const position = positionsRef.current.get(drag.node.id);
+      position.x = (pointer.x - view.x) / view.k;
+      position.y = (pointer.y - view.y) / view.k;
+      reheat(0.3);
+      return;
+    }
+
+    const dx = pointer.x - drag.last.x;
+    const dy = pointer.y - drag.last.y;
+    drag.last = pointer;
+    setView((current) => ({ ...current, x: current.x + dx, y: current.y + dy }));
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag?.node) return;
+
+    const position = positionsRef.current.get(drag.node.id);
+    if (position) position.fixed = false;
+    if (!drag.moved) onNodeClick?.(drag.node);
+  };
+
+  const noteCount = nodes.filter((node) => node.type === 'note').length;
+  const showLabel = (node) =>
+    node.type !== 'note' ||
+    noteCount <= LABEL_ALL_NOTES ||
+    view.k >= 1.5 ||
+    node.id === hovered ||
+    neighbours.get(hovered)?.has(node.id);
+
+  const positions = positionsRef.current;
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`${-VIEW_WIDTH / 2} ${-VIEW_HEIGHT / 2} ${VIEW_WIDTH} ${VIEW_HEIGHT}`}
+      className="w-full h-[640px] touch-none select-none cursor-grab active:cursor-grabbing"
+      onPointerDown={handleBackgroundPointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <g transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+        {/* Edges */}
+        {edges.map((edge) => {
+          const source = positions.get(edge.source);
+          const target = positions.get(edge.target);
+          if (!source || !target) return null;
+
+          const dimmed = hovered && edge.source !== hovered && edge.target !== hovered;
+          return (
+            <line
+              key={`${edge.type}-${edge.source}-${edge.target}`}
+              x1={source.x}
+              y1={source.y}
+              x2={target.x}
+              y2={target.y}
+              {...EDGE_STYLES[edge.type]}
+              opacity={dimmed ? 0.15 : 0.8}
+            />
+          );
+        })}
+
+        {/* Nodes */}
+        {nodes.map((node) => {
+          const position = positions.get(node.id);
+          if (!position) return null;
+
+          const dimmed = hovered && node.id !== hovered && !neighbours.get(hovered)?.has(node.id);
+          return (
+            <g
+              key={node.id}
+              transform={`translate(${position.x} ${position.y})`}
+              opacity={dimmed ? 0.3 : 1}
+              className="cursor-pointer"
+              onPointerDown={(event) => handleNodePointerDown(event, node)}
+              onPointerEnter={() => setHovered(node.id)}
+              onPointerLeave={() => setHovered(null)}
+            >
+              <title>{nodeLabel(node)}</title>
+              <NodeShape node={node} />
+              {showLabel(node) && (
+                <text
+                  y={node.type === 'note' ? 18 : 20}
+                  textAnchor="middle"
+                  fontSize={node.type === 'note' ? 10 : 11}
+                  fontWeight={node.type === 'note' ? 400 : 600}
+                  className="fill-gray-700 dark:fill-gray-300 pointer-events-none"
+                >
+                  {nodeLabel(node)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </g>
+    </svg>
+  );
+};
+
+export default ForceGraph;
@@ -0,0 +1,24 @@
+/**
+ * Highlighted Text Component
+ * Renders text with the given ranges (e.g. search matches) marked
+ */
+
+const HighlightedText = ({ text = '', matches = [], className = '' }) => {
+  const parts = [];
+  let position = 0;
+
+  matches.forEach((match, index) => {
+    if (match.start > position) parts.push(text.slice(position, match.start));
+    parts.push(
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700/50 text-inherit rounded-sm">
+        {text.slice(match.start, match.end)}
+      </mark>
+    );
+    position = match.end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return <span className={className}>{parts}</span>;
+};
+
+export default HighlightedText;
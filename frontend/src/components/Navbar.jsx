@@ -6,6 +6,7 @@
 import { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 import { 
   HiOutlineMenu, 
   HiOutlineX, 
@@ -17,7 +18,10 @@ import {
   HiOutlineDocumentText,
   HiOutlineTrash,
   HiOutlineArchive,
-  HiOutlineCog
+  HiOutlineCog,
+  HiOutlineUserGroup,
+  HiOutlineShare,
+  HiOutlineGlobeAlt
 } from 'react-icons/hi';
 
 const Navbar = () => {
@@ -103,6 +107,45 @@ const Navbar = () => {
                   Archive
                 </Link>
 
+                {/* Shared With Me Link */}
+                <Link
+                  to="/shared"
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-1 ${
+                    isActive('/shared')
+                      ? 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400'
+                      : 'text-gray-600 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+                  }`}
+                >
+                  <HiOutlineShare className="w-4 h-4" />
+                  Shared
+                </Link>
+
+                {/* Graph Link */}
+                <Link
+                  to="/graph"
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-1 ${
+                    isActive('/graph')
+                      ? 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400'
+                      : 'text-gray-600 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+                  }`}
+                >
+                  <HiOutlineGlobeAlt className="w-4 h-4" />
+                  Graph
+                </Link>
+
+                {/* Teams Link */}
+                <Link
+                  to="/teams"
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-1 ${
+                    isActive('/teams')
+                      ? 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400'
+                      : 'text-gray-600 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+                  }`}
+                >
+                  <HiOutlineUserGroup className="w-4 h-4" />
+                  Teams
+                </Link>
+
                 {/* Trash Link */}
                 <Link
                   to="/trash"
@@ -125,6 +168,9 @@ const Navbar = () => {
                   <span>New Note</span>
                 </Link>
 
+                {/* Notifications */}
+                <NotificationBell />
+
                 {/* Dark Mode Toggle */}
                 <button
                   onClick={toggleDarkMode}
@@ -207,6 +253,7 @@ const Navbar = () => {
 
           {/* Mobile Menu Button */}
           <div className="flex items-center space-x-2 md:hidden">
+            {isAuthenticated && <NotificationBell />}
             <button
               onClick={toggleDarkMode}
               className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border"
@@ -259,6 +306,30 @@ const Navbar = () => {
                   My Notes
                 </Link>
                 
+                <Link
+                  to="/shared"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100 dark:text-dark-text dark:hover:bg-dark-border"
+                >
+                  Shared with me
+                </Link>
+
+                <Link
+                  to="/graph"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100 dark:text-dark-text dark:hover:bg-dark-border"
+                >
+                  Graph
+                </Link>
+
+                <Link
+                  to="/teams"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100 dark:text-dark-text dark:hover:bg-dark-border"
+                >
+                  Teams
+                </Link>
+
                 <Link
                   to="/notes/new"
                   onClick={() => setIsMenuOpen(false)}
@@ -3,6 +3,7 @@
  * Displays a single note in a beautiful card format
  */
 
+import { useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { 
   HiOutlineTrash, 
@@ -14,6 +15,8 @@ import {
   HiHeart,
   HiOutlineDotsVertical
 } from 'react-icons/hi';
+import HighlightedText from './HighlightedText';
+import { noteContentToText } from '../utils/markdown';
 
 const NoteCard = ({ note, onDelete, onTogglePin, viewMode = 'grid' }) => {
   // Format date
@@ -43,14 +46,38 @@ const NoteCard = ({ note, onDelete, onTogglePin, viewMode = 'grid' }) => {
     });
   };
 
+  // Content as the text it renders to, rather than its markdown
+  const previewText = useMemo(
+    () => noteContentToText(note.content || '', note.contentType),
+    [note.content, note.contentType]
+  );
+
   // Truncate content for preview
-  const truncateContent = (content, maxLength = 120) => {
-    if (!content) return '';
-    const stripped = content.replace(/[#*`\-\[\]]/g, '').trim();
+  const truncateContent = (maxLength = 120) => {
+    const stripped = previewText;
     if (stripped.length <= maxLength) return stripped;
     return stripped.substring(0, maxLength).trim() + '...';
   };
 
+  // Search results come with match offsets; show the matching part of the content
+  const renderTitle = () => {
+    if (!note.search) return note.title;
+    return <HighlightedText text={note.title} matches={note.search.titleMatches} />;
+  };
+
+  const renderPreview = (maxLength) => {
+    if (!note.search) return truncateContent(maxLength);
+
+    const { snippet } = note.search;
+    return (
+      <>
+        {snippet.start > 0 && '...'}
+        <HighlightedText text={snippet.text} matches={snippet.matches} />
+        {snippet.end < note.content.length && '...'}
+      </>
+    );
+  };
+
   // Get background style based on note color
   const getCardStyle = () => {
     if (note.color && note.color !== '#ffffff') {
@@ -83,10 +110,10 @@ const NoteCard = ({ note, onDelete, onTogglePin, viewMode = 'grid' }) => {
             <div className="flex items-start justify-between gap-4">
               <Link to={`/notes/${note._id}`} className="flex-1 min-w-0">
                 <h3 className="text-lg font-semibold text-gray-900 dark:text-white truncate hover:text-primary-600 dark:hover:text-primary-400 transition-colors">
-                  {note.title}
+                  {renderTitle()}
                 </h3>
                 <p className="mt-1 text-gray-500 dark:text-dark-muted text-sm line-clamp-2">
-                  {truncateContent(note.content, 200)}
+                  {renderPreview(200)}
                 </p>
               </Link>
               
@@ -168,7 +195,7 @@ const NoteCard = ({ note, onDelete, onTogglePin, viewMode = 'grid' }) => {
         <div className="mb-3">
           <Link to={`/notes/${note._id}`}>
             <h3 className="text-lg font-bold text-gray-900 dark:text-white truncate hover:text-primary-600 dark:hover:text-primary-400 transition-colors pr-16">
-              {note.title}
+              {renderTitle()}
             </h3>
           </Link>
         </div>
@@ -176,7 +203,7 @@ const NoteCard = ({ note, onDelete, onTogglePin, viewMode = 'grid' }) => {
         {/* Content Preview */}
         <Link to={`/notes/${note._id}`} className="block mb-4">
           <p className="text-gray-500 dark:text-dark-muted text-sm leading-relaxed line-clamp-3">
-            {truncateContent(note.content)}
+            {renderPreview()}
           </p>
         </Link>
 
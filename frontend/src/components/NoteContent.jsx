@@ -0,0 +1,61 @@
+/**
+ * Note Content Component
+ * Renders note content according to its type (markdown, rich text or plain).
+ * Links inside the app (wiki links, heading anchors, footnotes) are handled
+ * here so they don't reload the page.
+ */
+
+import { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { renderNoteContent } from '../utils/markdown';
+
+/**
+ * @param {string} content - Note content
+ * @param {string} contentType - 'markdown' | 'richtext' | 'plain'
+ * @param {Map} wikiLinks - Resolved [[wiki links]] by normalized title (from the outlinks API);
+ *   without it wiki links show as plain text
+ */
+const NoteContent = ({ content = '', contentType = 'markdown', wikiLinks = null, className = '' }) => {
+  const navigate = useNavigate();
+  const html = useMemo(
+    () => renderNoteContent(content, contentType, { wikiLinks }),
+    [content, contentType, wikiLinks]
+  );
+
+  const handleClick = (e) => {
+    const anchor = e.target.closest('a');
+    const href = anchor?.getAttribute('href');
+    if (!href || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+
+    if (href.startsWith('#')) {
+      const target = e.currentTarget.querySelector(`[id="${CSS.escape(decodeURIComponent(href.slice(1)))}"]`);
+      if (target) {
+        e.preventDefault();
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        window.history.replaceState(window.history.state, '', href);
+      }
+    } else if (href.startsWith('/') && !href.startsWith('//')) {
+      e.preventDefault();
+      navigate(href);
+    }
+  };
+
+  if (html === null) {
+    return (
+      <div className={`whitespace-pre-wrap text-gray-700 dark:text-dark-text leading-relaxed ${className}`}>
+        {content}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`markdown-body ${className}`}
+      onClick={handleClick}
+      // Sanitized in renderNoteContent
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default NoteContent;
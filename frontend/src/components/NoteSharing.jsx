@@ -0,0 +1,296 @@
+/**
+ * Note Sharing Component
+ * Share a note, or the folder it is in, with people by email or with a whole
+ * team, change their permission and stop sharing. Folder shares also cover
+ * subfolders, so shares of parent folders are listed as inherited.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { shareAPI, teamsAPI, foldersAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import {
+  HiOutlineShare,
+  HiOutlineX,
+  HiOutlineUser,
+  HiOutlineUserGroup,
+  HiOutlineFolder,
+  HiOutlineTrash
+} from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+const NoteSharing = ({ noteId, folder, onClose }) => {
+  // State
+  const [shares, setShares] = useState([]);
+  const [folderShares, setFolderShares] = useState([]);
+  const [scope, setScope] = useState('note'); // 'note' | 'folder'
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sharing, setSharing] = useState(false);
+  const [target, setTarget] = useState('person'); // 'person' | 'team'
+  const [email, setEmail] = useState('');
+  const [teamId, setTeamId] = useState('');
+  const [permission, setPermission] = useState('read');
+
+  const fetchShares = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [sharesResponse, teamsResponse, folderSharesResponse] = await Promise.all([
+        shareAPI.getNoteShareSettings(noteId),
+        teamsAPI.getAll(),
+        folder ? foldersAPI.getShares(folder._id) : null
+      ]);
+      setShares(sharesResponse.data.shares.filter((share) => !share.isPublic));
+      setTeams(teamsResponse.data.teams);
+      setFolderShares(folderSharesResponse ? folderSharesResponse.data.shares : []);
+    } catch (err) {
+      console.error('Error fetching shares:', err);
+      toast.error('Failed to load sharing settings');
+    } finally {
+      setLoading(false);
+    }
+  }, [noteId, folder]);
+
+  useEffect(() => {
+    fetchShares();
+  }, [fetchShares]);
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    try {
+      setSharing(true);
+      const recipient = target === 'team' ? { teamId } : { email: email.trim() };
+      if (scope === 'folder') {
+        await foldersAPI.share(folder._id, { ...recipient, permission });
+      } else if (target === 'team') {
+        await shareAPI.shareWithTeam(noteId, teamId, permission);
+      } else {
+        await shareAPI.shareNote(noteId, recipient.email, permission);
+      }
+      setEmail('');
+      toast.success(scope === 'folder' ? 'Folder shared' : 'Note shared');
+      fetchShares();
+    } catch (err) {
+      console.error('Share note error:', err);
+      toast.error(err.response?.data?.message || 'Failed to share note');
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const handlePermissionChange = async (shareId, newPermission) => {
+    try {
+      await shareAPI.updateShare(shareId, { permission: newPermission });
+      setShares((prev) =>
+        prev.map((share) => (share._id === shareId ? { ...share, permission: newPermission } : share))
+      );
+    } catch (err) {
+      console.error('Update share error:', err);
+      toast.error(err.response?.data?.message || 'Failed to update permission');
+    }
+  };
+
+  const handleFolderPermissionChange = async (share, newPermission) => {
+    try {
+      await foldersAPI.updateShare(share.folder._id, share._id, { permission: newPermission });
+      setFolderShares((prev) =>
+        prev.map((item) => (item._id === share._id ? { ...item, permission: newPermission } : item))
+      );
+    } catch (err) {
+      console.error('Update folder share error:', err);
+      toast.error(err.response?.data?.message || 'Failed to update permission');
+    }
+  };
+
+  const handleRemoveFolderShare = async (share) => {
+    try {
+      await foldersAPI.removeShare(share.folder._id, share._id);
+      setFolderShares((prev) => prev.filter((item) => item._id !== share._id));
+      toast.success('Stopped sharing folder');
+    } catch (err) {
+      console.error('Remove folder share error:', err);
+      toast.error(err.response?.data?.message || 'Failed to remove share');
+    }
+  };
+
+  const handleRemove = async (shareId) => {
+    try {
+      await shareAPI.removeShare(shareId);
+      setShares((prev) => prev.filter((share) => share._id !== shareId));
+      toast.success('Stopped sharing');
+    } catch (err) {
+      console.error('Remove share error:', err);
+      toast.error(err.response?.data?.message || 'Failed to remove share');
+    }
+  };
+
+  return (
+    <div className="card p-6 mt-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white">
+          <HiOutlineShare className="w-5 h-5" />
+          <span>Sharing</span>
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
+          title="Close sharing"
+        >
+          <HiOutlineX className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Share form */}
+      <form onSubmit={handleShare} className="grid gap-3 sm:grid-cols-[auto_auto_1fr_auto_auto] items-end mb-6">
+        <div>
+          <label htmlFor="share-scope" className="label">Share</label>
+          <select
+            id="share-scope"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="input"
+          >
+            <option value="note">This note</option>
+            {folder && <option value="folder">{folder.icon} {folder.name}</option>}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="share-target" className="label">With</label>
+          <select
+            id="share-target"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            className="input"
+          >
+            <option value="person">Person</option>
+            <option value="team" disabled={teams.length === 0}>Team</option>
+          </select>
+        </div>
+        <div>
+          {target === 'team' ? (
+            <>
+              <label htmlFor="share-team" className="label">Team</label>
+              <select
+                id="share-team"
+                value={teamId}
+                onChange={(e) => setTeamId(e.target.value)}
+                className="input"
+                required
+              >
+                <option value="">Choose a team</option>
+                {teams.map((team) => (
+                  <option key={team._id} value={team._id}>{team.name}</option>
+                ))}
+              </select>
+            </>
+          ) : (
+            <>
+              <label htmlFor="share-email" className="label">Email</label>
+              <input
+                id="share-email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="input"
+                placeholder="name@example.com"
+                required
+              />
+            </>
+          )}
+        </div>
+        <div>
+          <label htmlFor="share-permission" className="label">Can</label>
+          <select
+            id="share-permission"
+            value={permission}
+            onChange={(e) => setPermission(e.target.value)}
+            className="input"
+          >
+            <option value="read">View</option>
+            <option value="edit">Edit</option>
+          </select>
+        </div>
+        <button type="submit" disabled={sharing} className="btn-primary">
+          {sharing ? 'Sharing...' : 'Share'}
+        </button>
+      </form>
+
+      {/* Shares */}
+      {loading ? (
+        <LoadingSpinner size="sm" text="Loading..." />
+      ) : shares.length === 0 && folderShares.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-dark-muted">
+          Only you can see this note.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-dark-border">
+          {shares.map((share) => {
+            const Icon = share.sharedWithTeam ? HiOutlineUserGroup : HiOutlineUser;
+            return (
+              <li key={share._id} className="flex items-center gap-3 py-3">
+                <Icon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {share.sharedWithTeam ? share.sharedWithTeam.name : share.sharedWith?.name}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-dark-muted truncate">
+                    {share.sharedWithTeam ? 'Team' : share.sharedWith?.email}
+                  </p>
+                </div>
+                <select
+                  value={share.permission}
+                  onChange={(e) => handlePermissionChange(share._id, e.target.value)}
+                  className="text-sm border border-gray-300 dark:border-dark-border dark:bg-dark-card rounded-lg px-2 py-1"
+                >
+                  <option value="read">View</option>
+                  <option value="edit">Edit</option>
+                </select>
+                <button
+                  onClick={() => handleRemove(share._id)}
+                  className="p-2 rounded-lg text-gray-500 hover:bg-red-50 hover:text-red-600 dark:text-dark-muted dark:hover:bg-red-900/20 dark:hover:text-red-400 transition-colors"
+                  title="Stop sharing"
+                >
+                  <HiOutlineTrash className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+          {folderShares.map((share) => {
+            const Icon = share.sharedWithTeam ? HiOutlineUserGroup : HiOutlineUser;
+            return (
+              <li key={share._id} className="flex items-center gap-3 py-3">
+                <Icon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {share.sharedWithTeam ? share.sharedWithTeam.name : share.sharedWith?.name}
+                  </p>
+                  <p className="flex items-center gap-1 text-xs text-gray-500 dark:text-dark-muted truncate">
+                    <HiOutlineFolder className="w-3 h-3" />
+                    {share.inherited ? 'Inherited from' : 'Through'} {share.folder.icon} {share.folder.name}
+                  </p>
+                </div>
+                <select
+                  value={share.permission}
+                  onChange={(e) => handleFolderPermissionChange(share, e.target.value)}
+                  className="text-sm border border-gray-300 dark:border-dark-border dark:bg-dark-card rounded-lg px-2 py-1"
+                >
+                  <option value="read">View</option>
+                  <option value="edit">Edit</option>
+                </select>
+                <button
+                  onClick={() => handleRemoveFolderShare(share)}
+                  className="p-2 rounded-lg text-gray-500 hover:bg-red-50 hover:text-red-600 dark:text-dark-muted dark:hover:bg-red-900/20 dark:hover:text-red-400 transition-colors"
+                  title="Stop sharing folder"
+                >
+                  <HiOutlineTrash className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default NoteSharing;
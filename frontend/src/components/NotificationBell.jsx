@@ -0,0 +1,245 @@
+/**
+ * Notification Bell Component
+ * Navbar bell with unread count and a dropdown of recent notifications
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationsAPI } from '../services/api';
+import { useRealtimeEvent } from '../context/RealtimeContext';
+import LoadingSpinner from './LoadingSpinner';
+import {
+  HiOutlineBell,
+  HiOutlineClock,
+  HiOutlineShare,
+  HiOutlineKey,
+  HiOutlineUserGroup,
+  HiOutlineChatAlt2,
+  HiOutlineAtSymbol,
+  HiOutlineX
+} from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+// How often to refresh the unread badge
+const POLL_INTERVAL = 60 * 1000;
+
+const TYPE_ICONS = {
+  reminder: HiOutlineClock,
+  share: HiOutlineShare,
+  share_permission: HiOutlineKey,
+  team_invitation: HiOutlineUserGroup,
+  team: HiOutlineUserGroup,
+  comment: HiOutlineChatAlt2,
+  mention: HiOutlineAtSymbol
+};
+
+// Format a date relative to now
+const timeAgo = (dateString) => {
+  const seconds = Math.floor((Date.now() - new Date(dateString)) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const containerRef = useRef(null);
+
+  // State
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  // Fetch unread badge count
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getUnreadCount();
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('Error fetching unread count:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchUnreadCount]);
+
+  // New notifications are pushed over the realtime connection
+  useRealtimeEvent('notification:created', ({ notification }) => {
+    setUnreadCount((count) => count + 1);
+    setNotifications((prev) => [notification, ...prev]);
+  });
+
+  // Close dropdown on outside click
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  // Open dropdown and load recent notifications
+  const toggleOpen = async () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+
+    setIsOpen(true);
+    try {
+      setLoading(true);
+      const response = await notificationsAPI.getAll({ limit: 10 });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+      toast.error('Failed to load notifications');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Mark as read and follow the link
+  const handleOpen = async (notification) => {
+    if (!notification.isRead) {
+      try {
+        await notificationsAPI.markAsRead(notification._id);
+        setNotifications((prev) =>
+          prev.map((item) => (item._id === notification._id ? { ...item, isRead: true } : item))
+        );
+        setUnreadCount((count) => Math.max(count - 1, 0));
+      } catch (err) {
+        console.error('Mark notification read error:', err);
+      }
+    }
+
+    if (notification.link) {
+      setIsOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  // Mark every notification as read
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllAsRead();
+      setNotifications((prev) => prev.map((item) => ({ ...item, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Mark all read error:', err);
+      toast.error('Failed to mark notifications as read');
+    }
+  };
+
+  // Delete a notification
+  const handleDelete = async (e, notification) => {
+    e.stopPropagation();
+    try {
+      await notificationsAPI.delete(notification._id);
+      setNotifications((prev) => prev.filter((item) => item._id !== notification._id));
+      if (!notification.isRead) setUnreadCount((count) => Math.max(count - 1, 0));
+    } catch (err) {
+      console.error('Delete notification error:', err);
+      toast.error('Failed to delete notification');
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={toggleOpen}
+        className="relative p-2 rounded-lg text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border transition-colors"
+        aria-label="Notifications"
+      >
+        <HiOutlineBell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white dark:bg-dark-card rounded-xl shadow-lg border border-gray-200 dark:border-dark-border overflow-hidden animate-slide-down">
+          {/* Header */}
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100 dark:border-dark-border">
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white">
+              Notifications
+            </h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-xs text-primary-600 hover:text-primary-700 dark:text-primary-400"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {/* List */}
+          <div className="max-h-96 overflow-y-auto">
+            {loading ? (
+              <div className="py-6">
+                <LoadingSpinner size="sm" />
+              </div>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-dark-muted">
+                You're all caught up
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-100 dark:divide-dark-border">
+                {notifications.map((notification) => {
+                  const Icon = TYPE_ICONS[notification.type] || HiOutlineBell;
+
+                  return (
+                    <li
+                      key={notification._id}
+                      onClick={() => handleOpen(notification)}
+                      className={`group flex items-start space-x-3 px-4 py-3 cursor-pointer hover:bg-gray-50 dark:hover:bg-dark-bg transition-colors ${
+                        notification.isRead ? '' : 'bg-primary-50/50 dark:bg-primary-900/10'
+                      }`}
+                    >
+                      <Icon className="w-5 h-5 mt-0.5 flex-shrink-0 text-primary-600 dark:text-primary-400" />
+                      <div className="flex-1 min-w-0">
+                        <p className={`text-sm text-gray-900 dark:text-white ${notification.isRead ? '' : 'font-medium'}`}>
+                          {notification.title}
+                        </p>
+                        {notification.message && (
+                          <p className="text-xs text-gray-500 dark:text-dark-muted truncate">
+                            {notification.message}
+                          </p>
+                        )}
+                        <p className="text-xs text-gray-400 mt-0.5">
+                          {timeAgo(notification.createdAt)}
+                        </p>
+                      </div>
+                      <button
+                        onClick={(e) => handleDelete(e, notification)}
+                        className="p-1 rounded text-gray-400 opacity-0 group-hover:opacity-100 hover:text-red-600 transition-opacity"
+                        title="Delete"
+                      >
+                        <HiOutlineX className="w-4 h-4" />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,56 @@
+/**
+ * Presence Avatars Component
+ * Shows who else currently has a note open
+ */
+
+const MAX_VISIBLE = 5;
+
+const initials = (name = '') =>
+  name
+    .split(' ')
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('');
+
+const PresenceAvatars = ({ participants = [], currentClientId }) => {
+  // One avatar per user, even with several tabs open
+  const users = [];
+  const seen = new Set();
+  participants.forEach((participant) => {
+    if (seen.has(participant.userId)) return;
+    seen.add(participant.userId);
+    users.push({ ...participant, isYou: participant.clientId === currentClientId });
+  });
+
+  if (users.length <= 1) return null;
+
+  const visible = users.slice(0, MAX_VISIBLE);
+  const hidden = users.length - visible.length;
+
+  return (
+    <div className="flex items-center -space-x-2">
+      {visible.map((user) => (
+        <div
+          key={user.userId}
+          className="w-8 h-8 rounded-full ring-2 ring-white dark:ring-dark-card flex items-center justify-center text-xs font-semibold text-white overflow-hidden"
+          style={{ backgroundColor: user.color }}
+          title={`${user.name}${user.isYou ? ' (you)' : ''}${user.access === 'read' ? ' · viewing' : ''}`}
+        >
+          {user.avatar ? (
+            <img src={user.avatar} alt={user.name} className="w-full h-full object-cover" />
+          ) : (
+            initials(user.name)
+          )}
+        </div>
+      ))}
+      {hidden > 0 && (
+        <div className="w-8 h-8 rounded-full ring-2 ring-white dark:ring-dark-card bg-gray-200 dark:bg-dark-border flex items-center justify-center text-xs font-medium text-gray-600 dark:text-dark-muted">
+          +{hidden}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresenceAvatars;
@@ -0,0 +1,101 @@
+/**
+ * Related Notes Component
+ * Lists the user's notes on a similar topic to the open one, with the
+ * terms they share
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { notesAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import { HiOutlineLightBulb, HiOutlineFolder } from 'react-icons/hi';
+
+const RelatedNotes = ({ noteId, updatedAt }) => {
+  const [related, setRelated] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Re-fetched whenever the note changes, since its topic may have too
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchRelated = async () => {
+      try {
+        setLoading(true);
+        const response = await notesAPI.getRelated(noteId);
+        if (!cancelled) setRelated(response.data.related || []);
+      } catch (err) {
+        console.error('Error fetching related notes:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchRelated();
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId, updatedAt]);
+
+  // Format date
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  return (
+    <div className="card p-6 mt-6">
+      <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white mb-4">
+        <HiOutlineLightBulb className="w-5 h-5" />
+        <span>Related Notes</span>
+      </h2>
+
+      {loading ? (
+        <LoadingSpinner size="sm" text="Finding related notes..." />
+      ) : related.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-dark-muted">
+          No notes on a similar topic yet.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-dark-border">
+          {related.map(({ note, terms }) => (
+            <li key={note._id}>
+              <Link
+                to={`/notes/${note._id}`}
+                className="block py-3 -mx-2 px-2 rounded-lg hover:bg-gray-50 dark:hover:bg-dark-border transition-colors"
+              >
+                <div className="flex items-center justify-between gap-4">
+                  <span className="font-medium text-gray-900 dark:text-white truncate">{note.title}</span>
+                  <span className="text-xs text-gray-400 whitespace-nowrap">{formatDate(note.updatedAt)}</span>
+                </div>
+                <div className="flex flex-wrap items-center gap-1.5 mt-1">
+                  {note.folder && (
+                    <span className="inline-flex items-center gap-1 text-xs text-gray-500 dark:text-dark-muted mr-1">
+                      {note.folder.icon || <HiOutlineFolder className="w-3 h-3" />}
+                      {note.folder.name}
+                    </span>
+                  )}
+                  {note.isArchived && (
+                    <span className="badge bg-gray-100 text-gray-600 dark:bg-dark-border dark:text-dark-muted">Archived</span>
+                  )}
+                  {terms.map((term) => (
+                    <span
+                      key={term}
+                      className="badge bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300"
+                    >
+                      {term}
+                    </span>
+                  ))}
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RelatedNotes;
@@ -0,0 +1,190 @@
+/**
+ * Save Search Modal Component
+ * Saves the dashboard's current search and filters as a smart folder,
+ * optionally narrowed to a date range and a word-count range
+ */
+
+import { useState } from 'react';
+import { savedSearchesAPI } from '../services/api';
+import { HiOutlineLightningBolt, HiOutlineX } from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+const EMPTY_RANGES = {
+  createdFrom: '',
+  createdTo: '',
+  updatedFrom: '',
+  updatedTo: '',
+  minWords: '',
+  maxWords: ''
+};
+
+// Date inputs give whole days; like the query language they are UTC days,
+// and the "to" day is included
+const startOfDay = (day) => (day ? `${day}T00:00:00.000Z` : undefined);
+const endOfDay = (day) => (day ? `${day}T23:59:59.999Z` : undefined);
+
+/**
+ * Render it only while open, so each time starts from the current search
+ * @param {Object} criteria - Filters to save: { search, color, folder }
+ * @param {Function} onSaved - Called with the new saved search
+ */
+const SaveSearchModal = ({ onClose, criteria = {}, onSaved }) => {
+  const [name, setName] = useState('');
+  const [search, setSearch] = useState(criteria.search || '');
+  const [ranges, setRanges] = useState(EMPTY_RANGES);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const updateRange = (field) => (e) => setRanges(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Please give the smart folder a name');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setErrors([]);
+      const response = await savedSearchesAPI.create({
+        name: name.trim(),
+        criteria: {
+          search: search.trim(),
+          color: criteria.color || undefined,
+          folder: criteria.folder,
+          createdFrom: startOfDay(ranges.createdFrom),
+          createdTo: endOfDay(ranges.createdTo),
+          updatedFrom: startOfDay(ranges.updatedFrom),
+          updatedTo: endOfDay(ranges.updatedTo),
+          minWords: ranges.minWords === '' ? undefined : Number(ranges.minWords),
+          maxWords: ranges.maxWords === '' ? undefined : Number(ranges.maxWords)
+        }
+      });
+      toast.success('Smart folder created');
+      onSaved(response.data.savedSearch);
+      onClose();
+    } catch (err) {
+      console.error('Save search error:', err);
+      if (err.response?.data?.errors) {
+        setErrors(err.response.data.errors);
+      } else {
+        toast.error(err.response?.data?.message || 'Failed to save search');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      {/* Backdrop */}
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 transition-opacity"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="flex min-h-full items-center justify-center p-4">
+        <form
+          onSubmit={handleSubmit}
+          className="relative bg-white dark:bg-dark-card rounded-xl shadow-xl max-w-lg w-full p-6 animate-slide-up space-y-4"
+        >
+          {/* Close Button */}
+          <button
+            type="button"
+            onClick={onClose}
+            className="absolute top-4 right-4 p-1 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
+          >
+            <HiOutlineX className="w-5 h-5" />
+          </button>
+
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full flex items-center justify-center bg-primary-100 text-primary-600 dark:bg-primary-900/30 dark:text-primary-400">
+              <HiOutlineLightningBolt className="w-5 h-5" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Save as smart folder</h3>
+              <p className="text-sm text-gray-500 dark:text-dark-muted">Always shows the notes that match right now</p>
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={50}
+              placeholder="e.g. Work this month"
+              className="input"
+              autoFocus
+            />
+          </div>
+
+          <div>
+            <label className="label">Search</label>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              maxLength={200}
+              placeholder='tag:work is:pinned "phrase"'
+              className={`input ${errors.length > 0 ? 'input-error' : ''}`}
+              spellCheck={false}
+            />
+            {errors.map((error) => (
+              <p key={`${error.code}-${error.start}`} className="mt-1 text-sm text-red-600 dark:text-red-400">
+                {error.token && <code className="px-1 mr-1 rounded bg-red-50 dark:bg-red-900/20">{error.token}</code>}
+                {error.message}
+              </p>
+            ))}
+            {(criteria.color || criteria.folder !== undefined) && (
+              <p className="mt-1 text-xs text-gray-500 dark:text-dark-muted">
+                Also keeps the current {[criteria.color && 'color', criteria.folder !== undefined && 'folder'].filter(Boolean).join(' and ')} filter
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="label">Created from</label>
+              <input type="date" value={ranges.createdFrom} onChange={updateRange('createdFrom')} className="input" />
+            </div>
+            <div>
+              <label className="label">Created to</label>
+              <input type="date" value={ranges.createdTo} onChange={updateRange('createdTo')} className="input" />
+            </div>
+            <div>
+              <label className="label">Updated from</label>
+              <input type="date" value={ranges.updatedFrom} onChange={updateRange('updatedFrom')} className="input" />
+            </div>
+            <div>
+              <label className="label">Updated to</label>
+              <input type="date" value={ranges.updatedTo} onChange={updateRange('updatedTo')} className="input" />
+            </div>
+            <div>
+              <label className="label">Min words</label>
+              <input type="number" min="0" value={ranges.minWords} onChange={updateRange('minWords')} className="input" />
+            </div>
+            <div>
+              <label className="label">Max words</label>
+              <input type="number" min="0" value={ranges.maxWords} onChange={updateRange('maxWords')} className="input" />
+            </div>
+          </div>
+
+          <div className="flex items-center justify-end space-x-3 pt-2">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SaveSearchModal;
@@ -0,0 +1,229 @@
+/**
+ * Search Box Component
+ * Dashboard search input for the note query language, e.g.
+ * tag:work folder:"Project Alpha" is:pinned created:>2026-01-01 "exact phrase" -draft
+ * Suggests filter names and tag/folder values while typing and shows where
+ * a rejected query went wrong.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { notesAPI } from '../services/api';
+import { HiOutlineSearch, HiOutlineX } from 'react-icons/hi';
+
+// Wait this long after typing before asking for suggestions
+const SUGGEST_DELAY = 150;
+
+/**
+ * The token being typed before the caret
+ * @returns {Object|null} - { start, negated, field, value } (field is '' while typing a filter name)
+ */
+const tokenAtCaret = (text, caret) => {
+  const before = text.slice(0, caret);
+
+  const valueMatch = /(^|\s)(-?)([a-z]+):("[^"]*|[^\s"]*)$/i.exec(before);
+  if (valueMatch) {
+    return {
+      start: valueMatch.index + valueMatch[1].length,
+      negated: !!valueMatch[2],
+      field: valueMatch[3].toLowerCase(),
+      value: valueMatch[4]
+    };
+  }
+
+  const nameMatch = /(^|\s)(-?)([a-z]+)$/i.exec(before);
+  // Words inside an open quote are a phrase, not a filter
+  if (nameMatch && (before.match(/"/g) || []).length % 2 === 0) {
+    return {
+      start: nameMatch.index + nameMatch[1].length,
+      negated: !!nameMatch[2],
+      field: '',
+      value: nameMatch[3]
+    };
+  }
+
+  return null;
+};
+
+const SearchBox = ({ value, onChange, onSearch, onClear, errors = [] }) => {
+  const inputRef = useRef(null);
+  const [token, setToken] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+
+  // Fetch suggestions for the token being typed
+  useEffect(() => {
+    if (!token) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await notesAPI.getSearchSuggestions(token.field, token.value);
+        if (!cancelled) {
+          setSuggestions(response.data.suggestions);
+          setHighlighted(0);
+        }
+      } catch (err) {
+        console.error('Search suggestions error:', err);
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token]);
+
+  const updateToken = (text, caret) => {
+    const next = tokenAtCaret(text, caret);
+    setToken((prev) =>
+      prev && next && prev.start === next.start && prev.field === next.field && prev.value === next.value ? prev : next
+    );
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateToken(e.target.value, e.target.selectionStart);
+  };
+
+  const closeSuggestions = () => {
+    setToken(null);
+    setSuggestions([]);
+  };
+
+  // Replace the token being typed with the suggestion
+  const acceptSuggestion = (suggestion) => {
+    const caret = inputRef.current.selectionStart;
+    const insert = `${token.negated ? '-' : ''}${suggestion.insert}`;
+    // Filter names still need a value; completed filters are followed by a space
+    const spacer = suggestion.insert.endsWith(':') ? '' : ' ';
+    const before = value.slice(0, token.start) + insert + spacer;
+    const after = value.slice(caret).replace(/^\S*/, '');
+    const next = before + after;
+
+    onChange(next);
+    requestAnimationFrame(() => {
+      inputRef.current.focus();
+      inputRef.current.setSelectionRange(before.length, before.length);
+      updateToken(next, before.length);
+    });
+    if (spacer) closeSuggestions();
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setHighlighted((prev) => (prev + 1) % suggestions.length);
+        return;
+      }
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setHighlighted((prev) => (prev - 1 + suggestions.length) % suggestions.length);
+        return;
+      }
+      // Enter completes a partly typed value; once it's complete, Enter searches
+      const complete = token && token.value.replace(/"/g, '') === suggestions[highlighted].value;
+      if (e.key === 'Tab' || (e.key === 'Enter' && !complete)) {
+        e.preventDefault();
+        acceptSuggestion(suggestions[highlighted]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        closeSuggestions();
+        return;
+      }
+    }
+
+    if (e.key === 'Enter') {
+      closeSuggestions();
+      onSearch();
+    }
+  };
+
+  return (
+    <div className="flex-1">
+      <div className="relative">
+        <HiOutlineSearch className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onClick={(e) => updateToken(value, e.target.selectionStart)}
+          onBlur={() => setTimeout(closeSuggestions, 150)}
+          placeholder='Search your notes... (tag:work is:pinned "phrase" -draft)'
+          className={`w-full pl-12 pr-24 py-3 bg-gray-50 dark:bg-dark-bg border rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all ${
+            errors.length > 0 ? 'border-red-300 dark:border-red-700' : 'border-gray-200 dark:border-dark-border'
+          }`}
+          autoComplete="off"
+          spellCheck={false}
+        />
+        {value && (
+          <button
+            onClick={onClear}
+            className="absolute right-20 top-1/2 -translate-y-1/2 p-1 hover:bg-gray-200 dark:hover:bg-dark-border rounded-full transition-colors"
+          >
+            <HiOutlineX className="w-4 h-4 text-gray-400" />
+          </button>
+        )}
+        <button
+          onClick={() => {
+            closeSuggestions();
+            onSearch();
+          }}
+          className="absolute right-2 top-1/2 -translate-y-1/2 bg-primary-600 hover:bg-primary-700 text-white px-4 py-1.5 rounded-lg font-medium transition-colors"
+        >
+          Search
+        </button>
+
+        {/* Suggestions */}
+        {suggestions.length > 0 && (
+          <ul className="absolute z-20 left-0 right-0 mt-2 bg-white dark:bg-dark-card border border-gray-200 dark:border-dark-border rounded-xl shadow-lg overflow-hidden">
+            {suggestions.map((suggestion, index) => (
+              <li key={suggestion.insert}>
+                <button
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => acceptSuggestion(suggestion)}
+                  onMouseEnter={() => setHighlighted(index)}
+                  className={`w-full text-left px-4 py-2 text-sm ${
+                    index === highlighted
+                      ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300'
+                      : 'text-gray-700 dark:text-dark-text'
+                  }`}
+                >
+                  {token?.field ? (
+                    <>
+                      <span className="text-gray-400">{token.field}:</span>
+                      {suggestion.label}
+                    </>
+                  ) : (
+                    suggestion.label
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Query errors */}
+      {errors.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {errors.map((error) => (
+            <li key={`${error.code}-${error.start}`} className="text-sm text-red-600 dark:text-red-400">
+              {error.token && <code className="px-1 mr-1 rounded bg-red-50 dark:bg-red-900/20">{error.token}</code>}
+              {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
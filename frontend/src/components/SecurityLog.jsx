@@ -0,0 +1,114 @@
+/**
+ * Security Log Component
+ * Recent sign-in attempts and lockouts on the user's account
+ */
+
+import { useState, useEffect } from 'react';
+import { profileAPI } from '../services/api';
+import { FiCheckCircle, FiXCircle, FiLock, FiUnlock, FiSlash } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { describeDevice } from '../utils/device';
+
+const PAGE_SIZE = 10;
+
+const EVENT_DISPLAY = {
+  login_success: { label: 'Successful sign-in', Icon: FiCheckCircle, className: 'text-green-600' },
+  login_failed: { label: 'Failed sign-in', Icon: FiXCircle, className: 'text-red-600' },
+  login_blocked: { label: 'Sign-in blocked (account locked)', Icon: FiSlash, className: 'text-red-600' },
+  account_locked: { label: 'Account locked', Icon: FiLock, className: 'text-orange-600' },
+  account_unlocked: { label: 'Account unlocked by an administrator', Icon: FiUnlock, className: 'text-indigo-600' }
+};
+
+const FAILURE_REASONS = {
+  password: 'wrong password',
+  two_factor: 'wrong authentication code'
+};
+
+const LOGIN_METHODS = {
+  totp: 'with authenticator',
+  backup: 'with backup code'
+};
+
+// Short note after the label, e.g. "wrong password"
+const describeDetails = ({ type, details = {} }) => {
+  if (type === 'login_failed') return FAILURE_REASONS[details.reason];
+  if (type === 'login_success') return LOGIN_METHODS[details.method];
+  if (type === 'account_locked' && details.lockUntil) {
+    return `until ${new Date(details.lockUntil).toLocaleString()}`;
+  }
+  return null;
+};
+
+const SecurityLog = () => {
+  const [events, setEvents] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const fetchEvents = async (pageToLoad) => {
+    try {
+      setLoading(true);
+      const response = await profileAPI.getSecurityLog({ page: pageToLoad, limit: PAGE_SIZE });
+      setEvents((prev) => (pageToLoad === 1 ? response.data.events : [...prev, ...response.data.events]));
+      setPage(pageToLoad);
+      setPages(response.data.pagination.pages);
+    } catch (error) {
+      console.error('Error fetching security log:', error);
+      toast.error('Failed to load security log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEvents(1);
+  }, []);
+
+  return (
+    <div>
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Security Log</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Sign-in activity from the last 90 days. After 5 failed attempts in a row your account is
+        locked for 2 hours and we email you.
+      </p>
+
+      {!loading && events.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity recorded yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {events.map((event) => {
+            const display = EVENT_DISPLAY[event.type] || { label: event.type, Icon: FiCheckCircle, className: 'text-gray-400' };
+            const detail = describeDetails(event);
+            return (
+              <li key={event.id} className="flex items-center gap-4 p-4">
+                <display.Icon className={`w-5 h-5 flex-shrink-0 ${display.className}`} />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {display.label}
+                    {detail && <span className="font-normal text-gray-500"> · {detail}</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {event.ip || 'Unknown IP'} · {describeDevice(event.userAgent)} · {new Date(event.createdAt).toLocaleString()}
+                  </p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {loading && <p className="mt-2 text-sm text-gray-500">Loading activity...</p>}
+
+      {!loading && page < pages && (
+        <button
+          onClick={() => fetchEvents(page + 1)}
+          className="mt-3 text-sm text-indigo-600 hover:text-indigo-700"
+        >
+          Show older activity
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SecurityLog;
@@ -0,0 +1,297 @@
+/**
+ * Share Links Component
+ * Create and manage public links to a note: optional password and expiry,
+ * revocation, and a log of recent views
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { shareAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmModal from './ConfirmModal';
+import {
+  HiOutlineLink,
+  HiOutlineX,
+  HiOutlineClipboardCopy,
+  HiOutlineLockClosed,
+  HiOutlineEye,
+  HiOutlineBan,
+  HiOutlineTrash
+} from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+// Current status of a link, for the badge
+const linkStatus = (link) => {
+  if (link.revokedAt) return { label: 'Revoked', className: 'bg-gray-100 text-gray-600 dark:bg-dark-border dark:text-dark-muted' };
+  if (link.isExpired) return { label: 'Expired', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400' };
+  return { label: 'Active', className: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' };
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const ShareLinks = ({ noteId, onClose }) => {
+  // State
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [password, setPassword] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [views, setViews] = useState({ linkId: null, entries: [], loading: false });
+  const [deleteId, setDeleteId] = useState(null);
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await shareAPI.getNoteShareSettings(noteId);
+      setLinks(response.data.shares.filter((share) => share.isPublic));
+    } catch (err) {
+      console.error('Error fetching share links:', err);
+      toast.error('Failed to load share links');
+    } finally {
+      setLoading(false);
+    }
+  }, [noteId]);
+
+  useEffect(() => {
+    fetchLinks();
+  }, [fetchLinks]);
+
+  const replaceLink = (updated) => {
+    setLinks((prev) => prev.map((link) => (link._id === updated._id ? updated : link)));
+  };
+
+  const copyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch (err) {
+      toast.error('Could not copy link');
+    }
+  };
+
+  // Create a new link
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setCreating(true);
+      const response = await shareAPI.generateLink(
+        noteId,
+        expiresAt ? new Date(expiresAt).toISOString() : null,
+        password || null
+      );
+      setLinks((prev) => [response.data.share, ...prev]);
+      setPassword('');
+      setExpiresAt('');
+      copyLink(response.data.shareLink);
+    } catch (err) {
+      console.error('Create share link error:', err);
+      toast.error(err.response?.data?.message || 'Failed to create share link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    try {
+      const response = await shareAPI.revokeLink(linkId);
+      replaceLink(response.data.share);
+      toast.success(response.data.message);
+    } catch (err) {
+      console.error('Revoke share link error:', err);
+      toast.error(err.response?.data?.message || 'Failed to revoke link');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await shareAPI.removeShare(deleteId);
+      setLinks((prev) => prev.filter((link) => link._id !== deleteId));
+      toast.success('Share link deleted');
+    } catch (err) {
+      console.error('Delete share link error:', err);
+      toast.error(err.response?.data?.message || 'Failed to delete link');
+    }
+  };
+
+  // Show or hide the view log of a link
+  const toggleViews = async (linkId) => {
+    if (views.linkId === linkId) {
+      setViews({ linkId: null, entries: [], loading: false });
+      return;
+    }
+
+    try {
+      setViews({ linkId, entries: [], loading: true });
+      const response = await shareAPI.getLinkViews(linkId);
+      setViews({ linkId, entries: response.data.views, loading: false });
+    } catch (err) {
+      console.error('Error fetching link views:', err);
+      toast.error('Failed to load views');
+      setViews({ linkId: null, entries: [], loading: false });
+    }
+  };
+
+  return (
+    <div className="card p-6 mt-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white">
+          <HiOutlineLink className="w-5 h-5" />
+          <span>Public Links</span>
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
+          title="Close share links"
+        >
+          <HiOutlineX className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Create */}
+      <form onSubmit={handleCreate} className="grid gap-3 sm:grid-cols-[1fr_1fr_auto] items-end mb-6">
+        <div>
+          <label htmlFor="link-password" className="label">Password (optional)</label>
+          <input
+            id="link-password"
+            type="password"
+            autoComplete="new-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="input"
+            placeholder="Anyone with the link"
+          />
+        </div>
+        <div>
+          <label htmlFor="link-expires" className="label">Expires (optional)</label>
+          <input
+            id="link-expires"
+            type="datetime-local"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            className="input"
+          />
+        </div>
+        <button type="submit" disabled={creating} className="btn-primary">
+          {creating ? 'Creating...' : 'Create link'}
+        </button>
+      </form>
+
+      {/* Links */}
+      {loading ? (
+        <LoadingSpinner size="sm" text="Loading links..." />
+      ) : links.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-dark-muted">
+          No public links yet. Anyone with a link can read this note without an account.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-dark-border">
+          {links.map((link) => {
+            const status = linkStatus(link);
+            const usable = !link.revokedAt && !link.isExpired;
+            return (
+              <li key={link._id} className="py-3">
+                <div className="flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-mono text-gray-700 dark:text-dark-text truncate">
+                      {link.shareLink}
+                    </p>
+                    <p className="flex flex-wrap items-center gap-x-2 text-xs text-gray-500 dark:text-dark-muted">
+                      <span className={`px-2 py-0.5 rounded-full ${status.className}`}>{status.label}</span>
+                      {link.isPasswordProtected && (
+                        <span className="flex items-center gap-0.5">
+                          <HiOutlineLockClosed className="w-3 h-3" /> Password
+                        </span>
+                      )}
+                      <span>{link.viewCount} {link.viewCount === 1 ? 'view' : 'views'}</span>
+                      {link.expiresAt && <span>· expires {formatDate(link.expiresAt)}</span>}
+                      <span>· created {formatDate(link.createdAt)}</span>
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    {usable && (
+                      <button
+                        onClick={() => copyLink(link.shareLink)}
+                        className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border transition-colors"
+                        title="Copy link"
+                      >
+                        <HiOutlineClipboardCopy className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => toggleViews(link._id)}
+                      className={`p-2 rounded-lg transition-colors ${
+                        views.linkId === link._id
+                          ? 'text-primary-600 bg-primary-50 dark:bg-primary-900/30'
+                          : 'text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+                      }`}
+                      title="View log"
+                    >
+                      <HiOutlineEye className="w-4 h-4" />
+                    </button>
+                    {!link.revokedAt && (
+                      <button
+                        onClick={() => handleRevoke(link._id)}
+                        className="p-2 rounded-lg text-gray-500 hover:bg-yellow-50 hover:text-yellow-700 dark:text-dark-muted dark:hover:bg-yellow-900/20 transition-colors"
+                        title="Revoke link"
+                      >
+                        <HiOutlineBan className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setDeleteId(link._id)}
+                      className="p-2 rounded-lg text-gray-500 hover:bg-red-50 hover:text-red-600 dark:text-dark-muted dark:hover:bg-red-900/20 dark:hover:text-red-400 transition-colors"
+                      title="Delete link"
+                    >
+                      <HiOutlineTrash className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {/* View log */}
+                {views.linkId === link._id && (
+                  <div className="mt-3 max-h-48 overflow-y-auto rounded-lg bg-gray-50 dark:bg-dark-bg p-3 text-xs text-gray-600 dark:text-dark-muted">
+                    {views.loading ? (
+                      <LoadingSpinner size="sm" />
+                    ) : views.entries.length === 0 ? (
+                      <p>Nobody has opened this link yet.</p>
+                    ) : (
+                      <ul className="space-y-1">
+                        {views.entries.map((view, index) => (
+                          <li key={index}>
+                            {formatDate(view.viewedAt)} · {view.ip || 'Unknown IP'}
+                            {view.referrer && ` · from ${view.referrer}`}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Delete Modal */}
+      <ConfirmModal
+        isOpen={!!deleteId}
+        onClose={() => setDeleteId(null)}
+        onConfirm={handleDelete}
+        title="Delete Share Link"
+        message="The link will stop working and its view log will be deleted. To keep the log, revoke the link instead."
+        confirmText="Delete"
+        type="danger"
+      />
+    </div>
+  );
+};
+
+export default ShareLinks;
@@ -0,0 +1,264 @@
+/**
+ * Two-Factor Settings Component
+ * Enable, disable and manage backup codes for TOTP two-factor authentication
+ */
+
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { authAPI } from '../services/api';
+import { FiShield, FiCopy, FiRefreshCw } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+const primaryButtonClass = 'flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors';
+const secondaryButtonClass = 'flex items-center gap-2 px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors';
+
+const BackupCodes = ({ codes, onDone }) => {
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Backup codes copied');
+    } catch (error) {
+      toast.error('Could not copy codes');
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+      <p className="text-sm text-yellow-800 mb-3">
+        Save these backup codes somewhere safe. Each one can be used once to sign in if you lose
+        your authenticator. They won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 font-mono text-sm mb-4">
+        {codes.map((code) => (
+          <span key={code} className="bg-white rounded px-2 py-1 text-center">{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={copyCodes} className={secondaryButtonClass}>
+          <FiCopy className="w-4 h-4" />
+          Copy
+        </button>
+        <button type="button" onClick={onDone} className={primaryButtonClass}>
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState(null); // null | 'disable' | 'regenerate'
+  const [working, setWorking] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching 2FA status:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setMode(null);
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setWorking(true);
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+      setQrCode(await QRCode.toDataURL(response.data.otpauthUri, { margin: 1, width: 192 }));
+    } catch (error) {
+      console.error('Error starting 2FA setup:', error);
+      toast.error(error.response?.data?.message || 'Failed to start setup');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      const response = await authAPI.verifyTwoFactor(code.trim());
+      setBackupCodes(response.data.backupCodes);
+      setSetup(null);
+      setQrCode(null);
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+      fetchStatus();
+    } catch (error) {
+      console.error('Error verifying 2FA:', error);
+      toast.error(error.response?.data?.message || 'Invalid code');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      await authAPI.disableTwoFactor({ password, code: code.trim() });
+      resetForm();
+      toast.success('Two-factor authentication disabled');
+      fetchStatus();
+    } catch (error) {
+      console.error('Error disabling 2FA:', error);
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      const response = await authAPI.regenerateBackupCodes(code.trim());
+      setBackupCodes(response.data.backupCodes);
+      resetForm();
+      fetchStatus();
+    } catch (error) {
+      console.error('Error regenerating backup codes:', error);
+      toast.error(error.response?.data?.message || 'Failed to generate backup codes');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Two-Factor Authentication</h3>
+          <p className="text-sm text-gray-500">
+            {status.enabled
+              ? `Enabled · ${status.backupCodesRemaining} backup code(s) left`
+              : 'Require a code from an authenticator app when signing in'}
+          </p>
+        </div>
+        <span
+          className={`px-2 py-1 text-xs rounded-full ${
+            status.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+          }`}
+        >
+          {status.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      {backupCodes && <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />}
+
+      {/* Setup */}
+      {!status.enabled && !setup && (
+        <button type="button" onClick={handleStartSetup} disabled={working} className={primaryButtonClass}>
+          <FiShield className="w-4 h-4" />
+          Enable Two-Factor Authentication
+        </button>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleVerify} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, or enter the key manually, then type the
+            6-digit code it shows.
+          </p>
+          <div className="flex flex-col sm:flex-row items-start gap-4">
+            {qrCode && <img src={qrCode} alt="Authenticator QR code" className="w-48 h-48 border rounded-lg" />}
+            <div className="min-w-0">
+              <p className="text-xs text-gray-500 mb-1">Setup key</p>
+              <code className="block font-mono text-sm bg-gray-100 rounded px-2 py-1 break-all">
+                {setup.secret}
+              </code>
+            </div>
+          </div>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClass}
+            placeholder="123456"
+            required
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={working} className={primaryButtonClass}>
+              Verify & Enable
+            </button>
+            <button type="button" onClick={() => { setSetup(null); setQrCode(null); resetForm(); }} className={secondaryButtonClass}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Manage */}
+      {status.enabled && !mode && (
+        <div className="flex flex-wrap gap-2">
+          <button type="button" onClick={() => setMode('regenerate')} className={secondaryButtonClass}>
+            <FiRefreshCw className="w-4 h-4" />
+            New Backup Codes
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode('disable')}
+            className="flex items-center gap-2 px-4 py-2 text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors"
+          >
+            Disable
+          </button>
+        </div>
+      )}
+
+      {status.enabled && mode && (
+        <form onSubmit={mode === 'disable' ? handleDisable : handleRegenerate} className="space-y-4">
+          {mode === 'disable' && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClass}
+              placeholder="Current password"
+              required
+            />
+          )}
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClass}
+            placeholder="Authenticator or backup code"
+            required
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={working} className={primaryButtonClass}>
+              {mode === 'disable' ? 'Disable Two-Factor' : 'Generate Codes'}
+            </button>
+            <button type="button" onClick={resetForm} className={secondaryButtonClass}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,214 @@
+/**
+ * Version History Component
+ * Lists saved versions of a note and lets the user preview, compare or restore them
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { notesAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmModal from './ConfirmModal';
+import DiffViewer from './DiffViewer';
+import {
+  HiOutlineClock,
+  HiOutlineRewind,
+  HiOutlineX
+} from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+const VersionHistory = ({ noteId, updatedAt, revision, onRestore, onClose }) => {
+  // State
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [loadingVersion, setLoadingVersion] = useState(false);
+  const [restoreModal, setRestoreModal] = useState(false);
+  const [previewMode, setPreviewMode] = useState('content');
+  const [compareTo, setCompareTo] = useState('current');
+
+  // Fetch version list (re-fetched whenever the note changes)
+  const fetchVersions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await notesAPI.getVersions(noteId);
+      setVersions(response.data.versions || []);
+    } catch (err) {
+      console.error('Error fetching versions:', err);
+      toast.error('Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  }, [noteId]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions, updatedAt]);
+
+  // Load full content of a version
+  const handleSelect = async (versionId) => {
+    if (selected?._id === versionId) {
+      setSelected(null);
+      return;
+    }
+
+    try {
+      setLoadingVersion(true);
+      const response = await notesAPI.getVersion(noteId, versionId);
+      setSelected(response.data.version);
+      setCompareTo('current');
+    } catch (err) {
+      console.error('Error fetching version:', err);
+      toast.error('Failed to load version');
+    } finally {
+      setLoadingVersion(false);
+    }
+  };
+
+  // Restore selected version
+  const handleRestore = async () => {
+    try {
+      const response = await notesAPI.restoreVersion(noteId, selected._id, revision);
+      toast.success(response.data.message);
+      setSelected(null);
+      onRestore(response.data.note);
+    } catch (err) {
+      console.error('Restore version error:', err);
+      toast.error(err.response?.data?.message || 'Failed to restore version');
+      // Someone saved in the meantime; show their copy so the restore can be retried on it
+      if (err.response?.status === 409) onRestore(err.response.data.note);
+    }
+  };
+
+  // Format date
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="card p-6 mt-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900 dark:text-white">
+          <HiOutlineClock className="w-5 h-5" />
+          <span>Version History</span>
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
+          title="Close history"
+        >
+          <HiOutlineX className="w-5 h-5" />
+        </button>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner size="sm" text="Loading history..." />
+      ) : versions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-dark-muted">
+          No previous versions yet. A snapshot is saved each time the title or content changes.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-dark-border">
+          {versions.map((version) => (
+            <li key={version._id} className="py-3">
+              <button
+                onClick={() => handleSelect(version._id)}
+                className="w-full flex items-center justify-between text-left"
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    v{version.version} · {version.title}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-dark-muted">
+                    {formatDate(version.createdAt)}
+                    {version.createdBy?.name && ` · ${version.createdBy.name}`}
+                    {version.reason === 'restore' && ' · before restore'}
+                  </p>
+                </div>
+                <span className="text-xs text-primary-600 dark:text-primary-400 flex-shrink-0 ml-4">
+                  {selected?._id === version._id ? 'Hide' : 'View'}
+                </span>
+              </button>
+
+              {/* Preview */}
+              {selected?._id === version._id && (
+                <div className="mt-3">
+                  <div className="flex items-center justify-between mb-3">
+                    <div className="flex items-center bg-gray-100 dark:bg-dark-bg rounded-lg p-0.5 text-xs">
+                      {['content', 'changes'].map((option) => (
+                        <button
+                          key={option}
+                          onClick={() => setPreviewMode(option)}
+                          className={`px-2 py-1 rounded-md capitalize transition-colors ${
+                            previewMode === option
+                              ? 'bg-white dark:bg-dark-card shadow-sm text-primary-600'
+                              : 'text-gray-500 hover:text-gray-700'
+                          }`}
+                        >
+                          {option}
+                        </button>
+                      ))}
+                    </div>
+                    {previewMode === 'changes' && (
+                      <select
+                        value={compareTo}
+                        onChange={(e) => setCompareTo(e.target.value)}
+                        className="text-xs px-2 py-1 rounded-lg border border-gray-200 dark:border-dark-border bg-white dark:bg-dark-card"
+                      >
+                        <option value="current">vs. current</option>
+                        {versions
+                          .filter((other) => other._id !== selected._id)
+                          .map((other) => (
+                            <option key={other._id} value={other._id}>
+                              vs. v{other.version}
+                            </option>
+                          ))}
+                      </select>
+                    )}
+                  </div>
+
+                  {previewMode === 'content' ? (
+                    <div className="max-h-64 overflow-y-auto rounded-lg bg-gray-50 dark:bg-dark-bg p-4 text-sm text-gray-700 dark:text-dark-text whitespace-pre-wrap">
+                      {selected.content}
+                    </div>
+                  ) : (
+                    <DiffViewer noteId={noteId} from={selected._id} to={compareTo} />
+                  )}
+                  <div className="flex justify-end mt-3">
+                    <button
+                      onClick={() => setRestoreModal(true)}
+                      className="btn-primary btn-sm"
+                    >
+                      <HiOutlineRewind className="w-4 h-4 mr-1" />
+                      Restore this version
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {loadingVersion && <LoadingSpinner size="sm" />}
+
+      {/* Restore Modal */}
+      <ConfirmModal
+        isOpen={restoreModal}
+        onClose={() => setRestoreModal(false)}
+        onConfirm={handleRestore}
+        title="Restore Version"
+        message={`Restore version ${selected?.version}? The current content will be kept in the history.`}
+        confirmText="Restore"
+        type="info"
+      />
+    </div>
+  );
+};
+
+export default VersionHistory;
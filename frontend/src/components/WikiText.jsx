@@ -0,0 +1,76 @@
+/**
+ * Wiki Text Component
+ * Renders plain note text with [[wiki links]] as links to the notes they
+ * resolve to. Unresolved links offer to create the note. The brackets stay
+ * in the DOM (hidden), so offsets into the rendered text still match the
+ * content, e.g. for anchoring comments.
+ */
+
+import { Link } from 'react-router-dom';
+import { parseWikiLinks } from '../utils/wikiLinks';
+
+const MARK_CLASS = 'bg-yellow-200 dark:bg-yellow-700/50 rounded-sm';
+
+/**
+ * @param {string} text - Note content
+ * @param {Map} links - Resolved links by normalized title: key -> { note, restricted } (from the outlinks API)
+ * @param {Object} highlight - { start, end } range to mark, or null
+ */
+const WikiText = ({ text = '', links = new Map(), highlight = null }) => {
+  const wikiLinks = parseWikiLinks(text);
+
+  // Cut the text wherever a link part or the highlight starts or ends
+  const cuts = new Set([0, text.length]);
+  for (const link of wikiLinks) {
+    [link.start, link.textStart, link.textEnd, link.end].forEach((cut) => cuts.add(cut));
+  }
+  if (highlight) {
+    cuts.add(highlight.start);
+    cuts.add(highlight.end);
+  }
+  const points = [...cuts].filter((cut) => cut >= 0 && cut <= text.length).sort((a, b) => a - b);
+
+  const parts = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    const link = wikiLinks.find((item) => start >= item.start && end <= item.end);
+    let part = text.slice(start, end);
+
+    if (highlight && start >= highlight.start && end <= highlight.end) {
+      part = <mark className={MARK_CLASS}>{part}</mark>;
+    }
+
+    if (link && (start < link.textStart || end > link.textEnd)) {
+      // Brackets, and the title when a label is shown instead
+      part = <span className="hidden">{part}</span>;
+    } else if (link) {
+      const resolved = links.get(link.key);
+      if (resolved?.note) {
+        part = (
+          <Link to={`/notes/${resolved.note._id}`} className="text-primary-600 dark:text-primary-400 hover:underline">
+            {part}
+          </Link>
+        );
+      } else if (resolved?.restricted) {
+        part = <span className="text-gray-500 dark:text-dark-muted underline decoration-dotted">{part}</span>;
+      } else {
+        part = (
+          <Link
+            to={`/notes/new?title=${encodeURIComponent(link.title)}`}
+            className="text-gray-500 dark:text-dark-muted underline decoration-dashed hover:text-primary-600"
+            title={`Create "${link.title}"`}
+          >
+            {part}
+          </Link>
+        );
+      }
+    }
+
+    parts.push(<span key={start}>{part}</span>);
+  }
+
+  return <>{parts}</>;
+};
+
+export default WikiText;
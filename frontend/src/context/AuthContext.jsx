@@ -9,6 +9,19 @@ import { authAPI } from '../services/api';
 // Create context
 const AuthContext = createContext(null);
 
+/**
+ * Error message for a failed login; a lockout says when it ends
+ */
+const getLoginError = (err, fallback) => {
+  const data = err.response?.data;
+  const message = data?.message || fallback;
+
+  if (data?.code === 'ACCOUNT_LOCKED' && data.lockUntil) {
+    return `${message} Try again after ${new Date(data.lockUntil).toLocaleString()}.`;
+  }
+  return message;
+};
+
 // ============================================
 // AUTH PROVIDER COMPONENT
 // ============================================
@@ -62,6 +75,18 @@ export const AuthProvider = ({ children }) => {
   // AUTH METHODS
   // ============================================
 
+  /**
+   * Store the tokens and user from a successful login/registration
+   */
+  const startSession = ({ token: newToken, refreshToken, user: userData }) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(userData));
+
+    setToken(newToken);
+    setUser(userData);
+  };
+
   /**
    * Register a new user
    */
@@ -71,14 +96,7 @@ export const AuthProvider = ({ children }) => {
       setLoading(true);
       
       const response = await authAPI.register({ name, email, password });
-      const { token: newToken, user: userData } = response.data;
-
-      // Store auth data
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('user', JSON.stringify(userData));
-      
-      setToken(newToken);
-      setUser(userData);
+      startSession(response.data);
       
       return { success: true };
     } catch (err) {
@@ -91,7 +109,9 @@ export const AuthProvider = ({ children }) => {
   };
 
   /**
-   * Login user
+   * Login user. If two-factor authentication is on, resolves with
+   * { success: true, twoFactorRequired: true, twoFactorToken } and the login
+   * is finished with completeTwoFactorLogin.
    */
   const login = async (email, password) => {
     try {
@@ -99,18 +119,20 @@ export const AuthProvider = ({ children }) => {
       setLoading(true);
       
       const response = await authAPI.login({ email, password });
-      const { token: newToken, user: userData } = response.data;
 
-      // Store auth data
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('user', JSON.stringify(userData));
-      
-      setToken(newToken);
-      setUser(userData);
+      if (response.data.twoFactorRequired) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          twoFactorToken: response.data.twoFactorToken
+        };
+      }
+
+      startSession(response.data);
       
       return { success: true };
     } catch (err) {
-      const message = err.response?.data?.message || 'Login failed';
+      const message = getLoginError(err, 'Login failed');
       setError(message);
       return { success: false, error: message };
     } finally {
@@ -118,11 +140,41 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Finish a two-factor login with an authenticator or backup code
+   */
+  const completeTwoFactorLogin = async (twoFactorToken, code) => {
+    try {
+      setError(null);
+
+      const response = await authAPI.loginTwoFactor({ twoFactorToken, code });
+      startSession(response.data);
+
+      return { success: true };
+    } catch (err) {
+      const message = getLoginError(err, 'Verification failed');
+      setError(message);
+      return {
+        success: false,
+        error: message,
+        expired: err.response?.status === 401 && /expired/i.test(message),
+        locked: err.response?.status === 423
+      };
+    }
+  };
+
   /**
    * Logout user
    */
   const logout = useCallback(() => {
+    // End the session on the server too; we're logged out locally either way
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      authAPI.logout(refreshToken).catch(() => {});
+    }
+
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setToken(null);
     setUser(null);
@@ -151,6 +203,17 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Merge fields into the stored user (e.g. after a profile or verification change)
+   */
+  const updateUser = useCallback((data) => {
+    setUser((prev) => {
+      const updatedUser = { ...prev, ...data };
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  }, []);
+
   /**
    * Clear any auth errors
    */
@@ -171,8 +234,10 @@ export const AuthProvider = ({ children }) => {
     // Methods
     register,
     login,
+    completeTwoFactorLogin,
     logout,
     updateProfile,
+    updateUser,
     clearError,
   };
 
@@ -0,0 +1,201 @@
+/**
+ * Realtime Context
+ * Keeps a WebSocket open while the user is logged in and lets components
+ * subscribe to server events (note changes, notifications)
+ */
+
+import { createContext, useContext, useEffect, useRef, useState, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { API_BASE_URL, getAccessToken, refreshAccessToken, setRealtimeClientId } from '../services/api';
+
+// Create context
+const RealtimeContext = createContext(null);
+
+// ws(s)://host/ws derived from the REST base URL
+const WS_URL = `${API_BASE_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '')}/ws`;
+
+// Reconnect backoff bounds
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// ============================================
+// REALTIME PROVIDER COMPONENT
+// ============================================
+
+export const RealtimeProvider = ({ children }) => {
+  const { token } = useAuth();
+
+  // State
+  const [connected, setConnected] = useState(false);
+  const [clientId, setClientId] = useState(null);
+  const socketRef = useRef(null);
+  const listenersRef = useRef(new Map());
+
+  // Deliver an event to every subscriber
+  const dispatch = useCallback((event, data) => {
+    const handlers = listenersRef.current.get(event);
+    if (!handlers) return;
+    handlers.forEach((handler) => handler(data));
+  }, []);
+
+  // Connect while logged in; reconnect with backoff if the connection drops
+  useEffect(() => {
+    if (!token) return undefined;
+
+    let retryDelay = MIN_RETRY_DELAY;
+    let retryTimer = null;
+    let closedByUs = false;
+    // Set when the server turned our token away, so the next attempt gets a new one
+    let needsNewToken = false;
+
+    const scheduleReconnect = () => {
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+    };
+
+    const connect = async () => {
+      // Access tokens are short-lived; use a fresh one for every attempt
+      let accessToken;
+      try {
+        accessToken = needsNewToken ? await refreshAccessToken() : await getAccessToken();
+        needsNewToken = false;
+      } catch (err) {
+        accessToken = null;
+      }
+      if (closedByUs) return;
+      if (!accessToken) {
+        scheduleReconnect();
+        return;
+      }
+
+      const socket = new WebSocket(`${WS_URL}?token=${encodeURIComponent(accessToken)}`);
+      socketRef.current = socket;
+
+      let opened = false;
+
+      socket.onopen = () => {
+        opened = true;
+        retryDelay = MIN_RETRY_DELAY;
+        setConnected(true);
+      };
+
+      socket.onmessage = (message) => {
+        try {
+          const { event, data } = JSON.parse(message.data);
+          if (event === 'hello') {
+            setRealtimeClientId(data.clientId);
+            setClientId(data.clientId);
+          }
+          dispatch(event, data);
+        } catch (err) {
+          console.error('Realtime message error:', err);
+        }
+      };
+
+      socket.onclose = (event) => {
+        // Rejected handshake (expired token) or our session was revoked
+        if (!opened || event.code === 4001) needsNewToken = true;
+
+        setConnected(false);
+        setClientId(null);
+        setRealtimeClientId(null);
+        if (closedByUs) return;
+
+        scheduleReconnect();
+      };
+    };
+
+    connect();
+
+    return () => {
+      closedByUs = true;
+      clearTimeout(retryTimer);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [token, dispatch]);
+
+  /**
+   * Subscribe to a server event
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = useCallback((event, handler) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(handler);
+
+    return () => listeners.get(event)?.delete(handler);
+  }, []);
+
+  /**
+   * Send an event to the server; dropped if not connected
+   * @returns {boolean} Whether the message was sent
+   */
+  const send = useCallback((event, data) => {
+    const socket = socketRef.current;
+    if (socket?.readyState !== WebSocket.OPEN) return false;
+
+    socket.send(JSON.stringify({ event, data }));
+    return true;
+  }, []);
+
+  // ============================================
+  // CONTEXT VALUE
+  // ============================================
+
+  const value = {
+    connected,
+    clientId,
+    subscribe,
+    send
+  };
+
+  return (
+    <RealtimeContext.Provider value={value}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+// ============================================
+// CUSTOM HOOKS
+// ============================================
+
+/**
+ * Hook to use realtime context
+ * @returns {Object} Realtime context value
+ */
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+
+  return context;
+};
+
+/**
+ * Subscribe to one or more events for the lifetime of a component
+ * @param {string|string[]} events - Event name(s)
+ * @param {Function} handler - Called with (data, event)
+ */
+export const useRealtimeEvent = (events, handler) => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+  const eventKey = [].concat(events).join(',');
+
+  // Always call the latest handler without resubscribing
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    const unsubscribers = eventKey.split(',').map((event) =>
+      subscribe(event, (data) => handlerRef.current(data, event))
+    );
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [eventKey, subscribe]);
+};
+
+export default RealtimeContext;
@@ -0,0 +1,271 @@
+/**
+ * useCollaboration Hook
+ * Joins a note's collaboration room over the realtime connection and keeps a
+ * local copy of its content in sync using operational transform.
+ *
+ * At most one operation is in flight at a time; edits made while waiting for
+ * the server's acknowledgement are composed into a buffer and sent next.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useRealtime } from '../context/RealtimeContext';
+import { apply, compose, transform, transformCursor, fromDiff } from '../utils/ot';
+import toast from 'react-hot-toast';
+
+// Minimum gap between selection-only updates
+const SELECTION_THROTTLE = 100;
+
+const transformSelection = (selection, op) => {
+  if (!selection) return null;
+  return {
+    anchor: transformCursor(selection.anchor, op),
+    head: transformCursor(selection.head, op)
+  };
+};
+
+/**
+ * @param {string} noteId - Note to collaborate on
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Join the room
+ * @returns {Object} { joined, access, doc, participants, remoteSelections, change, select }
+ *   doc is { text, selection, source } where source is 'local' or 'remote'
+ */
+const useCollaboration = (noteId, { enabled = true } = {}) => {
+  const { clientId, subscribe, send } = useRealtime();
+
+  // State
+  const [joined, setJoined] = useState(false);
+  const [access, setAccess] = useState(null);
+  const [doc, setDoc] = useState(null);
+  const [participants, setParticipants] = useState([]);
+  const [remoteSelections, setRemoteSelections] = useState({});
+
+  // OT state lives in a ref so message handlers always see the latest values
+  const stateRef = useRef({
+    sessionId: null,
+    revision: 0,
+    text: '',
+    selection: null,
+    outstanding: null,
+    buffer: null,
+    // Socket id our in-flight op was sent from (to recognise it after reconnecting)
+    sentFrom: null,
+    selectionTimer: null
+  });
+
+  const sendOutstanding = useCallback(() => {
+    const state = stateRef.current;
+    state.sentFrom = clientId;
+    send('collab:op', {
+      noteId,
+      revision: state.revision,
+      op: state.outstanding,
+      selection: state.selection
+    });
+  }, [noteId, clientId, send]);
+
+  // Our in-flight op was applied; promote the buffer
+  const handleAck = useCallback(() => {
+    const state = stateRef.current;
+    state.revision++;
+    state.outstanding = state.buffer;
+    state.buffer = null;
+    return state.outstanding !== null;
+  }, []);
+
+  // Apply someone else's op on top of our unacknowledged edits
+  const handleRemoteOp = useCallback((op, senderId, senderSelection) => {
+    const state = stateRef.current;
+
+    if (state.outstanding) {
+      const outstanding = transform(state.outstanding, op, 'right');
+      op = transform(op, state.outstanding, 'left');
+      state.outstanding = outstanding;
+    }
+    if (state.buffer) {
+      const buffer = transform(state.buffer, op, 'right');
+      op = transform(op, state.buffer, 'left');
+      state.buffer = buffer;
+    }
+
+    state.text = apply(state.text, op);
+    state.revision++;
+    state.selection = transformSelection(state.selection, op);
+    setDoc({ text: state.text, selection: state.selection, source: 'remote' });
+
+    // The sender's selection is relative to the server copy; shift it past our pending edits
+    let senderPosition = senderSelection;
+    if (senderPosition && state.outstanding) senderPosition = transformSelection(senderPosition, state.outstanding);
+    if (senderPosition && state.buffer) senderPosition = transformSelection(senderPosition, state.buffer);
+
+    setRemoteSelections((prev) => {
+      const next = {};
+      for (const [id, remote] of Object.entries(prev)) {
+        next[id] = id === senderId && senderPosition
+          ? { ...remote, selection: senderPosition }
+          : { ...remote, selection: transformSelection(remote.selection, op) };
+      }
+      return next;
+    });
+  }, []);
+
+  // Join (or rejoin after reconnecting)
+  useEffect(() => {
+    if (!enabled || !clientId || !noteId) return undefined;
+
+    const state = stateRef.current;
+    send('collab:join', { noteId, sessionId: state.sessionId, revision: state.revision });
+
+    return () => {
+      send('collab:leave', { noteId });
+      setJoined(false);
+    };
+  }, [enabled, clientId, noteId, send]);
+
+  // Server messages
+  useEffect(() => {
+    if (!enabled || !noteId) return undefined;
+
+    const forThisNote = (handler) => (data) => {
+      if (data.noteId === noteId) handler(data);
+    };
+
+    const unsubscribers = [
+      subscribe('collab:joined', forThisNote((data) => {
+        const state = stateRef.current;
+
+        if (data.resumed) {
+          for (const missed of data.missed) {
+            if (state.outstanding && missed.clientId === state.sentFrom) {
+              handleAck();
+            } else {
+              handleRemoteOp(missed.op, missed.clientId, null);
+            }
+          }
+        } else {
+          if (state.outstanding || state.buffer) {
+            toast.error('Reconnected, but your latest unsynced edits could not be applied');
+          }
+          state.sessionId = data.sessionId;
+          state.revision = data.revision;
+          state.text = data.content;
+          state.outstanding = null;
+          state.buffer = null;
+          setDoc({ text: state.text, selection: state.selection, source: 'remote' });
+        }
+
+        setAccess(data.access);
+        setParticipants(data.participants);
+        setRemoteSelections(Object.fromEntries(
+          data.participants
+            .filter((participant) => participant.clientId !== clientId)
+            .map((participant) => [participant.clientId, participant])
+        ));
+        setJoined(true);
+
+        if (state.outstanding) sendOutstanding();
+      })),
+
+      subscribe('collab:ack', forThisNote(() => {
+        if (handleAck()) sendOutstanding();
+      })),
+
+      subscribe('collab:op', forThisNote((data) => {
+        handleRemoteOp(data.op, data.clientId, data.selection);
+      })),
+
+      subscribe('collab:selection', forThisNote((data) => {
+        setRemoteSelections((prev) => prev[data.clientId]
+          ? { ...prev, [data.clientId]: { ...prev[data.clientId], selection: data.selection } }
+          : prev);
+      })),
+
+      subscribe('collab:presence', forThisNote((data) => {
+        setParticipants(data.participants);
+        setRemoteSelections((prev) => Object.fromEntries(
+          data.participants
+            .filter((participant) => participant.clientId !== clientId)
+            .map((participant) => [
+              participant.clientId,
+              { ...participant, selection: prev[participant.clientId]?.selection ?? participant.selection }
+            ])
+        ));
+      })),
+
+      subscribe('collab:error', forThisNote((data) => {
+        toast.error(data.message);
+        if (data.resync) {
+          // Start over from the server copy
+          const state = stateRef.current;
+          state.sessionId = null;
+          state.outstanding = null;
+          state.buffer = null;
+          send('collab:join', { noteId });
+        } else {
+          setJoined(false);
+        }
+      }))
+    ];
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [enabled, noteId, clientId, subscribe, send, handleAck, handleRemoteOp, sendOutstanding]);
+
+  /**
+   * Record a local edit
+   * @param {string} text - New content
+   * @param {Object} selection - { anchor, head } after the edit
+   */
+  const change = useCallback((text, selection) => {
+    const state = stateRef.current;
+    const op = fromDiff(state.text, text);
+
+    state.text = text;
+    state.selection = selection;
+    setDoc({ text, selection, source: 'local' });
+
+    if (op.length === 0) return;
+
+    setRemoteSelections((prev) => Object.fromEntries(
+      Object.entries(prev).map(([id, remote]) => [id, { ...remote, selection: transformSelection(remote.selection, op) }])
+    ));
+
+    if (state.outstanding) {
+      state.buffer = state.buffer ? compose(state.buffer, op) : op;
+    } else {
+      state.outstanding = op;
+      sendOutstanding();
+    }
+  }, [sendOutstanding]);
+
+  /**
+   * Share the local cursor/selection with collaborators
+   * @param {Object} selection - { anchor, head }
+   */
+  const select = useCallback((selection) => {
+    const state = stateRef.current;
+    state.selection = selection;
+
+    if (state.selectionTimer) return;
+    state.selectionTimer = setTimeout(() => {
+      state.selectionTimer = null;
+      // Positions only make sense to others once our edits are acknowledged
+      if (state.outstanding) return;
+      send('collab:selection', { noteId, revision: state.revision, selection: state.selection });
+    }, SELECTION_THROTTLE);
+  }, [noteId, send]);
+
+  // Drop any pending selection update on unmount
+  useEffect(() => () => clearTimeout(stateRef.current.selectionTimer), []);
+
+  return {
+    joined,
+    access,
+    doc,
+    participants,
+    remoteSelections,
+    change,
+    select
+  };
+};
+
+export default useCollaboration;
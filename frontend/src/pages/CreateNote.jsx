@@ -4,7 +4,7 @@
  */
 
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { notesAPI } from '../services/api';
 import { 
   HiOutlineArrowLeft,
@@ -27,10 +27,12 @@ const NOTE_COLORS = [
 
 const CreateNote = () => {
   const navigate = useNavigate();
+  // Unresolved [[wiki links]] open this page with the title to create
+  const [searchParams] = useSearchParams();
   
   // Form state
   const [formData, setFormData] = useState({
-    title: '',
+    title: searchParams.get('title') || '',
     content: '',
     isPinned: false,
     color: '#ffffff'
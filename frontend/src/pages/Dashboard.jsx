@@ -5,10 +5,14 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import { notesAPI } from '../services/api';
+import { notesAPI, savedSearchesAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { useRealtimeEvent } from '../context/RealtimeContext';
 import NoteCard from '../components/NoteCard';
 import ConfirmModal from '../components/ConfirmModal';
+import SearchBox from '../components/SearchBox';
+import FolderSidebar from '../components/FolderSidebar';
+import SaveSearchModal from '../components/SaveSearchModal';
 import { 
   HiOutlinePlus, 
   HiOutlineSearch,
@@ -21,10 +25,21 @@ import {
   HiOutlineFilter,
   HiOutlineX,
   HiOutlineSparkles,
-  HiOutlineLightBulb
+  HiOutlineLightBulb,
+  HiOutlineLightningBolt
 } from 'react-icons/hi';
 import toast from 'react-hot-toast';
 
+// Mirror the API's ordering: pinned first, then the sort field descending
+const sortNotes = (notes, sortBy) => {
+  return [...notes].sort((a, b) => {
+    if (a.isPinned && !b.isPinned) return -1;
+    if (!a.isPinned && b.isPinned) return 1;
+    if (sortBy === 'title') return b.title.localeCompare(a.title);
+    return new Date(b[sortBy]) - new Date(a[sortBy]);
+  });
+};
+
 const Dashboard = () => {
   const { user } = useAuth();
   
@@ -33,11 +48,25 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  // Paging info while showing server search results: { query, total, page, pages }
+  const [searchResults, setSearchResults] = useState(null);
+  // Problems with the last query: [{ code, message, token, start, end }]
+  const [searchErrors, setSearchErrors] = useState([]);
   const [viewMode, setViewMode] = useState('grid');
   const [sortBy, setSortBy] = useState('updatedAt');
   const [filterColor, setFilterColor] = useState('');
   const [showFilters, setShowFilters] = useState(false);
   const [deleteModal, setDeleteModal] = useState({ isOpen: false, noteId: null });
+  // Sidebar selection: { type: 'all' | 'unfiled' | 'folder' | 'smart', id }
+  const [selection, setSelection] = useState({ type: 'all' });
+  // The smart folder being shown, once loaded
+  const [savedSearch, setSavedSearch] = useState(null);
+  const [sidebarKey, setSidebarKey] = useState(0);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+
+  // Folder filter for the API: an id, 'null' for notes outside any folder
+  const folderParam =
+    selection.type === 'folder' ? selection.id : selection.type === 'unfiled' ? 'null' : undefined;
 
   // Color options for filter
   const colorOptions = [
@@ -58,22 +87,65 @@ const Dashboard = () => {
       setLoading(true);
       setError(null);
       
-      const response = await notesAPI.getAll({ sortBy, color: filterColor });
-      setNotes(response.data.notes || []);
+      // Smart folders are evaluated on the server; they keep their own filters
+      if (selection.type === 'smart') {
+        const response = await savedSearchesAPI.getNotes(selection.id, { sortBy });
+        setNotes(response.data.notes || []);
+        setSavedSearch(response.data.savedSearch);
+      } else {
+        const response = await notesAPI.getAll({ sortBy, color: filterColor, folder: folderParam });
+        setNotes(response.data.notes || []);
+        setSavedSearch(null);
+      }
+      setSearchResults(null);
     } catch (err) {
       console.error('Error fetching notes:', err);
+      setSavedSearch(null);
       setError(err.response?.data?.message || 'Failed to load notes');
       toast.error('Failed to load notes');
     } finally {
       setLoading(false);
     }
-  }, [sortBy, filterColor]);
+  }, [sortBy, filterColor, selection, folderParam]);
 
   // Load notes on mount and when filters change
   useEffect(() => {
     fetchNotes();
   }, [fetchNotes]);
 
+  // Keep the list in sync with changes from other tabs and collaborators
+  useRealtimeEvent(
+    ['note:created', 'note:updated', 'note:pinned', 'note:trashed', 'note:restored', 'note:archived', 'note:deleted'],
+    (data, event) => {
+      if (event === 'note:deleted') {
+        setNotes(prev => prev.filter(note => !data.noteIds.includes(note._id)));
+        return;
+      }
+
+      const { note } = data;
+
+      // Search results keep their ranking, and only the server knows what a
+      // smart folder matches; just refresh notes already listed
+      if (searchResults || selection.type === 'smart') {
+        setNotes(prev => prev.map(item => (item._id === note._id ? { ...note, search: item.search } : item)));
+        return;
+      }
+
+      const ownerId = note.user?._id || note.user;
+      const belongsHere =
+        ownerId === user?.id &&
+        !note.isTrashed &&
+        !note.isArchived &&
+        (!filterColor || note.color === filterColor) &&
+        (!folderParam || (note.folder?._id || note.folder || 'null') === folderParam);
+
+      setNotes(prev => {
+        const others = prev.filter(item => item._id !== note._id);
+        return belongsHere ? sortNotes([...others, note], sortBy) : others;
+      });
+    }
+  );
+
   // Calculate statistics
   const stats = {
     total: notes.length,
@@ -86,34 +158,56 @@ const Dashboard = () => {
     }).length
   };
 
-  // Handle search
-  const handleSearch = async () => {
-    if (!searchQuery.trim()) {
+  // Handle search (page > 1 appends the next page of results)
+  const handleSearch = async (page = 1, query = searchQuery) => {
+    if (!query.trim()) {
       fetchNotes();
       return;
     }
 
     try {
-      setLoading(true);
-      const response = await notesAPI.search(searchQuery);
-      setNotes(response.data.notes || []);
+      if (page === 1) setLoading(true);
+      setSearchErrors([]);
+      const response = await notesAPI.search(query, { page, color: filterColor || undefined, folder: folderParam });
+      const results = response.data.notes || [];
+      setNotes(prev => (page === 1 ? results : [...prev, ...results]));
+      setSearchResults({
+        query: response.data.query,
+        total: response.data.total,
+        page: response.data.page,
+        pages: response.data.pages
+      });
     } catch (err) {
       console.error('Search error:', err);
-      toast.error('Search failed');
+      if (err.response?.data?.errors) {
+        setSearchErrors(err.response.data.errors);
+      } else {
+        toast.error(err.response?.data?.message || 'Search failed');
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const handleSearchKeyDown = (e) => {
-    if (e.key === 'Enter') handleSearch();
-  };
-
   const clearSearch = () => {
     setSearchQuery('');
+    setSearchErrors([]);
     fetchNotes();
   };
 
+  // Switching folders starts from that folder's notes
+  const handleSelect = (next) => {
+    setSearchQuery('');
+    setSearchErrors([]);
+    setSelection(next);
+  };
+
+  // Show a newly saved search as the open smart folder
+  const handleSearchSaved = (saved) => {
+    setSidebarKey(prev => prev + 1);
+    handleSelect({ type: 'smart', id: saved._id });
+  };
+
   // Handle delete
   const handleDelete = async (noteId) => {
     try {
@@ -145,8 +239,10 @@ const Dashboard = () => {
     }
   };
 
-  // Filter notes
-  const filteredNotes = notes.filter(note =>
+  // Filter notes as you type; search results are already filtered by the server,
+  // and queries using the search syntax wait for it
+  const isPlainQuery = !/[:"*]|(^|\s)-/.test(searchQuery);
+  const filteredNotes = searchResults || !isPlainQuery ? notes : notes.filter(note =>
     note.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
     note.content.toLowerCase().includes(searchQuery.toLowerCase())
   );
@@ -255,202 +351,233 @@ const Dashboard = () => {
           </div>
         </div>
 
-        {/* Search and Controls */}
-        <div className="bg-white dark:bg-dark-card rounded-2xl p-4 shadow-sm border-2 border-gray-200 dark:border-dark-border mb-6">
-          <div className="flex flex-col lg:flex-row gap-4">
-            {/* Search */}
-            <div className="flex-1 relative">
-              <HiOutlineSearch className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-              <input
-                type="text"
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                onKeyDown={handleSearchKeyDown}
-                placeholder="Search your notes..."
-                className="w-full pl-12 pr-24 py-3 bg-gray-50 dark:bg-dark-bg border border-gray-200 dark:border-dark-border rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all"
-              />
-              {searchQuery && (
-                <button
-                  onClick={clearSearch}
-                  className="absolute right-20 top-1/2 -translate-y-1/2 p-1 hover:bg-gray-200 dark:hover:bg-dark-border rounded-full transition-colors"
-                >
-                  <HiOutlineX className="w-4 h-4 text-gray-400" />
-                </button>
-              )}
-              <button
-                onClick={handleSearch}
-                className="absolute right-2 top-1/2 -translate-y-1/2 bg-primary-600 hover:bg-primary-700 text-white px-4 py-1.5 rounded-lg font-medium transition-colors"
-              >
-                Search
-              </button>
-            </div>
+        <div className="grid gap-6 lg:grid-cols-[14rem_minmax(0,1fr)] items-start">
+          {/* Folders and smart folders */}
+          <FolderSidebar selected={selection} onSelect={handleSelect} refreshKey={sidebarKey} />
 
-            {/* Controls */}
-            <div className="flex items-center gap-3">
-              {/* Filter Toggle */}
-              <button
-                onClick={() => setShowFilters(!showFilters)}
-                className={`flex items-center gap-2 px-4 py-2.5 rounded-xl border transition-all ${
-                  showFilters || filterColor
-                    ? 'bg-primary-50 border-primary-200 text-primary-700 dark:bg-primary-900/30 dark:border-primary-700 dark:text-primary-300'
-                    : 'bg-gray-50 border-gray-200 text-gray-600 hover:bg-gray-100 dark:bg-dark-bg dark:border-dark-border dark:text-dark-muted'
-                }`}
-              >
-                <HiOutlineFilter className="w-5 h-5" />
-                <span className="hidden sm:inline">Filters</span>
-                {filterColor && <span className="w-2 h-2 bg-primary-500 rounded-full" />}
-              </button>
-
-              {/* Sort */}
-              <select
-                value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
-                className="px-4 py-2.5 bg-gray-50 dark:bg-dark-bg border border-gray-200 dark:border-dark-border rounded-xl text-gray-600 dark:text-dark-muted focus:ring-2 focus:ring-primary-500 focus:border-transparent cursor-pointer"
-              >
-                <option value="updatedAt">Recently Updated</option>
-                <option value="createdAt">Recently Created</option>
-                <option value="title">Alphabetical</option>
-              </select>
-
-              {/* Refresh */}
-              <button
-                onClick={fetchNotes}
-                className="p-2.5 bg-gray-50 dark:bg-dark-bg border border-gray-200 dark:border-dark-border rounded-xl text-gray-600 dark:text-dark-muted hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
-                title="Refresh"
-              >
-                <HiOutlineRefresh className="w-5 h-5" />
-              </button>
-              
-              {/* View Mode */}
-              <div className="flex items-center bg-gray-50 dark:bg-dark-bg border border-gray-200 dark:border-dark-border rounded-xl p-1">
-                <button
-                  onClick={() => setViewMode('grid')}
-                  className={`p-2 rounded-lg transition-all ${
-                    viewMode === 'grid' 
-                      ? 'bg-white dark:bg-dark-card shadow-sm text-primary-600' 
-                      : 'text-gray-400 hover:text-gray-600'
-                  }`}
-                  title="Grid view"
-                >
-                  <HiOutlineViewGrid className="w-5 h-5" />
-                </button>
-                <button
-                  onClick={() => setViewMode('list')}
-                  className={`p-2 rounded-lg transition-all ${
-                    viewMode === 'list' 
-                      ? 'bg-white dark:bg-dark-card shadow-sm text-primary-600' 
-                      : 'text-gray-400 hover:text-gray-600'
-                  }`}
-                  title="List view"
-                >
-                  <HiOutlineViewList className="w-5 h-5" />
-                </button>
-              </div>
-            </div>
-          </div>
+          <div className="min-w-0">
+            {/* Search and Controls */}
+            <div className="bg-white dark:bg-dark-card rounded-2xl p-4 shadow-sm border-2 border-gray-200 dark:border-dark-border mb-6">
+              <div className="flex flex-col lg:flex-row gap-4">
+                {/* Search */}
+                <SearchBox
+                  value={searchQuery}
+                  onChange={setSearchQuery}
+                  onSearch={() => handleSearch()}
+                  onClear={clearSearch}
+                  errors={searchErrors}
+                />
+
+                {/* Controls */}
+                <div className="flex items-center gap-3">
+                  {/* Save as smart folder */}
+                  <button
+                    onClick={() => setShowSaveModal(true)}
+                    className="flex items-center gap-2 px-4 py-2.5 rounded-xl border bg-gray-50 border-gray-200 text-gray-600 hover:bg-gray-100 dark:bg-dark-bg dark:border-dark-border dark:text-dark-muted transition-all"
+                    title="Save as smart folder"
+                  >
+                    <HiOutlineLightningBolt className="w-5 h-5" />
+                    <span className="hidden sm:inline">Save</span>
+                  </button>
 
-          {/* Filter Panel */}
-          {showFilters && (
-            <div className="mt-4 pt-4 border-t border-gray-100 dark:border-dark-border">
-              <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Filter by color</p>
-              <div className="flex flex-wrap gap-2">
-                {colorOptions.map((option) => (
+                  {/* Filter Toggle (smart folders keep their own filters) */}
                   <button
-                    key={option.value}
-                    onClick={() => setFilterColor(option.value)}
-                    className={`flex items-center gap-2 px-3 py-1.5 rounded-lg border transition-all ${
-                      filterColor === option.value
-                        ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/30'
-                        : 'border-gray-200 dark:border-dark-border hover:border-gray-300'
+                    onClick={() => setShowFilters(!showFilters)}
+                    disabled={selection.type === 'smart'}
+                    className={`flex items-center gap-2 px-4 py-2.5 rounded-xl border transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                      showFilters || filterColor
+                        ? 'bg-primary-50 border-primary-200 text-primary-700 dark:bg-primary-900/30 dark:border-primary-700 dark:text-primary-300'
+                        : 'bg-gray-50 border-gray-200 text-gray-600 hover:bg-gray-100 dark:bg-dark-bg dark:border-dark-border dark:text-dark-muted'
                     }`}
                   >
-                    <span className={`w-4 h-4 rounded-full ${option.color}`} />
-                    <span className="text-sm text-gray-600 dark:text-gray-300">{option.label}</span>
+                    <HiOutlineFilter className="w-5 h-5" />
+                    <span className="hidden sm:inline">Filters</span>
+                    {filterColor && <span className="w-2 h-2 bg-primary-500 rounded-full" />}
+                  </button>
+
+                  {/* Sort */}
+                  <select
+                    value={sortBy}
+                    onChange={(e) => setSortBy(e.target.value)}
+                    className="px-4 py-2.5 bg-gray-50 dark:bg-dark-bg border border-gray-200 dark:border-dark-border rounded-xl text-gray-600 dark:text-dark-muted focus:ring-2 focus:ring-primary-500 focus:border-transparent cursor-pointer"
+                  >
+                    <option value="updatedAt">Recently Updated</option>
+                    <option value="createdAt">Recently Created</option>
+                    <option value="title">Alphabetical</option>
+                  </select>
+
+                  {/* Refresh */}
+                  <button
+                    onClick={() => {
+                      fetchNotes();
+                      setSidebarKey(prev => prev + 1);
+                    }}
+                    className="p-2.5 bg-gray-50 dark:bg-dark-bg border border-gray-200 dark:border-dark-border rounded-xl text-gray-600 dark:text-dark-muted hover:bg-gray-100 dark:hover:bg-dark-border transition-colors"
+                    title="Refresh"
+                  >
+                    <HiOutlineRefresh className="w-5 h-5" />
                   </button>
-                ))}
+                  
+                  {/* View Mode */}
+                  <div className="flex items-center bg-gray-50 dark:bg-dark-bg border border-gray-200 dark:border-dark-border rounded-xl p-1">
+                    <button
+                      onClick={() => setViewMode('grid')}
+                      className={`p-2 rounded-lg transition-all ${
+                        viewMode === 'grid' 
+                          ? 'bg-white dark:bg-dark-card shadow-sm text-primary-600' 
+                          : 'text-gray-400 hover:text-gray-600'
+                      }`}
+                      title="Grid view"
+                    >
+                      <HiOutlineViewGrid className="w-5 h-5" />
+                    </button>
+                    <button
+                      onClick={() => setViewMode('list')}
+                      className={`p-2 rounded-lg transition-all ${
+                        viewMode === 'list' 
+                          ? 'bg-white dark:bg-dark-card shadow-sm text-primary-600' 
+                          : 'text-gray-400 hover:text-gray-600'
+                      }`}
+                      title="List view"
+                    >
+                      <HiOutlineViewList className="w-5 h-5" />
+                    </button>
+                  </div>
+                </div>
               </div>
-            </div>
-          )}
-        </div>
 
-        {/* Content */}
-        {loading ? (
-          <div className="flex flex-col items-center justify-center py-20">
-            <div className="w-16 h-16 border-4 border-primary-200 border-t-primary-600 rounded-full animate-spin mb-4" />
-            <p className="text-gray-500 dark:text-dark-muted">Loading your notes...</p>
-          </div>
-        ) : error ? (
-          <div className="text-center py-20">
-            <div className="w-20 h-20 bg-red-100 dark:bg-red-900/30 rounded-full flex items-center justify-center mx-auto mb-4">
-              <HiOutlineX className="w-10 h-10 text-red-500" />
-            </div>
-            <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">Something went wrong</h3>
-            <p className="text-gray-500 dark:text-dark-muted mb-6">{error}</p>
-            <button onClick={fetchNotes} className="btn-primary">
-              Try Again
-            </button>
-          </div>
-        ) : filteredNotes.length === 0 ? (
-          <div className="text-center py-20">
-            <div className="w-24 h-24 bg-gradient-to-br from-primary-100 to-indigo-100 dark:from-primary-900/30 dark:to-indigo-900/30 rounded-3xl flex items-center justify-center mx-auto mb-6 shadow-lg">
-              {searchQuery ? (
-                <HiOutlineSearch className="w-12 h-12 text-primary-500" />
-              ) : (
-                <HiOutlineLightBulb className="w-12 h-12 text-primary-500" />
+              {/* Filter Panel */}
+              {showFilters && selection.type !== 'smart' && (
+                <div className="mt-4 pt-4 border-t border-gray-100 dark:border-dark-border">
+                  <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">Filter by color</p>
+                  <div className="flex flex-wrap gap-2">
+                    {colorOptions.map((option) => (
+                      <button
+                        key={option.value}
+                        onClick={() => setFilterColor(option.value)}
+                        className={`flex items-center gap-2 px-3 py-1.5 rounded-lg border transition-all ${
+                          filterColor === option.value
+                            ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/30'
+                            : 'border-gray-200 dark:border-dark-border hover:border-gray-300'
+                        }`}
+                      >
+                        <span className={`w-4 h-4 rounded-full ${option.color}`} />
+                        <span className="text-sm text-gray-600 dark:text-gray-300">{option.label}</span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
               )}
             </div>
-            <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
-              {searchQuery ? 'No notes found' : 'Start your journey'}
-            </h3>
-            <p className="text-gray-500 dark:text-dark-muted mb-8 max-w-md mx-auto">
-              {searchQuery 
-                ? `No notes match "${searchQuery}". Try a different search term.`
-                : "Your creative space awaits! Create your first note and begin capturing your thoughts, ideas, and inspirations."
-              }
-            </p>
-            {!searchQuery && (
-              <Link 
-                to="/notes/new" 
-                className="inline-flex items-center justify-center space-x-2 bg-primary-600 hover:bg-primary-700 text-white px-8 py-3 rounded-xl font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200"
-              >
-                <HiOutlinePlus className="w-5 h-5" />
-                <span>Create Your First Note</span>
-              </Link>
+
+            {/* Open smart folder */}
+            {savedSearch && (
+              <div className="flex items-center gap-2 mb-4 text-gray-700 dark:text-gray-300">
+                <span>{savedSearch.icon}</span>
+                <h2 className="font-semibold">{savedSearch.name}</h2>
+                {savedSearch.criteria?.search && (
+                  <code className="px-2 py-0.5 text-xs rounded bg-gray-100 dark:bg-dark-card text-gray-500 dark:text-dark-muted truncate">
+                    {savedSearch.criteria.search}
+                  </code>
+                )}
+              </div>
             )}
-          </div>
-        ) : (
-          <>
-            {/* Notes count */}
-            <div className="flex items-center justify-between mb-4">
-              <p className="text-sm text-gray-500 dark:text-dark-muted">
-                Showing <span className="font-semibold text-gray-700 dark:text-gray-300">{filteredNotes.length}</span> {filteredNotes.length === 1 ? 'note' : 'notes'}
-                {searchQuery && <span> for "<span className="font-semibold">{searchQuery}</span>"</span>}
-              </p>
-            </div>
-            
-            {/* Notes Grid/List */}
-            <div className={
-              viewMode === 'grid'
-                ? 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-5'
-                : 'space-y-4'
-            }>
-              {filteredNotes.map((note, index) => (
-                <div 
-                  key={note._id} 
-                  className={`${viewMode === 'list' ? 'max-w-4xl' : ''} animate-fade-in`}
-                  style={{ animationDelay: `${index * 50}ms` }}
-                >
-                  <NoteCard
-                    note={note}
-                    onDelete={() => setDeleteModal({ isOpen: true, noteId: note._id })}
-                    onTogglePin={handleTogglePin}
-                    viewMode={viewMode}
-                  />
+
+            {/* Content */}
+            {loading ? (
+              <div className="flex flex-col items-center justify-center py-20">
+                <div className="w-16 h-16 border-4 border-primary-200 border-t-primary-600 rounded-full animate-spin mb-4" />
+                <p className="text-gray-500 dark:text-dark-muted">Loading your notes...</p>
+              </div>
+            ) : error ? (
+              <div className="text-center py-20">
+                <div className="w-20 h-20 bg-red-100 dark:bg-red-900/30 rounded-full flex items-center justify-center mx-auto mb-4">
+                  <HiOutlineX className="w-10 h-10 text-red-500" />
                 </div>
-              ))}
-            </div>
-          </>
-        )}
+                <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">Something went wrong</h3>
+                <p className="text-gray-500 dark:text-dark-muted mb-6">{error}</p>
+                <button onClick={fetchNotes} className="btn-primary">
+                  Try Again
+                </button>
+              </div>
+            ) : filteredNotes.length === 0 ? (
+              <div className="text-center py-20">
+                <div className="w-24 h-24 bg-gradient-to-br from-primary-100 to-indigo-100 dark:from-primary-900/30 dark:to-indigo-900/30 rounded-3xl flex items-center justify-center mx-auto mb-6 shadow-lg">
+                  {searchQuery ? (
+                    <HiOutlineSearch className="w-12 h-12 text-primary-500" />
+                  ) : (
+                    <HiOutlineLightBulb className="w-12 h-12 text-primary-500" />
+                  )}
+                </div>
+                <h3 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+                  {searchQuery ? 'No notes found' : selection.type !== 'all' ? 'Nothing here yet' : 'Start your journey'}
+                </h3>
+                <p className="text-gray-500 dark:text-dark-muted mb-8 max-w-md mx-auto">
+                  {searchQuery 
+                    ? `No notes match "${searchQuery}". Try a different search term.`
+                    : selection.type === 'smart'
+                    ? 'No notes match this smart folder right now. Notes show up here as soon as they match.'
+                    : selection.type !== 'all'
+                    ? 'There are no notes here yet.'
+                    : "Your creative space awaits! Create your first note and begin capturing your thoughts, ideas, and inspirations."
+                  }
+                </p>
+                {!searchQuery && selection.type === 'all' && (
+                  <Link 
+                    to="/notes/new" 
+                    className="inline-flex items-center justify-center space-x-2 bg-primary-600 hover:bg-primary-700 text-white px-8 py-3 rounded-xl font-semibold shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200"
+                  >
+                    <HiOutlinePlus className="w-5 h-5" />
+                    <span>Create Your First Note</span>
+                  </Link>
+                )}
+              </div>
+            ) : (
+              <>
+                {/* Notes count */}
+                <div className="flex items-center justify-between mb-4">
+                  <p className="text-sm text-gray-500 dark:text-dark-muted">
+                    Showing <span className="font-semibold text-gray-700 dark:text-gray-300">{filteredNotes.length}</span>
+                    {searchResults && <> of <span className="font-semibold text-gray-700 dark:text-gray-300">{searchResults.total}</span></>}
+                    {' '}{(searchResults ? searchResults.total : filteredNotes.length) === 1 ? 'note' : 'notes'}
+                    {searchQuery && <span> for "<span className="font-semibold">{searchResults ? searchResults.query : searchQuery}</span>"</span>}
+                  </p>
+                </div>
+                
+                {/* Notes Grid/List */}
+                <div className={
+                  viewMode === 'grid'
+                    ? 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-5'
+                    : 'space-y-4'
+                }>
+                  {filteredNotes.map((note, index) => (
+                    <div 
+                      key={note._id} 
+                      className={`${viewMode === 'list' ? 'max-w-4xl' : ''} animate-fade-in`}
+                      style={{ animationDelay: `${index * 50}ms` }}
+                    >
+                      <NoteCard
+                        note={note}
+                        onDelete={() => setDeleteModal({ isOpen: true, noteId: note._id })}
+                        onTogglePin={handleTogglePin}
+                        viewMode={viewMode}
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                {/* More search results */}
+                {searchResults && searchResults.page < searchResults.pages && (
+                  <div className="mt-8 text-center">
+                    <button onClick={() => handleSearch(searchResults.page + 1, searchResults.query)} className="btn-secondary">
+                      Load more results
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
 
         {/* Quick Actions FAB */}
         <div className="fixed bottom-8 right-8 z-50 lg:hidden">
@@ -463,6 +590,19 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Save Search Modal */}
+      {showSaveModal && (
+        <SaveSearchModal
+          onClose={() => setShowSaveModal(false)}
+          criteria={{
+            search: searchQuery,
+            color: selection.type === 'smart' ? '' : filterColor,
+            folder: selection.type === 'folder' ? selection.id : selection.type === 'unfiled' ? null : undefined
+          }}
+          onSaved={handleSearchSaved}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       <ConfirmModal
         isOpen={deleteModal.isOpen}
@@ -1,16 +1,30 @@
 /**
  * Edit Note Page
- * Form to edit an existing note
+ * Form to edit an existing note. Content is co-edited live with anyone
+ * else who has the note open. Saves are conditional on the revision the
+ * form was loaded from; if someone else saved first, a dialog offers to
+ * merge or overwrite.
+ *
+ * Notes shared with the user open here too: with edit access only the title
+ * and content can be changed, with read access the form is read-only.
  */
 
-import { useState, useEffect } from 'react';
-import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, useLocation, Link } from 'react-router-dom';
 import { notesAPI } from '../services/api';
+import { useRealtime } from '../context/RealtimeContext';
+import useCollaboration from '../hooks/useCollaboration';
 import LoadingSpinner from '../components/LoadingSpinner';
+import CollaborativeTextarea from '../components/CollaborativeTextarea';
+import PresenceAvatars from '../components/PresenceAvatars';
+import ConflictDialog from '../components/ConflictDialog';
+import CommentsPanel from '../components/CommentsPanel';
+import { mergeText, mergeValue } from '../utils/merge';
 import { 
   HiOutlineArrowLeft,
   HiOutlineBookmark,
-  HiBookmark
+  HiBookmark,
+  HiOutlineChatAlt2
 } from 'react-icons/hi';
 import toast from 'react-hot-toast';
 
@@ -26,9 +40,18 @@ const NOTE_COLORS = [
   { name: 'Pink', value: '#fbcfe8' },
 ];
 
+// Fields this form edits
+const pickFields = (note) => ({
+  title: note.title,
+  content: note.content,
+  isPinned: note.isPinned,
+  color: note.color || '#ffffff'
+});
+
 const EditNote = () => {
   const navigate = useNavigate();
   const { id } = useParams();
+  const location = useLocation();
   
   // State
   const [formData, setFormData] = useState({
@@ -41,6 +64,23 @@ const EditNote = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
   const [notFound, setNotFound] = useState(false);
+  // Saved copy the form started from: { revision, title, content, isPinned, color }
+  const [base, setBase] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [access, setAccess] = useState('owner');
+  const [lastEditedBy, setLastEditedBy] = useState(null);
+  const [showComments, setShowComments] = useState(new URLSearchParams(location.search).has('comments'));
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const contentFieldRef = useRef(null);
+
+  const isOwner = access === 'owner';
+  const readOnly = access === 'read';
+  // Shared notes have no details page for recipients
+  const backLink = isOwner ? `/notes/${id}` : '/shared';
+
+  // Live co-editing of the content
+  const { clientId } = useRealtime();
+  const collab = useCollaboration(id, { enabled: !loading && !notFound });
 
   // Fetch note data
   useEffect(() => {
@@ -50,12 +90,10 @@ const EditNote = () => {
         const response = await notesAPI.getById(id);
         const note = response.data.note;
         
-        setFormData({
-          title: note.title,
-          content: note.content,
-          isPinned: note.isPinned,
-          color: note.color || '#ffffff'
-        });
+        setFormData(pickFields(note));
+        setBase({ revision: note.revision, ...pickFields(note) });
+        setAccess(response.data.access);
+        setLastEditedBy(note.lastEditedBy);
       } catch (err) {
         console.error('Error fetching note:', err);
         if (err.response?.status === 404) {
@@ -72,6 +110,21 @@ const EditNote = () => {
     fetchNote();
   }, [id, navigate]);
 
+  // Mirror the shared content into the form (validation, character count)
+  useEffect(() => {
+    if (collab.doc) {
+      setFormData(prev => ({ ...prev, content: collab.doc.text }));
+    }
+  }, [collab.doc]);
+
+  // Handle collaborative content change
+  const handleContentChange = (text, selection) => {
+    collab.change(text, selection);
+    if (errors.content) {
+      setErrors(prev => ({ ...prev, content: '' }));
+    }
+  };
+
   // Handle input change
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -93,6 +146,32 @@ const EditNote = () => {
     setFormData(prev => ({ ...prev, color }));
   };
 
+  // Text selected in the content field, for anchoring a comment
+  const getContentSelection = () => {
+    const textarea = contentFieldRef.current?.querySelector('textarea');
+    if (!textarea || textarea.selectionStart === textarea.selectionEnd) return null;
+
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    return { start, end, quote: textarea.value.slice(start, end) };
+  };
+
+  // Select a comment thread's quoted text in the content field
+  const handleSelectThread = (thread) => {
+    setActiveThreadId(thread?._id || null);
+    const textarea = contentFieldRef.current?.querySelector('textarea');
+    if (!thread || !textarea) return;
+
+    // The content may have changed since it was saved; look near the saved position first
+    const { quote } = thread.anchor;
+    const near = Math.max(0, (thread.position?.start ?? thread.anchor.start) - quote.length);
+    let start = textarea.value.indexOf(quote, near);
+    if (start === -1) start = textarea.value.indexOf(quote);
+    if (start === -1) return;
+
+    textarea.focus();
+    textarea.setSelectionRange(start, start + quote.length);
+  };
+
   // Validate form
   const validateForm = () => {
     const newErrors = {};
@@ -109,18 +188,44 @@ const EditNote = () => {
     return Object.keys(newErrors).length === 0;
   };
 
+  // Save the form on top of a saved copy; returns the server copy if someone else saved first
+  const saveNote = async (from) => {
+    // While co-editing, content is saved by the collaboration server.
+    // Pin and color belong to the owner.
+    const { content, ...otherFields } = isOwner ? formData : { title: formData.title, content: formData.content };
+    const data = collab.joined ? otherFields : { ...otherFields, content };
+
+    try {
+      await notesAPI.update(id, data, from.revision);
+      return null;
+    } catch (err) {
+      if (err.response?.status !== 409) throw err;
+
+      // Only a conflict if the other save touched something we're sending
+      const theirs = err.response.data.note;
+      const saved = { revision: theirs.revision, ...pickFields(theirs) };
+      const overlaps = Object.keys(data).some((field) => from[field] !== saved[field]);
+      if (!overlaps && from.revision !== saved.revision) return saveNote(saved);
+      return theirs;
+    }
+  };
+
   // Handle form submit
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!validateForm()) return;
+    if (readOnly || !validateForm()) return;
     
     setIsSubmitting(true);
     
     try {
-      await notesAPI.update(id, formData);
+      const theirs = await saveNote(base);
+      if (theirs) {
+        setConflict(theirs);
+        return;
+      }
       toast.success('Note updated successfully!');
-      navigate(`/notes/${id}`);
+      navigate(backLink);
     } catch (err) {
       console.error('Update note error:', err);
       toast.error(err.response?.data?.message || 'Failed to update note');
@@ -129,6 +234,53 @@ const EditNote = () => {
     }
   };
 
+  // Combine both sets of changes into the form for the user to review
+  const handleMerge = () => {
+    const saved = pickFields(conflict);
+
+    setFormData(prev => ({
+      title: mergeText(base.title, prev.title, saved.title),
+      // While co-editing the content is already shared
+      content: collab.joined ? prev.content : mergeText(base.content, prev.content, saved.content),
+      isPinned: mergeValue(base.isPinned, prev.isPinned, saved.isPinned),
+      color: mergeValue(base.color, prev.color, saved.color)
+    }));
+    setBase({ revision: conflict.revision, ...saved });
+    setConflict(null);
+    toast.success('Changes merged. Review them and save again.');
+  };
+
+  // Save our version on top of the saved one
+  const handleOverwrite = async () => {
+    const saved = { revision: conflict.revision, ...pickFields(conflict) };
+    setConflict(null);
+    setBase(saved);
+    setIsSubmitting(true);
+
+    try {
+      const newer = await saveNote(saved);
+      if (newer) {
+        setConflict(newer);
+        return;
+      }
+      toast.success('Note updated successfully!');
+      navigate(backLink);
+    } catch (err) {
+      console.error('Update note error:', err);
+      toast.error(err.response?.data?.message || 'Failed to update note');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Throw away our edits and continue from the saved copy
+  const handleDiscard = () => {
+    const saved = pickFields(conflict);
+    setFormData(prev => ({ ...saved, content: collab.joined ? prev.content : saved.content }));
+    setBase({ revision: conflict.revision, ...saved });
+    setConflict(null);
+  };
+
   // Loading state
   if (loading) {
     return (
@@ -161,59 +313,91 @@ const EditNote = () => {
       <div className="flex items-center justify-between mb-6">
         <div className="flex items-center space-x-4">
           <Link
-            to={`/notes/${id}`}
+            to={backLink}
             className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border transition-colors"
           >
             <HiOutlineArrowLeft className="w-5 h-5" />
           </Link>
-          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
-            Edit Note
-          </h1>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              {readOnly ? 'View Note' : 'Edit Note'}
+            </h1>
+            {lastEditedBy && (
+              <p className="text-xs text-gray-500 dark:text-dark-muted">
+                Last edited by {lastEditedBy.name}
+              </p>
+            )}
+          </div>
+          <PresenceAvatars participants={collab.participants} currentClientId={clientId} />
         </div>
 
-        {/* Pin Button */}
-        <button
-          type="button"
-          onClick={togglePin}
-          className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
-            formData.isPinned
-              ? 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400'
-              : 'bg-gray-100 text-gray-600 dark:bg-dark-card dark:text-dark-muted'
-          }`}
-        >
-          {formData.isPinned ? (
-            <HiBookmark className="w-5 h-5" />
-          ) : (
-            <HiOutlineBookmark className="w-5 h-5" />
+        {/* Actions */}
+        <div className="flex items-center space-x-2">
+          {/* Pin Button */}
+          {isOwner && (
+            <button
+              type="button"
+              onClick={togglePin}
+              className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                formData.isPinned
+                  ? 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400'
+                  : 'bg-gray-100 text-gray-600 dark:bg-dark-card dark:text-dark-muted'
+              }`}
+            >
+              {formData.isPinned ? (
+                <HiBookmark className="w-5 h-5" />
+              ) : (
+                <HiOutlineBookmark className="w-5 h-5" />
+              )}
+              <span className="text-sm font-medium">
+                {formData.isPinned ? 'Pinned' : 'Pin Note'}
+              </span>
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => setShowComments(!showComments)}
+            className={`p-2 rounded-lg transition-colors ${
+              showComments
+                ? 'text-primary-600 bg-primary-50 dark:bg-primary-900/30'
+                : 'text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+            }`}
+            title="Comments"
+          >
+            <HiOutlineChatAlt2 className="w-5 h-5" />
+          </button>
+          {readOnly && (
+            <span className="px-3 py-1 text-sm rounded-full bg-gray-100 text-gray-600 dark:bg-dark-card dark:text-dark-muted">
+              Read only
+            </span>
           )}
-          <span className="text-sm font-medium">
-            {formData.isPinned ? 'Pinned' : 'Pin Note'}
-          </span>
-        </button>
+        </div>
       </div>
 
       {/* Form */}
       <form onSubmit={handleSubmit} className="card p-6">
         {/* Color Picker */}
-        <div className="mb-6">
-          <label className="label">Note Color</label>
-          <div className="flex flex-wrap gap-2">
-            {NOTE_COLORS.map((color) => (
-              <button
-                key={color.value}
-                type="button"
-                onClick={() => selectColor(color.value)}
-                className={`w-8 h-8 rounded-full border-2 transition-transform hover:scale-110 ${
-                  formData.color === color.value
-                    ? 'border-primary-500 ring-2 ring-primary-500 ring-offset-2'
-                    : 'border-gray-300 dark:border-dark-border'
-                }`}
-                style={{ backgroundColor: color.value }}
-                title={color.name}
-              />
-            ))}
+        {isOwner && (
+          <div className="mb-6">
+            <label className="label">Note Color</label>
+            <div className="flex flex-wrap gap-2">
+              {NOTE_COLORS.map((color) => (
+                <button
+                  key={color.value}
+                  type="button"
+                  onClick={() => selectColor(color.value)}
+                  className={`w-8 h-8 rounded-full border-2 transition-transform hover:scale-110 ${
+                    formData.color === color.value
+                      ? 'border-primary-500 ring-2 ring-primary-500 ring-offset-2'
+                      : 'border-gray-300 dark:border-dark-border'
+                  }`}
+                  style={{ backgroundColor: color.value }}
+                  title={color.name}
+                />
+              ))}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Title Field */}
         <div className="mb-4">
@@ -226,6 +410,7 @@ const EditNote = () => {
             type="text"
             value={formData.title}
             onChange={handleChange}
+            readOnly={readOnly}
             className={`input ${errors.title ? 'input-error' : ''}`}
             placeholder="Enter note title..."
           />
@@ -235,19 +420,35 @@ const EditNote = () => {
         </div>
 
         {/* Content Field */}
-        <div className="mb-6">
+        <div ref={contentFieldRef} className="mb-6">
           <label htmlFor="content" className="label">
             Content
           </label>
-          <textarea
-            id="content"
-            name="content"
-            value={formData.content}
-            onChange={handleChange}
-            rows={12}
-            className={`input resize-none ${errors.content ? 'input-error' : ''}`}
-            placeholder="Write your note here..."
-          />
+          {collab.joined && collab.doc ? (
+            <CollaborativeTextarea
+              id="content"
+              name="content"
+              doc={collab.doc}
+              remoteSelections={collab.remoteSelections}
+              onChange={handleContentChange}
+              onSelect={collab.select}
+              readOnly={readOnly || collab.access === 'read'}
+              rows={12}
+              className={`input resize-none ${errors.content ? 'input-error' : ''}`}
+              placeholder="Write your note here..."
+            />
+          ) : (
+            <textarea
+              id="content"
+              name="content"
+              value={formData.content}
+              onChange={handleChange}
+              readOnly={readOnly}
+              rows={12}
+              className={`input resize-none ${errors.content ? 'input-error' : ''}`}
+              placeholder="Write your note here..."
+            />
+          )}
           {errors.content && (
             <p className="mt-1 text-sm text-red-500">{errors.content}</p>
           )}
@@ -259,30 +460,59 @@ const EditNote = () => {
         {/* Actions */}
         <div className="flex items-center justify-end space-x-3">
           <Link
-            to={`/notes/${id}`}
+            to={backLink}
             className="btn-secondary"
           >
-            Cancel
+            {readOnly ? 'Back' : 'Cancel'}
           </Link>
-          <button
-            type="submit"
-            disabled={isSubmitting}
-            className="btn-primary"
-          >
-            {isSubmitting ? (
-              <span className="flex items-center">
-                <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                </svg>
-                Saving...
-              </span>
-            ) : (
-              'Save Changes'
-            )}
-          </button>
+          {!readOnly && (
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="btn-primary"
+            >
+              {isSubmitting ? (
+                <span className="flex items-center">
+                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                  </svg>
+                  Saving...
+                </span>
+              ) : (
+                'Save Changes'
+              )}
+            </button>
+          )}
         </div>
       </form>
+
+      {/* Comments */}
+      {showComments && (
+        <div className="mt-6">
+          <CommentsPanel
+            noteId={id}
+            canResolve={!readOnly}
+            isOwner={isOwner}
+            getSelection={getContentSelection}
+            activeThreadId={activeThreadId}
+            onSelectThread={handleSelectThread}
+            onClose={() => setShowComments(false)}
+          />
+        </div>
+      )}
+
+      {/* Save Conflict */}
+      <ConflictDialog
+        isOpen={!!conflict}
+        mine={formData}
+        theirs={conflict}
+        showContent={!collab.joined}
+        onMerge={handleMerge}
+        onOverwrite={handleOverwrite}
+        onDiscard={handleDiscard}
+        onClose={() => setConflict(null)}
+      />
     </div>
   );
 };
@@ -0,0 +1,102 @@
+/**
+ * Forgot Password Page
+ * Requests a password reset email
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { HiOutlineMail } from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      toast.error('Please enter a valid email');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await authAPI.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reset email');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[calc(100vh-4rem)] flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+            Forgot your password?
+          </h1>
+          <p className="mt-2 text-gray-600 dark:text-dark-muted">
+            We'll email you a link to choose a new one
+          </p>
+        </div>
+
+        {/* Form Card */}
+        <div className="card p-8">
+          {sent ? (
+            <p className="text-center text-gray-700 dark:text-dark-text">
+              If an account exists for <strong>{email}</strong>, a reset link is on its way.
+              The link expires in 1 hour.
+            </p>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="email" className="label">
+                  Email address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <HiOutlineMail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    autoFocus
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="input pl-10"
+                    placeholder="you@example.com"
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting || !email}
+                className="btn-primary w-full py-3"
+              >
+                {isSubmitting ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link to="/login" className="link text-sm font-medium">
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
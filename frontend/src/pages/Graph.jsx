@@ -0,0 +1,190 @@
+/**
+ * Graph Page Component
+ * The knowledge graph: notes joined by their [[wiki links]], the tags they
+ * carry and the folders they sit in. Clicking a note opens it.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { graphAPI, tagsAPI, foldersAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { HiOutlineArrowLeft, HiOutlineGlobeAlt } from 'react-icons/hi';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ForceGraph from '../components/ForceGraph';
+
+// Edge kinds the page can toggle, with their legend swatch
+const LAYERS = [
+  { id: 'links', label: 'Links', swatch: 'border-indigo-500' },
+  { id: 'tags', label: 'Tags', swatch: 'border-amber-500 border-dashed' },
+  { id: 'folders', label: 'Folders', swatch: 'border-gray-400 border-dotted' }
+];
+
+const Graph = () => {
+  const navigate = useNavigate();
+  const [graph, setGraph] = useState({ nodes: [], edges: [], truncated: false });
+  const [tags, setTags] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [tag, setTag] = useState('');
+  const [folder, setFolder] = useState('');
+  const [layers, setLayers] = useState(LAYERS.map((layer) => layer.id));
+  const [loading, setLoading] = useState(true);
+
+  // Filter options
+  useEffect(() => {
+    const fetchFilters = async () => {
+      try {
+        const [tagsResponse, foldersResponse] = await Promise.all([tagsAPI.getAll(), foldersAPI.getAll()]);
+        setTags(tagsResponse.data.tags || []);
+        setFolders(foldersResponse.data.folders || []);
+      } catch (error) {
+        console.error('Error fetching graph filters:', error);
+      }
+    };
+
+    fetchFilters();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchGraph = async () => {
+      try {
+        setLoading(true);
+        const params = { layers: layers.join(',') };
+        if (tag) params.tag = tag;
+        if (folder) params.folder = folder;
+
+        const response = await graphAPI.get(params);
+        if (!cancelled) {
+          setGraph({
+            nodes: response.data.nodes,
+            edges: response.data.edges,
+            truncated: response.data.truncated
+          });
+        }
+      } catch (error) {
+        console.error('Error fetching graph:', error);
+        if (!cancelled) toast.error(error.response?.data?.message || 'Failed to load graph');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchGraph();
+    return () => {
+      cancelled = true;
+    };
+  }, [tag, folder, layers]);
+
+  const toggleLayer = (id) => {
+    setLayers((current) => (current.includes(id) ? current.filter((layer) => layer !== id) : [...current, id]));
+  };
+
+  const handleNodeClick = (node) => {
+    if (node.type === 'note') {
+      navigate(`/notes/${node.id}`);
+    } else if (node.type === 'tag') {
+      setTag(node.id.replace('tag:', ''));
+    } else if (node.type === 'folder') {
+      setFolder(node.id.replace('folder:', ''));
+    }
+  };
+
+  const noteCount = graph.nodes.filter((node) => node.type === 'note').length;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div className="flex items-center gap-4">
+          <Link
+            to="/dashboard"
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors dark:text-dark-muted dark:hover:bg-dark-border"
+          >
+            <HiOutlineArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+              <HiOutlineGlobeAlt className="w-6 h-6 text-primary-500" />
+              Graph
+            </h1>
+            <p className="text-sm text-gray-500 dark:text-dark-muted mt-1">
+              {noteCount} {noteCount === 1 ? 'note' : 'notes'}
+              {graph.truncated && ' (most recently updated only)'}
+            </p>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            className="input py-2 w-auto"
+          >
+            <option value="">All tags</option>
+            {tags.map((item) => (
+              <option key={item._id} value={item._id}>
+                #{item.name}
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={folder}
+            onChange={(e) => setFolder(e.target.value)}
+            className="input py-2 w-auto"
+          >
+            <option value="">All folders</option>
+            {folders.map((item) => (
+              <option key={item._id} value={item._id}>
+                {item.icon} {item.name}
+              </option>
+            ))}
+          </select>
+
+          {LAYERS.map((layer) => (
+            <label
+              key={layer.id}
+              className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={layers.includes(layer.id)}
+                onChange={() => toggleLayer(layer.id)}
+                className="rounded text-primary-600"
+              />
+              <span className={`w-5 border-t-2 ${layer.swatch}`} />
+              {layer.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {/* Graph */}
+      <div className="card overflow-hidden relative">
+        {loading && graph.nodes.length === 0 ? (
+          <LoadingSpinner text="Loading graph..." />
+        ) : noteCount === 0 ? (
+          <div className="text-center py-16">
+            <HiOutlineGlobeAlt className="w-16 h-16 text-gray-300 dark:text-dark-border mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">Nothing to show</h3>
+            <p className="text-gray-500 dark:text-dark-muted">
+              {tag || folder
+                ? 'No notes match these filters'
+                : 'Link notes with [[Note Title]], tag them or file them in folders to grow your graph'}
+            </p>
+          </div>
+        ) : (
+          <ForceGraph nodes={graph.nodes} edges={graph.edges} onNodeClick={handleNodeClick} />
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500 dark:text-dark-muted mt-3">
+        Drag to move notes or pan, scroll to zoom. Click a note to open it, or a tag or folder to focus on it.
+      </p>
+    </div>
+  );
+};
+
+export default Graph;
@@ -1,18 +1,19 @@
 /**
  * Login Page
- * User authentication form
+ * User authentication form. Accounts with two-factor authentication get a
+ * second step asking for an authenticator or backup code.
  */
 
 import { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { HiOutlineMail, HiOutlineLockClosed, HiOutlineEye, HiOutlineEyeOff } from 'react-icons/hi';
+import { HiOutlineMail, HiOutlineLockClosed, HiOutlineEye, HiOutlineEyeOff, HiOutlineShieldCheck } from 'react-icons/hi';
 import toast from 'react-hot-toast';
 
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isAuthenticated, loading, error, clearError } = useAuth();
+  const { login, completeTwoFactorLogin, isAuthenticated, loading, error, clearError } = useAuth();
 
   // Form state
   const [formData, setFormData] = useState({
@@ -23,6 +24,10 @@ const Login = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formErrors, setFormErrors] = useState({});
 
+  // Second step (two-factor authentication)
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
+  const [code, setCode] = useState('');
+
   // Get redirect location
   const from = location.state?.from?.pathname || '/dashboard';
 
@@ -77,7 +82,9 @@ const Login = () => {
     
     const result = await login(formData.email, formData.password);
     
-    if (result.success) {
+    if (result.twoFactorRequired) {
+      setTwoFactorToken(result.twoFactorToken);
+    } else if (result.success) {
       toast.success('Welcome back!');
       navigate(from, { replace: true });
     } else {
@@ -87,6 +94,36 @@ const Login = () => {
     setIsSubmitting(false);
   };
 
+  // Handle two-factor code submit
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) return;
+
+    setIsSubmitting(true);
+
+    const result = await completeTwoFactorLogin(twoFactorToken, code.trim());
+
+    if (result.success) {
+      toast.success('Welcome back!');
+      navigate(from, { replace: true });
+    } else {
+      toast.error(result.error || 'Verification failed');
+      setCode('');
+      // Ticket expired or account locked - start over from the password step
+      if (result.expired || result.locked) setTwoFactorToken(null);
+    }
+
+    setIsSubmitting(false);
+  };
+
+  // Leave the code step
+  const cancelTwoFactor = () => {
+    setTwoFactorToken(null);
+    setCode('');
+    clearError();
+  };
+
   return (
     <div className="min-h-[calc(100vh-4rem)] flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="w-full max-w-md">
@@ -102,94 +139,146 @@ const Login = () => {
 
         {/* Form Card */}
         <div className="card p-8">
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Email Field */}
-            <div>
-              <label htmlFor="email" className="label">
-                Email address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <HiOutlineMail className="h-5 w-5 text-gray-400" />
-                </div>
+          {twoFactorToken ? (
+            <form onSubmit={handleCodeSubmit} className="space-y-6">
+              <div className="text-center">
+                <HiOutlineShieldCheck className="mx-auto h-10 w-10 text-primary-600" />
+                <p className="mt-2 text-sm text-gray-600 dark:text-dark-muted">
+                  Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                </p>
+              </div>
+
+              {/* Code Field */}
+              <div>
+                <label htmlFor="code" className="label">
+                  Authentication code
+                </label>
                 <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  className={`input pl-10 ${formErrors.email ? 'input-error' : ''}`}
-                  placeholder="you@example.com"
+                  id="code"
+                  name="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="input text-center tracking-widest"
+                  placeholder="123456"
                 />
               </div>
-              {formErrors.email && (
-                <p className="mt-1 text-sm text-red-500">{formErrors.email}</p>
-              )}
-            </div>
-
-            {/* Password Field */}
-            <div>
-              <label htmlFor="password" className="label">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <HiOutlineLockClosed className="h-5 w-5 text-gray-400" />
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isSubmitting || !code.trim()}
+                className="btn-primary w-full py-3"
+              >
+                {isSubmitting ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <button
+                type="button"
+                onClick={cancelTwoFactor}
+                className="w-full text-sm text-gray-500 hover:text-gray-700 dark:text-dark-muted"
+              >
+                Back to sign in
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email Field */}
+              <div>
+                <label htmlFor="email" className="label">
+                  Email address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <HiOutlineMail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    className={`input pl-10 ${formErrors.email ? 'input-error' : ''}`}
+                    placeholder="you@example.com"
+                  />
                 </div>
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className={`input pl-10 pr-10 ${formErrors.password ? 'input-error' : ''}`}
-                  placeholder="••••••••"
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600"
-                >
-                  {showPassword ? (
-                    <HiOutlineEyeOff className="h-5 w-5" />
-                  ) : (
-                    <HiOutlineEye className="h-5 w-5" />
-                  )}
-                </button>
+                {formErrors.email && (
+                  <p className="mt-1 text-sm text-red-500">{formErrors.email}</p>
+                )}
               </div>
-              {formErrors.password && (
-                <p className="mt-1 text-sm text-red-500">{formErrors.password}</p>
-              )}
-            </div>
 
-            {/* Error Message */}
-            {error && (
-              <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
-                <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+              {/* Password Field */}
+              <div>
+                <label htmlFor="password" className="label">
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <HiOutlineLockClosed className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={`input pl-10 pr-10 ${formErrors.password ? 'input-error' : ''}`}
+                    placeholder="••••••••"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600"
+                  >
+                    {showPassword ? (
+                      <HiOutlineEyeOff className="h-5 w-5" />
+                    ) : (
+                      <HiOutlineEye className="h-5 w-5" />
+                    )}
+                  </button>
+                </div>
+                {formErrors.password && (
+                  <p className="mt-1 text-sm text-red-500">{formErrors.password}</p>
+                )}
+                <div className="mt-2 text-right">
+                  <Link to="/forgot-password" className="link text-sm">
+                    Forgot password?
+                  </Link>
+                </div>
               </div>
-            )}
-
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={isSubmitting || loading}
-              className="btn-primary w-full py-3"
-            >
-              {isSubmitting ? (
-                <span className="flex items-center justify-center">
-                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                  </svg>
-                  Signing in...
-                </span>
-              ) : (
-                'Sign in'
+
+              {/* Error Message */}
+              {error && (
+                <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+                  <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+                </div>
               )}
-            </button>
-          </form>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isSubmitting || loading}
+                className="btn-primary w-full py-3"
+              >
+                {isSubmitting ? (
+                  <span className="flex items-center justify-center">
+                    <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                    </svg>
+                    Signing in...
+                  </span>
+                ) : (
+                  'Sign in'
+                )}
+              </button>
+            </form>
+          )}
 
           {/* Register Link */}
           <div className="mt-6 text-center">
@@ -3,11 +3,20 @@
  * Displays a single note with full content
  */
 
-import { useState, useEffect } from 'react';
-import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, useLocation, Link } from 'react-router-dom';
 import { notesAPI } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ConfirmModal from '../components/ConfirmModal';
+import VersionHistory from '../components/VersionHistory';
+import AttachmentList from '../components/AttachmentList';
+import ShareLinks from '../components/ShareLinks';
+import NoteSharing from '../components/NoteSharing';
+import CommentsPanel from '../components/CommentsPanel';
+import RelatedNotes from '../components/RelatedNotes';
+import WikiText from '../components/WikiText';
+import NoteContent from '../components/NoteContent';
+import Backlinks from '../components/Backlinks';
 import { 
   HiOutlineArrowLeft,
   HiOutlinePencil,
@@ -15,19 +24,33 @@ import {
   HiOutlineBookmark,
   HiBookmark,
   HiOutlineClock,
-  HiOutlineCalendar
+  HiOutlineCalendar,
+  HiOutlineRewind,
+  HiOutlineLink,
+  HiOutlineShare,
+  HiOutlineChatAlt2
 } from 'react-icons/hi';
 import toast from 'react-hot-toast';
 
 const NoteDetails = () => {
   const navigate = useNavigate();
   const { id } = useParams();
+  const location = useLocation();
   
   // State
   const [note, setNote] = useState(null);
   const [loading, setLoading] = useState(true);
   const [notFound, setNotFound] = useState(false);
   const [deleteModal, setDeleteModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showShareLinks, setShowShareLinks] = useState(false);
+  const [showSharing, setShowSharing] = useState(false);
+  // Comment notifications link here with ?comments
+  const [showComments, setShowComments] = useState(new URLSearchParams(location.search).has('comments'));
+  const [activeThread, setActiveThread] = useState(null);
+  // Where the note's [[wiki links]] lead, by normalized title
+  const [outlinks, setOutlinks] = useState(new Map());
+  const contentRef = useRef(null);
 
   // Fetch note
   useEffect(() => {
@@ -35,6 +58,11 @@ const NoteDetails = () => {
       try {
         setLoading(true);
         const response = await notesAPI.getById(id);
+        // Notes shared with the user open in the editor instead
+        if (response.data.access !== 'owner') {
+          navigate(`/notes/${id}/edit${location.search}`, { replace: true });
+          return;
+        }
         setNote(response.data.note);
       } catch (err) {
         console.error('Error fetching note:', err);
@@ -52,6 +80,22 @@ const NoteDetails = () => {
     fetchNote();
   }, [id, navigate]);
 
+  // Resolve wiki links whenever the content may have changed
+  useEffect(() => {
+    if (!note?._id) return;
+
+    const fetchOutlinks = async () => {
+      try {
+        const response = await notesAPI.getOutlinks(note._id);
+        setOutlinks(new Map(response.data.links.map((link) => [link.key, link])));
+      } catch (err) {
+        console.error('Error fetching links:', err);
+      }
+    };
+
+    fetchOutlinks();
+  }, [note?._id, note?.updatedAt]);
+
   // Format date
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -88,6 +132,22 @@ const NoteDetails = () => {
     }
   };
 
+  // Offsets of the text selected in the note content, for anchoring a comment
+  const getContentSelection = () => {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !contentRef.current) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!contentRef.current.contains(range.commonAncestorContainer)) return null;
+
+    const before = document.createRange();
+    before.selectNodeContents(contentRef.current);
+    before.setEnd(range.startContainer, range.startOffset);
+    const start = before.toString().length;
+    const quote = range.toString();
+    return { start, end: start + quote.length, quote };
+  };
+
   // Loading state
   if (loading) {
     return (
@@ -115,7 +175,7 @@ const NoteDetails = () => {
   }
 
   return (
-    <div className="container-custom py-8 max-w-3xl">
+    <div className={`container-custom py-8 ${showComments ? 'max-w-6xl' : 'max-w-3xl'}`}>
       {/* Header */}
       <div className="flex items-center justify-between mb-6">
         <Link
@@ -143,6 +203,57 @@ const NoteDetails = () => {
               <HiOutlineBookmark className="w-5 h-5" />
             )}
           </button>
+
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className={`p-2 rounded-lg transition-colors ${
+              showHistory
+                ? 'text-primary-600 bg-primary-50 dark:bg-primary-900/30'
+                : 'text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+            }`}
+            title="Version history"
+          >
+            <HiOutlineRewind className="w-5 h-5" />
+          </button>
+
+          <button
+            onClick={() => {
+              setShowComments(!showComments);
+              setActiveThread(null);
+            }}
+            className={`p-2 rounded-lg transition-colors ${
+              showComments
+                ? 'text-primary-600 bg-primary-50 dark:bg-primary-900/30'
+                : 'text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+            }`}
+            title="Comments"
+          >
+            <HiOutlineChatAlt2 className="w-5 h-5" />
+          </button>
+
+          <button
+            onClick={() => setShowSharing(!showSharing)}
+            className={`p-2 rounded-lg transition-colors ${
+              showSharing
+                ? 'text-primary-600 bg-primary-50 dark:bg-primary-900/30'
+                : 'text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+            }`}
+            title="Share"
+          >
+            <HiOutlineShare className="w-5 h-5" />
+          </button>
+
+          <button
+            onClick={() => setShowShareLinks(!showShareLinks)}
+            className={`p-2 rounded-lg transition-colors ${
+              showShareLinks
+                ? 'text-primary-600 bg-primary-50 dark:bg-primary-900/30'
+                : 'text-gray-500 hover:bg-gray-100 dark:text-dark-muted dark:hover:bg-dark-border'
+            }`}
+            title="Public links"
+          >
+            <HiOutlineLink className="w-5 h-5" />
+          </button>
           
           <Link
             to={`/notes/${id}/edit`}
@@ -162,46 +273,109 @@ const NoteDetails = () => {
         </div>
       </div>
 
-      {/* Note Card */}
-      <div 
-        className="card p-8"
-        style={{ 
-          backgroundColor: note?.color !== '#ffffff' ? `${note?.color}15` : undefined 
-        }}
-      >
-        {/* Pinned Badge */}
-        {note?.isPinned && (
-          <div className="inline-flex items-center space-x-1 px-3 py-1 bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400 rounded-full text-sm font-medium mb-4">
-            <HiBookmark className="w-4 h-4" />
-            <span>Pinned</span>
-          </div>
-        )}
+      <div className={showComments ? 'lg:grid lg:grid-cols-[minmax(0,1fr)_20rem] lg:gap-6 lg:items-start' : undefined}>
+        <div>
+          {/* Note Card */}
+          <div 
+            className="card p-8"
+            style={{ 
+              backgroundColor: note?.color !== '#ffffff' ? `${note?.color}15` : undefined 
+            }}
+          >
+            {/* Pinned Badge */}
+            {note?.isPinned && (
+              <div className="inline-flex items-center space-x-1 px-3 py-1 bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400 rounded-full text-sm font-medium mb-4">
+                <HiBookmark className="w-4 h-4" />
+                <span>Pinned</span>
+              </div>
+            )}
 
-        {/* Title */}
-        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
-          {note?.title}
-        </h1>
+            {/* Title */}
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-4">
+              {note?.title}
+            </h1>
 
-        {/* Metadata */}
-        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 dark:text-dark-muted mb-8 pb-6 border-b border-gray-200 dark:border-dark-border">
-          <div className="flex items-center space-x-1">
-            <HiOutlineCalendar className="w-4 h-4" />
-            <span>Created: {formatDate(note?.createdAt)}</span>
-          </div>
-          {note?.updatedAt !== note?.createdAt && (
-            <div className="flex items-center space-x-1">
-              <HiOutlineClock className="w-4 h-4" />
-              <span>Updated: {formatDate(note?.updatedAt)}</span>
+            {/* Metadata */}
+            <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 dark:text-dark-muted mb-8 pb-6 border-b border-gray-200 dark:border-dark-border">
+              <div className="flex items-center space-x-1">
+                <HiOutlineCalendar className="w-4 h-4" />
+                <span>Created: {formatDate(note?.createdAt)}</span>
+              </div>
+              {note?.updatedAt !== note?.createdAt && (
+                <div className="flex items-center space-x-1">
+                  <HiOutlineClock className="w-4 h-4" />
+                  <span>
+                    Updated: {formatDate(note?.updatedAt)}
+                    {note?.lastEditedBy && ` by ${note.lastEditedBy.name}`}
+                  </span>
+                </div>
+              )}
             </div>
+
+            {/* Content: comments anchor to offsets in the text, so it shows as written while they're open */}
+            {showComments || note?.contentType === 'plain' ? (
+              <div className="prose prose-gray dark:prose-invert max-w-none">
+                <p ref={contentRef} className="text-gray-700 dark:text-dark-text whitespace-pre-wrap leading-relaxed">
+                  <WikiText text={note?.content} links={outlinks} highlight={activeThread?.position} />
+                </p>
+              </div>
+            ) : (
+              <NoteContent content={note?.content} contentType={note?.contentType} wikiLinks={outlinks} />
+            )}
+
+            {/* Linked from */}
+            <Backlinks noteId={id} updatedAt={note?.updatedAt} />
+
+            {/* Attachments */}
+            <AttachmentList
+              noteId={id}
+              attachments={note?.attachments}
+              onChange={(attachments) => setNote(prev => ({ ...prev, attachments }))}
+            />
+          </div>
+
+          {/* Related Notes */}
+          <RelatedNotes noteId={id} updatedAt={note?.updatedAt} />
+
+          {/* Version History */}
+          {showHistory && (
+            <VersionHistory
+              noteId={id}
+              updatedAt={note?.updatedAt}
+              revision={note?.revision}
+              onRestore={setNote}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
+
+          {/* Sharing */}
+          {showSharing && (
+            <NoteSharing noteId={id} folder={note?.folder} onClose={() => setShowSharing(false)} />
           )}
-        </div>
 
-        {/* Content */}
-        <div className="prose prose-gray dark:prose-invert max-w-none">
-          <p className="text-gray-700 dark:text-dark-text whitespace-pre-wrap leading-relaxed">
-            {note?.content}
-          </p>
+          {/* Public Links */}
+          {showShareLinks && (
+            <ShareLinks noteId={id} onClose={() => setShowShareLinks(false)} />
+          )}
         </div>
+
+        {/* Comments */}
+        {showComments && (
+          <aside className="mt-6 lg:mt-0 lg:sticky lg:top-20">
+            <CommentsPanel
+              noteId={id}
+              canResolve
+              isOwner
+              getSelection={getContentSelection}
+              activeThreadId={activeThread?._id}
+              onSelectThread={setActiveThread}
+              onClose={() => {
+                setShowComments(false);
+                setActiveThread(null);
+              }}
+            />
+          </aside>
+        )}
       </div>
 
       {/* Quick Actions */}
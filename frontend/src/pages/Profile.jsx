@@ -29,6 +29,9 @@ import {
 } from 'react-icons/fi';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ConfirmModal from '../components/ConfirmModal';
+import ActiveSessions from '../components/ActiveSessions';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import SecurityLog from '../components/SecurityLog';
 
 const Profile = () => {
   const { user, logout, updateUser } = useAuth();
@@ -118,7 +121,7 @@ const Profile = () => {
     try {
       setSaving(true);
       await profileAPI.changePassword({ currentPassword, newPassword });
-      toast.success('Password changed successfully');
+      toast.success('Password changed. Other devices have been logged out.');
       setCurrentPassword('');
       setNewPassword('');
       setConfirmPassword('');
@@ -352,6 +355,18 @@ const Profile = () => {
 
                 <hr className="border-gray-200" />
 
+                <TwoFactorSettings />
+
+                <hr className="border-gray-200" />
+
+                <ActiveSessions />
+
+                <hr className="border-gray-200" />
+
+                <SecurityLog />
+
+                <hr className="border-gray-200" />
+
                 {/* Danger Zone */}
                 <div className="bg-red-50 rounded-lg p-6">
                   <h3 className="text-lg font-medium text-red-900 mb-2">Danger Zone</h3>
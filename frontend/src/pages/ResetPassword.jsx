@@ -0,0 +1,115 @@
+/**
+ * Reset Password Page
+ * Sets a new password using the token from the reset email
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { HiOutlineLockClosed } from 'react-icons/hi';
+import toast from 'react-hot-toast';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [formError, setFormError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setFormError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password.length < 6) {
+      setFormError('Password must be at least 6 characters');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setFormError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const response = await authAPI.resetPassword(token, formData.password);
+      toast.success(response.data.message);
+      navigate('/login', { replace: true });
+    } catch (error) {
+      setFormError(error.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[calc(100vh-4rem)] flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+            Choose a new password
+          </h1>
+          <p className="mt-2 text-gray-600 dark:text-dark-muted">
+            You'll be signed out on all your devices
+          </p>
+        </div>
+
+        {/* Form Card */}
+        <div className="card p-8">
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {['password', 'confirmPassword'].map((name) => (
+              <div key={name}>
+                <label htmlFor={name} className="label">
+                  {name === 'password' ? 'New password' : 'Confirm new password'}
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <HiOutlineLockClosed className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id={name}
+                    name={name}
+                    type="password"
+                    autoComplete="new-password"
+                    value={formData[name]}
+                    onChange={handleChange}
+                    className={`input pl-10 ${formError ? 'input-error' : ''}`}
+                    placeholder="••••••••"
+                  />
+                </div>
+              </div>
+            ))}
+
+            {formError && (
+              <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+                <p className="text-sm text-red-600 dark:text-red-400">{formError}</p>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="btn-primary w-full py-3"
+            >
+              {isSubmitting ? 'Saving...' : 'Reset password'}
+            </button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <Link to="/forgot-password" className="link text-sm font-medium">
+              Need a new link?
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
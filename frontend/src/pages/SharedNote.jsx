@@ -1,6 +1,7 @@
 /**
  * Shared Note Page Component
- * Displays a publicly shared note via share token
+ * Displays a publicly shared note via share token. Password-protected links
+ * ask for the password first.
  */
 
 import { useState, useEffect } from 'react';
@@ -13,9 +14,11 @@ import {
   FiEye,
   FiTag,
   FiAlertCircle,
-  FiHome
+  FiHome,
+  FiLock
 } from 'react-icons/fi';
 import LoadingSpinner from '../components/LoadingSpinner';
+import NoteContent from '../components/NoteContent';
 
 const SharedNote = () => {
   const { token } = useParams();
@@ -24,33 +27,57 @@ const SharedNote = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [viewCount, setViewCount] = useState(0);
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
 
   useEffect(() => {
     fetchSharedNote();
   }, [token]);
 
-  const fetchSharedNote = async () => {
+  const fetchSharedNote = async (linkPassword) => {
     try {
-      setLoading(true);
+      if (linkPassword) {
+        setUnlocking(true);
+      } else {
+        setLoading(true);
+      }
       setError(null);
-      const response = await shareAPI.getSharedByToken(token);
+      const response = await shareAPI.getSharedByToken(token, linkPassword);
       setNote(response.data.note);
       setOwner(response.data.owner);
       setViewCount(response.data.viewCount);
+      setNeedsPassword(false);
     } catch (error) {
-      console.error('Error fetching shared note:', error);
-      if (error.response?.status === 404) {
+      const { status, data } = error.response || {};
+      if (status === 401 && data?.code === 'SHARE_PASSWORD_REQUIRED') {
+        setNeedsPassword(true);
+      } else if (status === 401 && data?.code === 'SHARE_PASSWORD_INVALID') {
+        setPasswordError(data.message);
+      } else if (status === 429) {
+        setPasswordError(data?.message || 'Too many attempts. Please try again later.');
+      } else if (status === 404) {
         setError('This shared note does not exist or has been removed.');
-      } else if (error.response?.status === 403) {
-        setError('This share link has expired.');
+      } else if (status === 403 || status === 410) {
+        setError(data?.message || 'This share link is no longer available.');
       } else {
+        console.error('Error fetching shared note:', error);
         setError('Failed to load the shared note. Please try again.');
       }
     } finally {
       setLoading(false);
+      setUnlocking(false);
     }
   };
 
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    if (!password) return;
+    setPasswordError('');
+    fetchSharedNote(password);
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -60,39 +87,6 @@ const SharedNote = () => {
     });
   };
 
-  const renderContent = (content, contentType) => {
-    if (contentType === 'markdown') {
-      // Simple markdown rendering - in production, use a proper markdown library
-      return (
-        <div className="prose max-w-none">
-          {content.split('\n').map((line, index) => {
-            if (line.startsWith('# ')) {
-              return <h1 key={index} className="text-2xl font-bold mb-4">{line.slice(2)}</h1>;
-            }
-            if (line.startsWith('## ')) {
-              return <h2 key={index} className="text-xl font-bold mb-3">{line.slice(3)}</h2>;
-            }
-            if (line.startsWith('### ')) {
-              return <h3 key={index} className="text-lg font-bold mb-2">{line.slice(4)}</h3>;
-            }
-            if (line.startsWith('- ') || line.startsWith('* ')) {
-              return <li key={index} className="ml-4">{line.slice(2)}</li>;
-            }
-            if (line.trim() === '') {
-              return <br key={index} />;
-            }
-            return <p key={index} className="mb-2">{line}</p>;
-          })}
-        </div>
-      );
-    }
-    return (
-      <div className="whitespace-pre-wrap text-gray-700 leading-relaxed">
-        {content}
-      </div>
-    );
-  };
-
   if (loading) {
     return <LoadingSpinner text="Loading shared note..." />;
   }
@@ -120,6 +114,38 @@ const SharedNote = () => {
     );
   }
 
+  if (needsPassword) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <form onSubmit={handleUnlock} className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 text-center">
+          <div className="w-16 h-16 bg-indigo-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <FiLock className="w-8 h-8 text-indigo-600" />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900 mb-2">
+            Password Protected Note
+          </h1>
+          <p className="text-gray-600 mb-6">Enter the password you were given to view this note.</p>
+          <input
+            type="password"
+            autoFocus
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            placeholder="Password"
+          />
+          {passwordError && <p className="mt-2 text-sm text-red-600">{passwordError}</p>}
+          <button
+            type="submit"
+            disabled={unlocking || !password}
+            className="mt-4 w-full px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+          >
+            {unlocking ? 'Checking...' : 'View Note'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -196,7 +222,7 @@ const SharedNote = () => {
 
             {/* Content */}
             <div className="mt-6">
-              {renderContent(note.content, note.contentType)}
+              <NoteContent content={note.content} contentType={note.contentType} />
             </div>
           </div>
         </article>
@@ -0,0 +1,168 @@
+/**
+ * Shared With Me Page Component
+ * Notes other people shared with the user or their teams, grouped by shared
+ * folder, followed by notes that were shared individually
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { shareAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import {
+  FiShare2,
+  FiArrowLeft,
+  FiFolder,
+  FiUsers,
+  FiEdit2,
+  FiEye
+} from 'react-icons/fi';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const PERMISSION_BADGES = {
+  read: { label: 'Can view', icon: FiEye, className: 'bg-gray-100 text-gray-600' },
+  edit: { label: 'Can edit', icon: FiEdit2, className: 'bg-green-100 text-green-700' }
+};
+
+const PermissionBadge = ({ permission }) => {
+  const badge = PERMISSION_BADGES[permission];
+  const Icon = badge.icon;
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full ${badge.className}`}>
+      <Icon className="w-3 h-3" />
+      {badge.label}
+    </span>
+  );
+};
+
+const SharedNoteCard = ({ note, subtitle }) => (
+  <Link
+    to={`/notes/${note._id}/edit`}
+    className="block bg-white rounded-lg shadow-sm border border-gray-200 p-4 hover:shadow-md transition-shadow"
+    style={{ borderTopColor: note.color, borderTopWidth: '3px' }}
+  >
+    <h3 className="text-base font-semibold text-gray-900 line-clamp-1">{note.title}</h3>
+    <p className="text-gray-600 text-sm line-clamp-2 mt-1">{note.content}</p>
+    {subtitle && <p className="text-xs text-gray-500 mt-2">{subtitle}</p>}
+  </Link>
+);
+
+const SharedWithMe = () => {
+  const [shares, setShares] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchShared();
+  }, []);
+
+  const fetchShared = async () => {
+    try {
+      setLoading(true);
+      const response = await shareAPI.getSharedWithMe();
+      setShares(response.data.shares);
+      setFolders(response.data.folders);
+    } catch (error) {
+      console.error('Error fetching shared notes:', error);
+      toast.error('Failed to load shared notes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Who shared it, and through which team
+  const sharedBy = (item) => {
+    const team = item.team || item.sharedWithTeam;
+    return `From ${item.owner?.name || 'someone'}${team ? ` via ${team.name}` : ''}`;
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading shared notes..." />;
+  }
+
+  const isEmpty = shares.length === 0 && folders.length === 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-8">
+          <Link
+            to="/dashboard"
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <FiArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <FiShare2 className="w-6 h-6 text-indigo-500" />
+              Shared with me
+            </h1>
+            <p className="text-sm text-gray-500 mt-1">
+              Notes and folders other people shared with you or your teams
+            </p>
+          </div>
+        </div>
+
+        {isEmpty ? (
+          <div className="text-center py-16 bg-white rounded-xl shadow-sm">
+            <FiShare2 className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Nothing shared yet</h3>
+            <p className="text-gray-500">
+              Notes shared with you, or with a <Link to="/teams" className="text-indigo-600 hover:text-indigo-700">team</Link> you
+              are in, will show up here
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-8">
+            {/* Shared folders */}
+            {folders.map((group) => (
+              <section key={group.share}>
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                  <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                    <FiFolder className="w-5 h-5 text-gray-400" />
+                    {group.folder.icon} {group.folder.name}
+                  </h2>
+                  <PermissionBadge permission={group.permission} />
+                  <span className="text-xs text-gray-500 flex items-center gap-1">
+                    {group.team && <FiUsers className="w-3 h-3" />}
+                    {sharedBy(group)}
+                  </span>
+                </div>
+                {group.notes.length === 0 ? (
+                  <p className="text-sm text-gray-500">This folder is empty.</p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {group.notes.map((note) => (
+                      <SharedNoteCard
+                        key={note._id}
+                        note={note}
+                        subtitle={note.folder._id !== group.folder._id ? `${note.folder.icon} ${note.folder.name}` : null}
+                      />
+                    ))}
+                  </div>
+                )}
+              </section>
+            ))}
+
+            {/* Individually shared notes */}
+            {shares.length > 0 && (
+              <section>
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">Notes</h2>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {shares.map((share) => (
+                    <div key={share._id} className="space-y-1">
+                      <SharedNoteCard note={share.note} subtitle={sharedBy(share)} />
+                      <PermissionBadge permission={share.permission} />
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedWithMe;
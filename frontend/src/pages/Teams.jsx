@@ -0,0 +1,475 @@
+/**
+ * Teams Page Component
+ * Create teams, manage members and invitations, and answer invitations
+ * sent to the current user
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { teamsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import {
+  FiUsers,
+  FiArrowLeft,
+  FiPlus,
+  FiMail,
+  FiTrash2,
+  FiLogOut,
+  FiX,
+  FiCheck
+} from 'react-icons/fi';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ConfirmModal from '../components/ConfirmModal';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  member: 'Member'
+};
+
+const ROLE_LEVELS = { member: 1, admin: 2, owner: 3 };
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+const primaryButtonClass = 'flex items-center justify-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors';
+
+const Teams = () => {
+  const { user } = useAuth();
+
+  // State
+  const [teams, setTeams] = useState([]);
+  const [myInvitations, setMyInvitations] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [teamInvitations, setTeamInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [newTeam, setNewTeam] = useState({ name: '', description: '' });
+  const [invite, setInvite] = useState({ email: '', role: 'member' });
+  const [confirm, setConfirm] = useState(null); // { type: 'delete' | 'leave' | 'remove', member? }
+
+  const selectedTeam = teams.find((team) => team._id === selectedId) || null;
+  const canManage = selectedTeam && ROLE_LEVELS[selectedTeam.role] >= ROLE_LEVELS.admin;
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  useEffect(() => {
+    if (canManage) {
+      fetchTeamInvitations(selectedId);
+    } else {
+      setTeamInvitations([]);
+    }
+  }, [selectedId, canManage]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [teamsResponse, invitationsResponse] = await Promise.all([
+        teamsAPI.getAll(),
+        teamsAPI.getMyInvitations()
+      ]);
+      setTeams(teamsResponse.data.teams);
+      setMyInvitations(invitationsResponse.data.invitations);
+      if (teamsResponse.data.teams.length > 0) {
+        setSelectedId((current) => current || teamsResponse.data.teams[0]._id);
+      }
+    } catch (error) {
+      console.error('Error fetching teams:', error);
+      toast.error('Failed to load teams');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTeamInvitations = async (teamId) => {
+    try {
+      const response = await teamsAPI.getInvitations(teamId);
+      setTeamInvitations(response.data.invitations);
+    } catch (error) {
+      console.error('Error fetching team invitations:', error);
+    }
+  };
+
+  const replaceTeam = (updated) => {
+    setTeams((prev) => prev.map((team) => (team._id === updated._id ? updated : team)));
+  };
+
+  const removeTeam = (teamId) => {
+    const remaining = teams.filter((team) => team._id !== teamId);
+    setTeams(remaining);
+    setSelectedId(remaining[0]?._id || null);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      const response = await teamsAPI.create(newTeam);
+      setTeams((prev) => [...prev, response.data.team]);
+      setSelectedId(response.data.team._id);
+      setNewTeam({ name: '', description: '' });
+      toast.success('Team created');
+    } catch (error) {
+      console.error('Error creating team:', error);
+      toast.error(error.response?.data?.message || 'Failed to create team');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      await teamsAPI.invite(selectedId, invite.email.trim(), invite.role);
+      setInvite({ email: '', role: 'member' });
+      fetchTeamInvitations(selectedId);
+      toast.success('Invitation sent');
+    } catch (error) {
+      console.error('Error inviting member:', error);
+      toast.error(error.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitationId) => {
+    try {
+      await teamsAPI.revokeInvitation(selectedId, invitationId);
+      setTeamInvitations((prev) => prev.filter((invitation) => invitation._id !== invitationId));
+      toast.success('Invitation withdrawn');
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      toast.error(error.response?.data?.message || 'Failed to withdraw invitation');
+    }
+  };
+
+  const handleRespond = async (invitationId, accept) => {
+    try {
+      const response = accept
+        ? await teamsAPI.acceptInvitation(invitationId)
+        : await teamsAPI.declineInvitation(invitationId);
+      setMyInvitations((prev) => prev.filter((invitation) => invitation._id !== invitationId));
+      if (accept) {
+        setTeams((prev) => [...prev, response.data.team]);
+        setSelectedId(response.data.team._id);
+      }
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error responding to invitation:', error);
+      toast.error(error.response?.data?.message || 'Failed to respond to invitation');
+    }
+  };
+
+  const handleRoleChange = async (memberId, role) => {
+    try {
+      const response = await teamsAPI.updateMemberRole(selectedId, memberId, role);
+      replaceTeam(response.data.team);
+      toast.success('Role updated');
+    } catch (error) {
+      console.error('Error updating role:', error);
+      toast.error(error.response?.data?.message || 'Failed to update role');
+    }
+  };
+
+  const handleConfirm = async () => {
+    try {
+      if (confirm.type === 'delete') {
+        await teamsAPI.delete(selectedId);
+        removeTeam(selectedId);
+        toast.success('Team deleted');
+      } else if (confirm.type === 'leave') {
+        const response = await teamsAPI.removeMember(selectedId, user.id);
+        removeTeam(selectedId);
+        toast.success(response.data.message);
+      } else {
+        await teamsAPI.removeMember(selectedId, confirm.member.user._id);
+        const response = await teamsAPI.getById(selectedId);
+        replaceTeam(response.data.team);
+        toast.success('Member removed');
+      }
+    } catch (error) {
+      console.error('Team action error:', error);
+      toast.error(error.response?.data?.message || 'Something went wrong');
+    }
+  };
+
+  const confirmText = {
+    delete: {
+      title: 'Delete Team',
+      message: 'Notes and folders shared with this team will no longer be shared. This cannot be undone.',
+      button: 'Delete'
+    },
+    leave: {
+      title: 'Leave Team',
+      message: 'You will lose access to everything shared with this team.',
+      button: 'Leave'
+    },
+    remove: {
+      title: 'Remove Member',
+      message: `${confirm?.member?.user.name} will lose access to everything shared with this team.`,
+      button: 'Remove'
+    }
+  }[confirm?.type];
+
+  if (loading) {
+    return <LoadingSpinner text="Loading teams..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-8">
+          <Link
+            to="/dashboard"
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <FiArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <FiUsers className="w-6 h-6 text-indigo-500" />
+              Teams
+            </h1>
+            <p className="text-sm text-gray-500 mt-1">
+              Share notes and folders with a group of people at once
+            </p>
+          </div>
+        </div>
+
+        {/* Invitations for me */}
+        {myInvitations.length > 0 && (
+          <div className="bg-indigo-50 border border-indigo-200 rounded-xl p-4 mb-6">
+            <h2 className="text-sm font-semibold text-indigo-900 mb-3">Invitations</h2>
+            <ul className="space-y-2">
+              {myInvitations.map((invitation) => (
+                <li key={invitation._id} className="flex items-center gap-3 bg-white rounded-lg p-3">
+                  <FiMail className="w-5 h-5 text-indigo-500 flex-shrink-0" />
+                  <p className="flex-1 min-w-0 text-sm text-gray-700">
+                    <span className="font-medium">{invitation.invitedBy?.name || 'Someone'}</span> invited you
+                    to join <span className="font-medium">{invitation.team.name}</span> as {ROLE_LABELS[invitation.role].toLowerCase()}
+                  </p>
+                  <button
+                    onClick={() => handleRespond(invitation._id, true)}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition-colors"
+                  >
+                    <FiCheck className="w-4 h-4" />
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => handleRespond(invitation._id, false)}
+                    className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                  >
+                    Decline
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Team list and create form */}
+          <div className="space-y-4">
+            <div className="bg-white rounded-xl shadow-sm">
+              {teams.length === 0 ? (
+                <p className="p-4 text-sm text-gray-500">You are not in any team yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {teams.map((team) => (
+                    <li key={team._id}>
+                      <button
+                        onClick={() => setSelectedId(team._id)}
+                        className={`w-full text-left px-4 py-3 transition-colors ${
+                          team._id === selectedId ? 'bg-indigo-50' : 'hover:bg-gray-50'
+                        }`}
+                      >
+                        <p className="text-sm font-medium text-gray-900">{team.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {team.memberCount} {team.memberCount === 1 ? 'member' : 'members'} · {ROLE_LABELS[team.role]}
+                        </p>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <form onSubmit={handleCreate} className="bg-white rounded-xl shadow-sm p-4 space-y-3">
+              <h2 className="text-sm font-semibold text-gray-900">New team</h2>
+              <input
+                type="text"
+                value={newTeam.name}
+                onChange={(e) => setNewTeam({ ...newTeam, name: e.target.value })}
+                className={inputClass}
+                placeholder="Team name"
+                maxLength={50}
+                required
+              />
+              <input
+                type="text"
+                value={newTeam.description}
+                onChange={(e) => setNewTeam({ ...newTeam, description: e.target.value })}
+                className={inputClass}
+                placeholder="Description (optional)"
+                maxLength={200}
+              />
+              <button type="submit" disabled={working} className={`${primaryButtonClass} w-full`}>
+                <FiPlus className="w-4 h-4" />
+                Create Team
+              </button>
+            </form>
+          </div>
+
+          {/* Selected team */}
+          <div className="lg:col-span-2">
+            {!selectedTeam ? (
+              <div className="text-center py-16 bg-white rounded-xl shadow-sm">
+                <FiUsers className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">No team selected</h3>
+                <p className="text-gray-500">Create a team or accept an invitation to get started</p>
+              </div>
+            ) : (
+              <div className="bg-white rounded-xl shadow-sm p-6 space-y-6">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-900">{selectedTeam.name}</h2>
+                    {selectedTeam.description && (
+                      <p className="text-sm text-gray-500 mt-1">{selectedTeam.description}</p>
+                    )}
+                  </div>
+                  {selectedTeam.role === 'owner' ? (
+                    <button
+                      onClick={() => setConfirm({ type: 'delete' })}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                      Delete
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => setConfirm({ type: 'leave' })}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                    >
+                      <FiLogOut className="w-4 h-4" />
+                      Leave
+                    </button>
+                  )}
+                </div>
+
+                {/* Members */}
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">Members</h3>
+                  <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                    {selectedTeam.members.map((member) => {
+                      const isSelf = member.user._id === user.id;
+                      const canChangeRole = selectedTeam.role === 'owner' && !isSelf;
+                      const canRemove = !isSelf && canManage && member.role !== 'owner' &&
+                        (member.role !== 'admin' || selectedTeam.role === 'owner');
+                      return (
+                        <li key={member.user._id} className="flex items-center gap-3 p-3">
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium text-gray-900">
+                              {member.user.name}
+                              {isSelf && <span className="ml-1 text-gray-500">(you)</span>}
+                            </p>
+                            <p className="text-xs text-gray-500">{member.user.email}</p>
+                          </div>
+                          {canChangeRole ? (
+                            <select
+                              value={member.role}
+                              onChange={(e) => handleRoleChange(member.user._id, e.target.value)}
+                              className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+                            >
+                              <option value="member">Member</option>
+                              <option value="admin">Admin</option>
+                              <option value="owner">Owner</option>
+                            </select>
+                          ) : (
+                            <span className="px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded-full">
+                              {ROLE_LABELS[member.role]}
+                            </span>
+                          )}
+                          {canRemove && (
+                            <button
+                              onClick={() => setConfirm({ type: 'remove', member })}
+                              className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                              title="Remove member"
+                            >
+                              <FiX className="w-4 h-4" />
+                            </button>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+
+                {/* Invitations */}
+                {canManage && (
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-900 mb-2">Invite people</h3>
+                    <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2 mb-3">
+                      <input
+                        type="email"
+                        value={invite.email}
+                        onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                        className={inputClass}
+                        placeholder="Email address"
+                        required
+                      />
+                      <select
+                        value={invite.role}
+                        onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                        className="px-3 py-2 border border-gray-300 rounded-lg"
+                      >
+                        <option value="member">Member</option>
+                        <option value="admin">Admin</option>
+                      </select>
+                      <button type="submit" disabled={working} className={primaryButtonClass}>
+                        <FiMail className="w-4 h-4" />
+                        Invite
+                      </button>
+                    </form>
+
+                    {teamInvitations.length > 0 && (
+                      <ul className="space-y-1">
+                        {teamInvitations.map((invitation) => (
+                          <li key={invitation._id} className="flex items-center gap-2 text-sm text-gray-600">
+                            <span className="flex-1 min-w-0 truncate">
+                              {invitation.email} · {ROLE_LABELS[invitation.role]} · pending
+                            </span>
+                            <button
+                              onClick={() => handleRevokeInvitation(invitation._id)}
+                              className="text-xs text-red-600 hover:text-red-700"
+                            >
+                              Withdraw
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={!!confirm}
+        onClose={() => setConfirm(null)}
+        onConfirm={handleConfirm}
+        title={confirmText?.title}
+        message={confirmText?.message}
+        confirmText={confirmText?.button}
+        type="danger"
+      />
+    </div>
+  );
+};
+
+export default Teams;
@@ -0,0 +1,83 @@
+/**
+ * Verify Email Page
+ * Landing page for the link in the verification email
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import { HiOutlineCheckCircle, HiOutlineXCircle } from 'react-icons/hi';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying'); // 'verifying' | 'success' | 'error'
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single use, so don't send it twice (StrictMode runs effects twice)
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setMessage(response.data.message);
+        setStatus('success');
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Verification failed');
+        setStatus('error');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  useEffect(() => {
+    if (status === 'success' && isAuthenticated) {
+      updateUser({ isEmailVerified: true });
+    }
+  }, [status, isAuthenticated, updateUser]);
+
+  return (
+    <div className="min-h-[calc(100vh-4rem)] flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md card p-8 text-center">
+        {status === 'verifying' && (
+          <LoadingSpinner text="Verifying your email..." />
+        )}
+
+        {status === 'success' && (
+          <>
+            <HiOutlineCheckCircle className="mx-auto h-12 w-12 text-green-500" />
+            <h1 className="mt-4 text-2xl font-bold text-gray-900 dark:text-white">Email verified</h1>
+            <p className="mt-2 text-gray-600 dark:text-dark-muted">{message}</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <HiOutlineXCircle className="mx-auto h-12 w-12 text-red-500" />
+            <h1 className="mt-4 text-2xl font-bold text-gray-900 dark:text-white">Verification failed</h1>
+            <p className="mt-2 text-gray-600 dark:text-dark-muted">{message}</p>
+            {isAuthenticated && (
+              <p className="mt-2 text-sm text-gray-500 dark:text-dark-muted">
+                You can request a new link from the banner at the top of the page.
+              </p>
+            )}
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn-primary inline-block mt-6">
+            {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -7,7 +7,14 @@ import axios from 'axios';
 
 // API Base URL - adjust for production
 
-const API_BASE_URL = 'https://cognetix-notes-application.onrender.com/api';
+export const API_BASE_URL = 'https://cognetix-notes-application.onrender.com/api';
+
+// Id of this tab's realtime connection, sent so the server doesn't echo our own changes back
+let realtimeClientId = null;
+export const setRealtimeClientId = (id) => {
+  realtimeClientId = id;
+};
+
 // Create axios instance with default config
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -18,6 +25,84 @@ const api = axios.create({
   timeout: 10000, // 10 second timeout
 });
 
+// ============================================
+// SESSION TOKENS
+// ============================================
+
+// Refresh this long before the access token actually expires
+const EXPIRY_MARGIN = 30 * 1000;
+
+// In-flight refresh shared by every caller that needs a new access token
+let refreshPromise = null;
+
+/**
+ * Forget the session and send the user to the login page
+ */
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+
+  // Redirect to login if not already there
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+const isExpiring = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000 - Date.now() < EXPIRY_MARGIN;
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Swap the stored refresh token for a new token pair.
+ * Refresh tokens are single use, so concurrent callers share one request.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  refreshPromise = (async () => {
+    if (!refreshToken) throw new Error('No refresh token');
+
+    try {
+      // Plain axios so this request doesn't go through our interceptors
+      const { data } = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+      return data.token;
+    } catch (error) {
+      // Another tab may have refreshed with the same token a moment ago
+      const latest = localStorage.getItem('refreshToken');
+      if (latest && latest !== refreshToken) return localStorage.getItem('token');
+
+      if (error.response?.status === 401) clearSession();
+      throw error;
+    }
+  })().finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+/**
+ * Get an access token that isn't about to expire, refreshing if needed
+ * @returns {Promise<string|null>}
+ */
+export const getAccessToken = async () => {
+  const token = localStorage.getItem('token');
+  if (token && !isExpiring(token)) return token;
+  if (!localStorage.getItem('refreshToken')) return token;
+  return refreshAccessToken();
+};
+
 // ============================================
 // REQUEST INTERCEPTOR
 // ============================================
@@ -26,13 +111,17 @@ const api = axios.create({
  * Automatically attach JWT token to all requests
  */
 api.interceptors.request.use(
-  (config) => {
-    // Get token from localStorage
-    const token = localStorage.getItem('token');
+  async (config) => {
+    // Get token from localStorage, refreshing it first if it's about to expire
+    const token = await getAccessToken().catch(() => localStorage.getItem('token'));
     
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+
+    if (realtimeClientId) {
+      config.headers['X-Client-Id'] = realtimeClientId;
+    }
     
     return config;
   },
@@ -53,20 +142,29 @@ api.interceptors.response.use(
     // Return successful response data
     return response;
   },
-  (error) => {
+  async (error) => {
     // Handle specific error codes
     if (error.response) {
       const { status, data } = error.response;
+      const { config } = error;
       
       switch (status) {
         case 401:
-          // Unauthorized - token expired or invalid
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
-          
-          // Redirect to login if not already there
-          if (window.location.pathname !== '/login') {
-            window.location.href = '/login';
+          // Access token expired or revoked - refresh once and retry the request
+          if (config.headers?.Authorization && !config._retried && localStorage.getItem('refreshToken')) {
+            config._retried = true;
+            try {
+              const token = await refreshAccessToken();
+              config.headers.Authorization = `Bearer ${token}`;
+              return api(config);
+            } catch {
+              return Promise.reject(error);
+            }
+          }
+
+          // Unauthorized - no way to recover the session
+          if (config.headers?.Authorization) {
+            clearSession();
           }
           break;
           
@@ -117,6 +215,18 @@ export const authAPI = {
    */
   login: (credentials) => api.post('/auth/login', credentials),
   
+  /**
+   * Second login step when two-factor authentication is enabled
+   * @param {Object} data - { twoFactorToken, code }
+   */
+  loginTwoFactor: (data) => api.post('/auth/2fa/login', data),
+  
+  /**
+   * End the session of a refresh token
+   * @param {string} refreshToken - Refresh token to revoke
+   */
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  
   /**
    * Get current user profile
    */
@@ -133,6 +243,37 @@ export const authAPI = {
    * @param {Object} data - { currentPassword, newPassword }
    */
   changePassword: (data) => api.put('/auth/password', data),
+  
+  /**
+   * Confirm an email address with the token from the verification email
+   * @param {string} token - Verification token
+   */
+  verifyEmail: (token) => api.post(`/auth/verify-email/${token}`),
+  
+  /**
+   * Send a new verification email to the current user
+   */
+  resendVerification: () => api.post('/auth/resend-verification'),
+  
+  /**
+   * Request a password reset email
+   * @param {string} email - Account email
+   */
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  
+  /**
+   * Set a new password with the token from the reset email
+   * @param {string} token - Reset token
+   * @param {string} password - New password
+   */
+  resetPassword: (token, password) => api.post(`/auth/reset-password/${token}`, { password }),
+  
+  // Two-factor authentication
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  verifyTwoFactor: (code) => api.post('/auth/2fa/verify', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateBackupCodes: (code) => api.post('/auth/2fa/backup-codes', { code }),
 };
 
 // ============================================
@@ -142,7 +283,8 @@ export const authAPI = {
 export const notesAPI = {
   /**
    * Get all notes for the authenticated user
-   * @param {Object} params - { page, limit, search, sortBy, sortOrder }
+   * @param {Object} params - { page, limit, search, sortBy, sortOrder, tag, folder, color, favorite,
+   *   createdFrom, createdTo, updatedFrom, updatedTo, minWords, maxWords }
    */
   getAll: (params = {}) => api.get('/notes', { params }),
   
@@ -162,8 +304,11 @@ export const notesAPI = {
    * Update a note
    * @param {string} id - Note ID
    * @param {Object} noteData - { title, content, isPinned, color, tags, folder, contentType }
+   * @param {number} [revision] - Revision the edit is based on; a stale one fails with 409
    */
-  update: (id, noteData) => api.put(`/notes/${id}`, noteData),
+  update: (id, noteData, revision) => api.put(`/notes/${id}`, noteData, {
+    headers: revision !== undefined ? { 'If-Match': `"${revision}"` } : {}
+  }),
   
   /**
    * Delete a note (soft delete by default)
@@ -203,12 +348,39 @@ export const notesAPI = {
   duplicate: (id) => api.post(`/notes/${id}/duplicate`),
   
   /**
-   * Search notes
+   * Your notes on a similar topic, most similar first
+   * @param {string} id - Note ID
+   * @param {number} limit - Notes to return (at most 20)
+   */
+  getRelated: (id, limit) => api.get(`/notes/${id}/related`, { params: { limit } }),
+  
+  /**
+   * [[Wiki links]] in a note, in content order; unresolved ones have note: null
+   * @param {string} id - Note ID
+   */
+  getOutlinks: (id) => api.get(`/notes/${id}/outlinks`),
+  
+  /**
+   * Notes that link to a note
+   * @param {string} id - Note ID
+   */
+  getBacklinks: (id) => api.get(`/notes/${id}/backlinks`),
+  
+  /**
+   * Search notes, best matches first. Supports "phrases", -exclusions, prefix*
+   * and filters like tag:work, folder:"Project Alpha", is:pinned, created:>2026-01-01
    * @param {string} query - Search query
-   * @param {Object} filters - Additional filters
+   * @param {Object} filters - { page, limit, tag, folder, color }
    */
   search: (query, filters = {}) => api.get('/notes/search', { params: { q: query, ...filters } }),
   
+  /**
+   * Autocomplete a search filter
+   * @param {string} field - Filter name (tag, folder, is, color), or '' to suggest filter names
+   * @param {string} value - What has been typed so far
+   */
+  getSearchSuggestions: (field, value) => api.get('/notes/search/suggestions', { params: { field, value } }),
+  
   /**
    * Get trashed notes
    */
@@ -223,6 +395,72 @@ export const notesAPI = {
    * Get archived notes
    */
   getArchived: () => api.get('/notes/archive'),
+
+  /**
+   * Get version history of a note
+   * @param {string} id - Note ID
+   */
+  getVersions: (id) => api.get(`/notes/${id}/versions`),
+
+  /**
+   * Get a single version with full content
+   * @param {string} id - Note ID
+   * @param {string} versionId - Version ID
+   */
+  getVersion: (id, versionId) => api.get(`/notes/${id}/versions/${versionId}`),
+
+  /**
+   * Restore a note to a previous version
+   * @param {string} id - Note ID
+   * @param {string} versionId - Version ID
+   * @param {number} [revision] - Revision the restore is based on; a stale one fails with 409
+   */
+  restoreVersion: (id, versionId, revision) => api.post(`/notes/${id}/versions/${versionId}/restore`, {}, {
+    headers: revision !== undefined ? { 'If-Match': `"${revision}"` } : {}
+  }),
+
+  /**
+   * Diff two versions of a note
+   * @param {string} id - Note ID
+   * @param {string} from - Version ID to compare from
+   * @param {string} to - Version ID or 'current'
+   */
+  getDiff: (id, from, to = 'current') => api.get(`/notes/${id}/diff`, { params: { from, to } }),
+
+  /**
+   * Upload a file attachment
+   * @param {string} id - Note ID
+   * @param {File} file - File to upload
+   * @param {Function} onProgress - Called with upload percentage
+   */
+  uploadAttachment: (id, file, onProgress) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/notes/${id}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 0,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      },
+    });
+  },
+
+  /**
+   * Download an attachment as a Blob
+   * @param {string} id - Note ID
+   * @param {string} attachmentId - Attachment ID
+   */
+  downloadAttachment: (id, attachmentId) =>
+    api.get(`/notes/${id}/attachments/${attachmentId}`, { responseType: 'blob', timeout: 0 }),
+
+  /**
+   * Delete an attachment
+   * @param {string} id - Note ID
+   * @param {string} attachmentId - Attachment ID
+   */
+  deleteAttachment: (id, attachmentId) => api.delete(`/notes/${id}/attachments/${attachmentId}`),
 };
 
 // ============================================
@@ -249,6 +487,31 @@ export const foldersAPI = {
   delete: (id, moveNotesTo = null) => api.delete(`/folders/${id}`, { params: { moveNotesTo } }),
   getNotes: (id, params = {}) => api.get(`/folders/${id}/notes`, { params }),
   reorder: (folders) => api.put('/folders/reorder', { folders }),
+  getShares: (id) => api.get(`/folders/${id}/shares`),
+  share: (id, shareData) => api.post(`/folders/${id}/shares`, shareData),
+  updateShare: (id, shareId, data) => api.put(`/folders/${id}/shares/${shareId}`, data),
+  removeShare: (id, shareId) => api.delete(`/folders/${id}/shares/${shareId}`),
+};
+
+// ============================================
+// SAVED SEARCHES API FUNCTIONS
+// ============================================
+
+export const savedSearchesAPI = {
+  getAll: () => api.get('/saved-searches'),
+  getById: (id) => api.get(`/saved-searches/${id}`),
+  create: (savedSearchData) => api.post('/saved-searches', savedSearchData),
+  update: (id, savedSearchData) => api.put(`/saved-searches/${id}`, savedSearchData),
+  delete: (id) => api.delete(`/saved-searches/${id}`),
+  getNotes: (id, params = {}) => api.get(`/saved-searches/${id}/notes`, { params }),
+};
+
+// ============================================
+// GRAPH API FUNCTIONS
+// ============================================
+
+export const graphAPI = {
+  get: (params = {}) => api.get('/graph', { params }),
 };
 
 // ============================================
@@ -273,9 +536,14 @@ export const templatesAPI = {
 export const shareAPI = {
   shareNote: (noteId, email, permission = 'read', expiresAt = null) =>
     api.post('/share', { noteId, email, permission, expiresAt }),
-  generateLink: (noteId, expiresAt = null) =>
-    api.post('/share/link', { noteId, expiresAt }),
-  getSharedByToken: (token) => api.get(`/share/public/${token}`),
+  shareWithTeam: (noteId, teamId, permission = 'read', expiresAt = null) =>
+    api.post('/share', { noteId, teamId, permission, expiresAt }),
+  generateLink: (noteId, expiresAt = null, password = null) =>
+    api.post('/share/link', { noteId, expiresAt, password }),
+  revokeLink: (id) => api.post(`/share/link/${id}/revoke`),
+  getLinkViews: (id) => api.get(`/share/link/${id}/views`),
+  getSharedByToken: (token, password) =>
+    password ? api.post(`/share/public/${token}`, { password }) : api.get(`/share/public/${token}`),
   getSharedWithMe: () => api.get('/share/with-me'),
   getSharedByMe: () => api.get('/share/by-me'),
   getNoteShareSettings: (noteId) => api.get(`/share/note/${noteId}`),
@@ -283,6 +551,40 @@ export const shareAPI = {
   removeShare: (id) => api.delete(`/share/${id}`),
 };
 
+// ============================================
+// TEAMS API FUNCTIONS
+// ============================================
+
+export const teamsAPI = {
+  getAll: () => api.get('/teams'),
+  getById: (id) => api.get(`/teams/${id}`),
+  create: (teamData) => api.post('/teams', teamData),
+  update: (id, teamData) => api.put(`/teams/${id}`, teamData),
+  delete: (id) => api.delete(`/teams/${id}`),
+  invite: (id, email, role = 'member') => api.post(`/teams/${id}/invitations`, { email, role }),
+  getInvitations: (id) => api.get(`/teams/${id}/invitations`),
+  revokeInvitation: (id, invitationId) => api.delete(`/teams/${id}/invitations/${invitationId}`),
+  updateMemberRole: (id, userId, role) => api.patch(`/teams/${id}/members/${userId}`, { role }),
+  removeMember: (id, userId) => api.delete(`/teams/${id}/members/${userId}`),
+  getMyInvitations: () => api.get('/teams/invitations'),
+  acceptInvitation: (invitationId) => api.post(`/teams/invitations/${invitationId}/accept`),
+  declineInvitation: (invitationId) => api.post(`/teams/invitations/${invitationId}/decline`),
+};
+
+// ============================================
+// COMMENTS API FUNCTIONS
+// ============================================
+
+export const commentsAPI = {
+  getAll: (noteId, params = {}) => api.get(`/notes/${noteId}/comments`, { params }),
+  getMentionable: (noteId) => api.get(`/notes/${noteId}/comments/mentionable`),
+  create: (noteId, commentData) => api.post(`/notes/${noteId}/comments`, commentData),
+  update: (noteId, commentId, commentData) => api.put(`/notes/${noteId}/comments/${commentId}`, commentData),
+  delete: (noteId, commentId) => api.delete(`/notes/${noteId}/comments/${commentId}`),
+  resolve: (noteId, commentId, resolved = true) =>
+    api.patch(`/notes/${noteId}/comments/${commentId}/resolve`, { resolved }),
+};
+
 // ============================================
 // REMINDERS API FUNCTIONS
 // ============================================
@@ -310,6 +612,22 @@ export const profileAPI = {
   deleteAccount: (password) => api.delete('/profile', { data: { password } }),
   getStats: () => api.get('/profile/stats'),
   exportData: () => api.get('/profile/export'),
+  getSessions: () => api.get('/profile/sessions'),
+  revokeSession: (sessionId) => api.delete(`/profile/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.delete('/profile/sessions'),
+  getSecurityLog: (params = {}) => api.get('/profile/security-log', { params }),
+};
+
+// ============================================
+// NOTIFICATIONS API FUNCTIONS
+// ============================================
+
+export const notificationsAPI = {
+  getAll: (params = {}) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markAsRead: (id) => api.patch(`/notifications/${id}/read`),
+  markAllAsRead: () => api.patch('/notifications/read-all'),
+  delete: (id) => api.delete(`/notifications/${id}`),
 };
 
 // Export default api instance for custom requests
@@ -0,0 +1,34 @@
+/**
+ * Device Utilities
+ * Human-readable descriptions of user agent strings
+ */
+
+/**
+ * Rough "Browser on OS" label from a user agent string
+ * @param {string} userAgent
+ * @returns {string}
+ */
+export const describeDevice = (userAgent = '') => {
+  const browser =
+    (/Edg\//.test(userAgent) && 'Edge') ||
+    (/OPR\//.test(userAgent) && 'Opera') ||
+    (/Firefox\//.test(userAgent) && 'Firefox') ||
+    (/Chrome\//.test(userAgent) && 'Chrome') ||
+    (/Safari\//.test(userAgent) && 'Safari') ||
+    'Unknown browser';
+  const os =
+    (/iPhone|iPad/.test(userAgent) && 'iOS') ||
+    (/Android/.test(userAgent) && 'Android') ||
+    (/Windows/.test(userAgent) && 'Windows') ||
+    (/Mac OS X/.test(userAgent) && 'macOS') ||
+    (/Linux/.test(userAgent) && 'Linux') ||
+    'unknown OS';
+
+  return `${browser} on ${os}`;
+};
+
+/**
+ * @param {string} userAgent
+ * @returns {boolean}
+ */
+export const isMobile = (userAgent = '') => /Mobile|Android|iPhone|iPad/.test(userAgent);
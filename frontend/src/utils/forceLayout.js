@@ -0,0 +1,110 @@
+/**
+ * Force Layout Utilities
+ * A small force-directed layout for the knowledge graph: nodes repel each
+ * other, edges pull their ends together like springs and everything drifts
+ * towards the centre. The simulation cools down ("alpha") until it settles.
+ */
+
+const REPULSION = 900;
+const SPRING_LENGTH = 70;
+const SPRING_STRENGTH = 0.04;
+const CENTER_STRENGTH = 0.01;
+const DAMPING = 0.6;
+const ALPHA_DECAY = 0.02;
+// Below this the layout counts as settled
+export const ALPHA_MIN = 0.005;
+
+/**
+ * Positions for a graph's nodes, keeping the ones already placed so the
+ * layout doesn't jump when the graph is filtered
+ * @param {Array<Object>} nodes - Graph nodes ({ id })
+ * @param {Map<string, Object>} previous - Earlier positions by node id
+ * @returns {Map<string, Object>} - { x, y, vx, vy, fixed } by node id
+ */
+export const placeNodes = (nodes, previous = new Map()) => {
+  const positions = new Map();
+
+  nodes.forEach((node, index) => {
+    const earlier = previous.get(node.id);
+    if (earlier) {
+      positions.set(node.id, earlier);
+      return;
+    }
+
+    // New nodes start on a spiral around the centre
+    const angle = index * 2.4;
+    const radius = 10 * Math.sqrt(index + 1);
+    positions.set(node.id, {
+      x: Math.cos(angle) * radius,
+      y: Math.sin(angle) * radius,
+      vx: 0,
+      vy: 0,
+      fixed: false
+    });
+  });
+
+  return positions;
+};
+
+/**
+ * Advance the simulation one step
+ * @param {Map<string, Object>} positions - From placeNodes, moved in place
+ * @param {Array<Object>} edges - Graph edges ({ source, target })
+ * @param {number} alpha - Current temperature (1 when (re)started)
+ * @returns {number} - The cooled alpha for the next step
+ */
+export const tick = (positions, edges, alpha) => {
+  const points = [...positions.values()];
+
+  // Every pair pushes apart, less the further apart they are
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const a = points[i];
+      const b = points[j];
+      let dx = b.x - a.x;
+      let dy = b.y - a.y;
+      let distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared === 0) {
+        dx = Math.random() - 0.5;
+        dy = Math.random() - 0.5;
+        distanceSquared = dx * dx + dy * dy;
+      }
+      const force = (REPULSION * alpha) / Math.max(distanceSquared, 25);
+      const distance = Math.sqrt(distanceSquared);
+      a.vx -= (dx / distance) * force;
+      a.vy -= (dy / distance) * force;
+      b.vx += (dx / distance) * force;
+      b.vy += (dy / distance) * force;
+    }
+  }
+
+  // Edges pull towards their resting length
+  for (const edge of edges) {
+    const a = positions.get(edge.source);
+    const b = positions.get(edge.target);
+    if (!a || !b) continue;
+
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    const force = (distance - SPRING_LENGTH) * SPRING_STRENGTH * alpha;
+    a.vx += (dx / distance) * force;
+    a.vy += (dy / distance) * force;
+    b.vx -= (dx / distance) * force;
+    b.vy -= (dy / distance) * force;
+  }
+
+  for (const point of points) {
+    if (point.fixed) {
+      point.vx = 0;
+      point.vy = 0;
+      continue;
+    }
+    point.vx = (point.vx - point.x * CENTER_STRENGTH * alpha) * DAMPING;
+    point.vy = (point.vy - point.y * CENTER_STRENGTH * alpha) * DAMPING;
+    point.x += point.vx;
+    point.y += point.vy;
+  }
+
+  return alpha * (1 - ALPHA_DECAY);
+};
@@ -0,0 +1,199 @@
+/**
+ * Syntax Highlighting Utilities
+ * A small regex-based highlighter for the languages notes tend to contain.
+ * It only ever wraps escaped code in <span class="hl-..."> tags, so its
+ * output is safe before sanitizing; unknown languages come back escaped.
+ */
+
+// ============================================
+// GRAMMARS
+// ============================================
+
+// Each grammar is an ordered list of [token type, sticky pattern]; the first
+// pattern matching at a position wins. A null type consumes text unstyled
+// (identifiers, so numbers and keywords aren't found inside them).
+
+const keywords = (words, flags = 'y') => new RegExp(`\\b(?:${words.trim().split(/\s+/).join('|')})\\b`, flags);
+
+const IDENTIFIER = [null, /[A-Za-z_$][\w$]*/y];
+const NUMBER = ['number', /(?:0x[\da-f]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)\b/iy];
+const DOUBLE_QUOTED = ['string', /"(?:[^"\\\n]|\\.)*"?/y];
+const SINGLE_QUOTED = ['string', /'(?:[^'\\\n]|\\.)*'?/y];
+const LINE_COMMENT = ['comment', /\/\/.*/y];
+const BLOCK_COMMENT = ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y];
+const HASH_COMMENT = ['comment', /#.*/y];
+
+const javascript = [
+  LINE_COMMENT,
+  BLOCK_COMMENT,
+  DOUBLE_QUOTED,
+  SINGLE_QUOTED,
+  ['string', /`(?:[^`\\]|\\[\s\S])*`?/y],
+  ['keyword', keywords(`
+    as async await break case catch class const continue debugger default delete do else enum export extends
+    finally for from function if implements import in instanceof interface let new of private protected public
+    return static super switch this throw try type typeof var void while with yield
+  `)],
+  ['literal', keywords('true false null undefined NaN Infinity')],
+  IDENTIFIER,
+  NUMBER
+];
+
+const python = [
+  HASH_COMMENT,
+  ['string', /[rbf]?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/iy],
+  DOUBLE_QUOTED,
+  SINGLE_QUOTED,
+  ['meta', /@[\w.]+/y],
+  ['keyword', keywords(`
+    and as assert async await break class continue def del elif else except finally for from global if import
+    in is lambda nonlocal not or pass raise return try while with yield
+  `)],
+  ['literal', keywords('True False None self')],
+  IDENTIFIER,
+  NUMBER
+];
+
+const json = [
+  ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+  DOUBLE_QUOTED,
+  ['literal', keywords('true false null')],
+  ['number', /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/iy]
+];
+
+const bash = [
+  HASH_COMMENT,
+  DOUBLE_QUOTED,
+  SINGLE_QUOTED,
+  ['variable', /\$(?:\{[^}\n]*\}?|[\w@#?$!*-])/y],
+  ['keyword', keywords(`
+    if then else elif fi for while until do done case esac in function return local export readonly unset
+    source alias sudo echo cd
+  `)],
+  [null, /[\w-]+/y]
+];
+
+const css = [
+  BLOCK_COMMENT,
+  DOUBLE_QUOTED,
+  SINGLE_QUOTED,
+  ['meta', /@[\w-]+/y],
+  ['property', /[\w-]+(?=\s*:(?!:))/y],
+  ['number', /#[\da-f]{3,8}\b|-?\d*\.?\d+(?:%|[a-z]+)?/iy],
+  [null, /[\w-]+/y]
+];
+
+const markup = [
+  ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+  ['tag', /<\/?[\w:-]+|\/?>/y],
+  ['attr', /[\w:-]+(?==)/y],
+  DOUBLE_QUOTED,
+  SINGLE_QUOTED
+];
+
+const sql = [
+  ['comment', /--.*/y],
+  BLOCK_COMMENT,
+  SINGLE_QUOTED,
+  ['keyword', keywords(`
+    select from where and or not in is null as join left right inner outer full on group by order having limit
+    offset insert into values update set delete create table alter drop index primary key foreign references
+    distinct union all case when then else end exists between like asc desc default
+  `, 'iy')],
+  IDENTIFIER,
+  NUMBER
+];
+
+// Java, C, C++, C#, Go, Rust, Kotlin, Swift, PHP and friends
+const clike = [
+  LINE_COMMENT,
+  BLOCK_COMMENT,
+  DOUBLE_QUOTED,
+  SINGLE_QUOTED,
+  ['meta', /#\s*\w+|@\w+/y],
+  ['keyword', keywords(`
+    abstract break case catch char class const continue default defer do double else enum extends final
+    finally float fn for func go if impl implements import int interface let long loop match mod module mut
+    namespace new package private protected pub public return self static struct super switch this throw
+    throws trait try typedef typename use using val var void while
+  `)],
+  ['literal', keywords('true false null nil None Some Ok Err')],
+  IDENTIFIER,
+  NUMBER
+];
+
+const GRAMMARS = { javascript, python, json, bash, css, markup, sql, clike };
+
+const ALIASES = {
+  javascript: 'javascript', js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  typescript: 'javascript', ts: 'javascript', tsx: 'javascript',
+  python: 'python', py: 'python',
+  json: 'json',
+  bash: 'bash', sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  css: 'css', scss: 'css', less: 'css',
+  html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+  sql: 'sql',
+  java: 'clike', c: 'clike', cpp: 'clike', 'c++': 'clike', h: 'clike', cs: 'clike', csharp: 'clike',
+  go: 'clike', rust: 'clike', rs: 'clike', kotlin: 'clike', kt: 'clike', swift: 'clike', php: 'clike'
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeHtml = (text = '') =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Highlight code as HTML
+ * @param {string} code - Source code
+ * @param {string} language - Fence language (e.g. 'js', 'python'); anything unknown is left plain
+ * @returns {string} - Escaped code with highlighted tokens wrapped in spans
+ */
+export const highlightCode = (code = '', language = '') => {
+  const grammar = GRAMMARS[ALIASES[String(language).toLowerCase()]];
+  if (!grammar) return escapeHtml(code);
+
+  let html = '';
+  let plain = '';
+  let index = 0;
+
+  while (index < code.length) {
+    let match = null;
+    let type = null;
+
+    for (const [ruleType, pattern] of grammar) {
+      pattern.lastIndex = index;
+      match = pattern.exec(code);
+      if (match && match[0].length > 0) {
+        type = ruleType;
+        break;
+      }
+      match = null;
+    }
+
+    if (!match) {
+      plain += code[index];
+      index += 1;
+    } else if (!type) {
+      plain += match[0];
+      index += match[0].length;
+    } else {
+      html += `${escapeHtml(plain)}<span class="hl-${type}">${escapeHtml(match[0])}</span>`;
+      plain = '';
+      index += match[0].length;
+    }
+  }
+
+  return html + escapeHtml(plain);
+};
@@ -0,0 +1,275 @@
+/**
+ * Markdown Utilities
+ * Turns note content into safe HTML for display: GitHub-flavoured markdown
+ * (tables, task lists), highlighted code fences, footnotes, heading anchors
+ * and [[wiki links]].
+ *
+ * Everything goes through DOMPurify after rendering, so script tags, event
+ * handlers and javascript: links in note content never reach the page.
+ */
+
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { highlightCode, escapeHtml } from './highlight';
+import { normalizeTitle } from './wikiLinks';
+
+const FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]{2,}|\t)[^\n]*)*)(?:\n+|$)/;
+const FOOTNOTE_REFERENCE = /^\[\^([^\]\s]+)\]/;
+const WIKI_LINK = /^\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/;
+
+// Footnotes and heading ids of the document being rendered; reset by renderMarkdown
+let current = null;
+
+const newDocument = (wikiLinks) => ({
+  wikiLinks,
+  definitions: new Map(),
+  footnotes: new Map(),
+  references: [],
+  slugs: new Map()
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Heading text as an id, unique within the document ("Setup", "Setup" -> setup, setup-1)
+ */
+const headingSlug = (raw) => {
+  const base =
+    raw
+      .toLowerCase()
+      .replace(/<[^>]*>/g, '')
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .trim()
+      .replace(/\s+/g, '-') || 'section';
+
+  const seen = current.slugs.get(base) || 0;
+  current.slugs.set(base, seen + 1);
+  return seen === 0 ? base : `${base}-${seen}`;
+};
+
+/**
+ * The footnotes list closing a document, numbered in order of first reference;
+ * definitions nothing refers to come last
+ */
+const renderFootnotes = () => {
+  const ids = [
+    ...current.references,
+    ...[...current.footnotes.keys()].filter((id) => !current.references.includes(id))
+  ];
+  if (ids.length === 0) return '';
+
+  const items = ids.map((id, index) => {
+    const number = index + 1;
+    const backReference = current.references.includes(id)
+      ? ` <a href="#footnote-ref-${number}" class="footnote-backref" aria-label="Back to reference ${number}">↩</a>`
+      : '';
+    return `<li id="footnote-${number}">${current.footnotes.get(id) || ''}${backReference}</li>`;
+  });
+
+  return `<section class="footnotes"><ol>${items.join('')}</ol></section>`;
+};
+
+// ============================================
+// MARKED SETUP
+// ============================================
+
+const markdown = new Marked({
+  gfm: true,
+  breaks: true
+});
+
+markdown.use({
+  renderer: {
+    code(code, infostring) {
+      const language = (infostring || '').match(/^[\w+#-]*/)[0];
+      const className = language ? ` class="language-${language}"` : '';
+      return `<pre><code${className}>${highlightCode(code.replace(/\n$/, ''), language)}</code></pre>\n`;
+    },
+
+    heading(text, level, raw) {
+      const id = `heading-${headingSlug(raw)}`;
+      return `<h${level} id="${id}"><a href="#${id}" class="heading-anchor" aria-label="Link to this section">#</a>${text}</h${level}>\n`;
+    },
+
+    listitem(text, task) {
+      return task ? `<li class="task-list-item">${text}</li>\n` : `<li>${text}</li>\n`;
+    },
+
+    checkbox(checked) {
+      return `<input type="checkbox" disabled${checked ? ' checked' : ''}>`;
+    }
+  },
+
+  extensions: [
+    {
+      // [^id]: Footnote text (continued on indented lines)
+      name: 'footnoteDefinition',
+      level: 'block',
+      start: (src) => src.match(/^\[\^[^\]\s]+\]:/m)?.index,
+      tokenizer(src) {
+        const match = FOOTNOTE_DEFINITION.exec(src);
+        if (!match) return undefined;
+
+        current.definitions.set(match[1], true);
+        return {
+          type: 'footnoteDefinition',
+          raw: match[0],
+          id: match[1],
+          tokens: this.lexer.inlineTokens(match[2].replace(/\n[ \t]+/g, ' ').trim())
+        };
+      },
+      renderer(token) {
+        // Collected here, written out at the end of the document
+        current.footnotes.set(token.id, this.parser.parseInline(token.tokens));
+        return '';
+      }
+    },
+    {
+      // [^id], when a definition for it exists
+      name: 'footnoteReference',
+      level: 'inline',
+      start: (src) => {
+        const index = src.indexOf('[^');
+        return index === -1 ? undefined : index;
+      },
+      tokenizer(src) {
+        const match = FOOTNOTE_REFERENCE.exec(src);
+        if (!match || !current.definitions.has(match[1])) return undefined;
+        return { type: 'footnoteReference', raw: match[0], id: match[1] };
+      },
+      renderer(token) {
+        let index = current.references.indexOf(token.id);
+        const first = index === -1;
+        if (first) index = current.references.push(token.id) - 1;
+
+        const number = index + 1;
+        const id = first ? ` id="footnote-ref-${number}"` : '';
+        return `<sup class="footnote-ref"><a href="#footnote-${number}"${id}>${number}</a></sup>`;
+      }
+    },
+    {
+      // [[Note Title]] and [[Note Title|label]]
+      name: 'wikiLink',
+      level: 'inline',
+      start: (src) => {
+        const index = src.indexOf('[[');
+        return index === -1 ? undefined : index;
+      },
+      tokenizer(src) {
+        const match = WIKI_LINK.exec(src);
+        if (!match || !match[1].trim()) return undefined;
+
+        const title = match[1].trim().replace(/\s+/g, ' ');
+        const label = match[2] !== undefined && match[2].trim() !== '' ? match[2].trim() : title;
+        return { type: 'wikiLink', raw: match[0], title, label };
+      },
+      renderer(token) {
+        const label = escapeHtml(token.label);
+        // Without resolved links (shared pages, previews) the label is just text
+        if (!current.wikiLinks) return `<span class="wiki-link">${label}</span>`;
+
+        const link = current.wikiLinks.get(normalizeTitle(token.title));
+        if (link?.note) {
+          return `<a href="/notes/${escapeHtml(link.note._id)}" class="wiki-link">${label}</a>`;
+        }
+        if (link?.restricted) {
+          return `<span class="wiki-link wiki-link-restricted">${label}</span>`;
+        }
+        return `<a href="/notes/new?title=${encodeURIComponent(token.title)}" class="wiki-link wiki-link-missing" title="Create &quot;${escapeHtml(token.title)}&quot;">${label}</a>`;
+      }
+    }
+  ]
+});
+
+// ============================================
+// SANITIZING
+// ============================================
+
+// Styles could restyle the page around a note (a fake login box on a public
+// link), and forms could post somewhere else; neither is needed for notes
+const SANITIZE_OPTIONS = {
+  FORBID_TAGS: ['style', 'form', 'button', 'textarea', 'select'],
+  FORBID_ATTR: ['style']
+};
+
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  // Links out of the app open in a new tab without giving it access to this one
+  const href = node.tagName === 'A' && node.getAttribute('href');
+  if (href && !/^(\/(?!\/)|#)/.test(href)) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+
+  // The only inputs notes have are task list checkboxes, and they're read-only
+  if (node.tagName === 'INPUT') {
+    node.setAttribute('type', 'checkbox');
+    node.setAttribute('disabled', '');
+  }
+});
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Sanitize HTML from an untrusted source
+ * @param {string} html
+ * @returns {string}
+ */
+export const sanitizeHtml = (html = '') => DOMPurify.sanitize(html, SANITIZE_OPTIONS);
+
+/**
+ * Render markdown to sanitized HTML
+ * @param {string} source - Markdown text
+ * @param {Object} options
+ * @param {Map} [options.wikiLinks] - Resolved links by normalized title: key -> { note, restricted }
+ *   (from the outlinks API). Without it, wiki links render as plain text.
+ * @returns {string}
+ */
+export const renderMarkdown = (source = '', { wikiLinks = null } = {}) => {
+  current = newDocument(wikiLinks);
+  try {
+    return sanitizeHtml(markdown.parse(source) + renderFootnotes());
+  } finally {
+    current = null;
+  }
+};
+
+/**
+ * Render note content of any type to sanitized HTML
+ * @param {string} content - Note content
+ * @param {string} contentType - 'markdown' | 'richtext' | 'plain'
+ * @param {Object} options - Passed to renderMarkdown
+ * @returns {string|null} - HTML, or null for plain text (render it as text)
+ */
+export const renderNoteContent = (content = '', contentType = 'markdown', options = {}) => {
+  if (contentType === 'markdown') return renderMarkdown(content, options);
+  if (contentType === 'richtext') return sanitizeHtml(content);
+  return null;
+};
+
+/**
+ * Note content as a single line of plain text, for previews
+ * @param {string} content - Note content
+ * @param {string} contentType - 'markdown' | 'richtext' | 'plain'
+ * @returns {string}
+ */
+export const noteContentToText = (content = '', contentType = 'markdown') => {
+  const html = renderNoteContent(content, contentType);
+  if (html === null) return content.replace(/\s+/g, ' ').trim();
+
+  // A parsed document is inert: nothing in it loads or runs
+  const container = new DOMParser().parseFromString(html, 'text/html').body;
+  container.querySelectorAll('.heading-anchor, .footnote-ref, .footnotes').forEach((node) => node.remove());
+  container.querySelectorAll('input[type="checkbox"]').forEach((node) => {
+    node.replaceWith(node.hasAttribute('checked') ? '☑ ' : '☐ ');
+  });
+  // Keep block elements apart once the tags are gone
+  container.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, td, th, pre, blockquote, br').forEach((node) => {
+    node.after(' ');
+  });
+
+  return container.textContent.replace(/\s+/g, ' ').trim();
+};
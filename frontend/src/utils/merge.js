@@ -0,0 +1,92 @@
+/**
+ * Three-way Merge
+ * Combines two edits made independently from the same starting text.
+ *
+ * Each side is diffed against the common base word by word, turned into an
+ * operation (see ./ot) and the two operations are transformed past each
+ * other, so changes to different parts of the text both survive. Where both
+ * sides rewrote the same words, both replacements are kept (theirs first)
+ * for the user to tidy up.
+ */
+
+import { apply, normalize, transform, fromDiff } from './ot';
+
+// Above this many token pairs fall back to a single changed region
+const MAX_TABLE_SIZE = 1000000;
+
+// Words, whitespace runs and punctuation
+const tokenize = (text) => text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+
+/**
+ * Build an operation turning one string into another, touching only the words that changed
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array} - Operation
+ */
+export const diffToOp = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Trim common prefix and suffix
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_TABLE_SIZE) return fromDiff(oldText, newText);
+
+  // lcs[i][j] = longest common subsequence of a[start+i..endA) and b[start+j..endB)
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[start + i] === b[start + j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const op = [a.slice(0, start).join('').length];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      op.push(a[start + i].length);
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+      op.push(b[start + j]);
+      j++;
+    } else {
+      op.push({ d: a[start + i].length });
+      i++;
+    }
+  }
+
+  return normalize(op);
+};
+
+/**
+ * Merge two independent edits of the same text
+ * @param {string} base - Text both sides started from
+ * @param {string} mine - Local edit
+ * @param {string} theirs - Edit that was saved first
+ * @returns {string} - Merged text
+ */
+export const mergeText = (base, mine, theirs) => {
+  const ours = diffToOp(base, mine);
+  const saved = diffToOp(base, theirs);
+  return apply(theirs, transform(ours, saved, 'right'));
+};
+
+/**
+ * Merge a single value: keep ours if we changed it, otherwise take theirs
+ */
+export const mergeValue = (base, mine, theirs) => (mine !== base ? mine : theirs);
@@ -0,0 +1,295 @@
+/**
+ * Operational Transform Utilities
+ * Plain-text operations used for collaborative editing.
+ *
+ * An operation is an array of components applied left to right:
+ *   - number   retain that many characters
+ *   - string   insert the string
+ *   - { d: n } delete n characters
+ * Trailing retains are implicit. Positions are UTF-16 code units so they
+ * match JavaScript string indices (and textarea selections) on the client.
+ *
+ * Copy of backend/utils/ot.js; keep the two in sync.
+ */
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const isRetain = (c) => typeof c === 'number';
+const isInsert = (c) => typeof c === 'string';
+const isDelete = (c) => c !== null && typeof c === 'object';
+
+const componentLength = (c) => {
+  if (isRetain(c)) return c;
+  if (isInsert(c)) return c.length;
+  return c.d;
+};
+
+/**
+ * Append a component, merging it with the previous one when they're the same kind
+ */
+const append = (op, c) => {
+  if (componentLength(c) === 0) return;
+
+  const last = op[op.length - 1];
+  if (op.length > 0 && isRetain(c) && isRetain(last)) {
+    op[op.length - 1] = last + c;
+  } else if (op.length > 0 && isInsert(c) && isInsert(last)) {
+    op[op.length - 1] = last + c;
+  } else if (op.length > 0 && isDelete(c) && isDelete(last)) {
+    op[op.length - 1] = { d: last.d + c.d };
+  } else {
+    op.push(isDelete(c) ? { d: c.d } : c);
+  }
+};
+
+// Drop the implicit trailing retain
+const trim = (op) => {
+  if (op.length > 0 && isRetain(op[op.length - 1])) op.pop();
+  return op;
+};
+
+/**
+ * Iterate over an operation, taking up to n characters at a time.
+ * Past the end of the operation the rest of the document is retained.
+ */
+const makeTaker = (op) => {
+  let index = 0;
+  let offset = 0;
+
+  /**
+   * @param {number} n - Maximum length to take, or -1 for the rest of the component
+   * @param {string} [indivisible] - 'i' or 'd': take whole inserts/deletes regardless of n
+   * @returns {*} - A component, or null when the operation is exhausted and n is -1
+   */
+  const take = (n, indivisible) => {
+    if (index === op.length) return n === -1 ? null : n;
+
+    const c = op[index];
+    const remaining = componentLength(c) - offset;
+    const whole =
+      n === -1 ||
+      remaining <= n ||
+      (indivisible === 'i' && isInsert(c)) ||
+      (indivisible === 'd' && isDelete(c));
+    const length = whole ? remaining : n;
+
+    let part;
+    if (isRetain(c)) part = length;
+    else if (isInsert(c)) part = c.slice(offset, offset + length);
+    else part = { d: length };
+
+    if (whole) {
+      index++;
+      offset = 0;
+    } else {
+      offset += length;
+    }
+
+    return part;
+  };
+
+  const peek = () => op[index];
+
+  return { take, peek };
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Check that a value is a well-formed operation
+ * @param {*} op - Candidate operation
+ * @returns {boolean}
+ */
+export const isValid = (op) => {
+  if (!Array.isArray(op)) return false;
+
+  return op.every((c) =>
+    (Number.isInteger(c) && c > 0) ||
+    (typeof c === 'string' && c.length > 0) ||
+    (isDelete(c) && Number.isInteger(c.d) && c.d > 0)
+  );
+};
+
+/**
+ * Normalize an operation (merge adjacent components, drop empties and trailing retain)
+ * @param {Array} op - Operation
+ * @returns {Array} - New normalized operation
+ */
+export const normalize = (op) => {
+  const result = [];
+  for (const c of op) append(result, c);
+  return trim(result);
+};
+
+/**
+ * Apply an operation to a document
+ * @param {string} doc - Document text
+ * @param {Array} op - Operation
+ * @returns {string} - New document text
+ * @throws {Error} - If the operation runs past the end of the document
+ */
+export const apply = (doc, op) => {
+  const parts = [];
+  let pos = 0;
+
+  for (const c of op) {
+    if (isRetain(c)) {
+      if (pos + c > doc.length) throw new Error('Operation retains past end of document');
+      parts.push(doc.slice(pos, pos + c));
+      pos += c;
+    } else if (isInsert(c)) {
+      parts.push(c);
+    } else {
+      if (pos + c.d > doc.length) throw new Error('Operation deletes past end of document');
+      pos += c.d;
+    }
+  }
+
+  parts.push(doc.slice(pos));
+  return parts.join('');
+};
+
+/**
+ * Transform op so it applies after other (both made against the same document)
+ * @param {Array} op - Operation to transform
+ * @param {Array} other - Concurrent operation
+ * @param {string} side - 'left' or 'right'; breaks ties when both insert at the same
+ *   position (the left op's insert ends up first)
+ * @returns {Array} - Transformed operation
+ */
+export const transform = (op, other, side) => {
+  const result = [];
+  const { take, peek } = makeTaker(op);
+
+  for (const c of other) {
+    if (isRetain(c)) {
+      let length = c;
+      while (length > 0) {
+        const chunk = take(length, 'i');
+        append(result, chunk);
+        if (!isInsert(chunk)) length -= componentLength(chunk);
+      }
+    } else if (isInsert(c)) {
+      if (side === 'left' && isInsert(peek())) {
+        append(result, take(-1));
+      }
+      // Skip over the text the other op inserted
+      append(result, c.length);
+    } else {
+      let length = c.d;
+      while (length > 0) {
+        const chunk = take(length, 'i');
+        if (isInsert(chunk)) {
+          append(result, chunk);
+        } else {
+          // Text we retained or deleted is already gone
+          length -= componentLength(chunk);
+        }
+      }
+    }
+  }
+
+  let chunk;
+  while ((chunk = take(-1)) !== null) append(result, chunk);
+
+  return trim(result);
+};
+
+/**
+ * Compose two consecutive operations into one
+ * @param {Array} op1 - First operation
+ * @param {Array} op2 - Operation applied to the result of op1
+ * @returns {Array} - Equivalent single operation
+ */
+export const compose = (op1, op2) => {
+  const result = [];
+  const { take } = makeTaker(op1);
+
+  for (const c of op2) {
+    if (isRetain(c)) {
+      let length = c;
+      while (length > 0) {
+        const chunk = take(length, 'd');
+        append(result, chunk);
+        if (!isDelete(chunk)) length -= componentLength(chunk);
+      }
+    } else if (isInsert(c)) {
+      append(result, c);
+    } else {
+      let length = c.d;
+      while (length > 0) {
+        const chunk = take(length, 'd');
+        if (isRetain(chunk)) {
+          append(result, { d: chunk });
+          length -= chunk;
+        } else if (isInsert(chunk)) {
+          // Deleting text op1 inserted cancels out
+          length -= chunk.length;
+        } else {
+          append(result, chunk);
+        }
+      }
+    }
+  }
+
+  let chunk;
+  while ((chunk = take(-1)) !== null) append(result, chunk);
+
+  return trim(result);
+};
+
+/**
+ * Move a cursor position through an operation made by someone else.
+ * Text inserted exactly at the cursor ends up after it.
+ * @param {number} cursor - Position in the original document
+ * @param {Array} op - Operation
+ * @returns {number} - Position in the new document
+ */
+export const transformCursor = (cursor, op) => {
+  let pos = 0;
+
+  for (const c of op) {
+    if (cursor <= pos) break;
+
+    if (isRetain(c)) {
+      if (cursor <= pos + c) break;
+      pos += c;
+    } else if (isInsert(c)) {
+      pos += c.length;
+      cursor += c.length;
+    } else {
+      cursor -= Math.min(c.d, cursor - pos);
+    }
+  }
+
+  return cursor;
+};
+
+/**
+ * Build an operation turning one string into another (single changed region)
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array} - Operation
+ */
+export const fromDiff = (oldText, newText) => {
+  let start = 0;
+  const maxStart = Math.min(oldText.length, newText.length);
+  while (start < maxStart && oldText[start] === newText[start]) start++;
+
+  let endOld = oldText.length;
+  let endNew = newText.length;
+  while (endOld > start && endNew > start && oldText[endOld - 1] === newText[endNew - 1]) {
+    endOld--;
+    endNew--;
+  }
+
+  const op = [];
+  append(op, start);
+  append(op, { d: endOld - start });
+  append(op, newText.slice(start, endNew));
+  return trim(op);
+};
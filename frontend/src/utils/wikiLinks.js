@@ -0,0 +1,44 @@
+/**
+ * Wiki Link Utilities
+ * Finds [[Note Title]] and [[Note Title|label]] links in note content, the
+ * same way the server does when it builds the link graph
+ */
+
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/g;
+
+/**
+ * Key a title is matched by: trimmed, single-spaced, lowercase
+ * @param {string} title
+ * @returns {string}
+ */
+export const normalizeTitle = (title) => String(title).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Every wiki link in the text, in order
+ * @param {string} text - Note content
+ * @returns {Array<Object>} - [{ title, key, start, end, textStart, textEnd }]; the text between
+ *   textStart and textEnd is what's shown (the label if there is one, else the title)
+ */
+export const parseWikiLinks = (text = '') => {
+  const links = [];
+
+  for (const match of text.matchAll(WIKI_LINK_PATTERN)) {
+    const title = match[1].trim().replace(/\s+/g, ' ');
+    if (!title) continue;
+
+    const start = match.index;
+    const end = start + match[0].length;
+    const hasLabel = match[2] !== undefined && match[2].trim() !== '';
+
+    links.push({
+      title,
+      key: normalizeTitle(title),
+      start,
+      end,
+      textStart: hasLabel ? start + 2 + match[1].length + 1 : start + 2,
+      textEnd: hasLabel ? end - 2 : start + 2 + match[1].length
+    });
+  }
+
+  return links;
+};